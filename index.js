@@ -5,6 +5,8 @@ require("dotenv").config();
 const app = express();
 const PORT = process.env.PORT || 5000;
 const path = require("path");
+const pool = require("./db");
+const { ensureChecksheetSchema } = require("./utils/checksheet/schema");
 
 const corsOptions = {
   origin: [process.env.FRONTEND_ORIGIN, "http://localhost:5173"],
@@ -22,6 +24,13 @@ app.get("/Backend", (req, res) => {
 app.use(express.json({ limit: "50mb" }));
 app.use(express.urlencoded({ limit: "50mb", extended: true }));
 
+// Checksheet attachments are only served through their authenticated
+// endpoint. They are stored outside uploads (see
+// utils/checksheet/attachments.js); this covers a folder not moved yet.
+app.use(["/uploads/attachments", "/Backend/uploads/attachments"], (req, res) =>
+  res.status(404).end()
+);
+
 //make folder images accessable through browser
 app.use("/uploads", express.static(path.join(__dirname, "uploads")));
 
@@ -41,6 +50,23 @@ const testSmtpRouter = require("./routes/smtp/testSmtp");
 const settingsRouter = require("./routes/smtp/settings");
 const ProductionPlanningRouter = require("./routes/productionplanning/productionplanning");
 const checksheetRouter = require("./routes/cheeksheet/checksheet");
+const checksheetWorkflowRouter = require("./routes/cheeksheet/workflow");
+const checksheetAuditRouter = require("./routes/cheeksheet/audit");
+const checksheetExportRouter = require("./routes/cheeksheet/export");
+const checksheetPdfRouter = require("./routes/cheeksheet/pdf");
+const checksheetReportingRouter = require("./routes/cheeksheet/reporting");
+const checksheetAnalyticsRouter = require("./routes/cheeksheet/analytics");
+const checksheetAlertsRouter = require("./routes/cheeksheet/alerts");
+const checksheetMigrationRouter = require("./routes/cheeksheet/migration");
+const checksheetPackagesRouter = require("./routes/cheeksheet/packages");
+const checksheetSchedulesRouter = require("./routes/cheeksheet/schedules");
+const checksheetProductionRouter = require("./routes/cheeksheet/production");
+const checksheetAttachmentsRouter = require("./routes/cheeksheet/attachments");
+const checksheetSearchRouter = require("./routes/cheeksheet/search");
+const checksheetRecycleRouter = require("./routes/cheeksheet/recycle");
+const checksheetRetentionRouter = require("./routes/cheeksheet/retention");
+const checksheetImportsRouter = require("./routes/cheeksheet/imports");
+const checksheetBatchRouter = require("./routes/cheeksheet/batch");
 const userGroupsRoutes = require("./routes/usersmaster/userGroups");
 
 //api for login
@@ -81,8 +107,32 @@ app.use("/Backend/api/productionplanning", ProductionPlanningRouter);
 
 //checksheet
 app.use("/Backend/api/checksheet", checksheetRouter);
-
-// Start the server
-app.listen(PORT, () => {
-  console.log(`Server running on no ${PORT}`);
-});
+app.use("/Backend/api/checksheet", checksheetWorkflowRouter);
+app.use("/Backend/api/checksheet", checksheetAuditRouter);
+app.use("/Backend/api/checksheet", checksheetExportRouter);
+app.use("/Backend/api/checksheet", checksheetPdfRouter);
+app.use("/Backend/api/checksheet", checksheetReportingRouter);
+app.use("/Backend/api/checksheet", checksheetAnalyticsRouter);
+app.use("/Backend/api/checksheet", checksheetAlertsRouter);
+app.use("/Backend/api/checksheet", checksheetMigrationRouter);
+app.use("/Backend/api/checksheet", checksheetPackagesRouter);
+app.use("/Backend/api/checksheet", checksheetSchedulesRouter);
+app.use("/Backend/api/checksheet", checksheetProductionRouter);
+app.use("/Backend/api/checksheet", checksheetAttachmentsRouter);
+app.use("/Backend/api/checksheet", checksheetSearchRouter);
+app.use("/Backend/api/checksheet", checksheetRecycleRouter);
+app.use("/Backend/api/checksheet", checksheetRetentionRouter);
+app.use("/Backend/api/checksheet", checksheetImportsRouter);
+app.use("/Backend/api/checksheet", checksheetBatchRouter);
+
+// Start the server once the checksheet tables are in place
+ensureChecksheetSchema(pool)
+  .then(() => {
+    app.listen(PORT, () => {
+      console.log(`Server running on no ${PORT}`);
+    });
+  })
+  .catch((err) => {
+    console.error("Checksheet schema setup failed:", err);
+    process.exit(1);
+  });
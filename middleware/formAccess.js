@@ -0,0 +1,72 @@
+const pool = require("../db");
+const {
+  getUserAccess,
+  getFormPermissions,
+} = require("../utils/checksheet/permissions");
+const { isTemplateDeleted } = require("../utils/checksheet/recycle");
+
+// Load the caller's access (req.checksheetUser) and, when the request names
+// a template (:id, template_id query or body), the form permissions
+// (req.formPermissions). Rejects with 403 unless the form allows `action`
+// ("view", "edit" or "delete"). Without a template it only loads the user;
+// the route validates its own template_id. Templates in the recycle bin
+// answer 404.
+const formAccess =
+  (action = "view") =>
+  async (req, res, next) => {
+    // Runs after auth, which sets req.user from the verified token
+    const userId = req.user && req.user.user_id;
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: "Not authenticated",
+      });
+    }
+
+    try {
+      const access = await getUserAccess(pool, userId);
+      if (!access) {
+        return res.status(401).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+      req.checksheetUser = access;
+
+      const templateId =
+        req.params.id ||
+        req.query.template_id ||
+        (req.body && req.body.template_id);
+      if (!templateId) return next();
+
+      if (await isTemplateDeleted(pool, templateId)) {
+        return res.status(404).json({
+          success: false,
+          message: "Template not found",
+        });
+      }
+
+      const permissions = await getFormPermissions(pool, access, templateId);
+      // Unknown template - let the route answer 404
+      if (!permissions) return next();
+
+      if (!permissions[`can_${action}`]) {
+        return res.status(403).json({
+          success: false,
+          message: `You do not have permission to ${action} this form`,
+        });
+      }
+
+      req.formPermissions = permissions;
+      next();
+    } catch (err) {
+      console.error("Form access check error:", err);
+      res.status(500).json({
+        success: false,
+        message: "Failed to check form permissions",
+        details: err.message,
+      });
+    }
+  };
+
+module.exports = formAccess;
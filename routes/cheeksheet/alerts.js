@@ -0,0 +1,272 @@
+const express = require("express");
+const router = express.Router();
+const pool = require("../../db");
+const auth = require("../../middleware/auth");
+const isAdmin = require("../../middleware/isAdmin");
+const formAccess = require("../../middleware/formAccess");
+const { getFamilyId } = require("../../utils/checksheet/family");
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Helper function: Validate a recipients payload.
+// Each entry is { email } or { group_id }.
+const normalizeRecipients = (recipients) => {
+  if (!Array.isArray(recipients)) {
+    throw new Error("Recipients must be an array");
+  }
+
+  return recipients.map((recipient, index) => {
+    const email = recipient && recipient.email ? String(recipient.email) : "";
+    const groupId =
+      recipient &&
+      recipient.group_id !== undefined &&
+      recipient.group_id !== null
+        ? parseInt(recipient.group_id, 10)
+        : null;
+
+    if (!email && groupId === null) {
+      throw new Error(`Recipient ${index + 1} needs an email or a group_id`);
+    }
+    if (email && !EMAIL_PATTERN.test(email)) {
+      throw new Error(`Recipient ${index + 1} has an invalid email`);
+    }
+    if (groupId !== null && Number.isNaN(groupId)) {
+      throw new Error(`Recipient ${index + 1} has an invalid group_id`);
+    }
+
+    return {
+      email: email || null,
+      group_id: groupId,
+      is_active: recipient.is_active !== false,
+    };
+  });
+};
+
+// Helper function: Recipient rows (with group names) for a scope
+const listRecipients = async (client, templateId) => {
+  const res = await client.query(
+    `SELECT r.id, r.template_id, r.group_id, g.group_name, r.email,
+            r.is_active, r.created_by, r.created_at
+     FROM checksheet_alert_recipients r
+     LEFT JOIN user_groups g ON g.group_id = r.group_id
+     WHERE ${
+       templateId === null ? "r.template_id IS NULL" : "r.template_id = $1"
+     }
+     ORDER BY r.id`,
+    templateId === null ? [] : [templateId]
+  );
+  return res.rows;
+};
+
+// Helper function: Replace the recipient list of a scope
+const saveRecipients = async (req, res, templateId) => {
+  const { recipients } = req.body;
+  const { user_id } = req.user;
+
+  let normalized;
+  try {
+    normalized = normalizeRecipients(recipients);
+  } catch (err) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid recipients",
+      details: err.message,
+    });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    await client.query(
+      `DELETE FROM checksheet_alert_recipients
+       WHERE ${
+         templateId === null ? "template_id IS NULL" : "template_id = $1"
+       }`,
+      templateId === null ? [] : [templateId]
+    );
+
+    for (const recipient of normalized) {
+      await client.query(
+        `INSERT INTO checksheet_alert_recipients
+         (template_id, group_id, email, is_active, created_by)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [
+          templateId,
+          recipient.group_id,
+          recipient.email,
+          recipient.is_active,
+          user_id || null,
+        ]
+      );
+    }
+
+    const saved = await listRecipients(client, templateId);
+
+    await client.query("COMMIT");
+
+    res.json({
+      success: true,
+      recipients: saved,
+      message: "Alert recipients saved",
+    });
+  } catch (err) {
+    await client.query("ROLLBACK");
+    console.error("Save alert recipients error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to save alert recipients",
+      details: err.message,
+    });
+  } finally {
+    client.release();
+  }
+};
+
+// ==============================
+// ALERT RECIPIENTS (ALL TEMPLATES)
+// ==============================
+router.get("/alert-recipients", auth, isAdmin, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      recipients: await listRecipients(pool, null),
+    });
+  } catch (err) {
+    console.error("Get alert recipients error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to get alert recipients",
+      details: err.message,
+    });
+  }
+});
+
+router.put("/alert-recipients", auth, isAdmin, (req, res) =>
+  saveRecipients(req, res, null)
+);
+
+// ==============================
+// ALERT RECIPIENTS (ONE TEMPLATE FAMILY)
+// ==============================
+router.get(
+  "/templates/:id/alert-recipients",
+  auth,
+  formAccess("edit"),
+  async (req, res) => {
+    try {
+      const familyId = await getFamilyId(pool, req.params.id);
+      if (!familyId) {
+        return res.status(404).json({
+          success: false,
+          message: "Template not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        family_id: familyId,
+        recipients: await listRecipients(pool, familyId),
+      });
+    } catch (err) {
+      console.error("Get alert recipients error:", err);
+      res.status(500).json({
+        success: false,
+        message: "Failed to get alert recipients",
+        details: err.message,
+      });
+    }
+  }
+);
+
+router.put(
+  "/templates/:id/alert-recipients",
+  auth,
+  formAccess("edit"),
+  async (req, res) => {
+    try {
+      const familyId = await getFamilyId(pool, req.params.id);
+      if (!familyId) {
+        return res.status(404).json({
+          success: false,
+          message: "Template not found",
+        });
+      }
+      await saveRecipients(req, res, familyId);
+    } catch (err) {
+      console.error("Save alert recipients error:", err);
+      res.status(500).json({
+        success: false,
+        message: "Failed to save alert recipients",
+        details: err.message,
+      });
+    }
+  }
+);
+
+// ==============================
+// ALERT DELIVERY LOG
+// ==============================
+router.get(
+  "/templates/:id/alerts/log",
+  auth,
+  formAccess("view"),
+  async (req, res) => {
+    const { transaction_id, status } = req.query;
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit, 10) || 100, 1),
+      1000
+    );
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    try {
+      const familyId = await getFamilyId(pool, req.params.id);
+      if (!familyId) {
+        return res.status(404).json({
+          success: false,
+          message: "Template not found",
+        });
+      }
+
+      const clauses = ["family_id = $1"];
+      const params = [familyId];
+      if (transaction_id) {
+        params.push(transaction_id);
+        clauses.push(`transaction_id = $${params.length}`);
+      }
+      if (status) {
+        params.push(status);
+        clauses.push(`status = $${params.length}`);
+      }
+
+      const logRes = await pool.query(
+        `SELECT id, template_id, transaction_id, recipients, breaches, attempt,
+              status, error, created_at,
+              COUNT(*) OVER() AS total_count
+       FROM checksheet_alert_log
+       WHERE ${clauses.join(" AND ")}
+       ORDER BY created_at DESC, id DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+      );
+
+      res.json({
+        success: true,
+        log: logRes.rows.map(({ total_count, ...row }) => row),
+        total: logRes.rows.length
+          ? parseInt(logRes.rows[0].total_count, 10)
+          : 0,
+        limit,
+        offset,
+      });
+    } catch (err) {
+      console.error("Get alert log error:", err);
+      res.status(500).json({
+        success: false,
+        message: "Failed to get alert log",
+        details: err.message,
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,192 @@
+const express = require("express");
+const router = express.Router();
+const pool = require("../../db");
+const auth = require("../../middleware/auth");
+const formAccess = require("../../middleware/formAccess");
+const { toColumnName } = require("../../utils/checksheet/columns");
+const {
+  getFamilyId,
+  getFamilyVersions,
+} = require("../../utils/checksheet/family");
+const { buildFamilyUnion } = require("../../utils/checksheet/union");
+const { buildSubmissionFilters } = require("../../utils/checksheet/filters");
+const { toNumber } = require("../../utils/checksheet/validator");
+const { DEFAULT_SHIFTS, analyzeSpc } = require("../../utils/checksheet/spc");
+const { fieldPermission } = require("../../utils/checksheet/permissions");
+
+const NUMERIC_FIELD_TYPES = ["number", "calculation"];
+
+// Helper function: Spec limit from a query override or the field config
+const specLimit = (override, configured) => {
+  const value = toNumber(override !== undefined ? override : configured);
+  return value === null || Number.isNaN(value) ? null : value;
+};
+
+// Helper function: Parse the optional `shifts` JSON query value
+const parseShifts = (raw) => {
+  if (!raw) return DEFAULT_SHIFTS;
+  const shifts = JSON.parse(raw);
+  if (
+    !Array.isArray(shifts) ||
+    shifts.length === 0 ||
+    shifts.some((s) => !s || !s.name || !s.start || !s.end)
+  ) {
+    throw new Error("Shifts must be an array of { name, start, end }");
+  }
+  return shifts;
+};
+
+// ==============================
+// SPC ANALYTICS FOR A NUMERIC FIELD
+// ==============================
+// Query params: field (instance_id or field_name), from, to, status,
+// group_by (day | shift), shifts (JSON), lsl / usl (override spec limits).
+// Without `status` only transactions that have left draft (completed or
+// further along their workflow) are charted.
+router.get(
+  "/templates/:id/analytics/spc",
+  auth,
+  formAccess("view"),
+  async (req, res) => {
+    const { id } = req.params;
+    const { field, group_by = "day", lsl, usl, from, to } = req.query;
+
+    if (!field) {
+      return res.status(400).json({
+        success: false,
+        message: "Field is required",
+      });
+    }
+
+    if (
+      (from && Number.isNaN(Date.parse(from))) ||
+      (to && Number.isNaN(Date.parse(to)))
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "from/to must be valid dates",
+      });
+    }
+
+    if (!["day", "shift"].includes(group_by)) {
+      return res.status(400).json({
+        success: false,
+        message: "group_by must be day or shift",
+      });
+    }
+
+    let shifts;
+    try {
+      shifts = parseShifts(req.query.shifts);
+    } catch (err) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid shifts",
+        details: err.message,
+      });
+    }
+
+    try {
+      const familyId = await getFamilyId(pool, id);
+      const versions = familyId ? await getFamilyVersions(pool, familyId) : [];
+      if (versions.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: "Template not found",
+        });
+      }
+
+      // Newest version's definition carries the current spec limits
+      const fieldRes = await pool.query(
+        `SELECT tf.*, ct.version
+       FROM template_fields tf
+       JOIN checksheet_templates ct ON ct.id = tf.template_id
+       WHERE tf.template_id = ANY($1)
+         AND (LOWER(tf.instance_id) = LOWER($2) OR LOWER(tf.field_name) = LOWER($2))
+       ORDER BY ct.version DESC
+       LIMIT 1`,
+        [versions.map((v) => v.id), field]
+      );
+
+      if (fieldRes.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: `Field "${field}" not found`,
+        });
+      }
+
+      const fieldConfig = fieldRes.rows[0];
+      if (
+        !fieldPermission(req.formPermissions, fieldConfig.instance_id).can_view
+      ) {
+        return res.status(403).json({
+          success: false,
+          message: `You do not have permission to view field "${field}"`,
+        });
+      }
+      if (!NUMERIC_FIELD_TYPES.includes(fieldConfig.field_type)) {
+        return res.status(400).json({
+          success: false,
+          message: `Field "${field}" is not numeric`,
+        });
+      }
+
+      const union = await buildFamilyUnion(pool, versions);
+      const name = toColumnName(
+        fieldConfig.field_name || fieldConfig.instance_id
+      );
+      const renamed = Object.assign({}, ...Object.values(union.renames));
+      const column = renamed[name] || name;
+
+      if (!union.columns.some((c) => c.name === column)) {
+        return res.json({
+          success: true,
+          field: fieldConfig.field_name,
+          ...analyzeSpc([], { groupBy: group_by, shifts }),
+        });
+      }
+
+      const { clauses, params } = buildSubmissionFilters(req.query, 1);
+      clauses.push(`t."${column}" IS NOT NULL`);
+      if (!req.query.status && union.columns.some((c) => c.name === "status")) {
+        clauses.push(`COALESCE(t.status, 'draft') <> 'draft'`);
+      }
+
+      const dataRes = await pool.query(
+        `SELECT t."${column}" AS value, t.submitted_at
+       FROM (${union.sql}) t
+       WHERE ${clauses.join(" AND ")}
+       ORDER BY t.submitted_at ASC`,
+        params
+      );
+
+      const points = dataRes.rows
+        .map((row) => ({
+          value: toNumber(row.value),
+          submitted_at: row.submitted_at,
+        }))
+        .filter((p) => p.value !== null && !Number.isNaN(p.value));
+
+      res.json({
+        success: true,
+        field: fieldConfig.field_name,
+        label: fieldConfig.label,
+        ...analyzeSpc(points, {
+          lsl: specLimit(lsl, fieldConfig.min_value),
+          usl: specLimit(usl, fieldConfig.max_value),
+          groupBy: group_by,
+          shifts,
+        }),
+      });
+    } catch (err) {
+      console.error("SPC analytics error:", err);
+      res.status(500).json({
+        success: false,
+        message: "Failed to compute SPC analytics",
+        details: err.message,
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,252 @@
+const express = require("express");
+const router = express.Router();
+const fs = require("fs");
+const path = require("path");
+const multer = require("multer");
+const pool = require("../../db");
+const auth = require("../../middleware/auth");
+const isAdmin = require("../../middleware/isAdmin");
+const formAccess = require("../../middleware/formAccess");
+const { getFormPermissions } = require("../../utils/checksheet/permissions");
+const {
+  MAX_UPLOAD_BYTES,
+  tempPath,
+  storeFile,
+  fieldSizeLimit,
+  findField,
+  sendAttachment,
+  migrateBase64Blobs,
+  sweepOrphanFiles,
+} = require("../../utils/checksheet/attachments");
+
+// Uploads land in a temp file and are moved to their content path
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => cb(null, path.dirname(tempPath())),
+    filename: (req, file, cb) => cb(null, path.basename(tempPath())),
+  }),
+  limits: { fileSize: MAX_UPLOAD_BYTES },
+}).single("file");
+
+// Helper function: Remove a temp upload that won't be kept
+const discardUpload = (file) => {
+  if (file) fs.promises.unlink(file.path).catch(() => {});
+};
+
+// ==============================
+// UPLOAD ATTACHMENT
+// ==============================
+// Multipart field "file". Query params: template_id (required) and field
+// (instance_id or field_name, to enforce its max_file_size). Put the
+// returned ref ("attachment:<id>") in the field's value when saving the
+// transaction.
+router.post("/attachments", auth, formAccess("view"), (req, res) => {
+  const { template_id, field } = req.query;
+
+  if (!template_id) {
+    return res.status(400).json({
+      success: false,
+      message: "template_id is required",
+    });
+  }
+
+  upload(req, res, async (err) => {
+    if (err) {
+      discardUpload(req.file);
+      if (err instanceof multer.MulterError && err.code === "LIMIT_FILE_SIZE") {
+        return res.status(413).json({
+          success: false,
+          message: `File cannot exceed ${MAX_UPLOAD_BYTES / 1024 / 1024}MB`,
+        });
+      }
+      return res.status(400).json({
+        success: false,
+        message: "Failed to read upload",
+        details: err.message,
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: "No file uploaded",
+      });
+    }
+
+    try {
+      const templateRes = await pool.query(
+        "SELECT id FROM checksheet_templates WHERE id = $1",
+        [template_id]
+      );
+      if (templateRes.rows.length === 0) {
+        discardUpload(req.file);
+        return res.status(404).json({
+          success: false,
+          message: "Template not found",
+        });
+      }
+
+      let fieldRow = null;
+      if (field) {
+        const fieldsRes = await pool.query(
+          `SELECT field_name, instance_id, label, max_file_size
+           FROM template_fields WHERE template_id = $1`,
+          [template_id]
+        );
+        fieldRow = findField(fieldsRes.rows, field);
+        if (!fieldRow) {
+          discardUpload(req.file);
+          return res.status(404).json({
+            success: false,
+            message: "Field not found",
+          });
+        }
+
+        const limit = fieldSizeLimit(fieldRow);
+        if (limit !== null && req.file.size > limit) {
+          discardUpload(req.file);
+          return res.status(413).json({
+            success: false,
+            message: `${
+              fieldRow.label || fieldRow.field_name
+            }: file cannot exceed ${fieldRow.max_file_size}MB`,
+          });
+        }
+      }
+
+      const attachment = await storeFile(pool, req.file.path, {
+        originalName: req.file.originalname,
+        mimeType: req.file.mimetype,
+        ownerId: req.user.user_id,
+        templateId: parseInt(template_id, 10),
+        fieldInstanceId: fieldRow ? fieldRow.instance_id : null,
+      });
+
+      res.json({
+        success: true,
+        attachment: {
+          id: attachment.id,
+          ref: `attachment:${attachment.id}`,
+          original_name: attachment.original_name,
+          mime_type: attachment.mime_type,
+          size: parseInt(attachment.size, 10),
+          sha256: attachment.sha256,
+        },
+        message: "File uploaded successfully",
+      });
+    } catch (uploadErr) {
+      discardUpload(req.file);
+      console.error("Upload attachment error:", uploadErr);
+      res.status(500).json({
+        success: false,
+        message: "Failed to upload file",
+        details: uploadErr.message,
+      });
+    }
+  });
+});
+
+// ==============================
+// DOWNLOAD ATTACHMENT
+// ==============================
+// Streams the file (Range requests supported). Query: download=true for
+// Content-Disposition: attachment.
+router.get(
+  "/attachments/:attachmentId",
+  auth,
+  formAccess("view"),
+  async (req, res) => {
+    try {
+      const attachmentRes = await pool.query(
+        "SELECT * FROM checksheet_attachments WHERE id = $1",
+        [req.params.attachmentId]
+      );
+      if (attachmentRes.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: "Attachment not found",
+        });
+      }
+      const attachment = attachmentRes.rows[0];
+
+      // Template attachments follow the form's view permission
+      const access = req.checksheetUser;
+      let allowed = access.isAdmin || attachment.owner_id === access.userId;
+      if (!allowed && attachment.template_id) {
+        const permissions = await getFormPermissions(
+          pool,
+          access,
+          attachment.template_id
+        );
+        allowed = Boolean(permissions && permissions.can_view);
+      }
+      if (!allowed) {
+        return res.status(403).json({
+          success: false,
+          message: "You do not have permission to view this attachment",
+        });
+      }
+
+      sendAttachment(req, res, attachment, {
+        download: req.query.download === "true",
+      });
+    } catch (err) {
+      console.error("Download attachment error:", err);
+      res.status(500).json({
+        success: false,
+        message: "Failed to load attachment",
+        details: err.message,
+      });
+    }
+  }
+);
+
+// ==============================
+// MOVE BASE64 BLOBS TO ATTACHMENTS (ONE-TIME MIGRATION)
+// ==============================
+// Body: dry_run (count only), batch_size. Safe to run again; only blobs
+// still stored inline are moved.
+router.post("/attachments/migrate", auth, isAdmin, async (req, res) => {
+  const dryRun = req.body.dry_run === true || req.body.dry_run === "true";
+  const batchSize = Math.min(
+    Math.max(parseInt(req.body.batch_size, 10) || 50, 1),
+    500
+  );
+
+  try {
+    const report = await migrateBase64Blobs(pool, { dryRun, batchSize });
+
+    res.json({
+      success: report.errors.length === 0,
+      report,
+      message: dryRun
+        ? "Dry run finished"
+        : report.errors.length === 0
+        ? "Blobs moved to attachments"
+        : "Migration finished with errors",
+    });
+  } catch (err) {
+    console.error("Attachment migration error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to migrate blobs",
+      details: err.message,
+    });
+  }
+});
+
+// Remove files no attachment row refers to
+if (!process.env.CHECKSHEET_ATTACHMENT_SWEEP_DISABLED) {
+  setInterval(async () => {
+    try {
+      const removed = await sweepOrphanFiles(pool);
+      if (removed > 0) {
+        console.log(`Removed ${removed} orphan attachment file(s)`);
+      }
+    } catch (err) {
+      console.error("Attachment sweep error:", err);
+    }
+  }, 24 * 60 * 60 * 1000); // Every day
+}
+
+module.exports = router;
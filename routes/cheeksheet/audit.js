@@ -0,0 +1,225 @@
+const express = require("express");
+const router = express.Router();
+const pool = require("../../db");
+const auth = require("../../middleware/auth");
+const formAccess = require("../../middleware/formAccess");
+const { buildFieldColumnMap } = require("../../utils/checksheet/columns");
+const {
+  getRowSnapshot,
+  diffRows,
+  rowAt,
+} = require("../../utils/checksheet/audit");
+const {
+  getHiddenColumns,
+  stripColumns,
+} = require("../../utils/checksheet/permissions");
+
+// Helper function: Load template, field labels and audit events of a
+// transaction. Changes to fields the caller can't view are left out.
+const loadAuditContext = async (templateId, transactionId, permissions) => {
+  const templateRes = await pool.query(
+    `SELECT id, name, table_name, version FROM checksheet_templates WHERE id = $1`,
+    [templateId]
+  );
+  if (templateRes.rows.length === 0) return null;
+  const template = templateRes.rows[0];
+
+  const fieldsRes = await pool.query(
+    `SELECT field_name, instance_id, label FROM template_fields WHERE template_id = $1`,
+    [templateId]
+  );
+  const fieldsByColumn = buildFieldColumnMap(fieldsRes.rows);
+  const hidden = getHiddenColumns(fieldsRes.rows, permissions);
+
+  const eventsRes = await pool.query(
+    `SELECT e.id, e.action, e.user_id, u.name AS user_name,
+            e.template_version, e.created_at
+     FROM checksheet_audit_events e
+     LEFT JOIN usermaster u ON u.user_id = e.user_id
+     WHERE e.table_name = $1 AND e.transaction_id = $2
+     ORDER BY e.created_at ASC, e.id ASC`,
+    [template.table_name, transactionId]
+  );
+
+  const eventIds = eventsRes.rows.map((e) => e.id);
+  const changesRes =
+    eventIds.length > 0
+      ? await pool.query(
+          `SELECT event_id, column_name, old_value, new_value
+           FROM checksheet_audit_changes
+           WHERE event_id = ANY($1)
+           ORDER BY id`,
+          [eventIds]
+        )
+      : { rows: [] };
+
+  const events = eventsRes.rows.map((event) => ({
+    ...event,
+    changes: changesRes.rows.filter(
+      (c) => c.event_id === event.id && !hidden.has(c.column_name)
+    ),
+  }));
+
+  return { template, fieldsByColumn, hidden, events };
+};
+
+// Helper function: Attach instance_id/label to a column change
+const describeChange = (fieldsByColumn, change) => {
+  const column = change.column_name || change.column;
+  const field = fieldsByColumn[column];
+  return {
+    column,
+    instance_id: field ? field.instance_id : null,
+    label: field ? field.label || field.field_name : column,
+    old_value: change.old_value,
+    new_value: change.new_value,
+  };
+};
+
+// ==============================
+// AUDIT TIMELINE OF A TRANSACTION
+// ==============================
+router.get(
+  "/transactions/:transaction_id/audit",
+  auth,
+  formAccess("view"),
+  async (req, res) => {
+    const { transaction_id } = req.params;
+    const { template_id } = req.query;
+
+    if (!template_id) {
+      return res.status(400).json({
+        success: false,
+        message: "Template ID is required",
+      });
+    }
+
+    try {
+      const context = await loadAuditContext(
+        template_id,
+        transaction_id,
+        req.formPermissions
+      );
+      if (!context) {
+        return res.status(404).json({
+          success: false,
+          message: "Template not found",
+        });
+      }
+
+      const timeline = context.events.map((event) => ({
+        id: event.id,
+        action: event.action,
+        user_id: event.user_id,
+        user_name: event.user_name,
+        template_version: event.template_version,
+        created_at: event.created_at,
+        changes: event.changes.map((c) =>
+          describeChange(context.fieldsByColumn, c)
+        ),
+      }));
+
+      res.json({
+        success: true,
+        transaction_id: parseInt(transaction_id, 10),
+        table_name: context.template.table_name,
+        timeline,
+        count: timeline.length,
+      });
+    } catch (err) {
+      console.error("Get audit timeline error:", err);
+      res.status(500).json({
+        success: false,
+        message: "Failed to get audit timeline",
+        details: err.message,
+      });
+    }
+  }
+);
+
+// ==============================
+// DIFF A TRANSACTION BETWEEN TWO POINTS IN TIME
+// ==============================
+router.get(
+  "/transactions/:transaction_id/audit/diff",
+  auth,
+  formAccess("view"),
+  async (req, res) => {
+    const { transaction_id } = req.params;
+    const { template_id, from, to } = req.query;
+
+    if (!template_id || !from) {
+      return res.status(400).json({
+        success: false,
+        message: "Template ID and from timestamp are required",
+      });
+    }
+
+    const fromDate = new Date(from);
+    const toDate = to ? new Date(to) : new Date();
+    if (Number.isNaN(fromDate.getTime()) || Number.isNaN(toDate.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: "from/to must be valid timestamps",
+      });
+    }
+
+    try {
+      const context = await loadAuditContext(
+        template_id,
+        transaction_id,
+        req.formPermissions
+      );
+      if (!context) {
+        return res.status(404).json({
+          success: false,
+          message: "Template not found",
+        });
+      }
+
+      const currentRow = await getRowSnapshot(
+        pool,
+        context.template.table_name,
+        transaction_id
+      );
+
+      if (!currentRow && context.events.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: "Transaction not found",
+        });
+      }
+
+      // The row didn't exist yet before its audited insert
+      const insertEvent = context.events.find((e) => e.action === "insert");
+      const stateAt = (at) =>
+        insertEvent && new Date(insertEvent.created_at) > at
+          ? null
+          : rowAt(currentRow, context.events, at);
+
+      const fromState = stripColumns(stateAt(fromDate), context.hidden);
+      const toState = stripColumns(stateAt(toDate), context.hidden);
+
+      res.json({
+        success: true,
+        transaction_id: parseInt(transaction_id, 10),
+        from: fromDate.toISOString(),
+        to: toDate.toISOString(),
+        from_state: fromState,
+        to_state: toState,
+        changes: diffRows(fromState, toState).map((c) =>
+          describeChange(context.fieldsByColumn, c)
+        ),
+      });
+    } catch (err) {
+      console.error("Get audit diff error:", err);
+      res.status(500).json({
+        success: false,
+        message: "Failed to diff transaction",
+        details: err.message,
+      });
+    }
+  }
+);
+
+module.exports = router;
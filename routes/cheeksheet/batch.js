@@ -0,0 +1,86 @@
+const express = require("express");
+const router = express.Router();
+const pool = require("../../db");
+const auth = require("../../middleware/auth");
+const formAccess = require("../../middleware/formAccess");
+const {
+  MAX_BATCH_ITEMS,
+  processBatch,
+} = require("../../utils/checksheet/batch");
+
+// ==============================
+// BATCH SUBMISSIONS / TRANSACTIONS
+// ==============================
+// For offline clients. Body: items (array, in the order they were
+// recorded) and atomic (true: all items or none; default false: each item
+// on its own). Each item:
+//   idempotency_key  client-generated, unique per user; retries of a saved
+//                    item answer "duplicate" with the original result
+//   client_timestamp when the record was taken (becomes submitted_at)
+//   type             "submission" (as POST /submissions) or "transaction"
+//                    (as POST /transactions)
+//   template_id, template_version (the version the client loaded), data,
+//   inspection_id, plan link keys; for transactions also status and
+//   transaction_id or transaction_key (idempotency_key of the item that
+//   created the transaction), and for updates revision (the one loaded;
+//   defaults to the one saved under transaction_key) and optional base_data
+//   (the values loaded, to merge with changes made since)
+// Every item gets a result with its status: created, updated, duplicate,
+// conflict (e.g. template_version_superseded), rejected, error or
+// rolled_back (atomic batch that failed).
+router.post("/submissions/batch", auth, formAccess(), async (req, res) => {
+  const { items } = req.body;
+  const atomic = [true, "true", "1"].includes(req.body.atomic);
+
+  if (!Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: "items must be a non-empty array",
+    });
+  }
+  if (items.length > MAX_BATCH_ITEMS) {
+    return res.status(400).json({
+      success: false,
+      message: `A batch is limited to ${MAX_BATCH_ITEMS} items`,
+    });
+  }
+
+  try {
+    const { results, committed } = await processBatch(pool, {
+      items,
+      atomic,
+      access: req.checksheetUser,
+      userId: req.user.user_id,
+    });
+
+    const summary = {};
+    results.forEach((r) => {
+      summary[r.status] = (summary[r.status] || 0) + 1;
+    });
+    const failed = results.some(
+      (r) => !["created", "updated", "duplicate"].includes(r.status)
+    );
+
+    res.status(atomic && !committed ? 409 : 200).json({
+      success: !failed,
+      atomic,
+      committed,
+      summary,
+      results,
+      message: failed
+        ? atomic
+          ? "Batch rejected; nothing was saved"
+          : "Some items were not saved"
+        : "Batch saved",
+    });
+  } catch (err) {
+    console.error("Batch save error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to save batch",
+      details: err.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -1,329 +1,155 @@
 const express = require("express");
 const router = express.Router();
 const pool = require("../../db");
-
-// Helper function: Detect schema changes
-const detectSchemaChanges = (oldFields, newFields) => {
-  const changes = [];
-
-  // Convert old fields to map for easy lookup
-  const oldFieldMap = {};
-  oldFields.forEach((field) => {
-    oldFieldMap[field.instance_id] = field;
-  });
-
-  // Check each new field
-  Object.keys(newFields).forEach((fieldId) => {
-    const oldField = oldFieldMap[fieldId];
-    const newField = newFields[fieldId];
-
-    if (oldField && oldField.field_type !== newField.type) {
-      changes.push({
-        fieldId,
-        fieldName: newField.field_name || fieldId,
-        oldType: oldField.field_type,
-        newType: newField.type,
-        breakingChange: isBreakingChange(oldField.field_type, newField.type),
-      });
-    }
-  });
-
-  return changes;
-};
-
-// Helper function: Check if change is breaking
-const isBreakingChange = (oldType, newType) => {
-  const breakingPairs = [
-    ["text", "number"],
-    ["text", "date"],
-    ["text", "datetime"],
-    ["text", "time"],
-    ["text", "boolean"],
-    ["textbox", "number"],
-    ["textbox", "date"],
-    ["number", "text"],
-    ["number", "textbox"],
-    ["date", "text"],
-    ["datetime", "text"],
-    ["boolean", "text"],
-    ["calculation", "text"],
-  ];
-
-  return breakingPairs.some(([from, to]) => from === oldType && to === newType);
-};
-
-// Helper function: Create optimized table with proper data types
-const createOptimizedTable = async (client, tableName, fieldConfigs) => {
-  const columns = [];
-
-  // Always include metadata columns
-  columns.push("id SERIAL PRIMARY KEY");
-  columns.push("user_id INTEGER");
-  columns.push("submitted_at TIMESTAMP DEFAULT NOW()");
-  columns.push("template_version INTEGER DEFAULT 1");
-  columns.push("original_submission_id INTEGER");
-
-  // === NEW: ADD STATUS COLUMNS ===
-  columns.push("\"status\" VARCHAR(20) DEFAULT 'draft'");
-  columns.push('"updated_at" TIMESTAMP DEFAULT NOW()');
-
-  // Add columns based on field types
-  Object.values(fieldConfigs).forEach((config) => {
-    const safeName = (config.field_name || config.instanceId)
-      .toLowerCase()
-      .replace(/[^a-z0-9_]/g, "_")
-      .replace(/_{2,}/g, "_")
-      .replace(/^_+|_+$/g, "");
-
-    let columnType = "TEXT";
-
-    switch (config.type) {
-      case "number":
-      case "calculation":
-        columnType = "DECIMAL(12,4)";
-        break;
-      case "date":
-        columnType = "DATE";
-        break;
-      case "datetime":
-        columnType = "TIMESTAMP";
-        break;
-      case "time":
-        columnType = "TIME";
-        break;
-      case "boolean":
-        columnType = "BOOLEAN";
-        break;
-      default:
-        columnType = "TEXT";
-    }
-
-    columns.push(`"${safeName}" ${columnType}`);
+const auth = require("../../middleware/auth");
+const isAdmin = require("../../middleware/isAdmin");
+const formAccess = require("../../middleware/formAccess");
+const {
+  toColumnName,
+  createOptimizedTable,
+} = require("../../utils/checksheet/columns");
+const {
+  FormulaError,
+  evaluateFormula,
+} = require("../../utils/checksheet/formula");
+const {
+  getFamilyId,
+  getFamilyVersions,
+} = require("../../utils/checksheet/family");
+const { buildFamilyUnion } = require("../../utils/checksheet/union");
+const { syncReportView } = require("../../utils/checksheet/reporting");
+const {
+  MigrationError,
+  MigrationFailedError,
+  isBreakingChange,
+  detectSchemaChanges,
+  runVersionMigration,
+  recordFailedMigration,
+} = require("../../utils/checksheet/migration");
+const {
+  verifyImageSignature,
+  signTemplateHtml,
+  unsignTemplateHtml,
+  resolveImageIds,
+  remapImageUrls,
+} = require("../../utils/checksheet/images");
+const {
+  loadVersionSnapshot,
+  diffTemplateVersions,
+} = require("../../utils/checksheet/versions");
+const {
+  getFormPermissions,
+  getViewableTemplateIds,
+  copyPermissions,
+  filterFields,
+  filterFieldConfigurations,
+  getHiddenColumns,
+  stripColumns,
+} = require("../../utils/checksheet/permissions");
+const {
+  indexTemplate,
+  indexTemplateTransactions,
+  moveVersionIndex,
+} = require("../../utils/checksheet/search");
+const {
+  softDeleteFamily,
+  listRecycleBin,
+} = require("../../utils/checksheet/recycle");
+const {
+  storeTemplateImage,
+  sendAttachment,
+} = require("../../utils/checksheet/attachments");
+const {
+  SubmissionError,
+  saveSubmission,
+  saveTransaction,
+  notifyOutOfSpec,
+} = require("../../utils/checksheet/submissions");
+const {
+  toEtag,
+  getExpectedRevision,
+} = require("../../utils/checksheet/revisions");
+const {
+  FilterError,
+  buildSubmissionFilters,
+  parseFieldFilters,
+  buildFieldFilters,
+} = require("../../utils/checksheet/filters");
+
+// Helper function: Field configs (as createOptimizedTable takes them) from
+// a template's stored template_fields rows
+const getTableFieldConfigs = async (client, templateId) => {
+  const fieldsRes = await client.query(
+    `SELECT field_name, field_type, instance_id
+     FROM template_fields
+     WHERE template_id = $1`,
+    [templateId]
+  );
+  const fieldConfigs = {};
+  fieldsRes.rows.forEach((field) => {
+    fieldConfigs[field.instance_id] = {
+      field_name: field.field_name,
+      instanceId: field.instance_id,
+      type: field.field_type,
+    };
   });
-
-  const createSQL = `CREATE TABLE "${tableName}" (${columns.join(", ")})`;
-  await client.query(createSQL);
-
-  // Create indexes
-  // Create indexes
-  await client.query(`
-  CREATE INDEX IF NOT EXISTS idx_${tableName.replace(/[^a-z0-9]/g, "_")}_user 
-  ON "${tableName}" (user_id);
-  
-  CREATE INDEX IF NOT EXISTS idx_${tableName.replace(/[^a-z0-9]/g, "_")}_date 
-  ON "${tableName}" (submitted_at DESC);
-  
-  CREATE INDEX IF NOT EXISTS idx_${tableName.replace(
-    /[^a-z0-9]/g,
-    "_"
-  )}_version 
-  ON "${tableName}" (template_version);
-  
-  CREATE INDEX IF NOT EXISTS idx_${tableName.replace(/[^a-z0-9]/g, "_")}_status 
-  ON "${tableName}" (status);
-  
-  CREATE INDEX IF NOT EXISTS idx_${tableName.replace(
-    /[^a-z0-9]/g,
-    "_"
-  )}_updated 
-  ON "${tableName}" (updated_at DESC);
-`);
-};
-
-// Helper function: Migrate non-breaking data
-// Helper function: Migrate non-breaking data WITH TYPE CHECKING
-const migrateNonBreakingData = async (
-  client,
-  oldTableName,
-  newTableName,
-  changes,
-  version
-) => {
-  try {
-    // Get all columns from old table WITH THEIR TYPES
-    const oldColumnsRes = await client.query(
-      `
-      SELECT column_name, data_type 
-      FROM information_schema.columns 
-      WHERE table_name = $1
-      ORDER BY ordinal_position
-    `,
-      [oldTableName]
-    );
-
-    if (oldColumnsRes.rows.length === 0) return 0;
-
-    // Get all columns from new table WITH THEIR TYPES
-    const newColumnsRes = await client.query(
-      `
-      SELECT column_name, data_type 
-      FROM information_schema.columns 
-      WHERE table_name = $1
-      ORDER BY ordinal_position
-    `,
-      [newTableName]
-    );
-
-    if (newColumnsRes.rows.length === 0) return 0;
-
-    // Create maps for quick lookup
-    const oldColumnsMap = {};
-    oldColumnsRes.rows.forEach((row) => {
-      oldColumnsMap[row.column_name] = row.data_type;
-    });
-
-    const newColumnsMap = {};
-    newColumnsRes.rows.forEach((row) => {
-      newColumnsMap[row.column_name] = row.data_type;
-    });
-
-    // Filter out breaking changes fields
-    const breakingFields = changes
-      .filter((c) => c.breakingChange)
-      .map((c) => c.fieldName.toLowerCase().replace(/[^a-z0-9_]/g, "_"));
-
-    // Get columns that can be migrated (non-breaking AND compatible types)
-    const migratableColumns = [];
-    const selectExpressions = [];
-
-    oldColumnsRes.rows.forEach((row) => {
-      const columnName = row.column_name;
-      const oldType = row.data_type;
-
-      // Skip system columns and breaking changes
-      if (
-        [
-          "id",
-          "user_id",
-          "submitted_at",
-          "template_version",
-          "original_submission_id",
-        ].includes(columnName)
-      ) {
-        return;
-      }
-
-      if (breakingFields.some((bf) => bf === columnName.toLowerCase())) {
-        return;
-      }
-
-      // Check if column exists in new table
-      if (!newColumnsMap[columnName]) {
-        console.log(`Skipping ${columnName}: not in new table`);
-        return;
-      }
-
-      const newType = newColumnsMap[columnName];
-
-      // Check type compatibility
-      if (!areTypesCompatible(oldType, newType)) {
-        console.log(
-          `Skipping ${columnName}: type mismatch (${oldType} -> ${newType})`
-        );
-        return;
-      }
-
-      migratableColumns.push(columnName);
-
-      // Handle type conversions in SELECT
-      if (oldType === "date" && newType.includes("character")) {
-        // DATE -> TEXT
-        selectExpressions.push(
-          `TO_CHAR("${columnName}", 'YYYY-MM-DD') as "${columnName}"`
-        );
-      } else if (
-        oldType.includes("timestamp") &&
-        newType.includes("character")
-      ) {
-        // TIMESTAMP -> TEXT
-        selectExpressions.push(
-          `TO_CHAR("${columnName}", 'YYYY-MM-DD HH24:MI:SS') as "${columnName}"`
-        );
-      } else if (oldType === "boolean" && newType.includes("character")) {
-        // BOOLEAN -> TEXT
-        selectExpressions.push(
-          `CASE WHEN "${columnName}" = true THEN 'true' WHEN "${columnName}" = false THEN 'false' ELSE NULL END as "${columnName}"`
-        );
-      } else if (oldType.includes("character") && newType === "date") {
-        // TEXT -> DATE (if format matches)
-        selectExpressions.push(
-          `CASE WHEN "${columnName}" ~ '^\\d{4}-\\d{2}-\\d{2}$' THEN TO_DATE("${columnName}", 'YYYY-MM-DD') ELSE NULL END as "${columnName}"`
-        );
-      } else {
-        // Compatible types
-        selectExpressions.push(`"${columnName}"`);
-      }
-    });
-
-    if (migratableColumns.length === 0) {
-      console.log("No migratable columns found");
-      return 0;
-    }
-
-    // Migrate data (limit to last 1000 submissions for performance)
-    const migrateQuery = `
-      INSERT INTO "${newTableName}" 
-      (user_id, submitted_at, template_version, original_submission_id, ${migratableColumns
-        .map((c) => `"${c}"`)
-        .join(", ")})
-      SELECT 
-        user_id, 
-        submitted_at, 
-        ${version} as template_version, 
-        id as original_submission_id,
-        ${selectExpressions.join(", ")}
-      FROM "${oldTableName}"
-      ORDER BY submitted_at DESC
-      LIMIT 1000
-    `;
-
-    console.log("Migration query executing...");
-    const result = await client.query(migrateQuery);
-    console.log(
-      `Migrated ${result.rowCount} records from ${oldTableName} to ${newTableName}`
-    );
-    return result.rowCount;
-  } catch (err) {
-    console.warn(
-      `Migration failed from ${oldTableName} to ${newTableName}:`,
-      err.message
-    );
-    return 0;
-  }
+  return fieldConfigs;
 };
 
-// Helper function to check type compatibility
-const areTypesCompatible = (oldType, newType) => {
-  // Simplify type comparison
-  const oldSimple = simplifyType(oldType);
-  const newSimple = simplifyType(newType);
-
-  // Compatible if same type or TEXT can accept anything
-  if (newSimple === "text") return true;
-  if (oldSimple === newSimple) return true;
-
-  // Some specific compatibilities
-  if (oldSimple === "integer" && newSimple === "decimal") return true;
-  if (oldSimple === "decimal" && newSimple === "integer") return true;
-
-  return false;
+// Helper function: Copy a version's images to another template (files
+// stored as attachments are shared, not copied)
+const copyTemplateImages = async (client, fromTemplateId, toTemplateId) => {
+  return client.query(
+    `INSERT INTO template_images 
+     (template_id, original_path, filename, mime_type, image_data, size, 
+      position_index, original_src, element_id, attachment_id)
+     SELECT $1, original_path, filename, mime_type, image_data, size, 
+            position_index, original_src, element_id, attachment_id
+     FROM template_images 
+     WHERE template_id = $2`,
+    [toTemplateId, fromTemplateId]
+  );
 };
 
-const simplifyType = (type) => {
-  if (type.includes("character") || type.includes("text")) return "text";
-  if (type.includes("integer")) return "integer";
-  if (type.includes("decimal") || type.includes("numeric")) return "decimal";
-  if (type.includes("date")) return "date";
-  if (type.includes("timestamp")) return "timestamp";
-  if (type.includes("time")) return "time";
-  if (type.includes("boolean")) return "boolean";
-  return type;
-};
+// Helper function: Copy a version's field configurations to another template
+const copyTemplateFields = (client, fromTemplateId, toTemplateId) =>
+  client.query(
+    `INSERT INTO template_fields 
+     (template_id, field_name, field_type, label, decimal_places, options,
+      bg_color, text_color, exact_match_text, exact_match_bg_color,
+      min_length, min_length_mode, min_length_warning_bg,
+      max_length, max_length_mode, max_length_warning_bg,
+      multiline, auto_shrink_font,
+      min_value, max_value, bg_color_in_range, bg_color_below_min,
+      bg_color_above_max, border_color_in_range, border_color_below_min,
+      border_color_above_max, formula, position, instance_id, sheet_index,
+      date_format, show_time_select, DatetimeFormat, min_date, max_date,
+      allow_camera, allow_upload, max_file_size, time_format, allow_seconds, 
+      min_time, max_time, required, disabled, mode, allow_text_input, 
+      allow_signature, allow_signature_over_text, text_font_size)
+     SELECT $1, field_name, field_type, label, decimal_places, options,
+            bg_color, text_color, exact_match_text, exact_match_bg_color,
+            min_length, min_length_mode, min_length_warning_bg,
+            max_length, max_length_mode, max_length_warning_bg,
+            multiline, auto_shrink_font,
+            min_value, max_value, bg_color_in_range, bg_color_below_min,
+            bg_color_above_max, border_color_in_range, border_color_below_min,
+            border_color_above_max, formula, position, instance_id, sheet_index,
+            date_format, show_time_select, DatetimeFormat, min_date, max_date,
+            allow_camera, allow_upload, max_file_size, time_format, allow_seconds, 
+            min_time, max_time, required, disabled, mode, allow_text_input, 
+            allow_signature, allow_signature_over_text, text_font_size
+     FROM template_fields 
+     WHERE template_id = $2`,
+    [toTemplateId, fromTemplateId]
+  );
 
 // ==============================
 // PUBLISH FORM TEMPLATE WITH PROPER IMAGE POSITIONS
 // ==============================
-router.post("/templates", async (req, res) => {
+router.post("/templates", auth, async (req, res) => {
+  // HTML may come back with the signed image URLs it was loaded with
+  req.body = unsignTemplateHtml(req.body);
   const {
     name,
     html_content,
@@ -455,12 +281,24 @@ router.post("/templates", async (req, res) => {
 
           const elementId = `img_${templateId}_${positionIndex}_${Date.now()}`;
 
+          // The image file is stored on disk as an attachment
+          const attachment = await storeTemplateImage(
+            client,
+            imageData.base64,
+            {
+              originalName: imageData.filename,
+              mimeType: imageData.mimeType,
+              ownerId: req.user.user_id,
+              templateId,
+            }
+          );
+
           const imageRes = await client.query(
             `
             INSERT INTO template_images 
             (template_id, original_path, filename, mime_type, image_data, size, 
-             position_index, original_src, element_id)
-            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+             position_index, original_src, element_id, attachment_id)
+            VALUES ($1, $2, $3, $4, NULL, $5, $6, $7, $8, $9)
             RETURNING id
             `,
             [
@@ -468,11 +306,11 @@ router.post("/templates", async (req, res) => {
               originalPath,
               imageData.filename,
               imageData.mimeType,
-              imageData.base64,
-              imageData.size,
+              parseInt(attachment.size, 10),
               positionIndex,
               originalSrc,
               elementId,
+              attachment.id,
             ]
           );
 
@@ -620,6 +458,9 @@ router.post("/templates", async (req, res) => {
       [tableName, templateId]
     );
 
+    await syncReportView(client, templateId);
+    await indexTemplate(client, templateId);
+
     await client.query("COMMIT");
 
     res.json({
@@ -642,82 +483,126 @@ router.post("/templates", async (req, res) => {
   }
 });
 
+// Helper function: A valid signed image URL (see signTemplateHtml) stands
+// in for the login - <img> tags can't send the bearer token
+const imageLinkAuth = (req, res, next) => {
+  const { expires, sig } = req.query;
+  if (sig === undefined) return auth(req, res, next);
+
+  if (!verifyImageSignature(req.params.id, req.params.imageId, expires, sig)) {
+    return res.status(403).json({ error: "Image link is invalid or expired" });
+  }
+  req.signedImageLink = true;
+  next();
+};
+
+// Helper function: View access to the form, unless the link was signed
+const viewAccess = formAccess("view");
+const imageViewAccess = (req, res, next) =>
+  req.signedImageLink ? next() : viewAccess(req, res, next);
+
 // ==============================
 // GET IMAGE ENDPOINT
 // ==============================
-router.get("/templates/:id/images/:imageId", async (req, res) => {
-  const { id, imageId } = req.params;
+router.get(
+  "/templates/:id/images/:imageId",
+  imageLinkAuth,
+  imageViewAccess,
+  async (req, res) => {
+    const { id, imageId } = req.params;
 
-  try {
-    const imageRes = await pool.query(
-      `
-      SELECT ti.mime_type, ti.image_data, ti.filename
+    try {
+      const imageRes = await pool.query(
+        `
+      SELECT ti.mime_type, ti.image_data, ti.filename, ti.attachment_id
       FROM template_images ti
       WHERE ti.id = $1 AND ti.template_id = $2
       `,
-      [imageId, id]
-    );
+        [imageId, id]
+      );
 
-    if (imageRes.rows.length === 0) {
-      return res.status(404).json({ error: "Image not found" });
-    }
+      if (imageRes.rows.length === 0) {
+        return res.status(404).json({ error: "Image not found" });
+      }
 
-    const { mime_type, image_data, filename } = imageRes.rows[0];
+      const { mime_type, image_data, filename, attachment_id } =
+        imageRes.rows[0];
 
-    if (!image_data) {
-      return res.status(404).json({ error: "Image data not found" });
-    }
+      // Images moved to disk are streamed from their attachment
+      if (!image_data && attachment_id) {
+        const attachmentRes = await pool.query(
+          "SELECT * FROM checksheet_attachments WHERE id = $1",
+          [attachment_id]
+        );
+        if (attachmentRes.rows.length > 0) {
+          return sendAttachment(req, res, {
+            ...attachmentRes.rows[0],
+            mime_type,
+            original_name: filename,
+          });
+        }
+      }
 
-    const buffer = Buffer.from(image_data, "base64");
+      if (!image_data) {
+        return res.status(404).json({ error: "Image data not found" });
+      }
 
-    res.setHeader("Content-Type", mime_type);
-    res.setHeader("Content-Length", buffer.length);
-    res.setHeader("Content-Disposition", `inline; filename="${filename}"`);
-    res.setHeader("Cache-Control", "public, max-age=31536000");
-    res.setHeader("ETag", `"${imageId}-${buffer.length}"`);
+      const buffer = Buffer.from(image_data, "base64");
 
-    res.send(buffer);
-  } catch (err) {
-    console.error("Get image error:", err);
-    res.status(500).json({ error: "Failed to load image" });
+      res.setHeader("Content-Type", mime_type);
+      res.setHeader("Content-Length", buffer.length);
+      res.setHeader("Content-Disposition", `inline; filename="${filename}"`);
+      res.setHeader("Cache-Control", "public, max-age=31536000");
+      res.setHeader("ETag", `"${imageId}-${buffer.length}"`);
+
+      res.send(buffer);
+    } catch (err) {
+      console.error("Get image error:", err);
+      res.status(500).json({ error: "Failed to load image" });
+    }
   }
-});
+);
 
 // ==============================
 // GET ALL IMAGES FOR TEMPLATE
 // ==============================
-router.get("/templates/:id/images", async (req, res) => {
-  const { id } = req.params;
+router.get(
+  "/templates/:id/images",
+  auth,
+  formAccess("view"),
+  async (req, res) => {
+    const { id } = req.params;
 
-  try {
-    const imagesRes = await pool.query(
-      `
+    try {
+      const imagesRes = await pool.query(
+        `
       SELECT id, original_path, filename, mime_type, size, position_index, element_id, created_at
       FROM template_images 
       WHERE template_id = $1
       ORDER BY position_index ASC NULLS LAST, filename
       `,
-      [id]
-    );
+        [id]
+      );
 
-    res.json({
-      success: true,
-      images: imagesRes.rows,
-      count: imagesRes.rows.length,
-    });
-  } catch (err) {
-    console.error("Get images error:", err);
-    res.status(500).json({
-      success: false,
-      message: "Failed to get images",
-    });
+      res.json({
+        success: true,
+        images: imagesRes.rows,
+        count: imagesRes.rows.length,
+      });
+    } catch (err) {
+      console.error("Get images error:", err);
+      res.status(500).json({
+        success: false,
+        message: "Failed to get images",
+      });
+    }
   }
-});
+);
 
 // ==============================
 // GET TEMPLATE BY ID (COMPLETE)
 // ==============================
-router.get("/templates/:id", async (req, res) => {
+router.get("/templates/:id", auth, formAccess("view"), async (req, res) => {
   const { id } = req.params;
 
   try {
@@ -902,14 +787,26 @@ router.get("/templates/:id", async (req, res) => {
       [id]
     );
 
+    // Fields the caller may not view are left out; read-only ones disabled
+    const permissions = req.formPermissions;
+
     res.json({
       success: true,
       template: {
-        ...template,
-        fields: fields,
+        ...signTemplateHtml(template),
+        field_configurations: filterFieldConfigurations(
+          template.field_configurations,
+          permissions
+        ),
+        fields: filterFields(fields, permissions),
         images: images,
         image_count: images.length,
         version_count: parseInt(versionsRes.rows[0].version_count),
+        permissions: permissions && {
+          can_view: permissions.can_view,
+          can_edit: permissions.can_edit,
+          can_delete: permissions.can_delete,
+        },
       },
     });
   } catch (err) {
@@ -922,13 +819,17 @@ router.get("/templates/:id", async (req, res) => {
   }
 });
 
-router.get("/templates/:id/versions", async (req, res) => {
-  const { id } = req.params;
+router.get(
+  "/templates/:id/versions",
+  auth,
+  formAccess("view"),
+  async (req, res) => {
+    const { id } = req.params;
 
-  try {
-    // Get all versions (including the specified template and its children)
-    const versionsRes = await pool.query(
-      `
+    try {
+      // Get all versions (including the specified template and its children)
+      const versionsRes = await pool.query(
+        `
       SELECT 
         id, name, version, table_name, created_at, updated_at, 
         is_active, parent_template_id
@@ -936,355 +837,731 @@ router.get("/templates/:id/versions", async (req, res) => {
       WHERE id = $1 OR parent_template_id = $1
       ORDER BY version ASC
       `,
-      [id]
-    );
+        [id]
+      );
 
-    res.json({
-      success: true,
-      versions: versionsRes.rows,
-      count: versionsRes.rows.length,
-    });
-  } catch (err) {
-    console.error("Get versions error:", err);
-    res.status(500).json({
-      success: false,
-      message: "Failed to get template versions",
-    });
+      res.json({
+        success: true,
+        versions: versionsRes.rows,
+        count: versionsRes.rows.length,
+      });
+    } catch (err) {
+      console.error("Get versions error:", err);
+      res.status(500).json({
+        success: false,
+        message: "Failed to get template versions",
+      });
+    }
   }
-});
+);
+
+// Helper function: Find a version of a family by its version number
+const getFamilyVersion = async (client, familyId, version) => {
+  const res = await client.query(
+    `SELECT * FROM checksheet_templates
+     WHERE (id = $1 OR parent_template_id = $1) AND COALESCE(version, 1) = $2
+     ORDER BY id DESC
+     LIMIT 1`,
+    [familyId, version]
+  );
+  return res.rows[0] || null;
+};
 
-router.get("/templates/:id/submissions/all", async (req, res) => {
-  const { id } = req.params;
-  const { limit = 100, offset = 0 } = req.query;
+// ==============================
+// DIFF TWO TEMPLATE VERSIONS
+// ==============================
+// Query params: from, to - version numbers in the family of :id.
+// Defaults compare the active version with the one before it.
+router.get(
+  "/templates/:id/versions/diff",
+  auth,
+  formAccess("view"),
+  async (req, res) => {
+    const { id } = req.params;
 
-  try {
-    // Get all versions
-    const versionsRes = await pool.query(
-      `SELECT id, version, table_name 
-       FROM checksheet_templates
-       WHERE (id = $1 OR parent_template_id = $1) 
-         AND table_name IS NOT NULL
-       ORDER BY version DESC`,
-      [id]
-    );
+    try {
+      const familyId = await getFamilyId(pool, id);
+      if (!familyId) {
+        return res.status(404).json({
+          success: false,
+          message: "Template not found",
+        });
+      }
 
-    if (versionsRes.rows.length === 0) {
-      return res.json({
+      let to = parseInt(req.query.to, 10);
+      if (Number.isNaN(to)) {
+        const currentRes = await pool.query(
+          `SELECT version FROM checksheet_templates
+           WHERE id = $1 OR parent_template_id = $1
+           ORDER BY is_active DESC, version DESC
+           LIMIT 1`,
+          [familyId]
+        );
+        to = currentRes.rows[0].version || 1;
+      }
+      let from = parseInt(req.query.from, 10);
+      if (Number.isNaN(from)) from = to - 1;
+
+      const fromTemplate = await getFamilyVersion(pool, familyId, from);
+      const toTemplate = await getFamilyVersion(pool, familyId, to);
+      if (!fromTemplate || !toTemplate) {
+        return res.status(404).json({
+          success: false,
+          message: `Version ${!fromTemplate ? from : to} not found`,
+        });
+      }
+
+      const fromSnapshot = await loadVersionSnapshot(pool, fromTemplate.id);
+      const toSnapshot = await loadVersionSnapshot(pool, toTemplate.id);
+
+      res.json({
         success: true,
-        submissions: [],
-        total: 0,
-        versions: [],
+        family_id: familyId,
+        from: { template_id: fromTemplate.id, version: fromTemplate.version },
+        to: { template_id: toTemplate.id, version: toTemplate.version },
+        diff: diffTemplateVersions(fromSnapshot, toSnapshot, isBreakingChange),
+      });
+    } catch (err) {
+      console.error("Diff versions error:", err);
+      res.status(500).json({
+        success: false,
+        message: "Failed to diff template versions",
+        details: err.message,
       });
     }
+  }
+);
 
-    let allSubmissions = [];
-    let total = 0;
+// ==============================
+// CLONE TEMPLATE
+// ==============================
+// Body: name (default "<name> (Copy)"), folder_id (default the source's
+// folder, null for the root). The clone is an independent version 1 with
+// its own submission table; no submissions are copied.
+router.post(
+  "/templates/:id/clone",
+  auth,
+  formAccess("edit"),
+  async (req, res) => {
+    const { id } = req.params;
+    const { name } = req.body;
+
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
 
-    // Fetch each version separately
-    for (const row of versionsRes.rows) {
-      // Count
-      const countRes = await pool.query(
-        `SELECT COUNT(*) as cnt FROM "${row.table_name}"`
+      const sourceRes = await client.query(
+        "SELECT * FROM checksheet_templates WHERE id = $1",
+        [id]
       );
-      total += parseInt(countRes.rows[0].cnt);
+      if (sourceRes.rows.length === 0) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({
+          success: false,
+          message: "Template not found",
+        });
+      }
+      const source = sourceRes.rows[0];
+
+      const folderId =
+        req.body.folder_id !== undefined
+          ? req.body.folder_id
+          : source.folder_id;
+      if (folderId !== null) {
+        const folderRes = await client.query(
+          "SELECT id FROM form_folders WHERE id = $1",
+          [folderId]
+        );
+        if (folderRes.rows.length === 0) {
+          await client.query("ROLLBACK");
+          return res.status(404).json({
+            success: false,
+            message: "Folder not found",
+          });
+        }
+      }
 
-      // Data
-      const dataRes = await pool.query(
-        `
-        SELECT 
-          ${row.id} as template_id,
-          ${row.version} as version,
-          *
-        FROM "${row.table_name}"
-        ORDER BY submitted_at DESC
-        LIMIT $1 OFFSET $2
-      `,
-        [limit, offset]
+      const cloneName =
+        name && String(name).trim()
+          ? String(name).trim()
+          : `${source.name} (Copy)`;
+
+      const templateRes = await client.query(
+        `INSERT INTO checksheet_templates 
+         (name, html_content, field_configurations, field_positions, 
+          sheets, css_content, original_html_content, access_control,
+          folder_id, version, is_active)
+         SELECT $1, html_content, field_configurations, field_positions,
+                sheets, css_content, original_html_content, access_control,
+                $2, 1, true
+         FROM checksheet_templates
+         WHERE id = $3
+         RETURNING id`,
+        [cloneName, folderId, id]
       );
+      const templateId = templateRes.rows[0].id;
 
-      allSubmissions = allSubmissions.concat(
-        dataRes.rows.map((sub) => ({
-          ...sub,
-          version_id: row.id, // optional: which version record
-          version_number: row.version,
-        }))
+      // Copy images one by one so the HTML can point at the new ids
+      const imagesRes = await client.query(
+        `SELECT id, element_id FROM template_images
+         WHERE template_id = $1 ORDER BY id`,
+        [id]
       );
-    }
+      const copiedIds = {};
+      for (const image of imagesRes.rows) {
+        const copyRes = await client.query(
+          `INSERT INTO template_images 
+           (template_id, original_path, filename, mime_type, image_data, size, 
+            position_index, original_src, element_id, attachment_id)
+           SELECT $1, original_path, filename, mime_type, image_data, size, 
+                  position_index, original_src, element_id, attachment_id
+           FROM template_images 
+           WHERE id = $2
+           RETURNING id`,
+          [templateId, image.id]
+        );
+        copiedIds[image.id] = copyRes.rows[0].id;
+      }
 
-    // Optional: sort all together by submitted_at
-    allSubmissions.sort(
-      (a, b) => new Date(b.submitted_at) - new Date(a.submitted_at)
-    );
+      const imageIds = {};
+      const referenced = await resolveImageIds(
+        client,
+        source.html_content,
+        imagesRes.rows
+      );
+      Object.entries(referenced).forEach(([refId, ownId]) => {
+        imageIds[refId] = copiedIds[ownId];
+      });
+      const html = remapImageUrls(source.html_content, templateId, imageIds);
+      await client.query(
+        `UPDATE checksheet_templates SET html_content = $1 WHERE id = $2`,
+        [html, templateId]
+      );
 
-    // If you want pagination across all → it's more complex
-    // For now this returns up to N×limit items
+      await copyTemplateFields(client, id, templateId);
+      await copyPermissions(client, id, templateId);
 
-    res.json({
-      success: true,
-      submissions: allSubmissions,
-      total,
-      versions: versionsRes.rows.map((v) => ({ id: v.id, version: v.version })),
-      note: "Pagination is per-version when using separate queries",
-    });
-  } catch (err) {
-    console.error("Get all submissions error:", err);
-    res.status(500).json({
-      success: false,
-      message: "Failed to get submissions",
-      details: err.message,
-      error_code: err.code,
-    });
-  }
-});
+      const tableName = `checksheet_${templateId}_1`;
+      await createOptimizedTable(
+        client,
+        tableName,
+        await getTableFieldConfigs(client, templateId)
+      );
+      await client.query(
+        `UPDATE checksheet_templates SET table_name = $1 WHERE id = $2`,
+        [tableName, templateId]
+      );
 
-// ==============================
-// SUBMIT DATA TO DYNAMIC TABLE
-// ==============================
-// SUBMIT DATA AND AUTO-CREATE REPORT TABLE (View created only once)
-// ==============================
-// ==============================
-// SUBMIT DATA TO DYNAMIC TABLE - CASE-INSENSITIVE FIX
-// ==============================
-router.post("/submissions", async (req, res) => {
-  const { template_id, user_id, data } = req.body;
+      await syncReportView(client, templateId);
+      await indexTemplate(client, templateId);
 
-  console.log("=== SUBMISSION DEBUG ===");
-  console.log("Template ID:", template_id);
-  console.log("User ID:", user_id);
-  console.log("Submitted data keys:", Object.keys(data));
+      await client.query("COMMIT");
 
-  if (!template_id || !user_id || !data || typeof data !== "object") {
-    return res.status(400).json({
-      success: false,
-      message: "Invalid submission data",
-    });
+      res.json({
+        success: true,
+        template_id: templateId,
+        source_template_id: source.id,
+        name: cloneName,
+        folder_id: folderId,
+        version: 1,
+        table_name: tableName,
+        images_copied: imagesRes.rows.length,
+        message: "Form cloned successfully",
+      });
+    } catch (err) {
+      await client.query("ROLLBACK");
+      console.error("Clone form error:", err);
+      res.status(500).json({
+        success: false,
+        message: "Failed to clone form",
+        details: err.message,
+      });
+    } finally {
+      client.release();
+    }
   }
+);
 
-  const client = await pool.connect();
-  try {
-    await client.query("BEGIN");
+// ==============================
+// ROLL BACK TO AN EARLIER VERSION
+// ==============================
+// Re-activates the content of an earlier version as a new version (history
+// is never rewritten). Data of the current version is carried over the same
+// way as for a breaking save.
+router.post(
+  "/templates/:id/versions/:version/rollback",
+  auth,
+  formAccess("edit"),
+  async (req, res) => {
+    const { id } = req.params;
+    const targetVersion = parseInt(req.params.version, 10);
+
+    if (Number.isNaN(targetVersion)) {
+      return res.status(400).json({
+        success: false,
+        message: "Version must be a number",
+      });
+    }
 
-    // 1. Get template info with version
-    const templateRes = await client.query(
-      `SELECT id, name, table_name, version FROM checksheet_templates WHERE id = $1 AND is_active = true`,
-      [template_id]
-    );
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
 
-    if (templateRes.rows.length === 0) {
-      await client.query("ROLLBACK");
-      return res
-        .status(404)
-        .json({ success: false, message: "Template not found or not active" });
-    }
+      const familyId = await getFamilyId(client, id);
+      if (!familyId) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({
+          success: false,
+          message: "Template not found",
+        });
+      }
 
-    const template = templateRes.rows[0];
-    const submissionsTable = template.table_name;
-    const version = template.version || 1;
+      // Serialize version numbering within the family
+      await client.query(
+        "SELECT id FROM checksheet_templates WHERE id = $1 FOR UPDATE",
+        [familyId]
+      );
 
-    console.log(
-      "Template:",
-      template.name,
-      "Version:",
-      version,
-      "Table:",
-      submissionsTable
-    );
+      const target = await getFamilyVersion(client, familyId, targetVersion);
+      if (!target) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({
+          success: false,
+          message: `Version ${targetVersion} not found`,
+        });
+      }
 
-    // 2. Get actual columns from the submissions table (case-insensitive)
-    const tableColumnsRes = await client.query(`
-      SELECT column_name 
-      FROM information_schema.columns 
-      WHERE table_name = '${submissionsTable}'
-      ORDER BY ordinal_position
-    `);
+      const currentRes = await client.query(
+        `SELECT id, version, table_name FROM checksheet_templates
+         WHERE id = $1 OR parent_template_id = $1
+         ORDER BY is_active DESC, version DESC
+         LIMIT 1`,
+        [familyId]
+      );
+      const current = currentRes.rows[0];
 
-    const existingColumns = tableColumnsRes.rows.map((row) => row.column_name);
-    console.log("Existing columns in table:", existingColumns);
+      if (current.id === target.id) {
+        await client.query("ROLLBACK");
+        return res.status(400).json({
+          success: false,
+          message: `Version ${targetVersion} is already the current version`,
+        });
+      }
 
-    // 3. Get field definitions for THIS specific template
-    const fieldsRes = await client.query(
-      `SELECT 
-        field_name, 
-        instance_id,
-        label,
-        field_type
-       FROM template_fields 
-       WHERE template_id = $1
-       ORDER BY id`,
-      [template_id]
-    );
+      const versionRes = await client.query(
+        `SELECT COALESCE(MAX(version), 0) + 1 as new_version
+         FROM checksheet_templates 
+         WHERE parent_template_id = $1 OR id = $1`,
+        [familyId]
+      );
+      const newVersion = versionRes.rows[0].new_version;
+      const newTableName = `checksheet_${familyId}_${newVersion}`;
 
-    console.log(
-      "Fields for template",
-      template_id,
-      ":",
-      fieldsRes.rows.length,
-      "fields"
-    );
+      // Archive current template
+      await client.query(
+        `UPDATE checksheet_templates 
+         SET is_active = false,
+             archived_at = NOW(),
+             updated_at = NOW()
+         WHERE id = $1`,
+        [current.id]
+      );
 
-    // 4. Create case-insensitive mapping
-    const existingColumnsLower = existingColumns.map((col) =>
-      col.toLowerCase()
-    );
+      const newTemplateRes = await client.query(
+        `INSERT INTO checksheet_templates 
+         (name, html_content, field_configurations, field_positions,
+          sheets, css_content, original_html_content, access_control,
+          table_name, version, parent_template_id, is_active)
+         SELECT 
+           name, html_content, field_configurations, field_positions,
+           sheets, css_content, original_html_content, access_control,
+           $1, $2, $3, true
+         FROM checksheet_templates 
+         WHERE id = $4
+         RETURNING id, name`,
+        [newTableName, newVersion, familyId, target.id]
+      );
+      const newTemplateId = newTemplateRes.rows[0].id;
 
-    const columnMap = {};
-    existingColumns.forEach((col) => {
-      columnMap[col.toLowerCase()] = col;
-    });
+      await copyTemplateImages(client, target.id, newTemplateId);
+      await copyTemplateFields(client, target.id, newTemplateId);
 
-    const fieldMapping = {};
-    fieldsRes.rows.forEach((field) => {
-      const fieldName = field.field_name;
-      const instanceId = field.instance_id;
+      // Build the table from the restored fields
+      const fieldConfigs = await getTableFieldConfigs(client, target.id);
+      await createOptimizedTable(client, newTableName, fieldConfigs);
 
-      const lowerFieldName = fieldName.toLowerCase();
-      const lowerInstanceId = instanceId.toLowerCase();
+      // Carry the current version's data over, converting breaking changes
+      // that have a rule in `conversions`
+      const currentFieldsRes = await client.query(
+        `SELECT field_name, field_type, instance_id 
+         FROM template_fields 
+         WHERE template_id = $1`,
+        [current.id]
+      );
+      const changes = detectSchemaChanges(currentFieldsRes.rows, fieldConfigs);
 
-      fieldMapping[fieldName] = { original: fieldName, lower: lowerFieldName };
-      fieldMapping[instanceId] = {
-        original: instanceId,
-        lower: lowerInstanceId,
-      };
+      let migration = null;
+      if (current.table_name) {
+        migration = await runVersionMigration(
+          client,
+          {
+            sourceTable: current.table_name,
+            targetTable: newTableName,
+            version: newVersion,
+            oldFields: currentFieldsRes.rows,
+            newFields: fieldConfigs,
+            conversions: req.body.conversions,
+          },
+          {
+            familyId,
+            fromTemplateId: current.id,
+            toTemplateId: newTemplateId,
+            fromVersion: current.version,
+            toVersion: newVersion,
+            userId: req.user.user_id,
+          }
+        );
+      }
 
-      fieldMapping[lowerFieldName] = {
-        original: fieldName,
-        lower: lowerFieldName,
-      };
-      fieldMapping[lowerInstanceId] = {
-        original: instanceId,
-        lower: lowerInstanceId,
-      };
-    });
+      await syncReportView(client, familyId);
+      await moveVersionIndex(client, current.id, newTemplateId);
 
-    const submittedKeys = Object.keys(data);
+      await client.query("COMMIT");
 
-    // 5. Prepare columns and values for insertion
-    const columnsToInsert = ["user_id", "template_version"];
-    let valuesToInsert = [user_id, version];
+      res.json({
+        success: true,
+        template_id: newTemplateId,
+        parent_template_id: familyId,
+        version: newVersion,
+        table_name: newTableName,
+        rolled_back_to: targetVersion,
+        previous_version: current.version,
+        migrated_records: migration ? migration.migrated_rows : 0,
+        migration,
+        changes,
+        is_new_version: true,
+        message: `Version ${targetVersion} restored as version ${newVersion}`,
+      });
+    } catch (err) {
+      await client.query("ROLLBACK");
+      if (err instanceof MigrationError) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid conversion rules",
+          details: err.message,
+        });
+      }
+      if (err instanceof MigrationFailedError) {
+        return res.status(500).json({
+          success: false,
+          message: "Data migration failed; the version was not restored",
+          details: err.report.error,
+          migration: await recordFailedMigration(pool, err),
+        });
+      }
+      console.error("Rollback version error:", err);
+      res.status(500).json({
+        success: false,
+        message: "Failed to roll back template version",
+        details: err.message,
+      });
+    } finally {
+      client.release();
+    }
+  }
+);
 
-    const mappings = [];
+// ==============================
+// ALL SUBMISSIONS ACROSS VERSIONS (GLOBAL PAGINATION)
+// ==============================
+// Query params: limit, offset, sort_by (system column or field), sort_dir,
+// from, to, status, user_id and filters - a JSON array of
+// { field, op, value } with op one of =, !=, <, <=, >, >=, contains
+router.get(
+  "/templates/:id/submissions/all",
+  auth,
+  formAccess("view"),
+  async (req, res) => {
+    const { id } = req.params;
+    const { sort_by = "submitted_at", filters } = req.query;
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit, 10) || 100, 1),
+      1000
+    );
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const sortDir =
+      String(req.query.sort_dir || "desc").toLowerCase() === "asc"
+        ? "ASC"
+        : "DESC";
 
-    // Validate each submitted field against template fields
-    for (const submittedKey of submittedKeys) {
-      let matchedColumn = null;
+    try {
+      const familyId = await getFamilyId(pool, id);
+      const versions = familyId ? await getFamilyVersions(pool, familyId) : [];
+
+      if (versions.length === 0) {
+        return res.json({
+          success: true,
+          submissions: [],
+          total: 0,
+          limit,
+          offset,
+          versions: [],
+        });
+      }
 
-      const submittedLower = submittedKey.toLowerCase();
+      const union = await buildFamilyUnion(pool, versions);
+      const columnTypes = {};
+      union.columns.forEach((c) => {
+        columnTypes[c.name] = c.type;
+      });
 
-      if (columnMap[submittedLower]) {
-        matchedColumn = columnMap[submittedLower];
-        console.log(`✓ Direct match: "${submittedKey}" -> "${matchedColumn}"`);
-      } else if (fieldMapping[submittedKey] || fieldMapping[submittedLower]) {
-        const fieldInfo =
-          fieldMapping[submittedKey] || fieldMapping[submittedLower];
-        const lowerFieldName = fieldInfo.lower;
+      // Field references may use instance_id, field_name or the column name
+      const fieldsRes = await pool.query(
+        `SELECT DISTINCT field_name, instance_id FROM template_fields
+       WHERE template_id = ANY($1)`,
+        [versions.map((v) => v.id)]
+      );
+      const renamed = Object.assign({}, ...Object.values(union.renames));
+      const fieldColumns = {};
+      fieldsRes.rows.forEach((f) => {
+        const name = toColumnName(f.field_name || f.instance_id);
+        const column = renamed[name] || name;
+        if (f.instance_id) fieldColumns[f.instance_id.toLowerCase()] = column;
+        if (f.field_name) fieldColumns[f.field_name.toLowerCase()] = column;
+      });
+      // Hidden fields can't be returned, filtered or sorted on
+      const hidden = getHiddenColumns(
+        fieldsRes.rows,
+        req.formPermissions,
+        union.renames
+      );
+      const resolveColumn = (ref) => {
+        const key = String(ref).toLowerCase();
+        const column = columnTypes[key] ? key : fieldColumns[key] || null;
+        return column && !hidden.has(column) ? column : null;
+      };
 
-        if (columnMap[lowerFieldName]) {
-          matchedColumn = columnMap[lowerFieldName];
-          console.log(
-            `✓ Field mapping match: "${submittedKey}" -> "${matchedColumn}" via ${lowerFieldName}`
-          );
+      const base = buildSubmissionFilters(req.query, 1);
+      let fieldWhere;
+      try {
+        fieldWhere = buildFieldFilters(
+          parseFieldFilters(filters),
+          columnTypes,
+          resolveColumn,
+          base.params.length + 1
+        );
+      } catch (err) {
+        if (err instanceof FilterError) {
+          return res.status(400).json({ success: false, message: err.message });
         }
+        throw err;
       }
 
-      if (matchedColumn) {
-        columnsToInsert.push(matchedColumn);
-
-        // Convert value based on field type
-        const fieldType = fieldsRes.rows.find(
-          (f) =>
-            f.field_name.toLowerCase() === submittedLower ||
-            f.instance_id.toLowerCase() === submittedLower
-        )?.field_type;
-
-        let value = data[submittedKey];
-
-        // Handle type conversions
-        if (fieldType === "number" || fieldType === "calculation") {
-          // Treat empty string, null, undefined, "NaN", etc. as null
-          if (
-            value == null ||
-            value === "" ||
-            value === "NaN" ||
-            Number.isNaN(value)
-          ) {
-            value = null;
-          } else {
-            const num = parseFloat(value);
-            value = Number.isNaN(num) ? null : num;
-          }
-        } else if (["date", "datetime", "time"].includes(fieldType)) {
-          value = (value || "").trim() === "" ? null : value;
-        }
+      const sortColumn = resolveColumn(sort_by);
+      if (!sortColumn) {
+        return res.status(400).json({
+          success: false,
+          message: `Cannot sort by unknown field "${sort_by}"`,
+        });
+      }
+
+      const clauses = [...base.clauses, ...fieldWhere.clauses];
+      const params = [...base.params, ...fieldWhere.params];
+      const where = clauses.length ? `WHERE ${clauses.join(" AND ")}` : "";
 
-        valuesToInsert.push(value);
-        mappings.push({
-          submitted: submittedKey,
-          column: matchedColumn,
-          type: fieldType,
+      const countRes = await pool.query(
+        `SELECT COUNT(*) AS cnt FROM (${union.sql}) t ${where}`,
+        params
+      );
+
+      // template_id + id break ties so pages are stable
+      const dataRes = await pool.query(
+        `SELECT * FROM (${union.sql}) t
+       ${where}
+       ORDER BY t."${sortColumn}" ${sortDir} NULLS LAST,
+                t.template_id ${sortDir}, t.id ${sortDir}
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+      );
+
+      const versionById = {};
+      versions.forEach((v) => {
+        versionById[v.id] = v.version;
+      });
+
+      res.json({
+        success: true,
+        submissions: dataRes.rows.map((sub) => ({
+          ...stripColumns(sub, hidden),
+          version: versionById[sub.template_id],
+          version_id: sub.template_id,
+          version_number: versionById[sub.template_id],
+        })),
+        total: parseInt(countRes.rows[0].cnt, 10),
+        limit,
+        offset,
+        versions: versions
+          .slice()
+          .reverse()
+          .map((v) => ({ id: v.id, version: v.version })),
+      });
+    } catch (err) {
+      console.error("Get all submissions error:", err);
+      // Filter values the column type can't take (e.g. a bad date)
+      if (err.code && err.code.startsWith("22")) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid filter value",
+          details: err.message,
         });
-      } else {
-        console.warn(`⚠️ No column found for field: "${submittedKey}"`);
       }
+      res.status(500).json({
+        success: false,
+        message: "Failed to get submissions",
+        details: err.message,
+        error_code: err.code,
+      });
     }
+  }
+);
 
-    console.log("Final columns to insert:", columnsToInsert);
-
-    // 6. Validate we have data to insert
-    if (columnsToInsert.length <= 2) {
-      // Only user_id and template_version
-      await client.query("ROLLBACK");
+// ==============================
+// FORMULA DRY-RUN (TEMPLATE DESIGN)
+// ==============================
+router.post(
+  "/formulas/evaluate",
+  auth,
+  formAccess("view"),
+  async (req, res) => {
+    const { formula, inputs = {}, template_id } = req.body;
+
+    if (
+      !formula ||
+      typeof inputs !== "object" ||
+      inputs === null ||
+      Array.isArray(inputs)
+    ) {
       return res.status(400).json({
         success: false,
-        message: "No valid fields to insert. Check field names.",
-        debug: {
-          template_id: template_id,
-          template_name: template.name,
-          version: version,
-          table: submissionsTable,
-          existing_columns: existingColumns,
-          submitted_keys: submittedKeys,
-          mappings: mappings,
-        },
+        message: "Formula and inputs are required",
       });
     }
 
-    // 7. Build and execute the insert query
-    const placeholders = columnsToInsert.map((_, i) => `$${i + 1}`).join(", ");
-    const safeCols = columnsToInsert
-      .map((c) => `"${c.replace(/"/g, '""')}"`)
-      .join(", ");
+    try {
+      const result = evaluateFormula(formula, inputs);
+
+      // When designing against a saved template, flag unknown field references
+      let unknownReferences = [];
+      if (template_id) {
+        const fieldsRes = await pool.query(
+          `SELECT field_name, instance_id FROM template_fields WHERE template_id = $1`,
+          [template_id]
+        );
+        const known = new Set();
+        fieldsRes.rows.forEach((f) => {
+          if (f.field_name) known.add(f.field_name.toLowerCase());
+          if (f.instance_id) known.add(f.instance_id.toLowerCase());
+        });
+        unknownReferences = result.references.filter(
+          (ref) => !known.has(ref.toLowerCase())
+        );
+      }
+
+      res.json({
+        success: true,
+        value: result.value,
+        references: result.references,
+        missing_inputs: result.missing,
+        unknown_references: unknownReferences,
+      });
+    } catch (err) {
+      if (err instanceof FormulaError) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid formula",
+          details: err.message,
+        });
+      }
+      console.error("Evaluate formula error:", err);
+      res.status(500).json({
+        success: false,
+        message: "Failed to evaluate formula",
+        details: err.message,
+      });
+    }
+  }
+);
 
-    const insertQuery = `
-      INSERT INTO "${submissionsTable}" (${safeCols})
-      VALUES (${placeholders})
-      RETURNING id, submitted_at
-    `;
+// ==============================
+// SUBMIT DATA TO DYNAMIC TABLE
+// ==============================
+// SUBMIT DATA AND AUTO-CREATE REPORT TABLE (View created only once)
+// ==============================
+// ==============================
+// SUBMIT DATA TO DYNAMIC TABLE - CASE-INSENSITIVE FIX
+// ==============================
+router.post("/submissions", auth, formAccess("view"), async (req, res) => {
+  const { template_id, data, inspection_id } = req.body;
+  const { user_id } = req.user;
 
-    console.log("Insert SQL:", insertQuery);
+  if (!template_id || !data || typeof data !== "object") {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid submission data",
+    });
+  }
 
-    const submissionResult = await client.query(insertQuery, valuesToInsert);
-    const submissionId = submissionResult.rows[0].id;
-    const submittedAt = submissionResult.rows[0].submitted_at;
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
 
-    console.log("✅ Insert successful, ID:", submissionId, "Version:", version);
+    const saved = await saveSubmission(client, {
+      templateId: template_id,
+      data,
+      body: req.body,
+      inspectionId: inspection_id,
+      userId: user_id,
+      permissions: req.formPermissions,
+    });
 
     await client.query("COMMIT");
 
+    console.log(
+      "✅ Insert successful, ID:",
+      saved.transactionId,
+      "Version:",
+      saved.version
+    );
+
+    // Alert is sent in the background; delivery is logged, not awaited
+    notifyOutOfSpec(saved);
+
     res.json({
       success: true,
-      submission_id: submissionId,
-      submitted_at: submittedAt,
-      template_name: template.name,
-      template_version: version,
+      submission_id: saved.transactionId,
+      submitted_at: saved.submittedAt,
+      template_name: saved.template.name,
+      template_version: saved.version,
+      inspection_id: saved.inspection ? saved.inspection.id : null,
+      warnings: saved.validation.warnings,
+      calculation_adjustments: saved.calculation.adjustments,
+      calculation_errors: saved.calculation.errors,
       message: "Form submitted successfully",
       debug: {
-        fields_mapped: columnsToInsert.length - 2, // minus user_id and template_version
-        total_fields: submittedKeys.length,
-        version: version,
+        fields_mapped: saved.fieldsMapped,
+        total_fields: Object.keys(data).length,
+        version: saved.version,
       },
     });
   } catch (err) {
     await client.query("ROLLBACK");
+    if (err instanceof SubmissionError) {
+      return res.status(err.status).json({
+        success: false,
+        message: err.message,
+        ...err.details,
+      });
+    }
     console.error("Submission error:", err);
 
     res.status(500).json({
@@ -1302,20 +1579,17 @@ router.post("/submissions", async (req, res) => {
 // ==============================
 // DELETE TEMPLATE
 // ==============================
-router.delete("/templates/:id", async (req, res) => {
+// Moves the whole family to the recycle bin; its tables and data are kept
+// until an admin purges it (see routes/cheeksheet/recycle.js).
+router.delete("/templates/:id", auth, isAdmin, async (req, res) => {
   const { id } = req.params;
 
   const client = await pool.connect();
   try {
     await client.query("BEGIN");
 
-    // 1. Get template and all its versions
-    const templateRes = await client.query(
-      "SELECT id, table_name, parent_template_id FROM checksheet_templates WHERE id = $1",
-      [id]
-    );
-
-    if (templateRes.rows.length === 0) {
+    const familyId = await getFamilyId(client, id);
+    if (!familyId) {
       await client.query("ROLLBACK");
       return res.status(404).json({
         success: false,
@@ -1323,65 +1597,29 @@ router.delete("/templates/:id", async (req, res) => {
       });
     }
 
-    const template = templateRes.rows[0];
-
-    // 2. Get all versions to delete
-    const versionsRes = await client.query(
-      `SELECT id, table_name FROM checksheet_templates 
-       WHERE id = $1 OR parent_template_id = $1`,
-      [id]
+    const versionIds = await softDeleteFamily(
+      client,
+      familyId,
+      req.user.user_id
     );
-
-    // 3. Delete dynamic tables for all versions
-    for (const version of versionsRes.rows) {
-      if (version.table_name) {
-        try {
-          await client.query(
-            `DROP TABLE IF EXISTS "${version.table_name}" CASCADE`
-          );
-          console.log(`Dropped table: ${version.table_name}`);
-        } catch (dropError) {
-          console.warn(
-            `Could not drop table ${version.table_name}:`,
-            dropError.message
-          );
-        }
-      }
+    if (versionIds.length === 0) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({
+        success: false,
+        message: "Template is already in the recycle bin",
+      });
     }
 
-    // 4. Delete images for all versions
-    await client.query(
-      `DELETE FROM template_images 
-       WHERE template_id IN (
-         SELECT id FROM checksheet_templates 
-         WHERE id = $1 OR parent_template_id = $1
-       )`,
-      [id]
-    );
-
-    // 5. Delete field configurations for all versions
-    await client.query(
-      `DELETE FROM template_fields 
-       WHERE template_id IN (
-         SELECT id FROM checksheet_templates 
-         WHERE id = $1 OR parent_template_id = $1
-       )`,
-      [id]
-    );
-
-    // 6. Delete all versions of the template
-    await client.query(
-      `DELETE FROM checksheet_templates 
-       WHERE id = $1 OR parent_template_id = $1`,
-      [id]
-    );
-
     await client.query("COMMIT");
 
+    const [family] = await listRecycleBin(pool, { familyId });
+
     res.json({
       success: true,
-      message: `Template and ${versionsRes.rows.length} version(s) deleted successfully`,
-      versions_deleted: versionsRes.rows.length,
+      message: `Template and ${versionIds.length} version(s) moved to the recycle bin`,
+      family_id: familyId,
+      versions_deleted: versionIds.length,
+      purge_after: family ? family.purge_after : null,
     });
   } catch (err) {
     await client.query("ROLLBACK");
@@ -1401,8 +1639,9 @@ router.delete("/templates/:id", async (req, res) => {
 // ==============================
 
 // Create folder
-router.post("/folders", async (req, res) => {
-  const { name, parent_id, user_id } = req.body;
+router.post("/folders", auth, async (req, res) => {
+  const { name, parent_id } = req.body;
+  const { user_id } = req.user;
 
   if (!name || name.trim() === "") {
     return res.status(400).json({
@@ -1448,7 +1687,7 @@ router.post("/folders", async (req, res) => {
 });
 
 // Get all folders (tree structure)
-router.get("/folders", async (req, res) => {
+router.get("/folders", auth, async (req, res) => {
   try {
     const foldersRes = await pool.query(
       `SELECT id, name, parent_id, created_at, updated_at 
@@ -1475,6 +1714,7 @@ router.get("/folders", async (req, res) => {
         COALESCE(folder_id, -1) as folder_id, 
         COUNT(*) as count 
        FROM checksheet_templates 
+       WHERE deleted_at IS NULL
        GROUP BY folder_id`
     );
 
@@ -1540,7 +1780,7 @@ router.get("/folders", async (req, res) => {
 });
 
 // Update folder
-router.put("/folders/:id", async (req, res) => {
+router.put("/folders/:id", auth, async (req, res) => {
   const { id } = req.params;
   const { name } = req.body;
 
@@ -1607,7 +1847,7 @@ router.put("/folders/:id", async (req, res) => {
 });
 
 // Delete folder
-router.delete("/folders/:id", async (req, res) => {
+router.delete("/folders/:id", auth, async (req, res) => {
   const { id } = req.params;
 
   const client = await pool.connect();
@@ -1628,9 +1868,10 @@ router.delete("/folders/:id", async (req, res) => {
       });
     }
 
-    // Check if folder has forms
+    // Check if folder has forms (the recycle bin doesn't count)
     const formsRes = await client.query(
-      "SELECT COUNT(*) as count FROM checksheet_templates WHERE folder_id = $1",
+      `SELECT COUNT(*) as count FROM checksheet_templates
+       WHERE folder_id = $1 AND deleted_at IS NULL`,
       [id]
     );
 
@@ -1643,6 +1884,21 @@ router.delete("/folders/:id", async (req, res) => {
       });
     }
 
+    // Deleted forms of the folder and its subfolders go to the root when
+    // restored
+    await client.query(
+      `WITH RECURSIVE subfolders AS (
+         SELECT id FROM form_folders WHERE id = $1
+         UNION ALL
+         SELECT f.id FROM form_folders f
+         JOIN subfolders sf ON f.parent_id = sf.id
+       )
+       UPDATE checksheet_templates SET folder_id = NULL
+       WHERE folder_id IN (SELECT id FROM subfolders)
+         AND deleted_at IS NOT NULL`,
+      [id]
+    );
+
     // Delete folder (cascade will handle subfolders)
     await client.query("DELETE FROM form_folders WHERE id = $1", [id]);
 
@@ -1665,7 +1921,7 @@ router.delete("/folders/:id", async (req, res) => {
 });
 
 // Move forms to folder (bulk operation)
-router.post("/forms/move", async (req, res) => {
+router.post("/forms/move", auth, formAccess("view"), async (req, res) => {
   const { formIds, folderId } = req.body;
 
   if (!Array.isArray(formIds) || formIds.length === 0) {
@@ -1679,6 +1935,22 @@ router.post("/forms/move", async (req, res) => {
   try {
     await client.query("BEGIN");
 
+    // Moving a form counts as editing it
+    for (const formId of formIds) {
+      const permissions = await getFormPermissions(
+        client,
+        req.checksheetUser,
+        formId
+      );
+      if (permissions && !permissions.can_edit) {
+        await client.query("ROLLBACK");
+        return res.status(403).json({
+          success: false,
+          message: `You do not have permission to edit form ${formId}`,
+        });
+      }
+    }
+
     // Validate folder if provided (null means move to root)
     if (folderId !== null && folderId !== undefined) {
       const folderRes = await client.query(
@@ -1725,7 +1997,7 @@ router.post("/forms/move", async (req, res) => {
 
 // Update GET templates endpoint to include folder info
 // In checksheet.js backend, update the GET /templates endpoint:
-router.get("/templates", async (req, res) => {
+router.get("/templates", auth, formAccess("view"), async (req, res) => {
   try {
     const templatesRes = await pool.query(
       `SELECT 
@@ -1738,15 +2010,24 @@ router.get("/templates", async (req, res) => {
         ct.access_control 
        FROM checksheet_templates ct
        LEFT JOIN form_folders ff ON ct.folder_id = ff.id
+       WHERE ct.deleted_at IS NULL
        ORDER BY ct.created_at DESC`
     );
 
+    // Only forms the caller may view
+    const viewable = await getViewableTemplateIds(
+      pool,
+      req.checksheetUser,
+      templatesRes.rows.map((t) => t.id)
+    );
+    const templates = templatesRes.rows.filter((t) => viewable.has(t.id));
+
     console.log("=== DEBUG: TEMPLATES API RESPONSE ===");
-    console.log("Total templates:", templatesRes.rows.length);
+    console.log("Total templates:", templates.length);
 
     res.json({
       success: true,
-      templates: templatesRes.rows,
+      templates,
     });
   } catch (err) {
     console.error(err);
@@ -1755,235 +2036,235 @@ router.get("/templates", async (req, res) => {
 });
 
 // Save/update form access control
-router.post("/templates/:id/access-control", async (req, res) => {
-  const { id } = req.params;
-  const { groups, field_permissions, default_access } = req.body;
-
-  const client = await pool.connect();
-  try {
-    await client.query("BEGIN");
+router.post(
+  "/templates/:id/access-control",
+  auth,
+  formAccess("edit"),
+  async (req, res) => {
+    const { id } = req.params;
+    const { groups, field_permissions, default_access } = req.body;
+
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
 
-    // 1. Update template with access control
-    await client.query(
-      `UPDATE checksheet_templates 
+      // 1. Update template with access control
+      await client.query(
+        `UPDATE checksheet_templates 
        SET access_control = $1 
        WHERE id = $2`,
-      [
-        JSON.stringify({
-          groups,
-          field_permissions,
-          default_access,
-          updated_at: new Date().toISOString(),
-        }),
-        id,
-      ]
-    );
+        [
+          JSON.stringify({
+            groups,
+            field_permissions,
+            default_access,
+            updated_at: new Date().toISOString(),
+          }),
+          id,
+        ]
+      );
 
-    // 2. Clear existing group permissions
-    await client.query(`DELETE FROM form_access_control WHERE form_id = $1`, [
-      id,
-    ]);
+      // 2. Clear existing group permissions
+      await client.query(`DELETE FROM form_access_control WHERE form_id = $1`, [
+        id,
+      ]);
 
-    // 3. Insert new group permissions
-    if (groups && groups.length > 0) {
-      for (const groupId of groups) {
-        await client.query(
-          `INSERT INTO form_access_control 
+      // 3. Insert new group permissions
+      // A plain group id grants view; { group_id, can_edit, can_delete } more
+      if (groups && groups.length > 0) {
+        for (const group of groups) {
+          const isObject = group !== null && typeof group === "object";
+          await client.query(
+            `INSERT INTO form_access_control 
            (form_id, group_id, can_view, can_edit, can_delete)
            VALUES ($1, $2, $3, $4, $5)`,
-          [id, groupId, true, false, false]
-        );
-      }
-    }
-
-    // 4. Clear existing field permissions
-    await client.query(`DELETE FROM field_permissions WHERE form_id = $1`, [
-      id,
-    ]);
-
-    // 5. Insert field-level permissions
-    if (field_permissions && Object.keys(field_permissions).length > 0) {
-      for (const [permissionKey, permission] of Object.entries(
-        field_permissions
-      )) {
-        // Split using the new separator |||
-        const parts = permissionKey.split("|||");
-        if (parts.length !== 2) {
-          console.warn(
-            "Invalid permission key format (skipping):",
-            permissionKey
-          );
-          continue;
-        }
-        const fieldInstanceId = parts[0];
-        const groupIdStr = parts[1];
-        const groupId = parseInt(groupIdStr, 10);
-
-        if (isNaN(groupId)) {
-          console.warn(
-            "Invalid group ID in permission key (skipping):",
-            permissionKey
+            [
+              id,
+              isObject ? group.group_id : group,
+              isObject ? group.can_view !== false : true,
+              isObject ? Boolean(group.can_edit) : false,
+              isObject ? Boolean(group.can_delete) : false,
+            ]
           );
-          continue;
         }
+      }
 
-        await client.query(
-          `INSERT INTO field_permissions 
+      // 4. Clear existing field permissions
+      await client.query(`DELETE FROM field_permissions WHERE form_id = $1`, [
+        id,
+      ]);
+
+      // 5. Insert field-level permissions
+      if (field_permissions && Object.keys(field_permissions).length > 0) {
+        for (const [permissionKey, permission] of Object.entries(
+          field_permissions
+        )) {
+          // Split using the new separator |||
+          const parts = permissionKey.split("|||");
+          if (parts.length !== 2) {
+            console.warn(
+              "Invalid permission key format (skipping):",
+              permissionKey
+            );
+            continue;
+          }
+          const fieldInstanceId = parts[0];
+          const groupIdStr = parts[1];
+          const groupId = parseInt(groupIdStr, 10);
+
+          if (isNaN(groupId)) {
+            console.warn(
+              "Invalid group ID in permission key (skipping):",
+              permissionKey
+            );
+            continue;
+          }
+
+          await client.query(
+            `INSERT INTO field_permissions 
        (form_id, field_instance_id, group_id, can_view, can_edit, can_delete)
        VALUES ($1, $2, $3, $4, $5, $6)`,
-          [
-            id,
-            fieldInstanceId,
-            groupId,
-            permission.canView ?? true,
-            permission.canEdit ?? true,
-            permission.canDelete || false,
-          ]
-        );
+            [
+              id,
+              fieldInstanceId,
+              groupId,
+              permission.canView ?? true,
+              permission.canEdit ?? true,
+              permission.canDelete || false,
+            ]
+          );
+        }
       }
-    }
 
-    await client.query("COMMIT");
+      await client.query("COMMIT");
 
-    res.json({
-      success: true,
-      message: "Access control settings saved successfully",
-    });
-  } catch (err) {
-    await client.query("ROLLBACK");
-    console.error("Save access control error:", err);
-    res.status(500).json({
-      success: false,
-      message: "Failed to save access control settings",
-    });
-  } finally {
-    client.release();
+      res.json({
+        success: true,
+        message: "Access control settings saved successfully",
+      });
+    } catch (err) {
+      await client.query("ROLLBACK");
+      console.error("Save access control error:", err);
+      res.status(500).json({
+        success: false,
+        message: "Failed to save access control settings",
+      });
+    } finally {
+      client.release();
+    }
   }
-});
+);
 
 // Get form access control
 // In checksheet.js, update the GET /templates/:id/access-control endpoint:
 
 // Get form access control
-router.get("/templates/:id/access-control", async (req, res) => {
-  const { id } = req.params;
+router.get(
+  "/templates/:id/access-control",
+  auth,
+  formAccess("edit"),
+  async (req, res) => {
+    const { id } = req.params;
 
-  try {
-    // Get template access control
-    const templateRes = await pool.query(
-      `SELECT access_control FROM checksheet_templates WHERE id = $1`,
-      [id]
-    );
+    try {
+      // Get template access control
+      const templateRes = await pool.query(
+        `SELECT access_control FROM checksheet_templates WHERE id = $1`,
+        [id]
+      );
 
-    if (templateRes.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: "Template not found",
-      });
-    }
+      if (templateRes.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: "Template not found",
+        });
+      }
 
-    let accessControl = {};
-    if (templateRes.rows[0].access_control) {
-      try {
-        accessControl =
-          typeof templateRes.rows[0].access_control === "string"
-            ? JSON.parse(templateRes.rows[0].access_control)
-            : templateRes.rows[0].access_control;
-      } catch (e) {
-        console.error("Error parsing access control JSON:", e);
+      let accessControl = {};
+      if (templateRes.rows[0].access_control) {
+        try {
+          accessControl =
+            typeof templateRes.rows[0].access_control === "string"
+              ? JSON.parse(templateRes.rows[0].access_control)
+              : templateRes.rows[0].access_control;
+        } catch (e) {
+          console.error("Error parsing access control JSON:", e);
+        }
       }
-    }
 
-    // Get form group permissions
-    const groupPermissionsRes = await pool.query(
-      `SELECT fac.group_id, ug.group_name, ug.color,
+      // Get form group permissions
+      const groupPermissionsRes = await pool.query(
+        `SELECT fac.group_id, ug.group_name, ug.color,
               fac.can_view, fac.can_edit, fac.can_delete
        FROM form_access_control fac
        LEFT JOIN user_groups ug ON fac.group_id = ug.group_id
        WHERE fac.form_id = $1`,
-      [id]
-    );
+        [id]
+      );
 
-    // Get field permissions - FIXED QUERY
-    const fieldPermissionsRes = await pool.query(
-      `SELECT field_instance_id, group_id, 
+      // Get field permissions - FIXED QUERY
+      const fieldPermissionsRes = await pool.query(
+        `SELECT field_instance_id, group_id, 
               can_view, can_edit, can_delete
        FROM field_permissions 
        WHERE form_id = $1`,
-      [id]
-    );
+        [id]
+      );
 
-    // Convert field permissions to object format with ||| separator
-    const fieldPermissions = {};
-    fieldPermissionsRes.rows.forEach((row) => {
-      // Use ||| separator to match how it's stored
-      const key = `${row.field_instance_id}|||${row.group_id}`;
-      fieldPermissions[key] = {
-        canView: row.can_view,
-        canEdit: row.can_edit,
-        canDelete: row.can_delete,
-      };
-    });
+      // Convert field permissions to object format with ||| separator
+      const fieldPermissions = {};
+      fieldPermissionsRes.rows.forEach((row) => {
+        // Use ||| separator to match how it's stored
+        const key = `${row.field_instance_id}|||${row.group_id}`;
+        fieldPermissions[key] = {
+          canView: row.can_view,
+          canEdit: row.can_edit,
+          canDelete: row.can_delete,
+        };
+      });
 
-    // Get group details even if not in form_access_control table
-    const allGroupsRes = await pool.query(
-      `SELECT group_id, group_name, color, description 
+      // Get group details even if not in form_access_control table
+      const allGroupsRes = await pool.query(
+        `SELECT group_id, group_name, color, description 
        FROM user_groups 
        ORDER BY group_name`
-    );
+      );
 
-    // Determine which groups are selected
-    const selectedGroupIds = groupPermissionsRes.rows.map((g) => g.group_id);
+      // Determine which groups are selected
+      const selectedGroupIds = groupPermissionsRes.rows.map((g) => g.group_id);
 
-    res.json({
-      success: true,
-      access_control: {
-        ...accessControl,
-        groups: selectedGroupIds, // Array of group IDs
-        field_permissions: fieldPermissions,
-        group_details: allGroupsRes.rows.map((group) => ({
-          ...group,
-          selected: selectedGroupIds.includes(group.group_id),
-        })),
-      },
-    });
-  } catch (err) {
-    console.error("Get access control error:", err);
-    res.status(500).json({
-      success: false,
-      message: "Failed to get access control settings",
-      details: err.message,
-    });
+      res.json({
+        success: true,
+        access_control: {
+          ...accessControl,
+          groups: selectedGroupIds, // Array of group IDs
+          field_permissions: fieldPermissions,
+          group_details: allGroupsRes.rows.map((group) => ({
+            ...group,
+            selected: selectedGroupIds.includes(group.group_id),
+          })),
+        },
+      });
+    } catch (err) {
+      console.error("Get access control error:", err);
+      res.status(500).json({
+        success: false,
+        message: "Failed to get access control settings",
+        details: err.message,
+      });
+    }
   }
-});
+);
 
 // Add this route to your auth or user routes
 // FIXED: Correct user-info endpoint for your database schema
-router.get("/user-info", async (req, res) => {
+router.get("/user-info", auth, async (req, res) => {
   try {
-    const authHeader = req.headers.authorization;
+    // Token signature is verified by the auth middleware
+    const userId = req.user.user_id;
 
-    if (!authHeader || !authHeader.startsWith("Bearer ")) {
-      console.log("No Bearer token provided");
-      return res.status(401).json({ error: "No token provided" });
-    }
-
-    const token = authHeader.split(" ")[1];
-    let userId;
-
-    // Decode JWT safely
-    try {
-      const payload = JSON.parse(
-        Buffer.from(token.split(".")[1], "base64").toString()
-      );
-      userId = payload.user_id || payload.sub || payload.id;
-
-      if (!userId) {
-        return res.status(401).json({ error: "Invalid token: no user_id" });
-      }
-    } catch (decodeErr) {
-      console.error("Token decode failed:", decodeErr.message);
-      return res.status(401).json({ error: "Invalid token" });
+    if (!userId) {
+      return res.status(401).json({ error: "Invalid token: no user_id" });
     }
 
     console.log("Fetching user info for user_id:", userId);
@@ -2028,13 +2309,18 @@ router.get("/user-info", async (req, res) => {
 });
 
 // Add this to your backend (checksheet.js)
-router.get("/templates/:id/full", async (req, res) => {
-  const { id } = req.params;
+// Designer payload: every field, since PUT /templates/:id rewrites them all
+router.get(
+  "/templates/:id/full",
+  auth,
+  formAccess("edit"),
+  async (req, res) => {
+    const { id } = req.params;
 
-  try {
-    // Get template basic info including version
-    const templateRes = await pool.query(
-      `
+    try {
+      // Get template basic info including version
+      const templateRes = await pool.query(
+        `
       SELECT 
         id, name, html_content, field_configurations, 
         field_positions, sheets, table_name, created_at,
@@ -2043,19 +2329,19 @@ router.get("/templates/:id/full", async (req, res) => {
       FROM checksheet_templates 
       WHERE id = $1
       `,
-      [id]
-    );
+        [id]
+      );
 
-    if (templateRes.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: "Template not found",
-      });
-    }
+      if (templateRes.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: "Template not found",
+        });
+      }
 
-    // Get all field configurations
-    const fieldsRes = await pool.query(
-      `
+      // Get all field configurations
+      const fieldsRes = await pool.query(
+        `
       SELECT 
         field_name, field_type, label, decimal_places, options,
         bg_color, text_color, exact_match_text, exact_match_bg_color,
@@ -2074,165 +2360,168 @@ router.get("/templates/:id/full", async (req, res) => {
       WHERE template_id = $1 
       ORDER BY id
       `,
-      [id]
-    );
+        [id]
+      );
 
-    // Get images for this template
-    const imagesRes = await pool.query(
-      `
+      // Get images for this template
+      const imagesRes = await pool.query(
+        `
       SELECT id, filename, original_path, position_index, element_id
       FROM template_images 
       WHERE template_id = $1
       ORDER BY position_index ASC NULLS LAST, filename
       `,
-      [id]
-    );
+        [id]
+      );
 
-    // Parse JSON fields
-    const template = templateRes.rows[0];
+      // Parse JSON fields
+      const template = templateRes.rows[0];
 
-    // Parse JSON data if it exists
-    if (template.field_configurations) {
-      try {
-        template.field_configurations =
-          typeof template.field_configurations === "string"
-            ? JSON.parse(template.field_configurations)
-            : template.field_configurations;
-      } catch (e) {
+      // Parse JSON data if it exists
+      if (template.field_configurations) {
+        try {
+          template.field_configurations =
+            typeof template.field_configurations === "string"
+              ? JSON.parse(template.field_configurations)
+              : template.field_configurations;
+        } catch (e) {
+          template.field_configurations = {};
+        }
+      } else {
         template.field_configurations = {};
       }
-    } else {
-      template.field_configurations = {};
-    }
-
-    if (template.field_positions) {
-      try {
-        template.field_positions =
-          typeof template.field_positions === "string"
-            ? JSON.parse(template.field_positions)
-            : template.field_positions;
-      } catch (e) {
-        template.field_positions = {};
-      }
-    } else {
-      template.field_positions = {};
-    }
-
-    if (template.sheets) {
-      try {
-        template.sheets =
-          typeof template.sheets === "string"
-            ? JSON.parse(template.sheets)
-            : template.sheets;
-      } catch (e) {
-        template.sheets = [];
-      }
-    } else {
-      template.sheets = [];
-    }
-
-    // Process field data
-    const fields = fieldsRes.rows.map((field) => {
-      const processedField = {
-        field_name: field.field_name,
-        type: field.field_type,
-        label: field.label,
-        decimal_places: field.decimal_places,
-        options: field.options
-          ? typeof field.options === "string"
-            ? JSON.parse(field.options)
-            : field.options
-          : null,
-        // All field settings
-        bgColor: field.bg_color,
-        textColor: field.text_color,
-        exactMatchText: field.exact_match_text,
-        exactMatchBgColor: field.exact_match_bg_color,
-        minLength: field.min_length,
-        minLengthMode: field.min_length_mode,
-        minLengthWarningBg: field.min_length_warning_bg,
-        maxLength: field.max_length,
-        maxLengthMode: field.max_length_mode,
-        maxLengthWarningBg: field.max_length_warning_bg,
-        multiline: field.multiline,
-        autoShrinkFont: field.auto_shrink_font,
-        min: field.min_value,
-        max: field.max_value,
-        bgColorInRange: field.bg_color_in_range,
-        bgColorBelowMin: field.bg_color_below_min,
-        bgColorAboveMax: field.bg_color_above_max,
-        borderColorInRange: field.border_color_in_range,
-        borderColorBelowMin: field.border_color_below_min,
-        borderColorAboveMax: field.border_color_above_max,
-        formula: field.formula,
-        position: field.position,
-        instanceId: field.instance_id,
-        sheetIndex: field.sheet_index,
-        dateFormat: field.date_format,
-        showTimeSelect: field.show_time_select,
-        DatetimeFormat: field.DatetimeFormat,
-        minDate: field.min_date,
-        maxDate: field.max_date,
-        allowCamera: field.allow_camera,
-        allowUpload: field.allow_upload,
-        maxFileSize: field.max_file_size,
-        timeFormat: field.time_format,
-        allowSeconds: field.allow_seconds,
-        minTime: field.min_time,
-        maxTime: field.max_time,
-        required: field.required,
-        disabled: field.disabled,
-        // SIGNATURE FIELD PROPERTIES
-        mode: field.mode || "signature_over_text",
-        allowTextInput: field.allow_text_input !== false,
-        allowSignature: field.allow_signature !== false,
-        allowSignatureOverText: field.allow_signature_over_text !== false,
-        textFontSize: field.text_font_size || 16,
-      };
 
-      return processedField;
-    });
+      if (template.field_positions) {
+        try {
+          template.field_positions =
+            typeof template.field_positions === "string"
+              ? JSON.parse(template.field_positions)
+              : template.field_positions;
+        } catch (e) {
+          template.field_positions = {};
+        }
+      } else {
+        template.field_positions = {};
+      }
 
-    // Convert fields array to object keyed by instanceId
-    const fieldConfigurations = {};
-    fields.forEach((field) => {
-      fieldConfigurations[field.instanceId] = field;
-    });
+      if (template.sheets) {
+        try {
+          template.sheets =
+            typeof template.sheets === "string"
+              ? JSON.parse(template.sheets)
+              : template.sheets;
+        } catch (e) {
+          template.sheets = [];
+        }
+      } else {
+        template.sheets = [];
+      }
 
-    // Process images
-    const images = {};
-    imagesRes.rows.forEach((image) => {
-      images[image.filename] = {
-        id: image.id,
-        filename: image.filename,
-        original_path: image.original_path,
-        position_index: image.position_index,
-        element_id: image.element_id,
-      };
-    });
+      // Process field data
+      const fields = fieldsRes.rows.map((field) => {
+        const processedField = {
+          field_name: field.field_name,
+          type: field.field_type,
+          label: field.label,
+          decimal_places: field.decimal_places,
+          options: field.options
+            ? typeof field.options === "string"
+              ? JSON.parse(field.options)
+              : field.options
+            : null,
+          // All field settings
+          bgColor: field.bg_color,
+          textColor: field.text_color,
+          exactMatchText: field.exact_match_text,
+          exactMatchBgColor: field.exact_match_bg_color,
+          minLength: field.min_length,
+          minLengthMode: field.min_length_mode,
+          minLengthWarningBg: field.min_length_warning_bg,
+          maxLength: field.max_length,
+          maxLengthMode: field.max_length_mode,
+          maxLengthWarningBg: field.max_length_warning_bg,
+          multiline: field.multiline,
+          autoShrinkFont: field.auto_shrink_font,
+          min: field.min_value,
+          max: field.max_value,
+          bgColorInRange: field.bg_color_in_range,
+          bgColorBelowMin: field.bg_color_below_min,
+          bgColorAboveMax: field.bg_color_above_max,
+          borderColorInRange: field.border_color_in_range,
+          borderColorBelowMin: field.border_color_below_min,
+          borderColorAboveMax: field.border_color_above_max,
+          formula: field.formula,
+          position: field.position,
+          instanceId: field.instance_id,
+          sheetIndex: field.sheet_index,
+          dateFormat: field.date_format,
+          showTimeSelect: field.show_time_select,
+          DatetimeFormat: field.DatetimeFormat,
+          minDate: field.min_date,
+          maxDate: field.max_date,
+          allowCamera: field.allow_camera,
+          allowUpload: field.allow_upload,
+          maxFileSize: field.max_file_size,
+          timeFormat: field.time_format,
+          allowSeconds: field.allow_seconds,
+          minTime: field.min_time,
+          maxTime: field.max_time,
+          required: field.required,
+          disabled: field.disabled,
+          // SIGNATURE FIELD PROPERTIES
+          mode: field.mode || "signature_over_text",
+          allowTextInput: field.allow_text_input !== false,
+          allowSignature: field.allow_signature !== false,
+          allowSignatureOverText: field.allow_signature_over_text !== false,
+          textFontSize: field.text_font_size || 16,
+        };
 
-    res.json({
-      success: true,
-      template: {
-        ...template,
-        field_configurations: fieldConfigurations,
-        images: images,
-        image_count: imagesRes.rows.length,
-      },
-    });
-  } catch (err) {
-    console.error("Get template error:", err);
-    res.status(500).json({
-      success: false,
-      message: "Server error",
-      details: err.message,
-    });
+        return processedField;
+      });
+
+      // Convert fields array to object keyed by instanceId
+      const fieldConfigurations = {};
+      fields.forEach((field) => {
+        fieldConfigurations[field.instanceId] = field;
+      });
+
+      // Process images
+      const images = {};
+      imagesRes.rows.forEach((image) => {
+        images[image.filename] = {
+          id: image.id,
+          filename: image.filename,
+          original_path: image.original_path,
+          position_index: image.position_index,
+          element_id: image.element_id,
+        };
+      });
+
+      res.json({
+        success: true,
+        template: {
+          ...signTemplateHtml(template),
+          field_configurations: fieldConfigurations,
+          images: images,
+          image_count: imagesRes.rows.length,
+        },
+      });
+    } catch (err) {
+      console.error("Get template error:", err);
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+        details: err.message,
+      });
+    }
   }
-});
+);
 
 // Add update endpoint to your backend
-router.put("/templates/:id", async (req, res) => {
+router.put("/templates/:id", auth, formAccess("edit"), async (req, res) => {
   const { id } = req.params;
+  // HTML comes back with the signed image URLs it was loaded with
+  req.body = unsignTemplateHtml(req.body);
   const {
     name,
     html_content,
@@ -2246,6 +2535,7 @@ router.put("/templates/:id", async (req, res) => {
     access_control,
     is_update = false,
     original_template_id = null,
+    conversions,
   } = req.body;
 
   if (!name) {
@@ -2364,61 +2654,38 @@ router.put("/templates/:id", async (req, res) => {
         await createOptimizedTable(client, newTableName, field_configurations);
       }
 
-      // Migrate non-breaking data from old version
+      // Migrate all data from old version; breaking changes need a rule in
+      // `conversions` or the column is dropped (see the report)
+      const familyId = await getFamilyId(client, newTemplateId);
+      let migration = null;
       if (existingTemplate.table_name) {
-        const migratedCount = await migrateNonBreakingData(
+        migration = await runVersionMigration(
           client,
-          existingTemplate.table_name,
-          newTableName,
-          changes,
-          newVersion
+          {
+            sourceTable: existingTemplate.table_name,
+            targetTable: newTableName,
+            version: newVersion,
+            oldFields: currentFieldsRes.rows,
+            newFields: field_configurations || {},
+            conversions,
+          },
+          {
+            familyId,
+            fromTemplateId: existingTemplate.id,
+            toTemplateId: newTemplateId,
+            fromVersion: currentVersion,
+            toVersion: newVersion,
+            userId: req.user.user_id,
+          }
+        );
+        console.log(
+          `Migrated ${migration.migrated_rows} of ${migration.total_rows} records to new version`
         );
-        console.log(`Migrated ${migratedCount} records to new version`);
       }
 
-      // Copy images to new template
-      await client.query(
-        `INSERT INTO template_images 
-         (template_id, original_path, filename, mime_type, image_data, size, 
-          position_index, original_src, element_id)
-         SELECT $1, original_path, filename, mime_type, image_data, size, 
-                position_index, original_src, element_id
-         FROM template_images 
-         WHERE template_id = $2`,
-        [newTemplateId, id]
-      );
-
-      // Copy field configurations to new template
-      await client.query(
-        `INSERT INTO template_fields 
-         (template_id, field_name, field_type, label, decimal_places, options,
-          bg_color, text_color, exact_match_text, exact_match_bg_color,
-          min_length, min_length_mode, min_length_warning_bg,
-          max_length, max_length_mode, max_length_warning_bg,
-          multiline, auto_shrink_font,
-          min_value, max_value, bg_color_in_range, bg_color_below_min,
-          bg_color_above_max, border_color_in_range, border_color_below_min,
-          border_color_above_max, formula, position, instance_id, sheet_index,
-          date_format, show_time_select, DatetimeFormat, min_date, max_date,
-          allow_camera, allow_upload, max_file_size, time_format, allow_seconds, 
-          min_time, max_time, required, disabled, mode, allow_text_input, 
-          allow_signature, allow_signature_over_text, text_font_size)
-         SELECT $1, field_name, field_type, label, decimal_places, options,
-                bg_color, text_color, exact_match_text, exact_match_bg_color,
-                min_length, min_length_mode, min_length_warning_bg,
-                max_length, max_length_mode, max_length_warning_bg,
-                multiline, auto_shrink_font,
-                min_value, max_value, bg_color_in_range, bg_color_below_min,
-                bg_color_above_max, border_color_in_range, border_color_below_min,
-                border_color_above_max, formula, position, instance_id, sheet_index,
-                date_format, show_time_select, DatetimeFormat, min_date, max_date,
-                allow_camera, allow_upload, max_file_size, time_format, allow_seconds, 
-                min_time, max_time, required, disabled, mode, allow_text_input, 
-                allow_signature, allow_signature_over_text, text_font_size
-         FROM template_fields 
-         WHERE template_id = $2`,
-        [newTemplateId, id]
-      );
+      // Copy images and field configurations to new template
+      await copyTemplateImages(client, id, newTemplateId);
+      await copyTemplateFields(client, id, newTemplateId);
 
       // Update new field configurations if provided
       if (
@@ -2504,6 +2771,9 @@ router.put("/templates/:id", async (req, res) => {
         }
       }
 
+      await syncReportView(client, familyId);
+      await moveVersionIndex(client, id, newTemplateId);
+
       await client.query("COMMIT");
 
       return res.json({
@@ -2514,6 +2784,7 @@ router.put("/templates/:id", async (req, res) => {
         table_name: newTableName,
         message: "New version created due to breaking schema changes",
         changes: changes,
+        migration,
         is_new_version: true,
       });
     } else {
@@ -2634,6 +2905,11 @@ router.put("/templates/:id", async (req, res) => {
         }
       }
 
+      // Renamed fields change the view's column mapping
+      await syncReportView(client, await getFamilyId(client, id));
+      // Labels and field names of the stored documents may have changed
+      await indexTemplateTransactions(client, id);
+
       await client.query("COMMIT");
 
       return res.json({
@@ -2646,6 +2922,21 @@ router.put("/templates/:id", async (req, res) => {
     }
   } catch (err) {
     await client.query("ROLLBACK");
+    if (err instanceof MigrationError) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid conversion rules",
+        details: err.message,
+      });
+    }
+    if (err instanceof MigrationFailedError) {
+      return res.status(500).json({
+        success: false,
+        message: "Data migration failed; the new version was not saved",
+        details: err.report.error,
+        migration: await recordFailedMigration(pool, err),
+      });
+    }
     console.error("Update form error:", err);
     res.status(500).json({
       success: false,
@@ -2658,7 +2949,7 @@ router.put("/templates/:id", async (req, res) => {
 });
 
 // Add this to your checksheet.js file
-router.post("/migrate/status-columns", async (req, res) => {
+router.post("/migrate/status-columns", auth, isAdmin, async (req, res) => {
   const client = await pool.connect();
   try {
     await client.query("BEGIN");
@@ -2704,22 +2995,21 @@ router.post("/migrate/status-columns", async (req, res) => {
   }
 });
 
-router.post("/transactions", async (req, res) => {
+// Updating a transaction needs the revision it was loaded at: body
+// `revision` or an If-Match header with its ETag. A stale one gets a 409
+// with the current values; with `base_data` (the values as loaded) edits
+// to different fields are merged instead.
+router.post("/transactions", auth, formAccess("view"), async (req, res) => {
   const {
     template_id,
-    user_id,
     data,
     status = "draft",
     transaction_id = null,
+    inspection_id = null,
   } = req.body;
+  const { user_id } = req.user;
 
-  console.log("=== SAVE TRANSACTION ===");
-  console.log("Template ID:", template_id);
-  console.log("User ID:", user_id);
-  console.log("Status:", status);
-  console.log("Transaction ID:", transaction_id);
-
-  if (!template_id || !user_id || !data || typeof data !== "object") {
+  if (!template_id || !data || typeof data !== "object") {
     return res.status(400).json({
       success: false,
       message: "Invalid transaction data",
@@ -2730,285 +3020,51 @@ router.post("/transactions", async (req, res) => {
   try {
     await client.query("BEGIN");
 
-    // 1. Get template info
-    const templateRes = await client.query(
-      `SELECT id, name, table_name, version FROM checksheet_templates WHERE id = $1 AND is_active = true`,
-      [template_id]
-    );
-
-    if (templateRes.rows.length === 0) {
-      await client.query("ROLLBACK");
-      return res.status(404).json({
-        success: false,
-        message: "Template not found or not active",
-      });
-    }
-
-    const template = templateRes.rows[0];
-    const submissionsTable = template.table_name;
-    const version = template.version || 1;
-
-    // 2. Check if we're updating an existing transaction
-    if (transaction_id) {
-      const existingRes = await client.query(
-        `SELECT id, status FROM "${submissionsTable}" WHERE id = $1 AND user_id = $2`,
-        [transaction_id, user_id]
-      );
-
-      if (existingRes.rows.length === 0) {
-        await client.query("ROLLBACK");
-        return res.status(404).json({
-          success: false,
-          message: "Transaction not found",
-        });
-      }
-
-      const existingTransaction = existingRes.rows[0];
-
-      // If transaction is already "completed", don't allow editing
-      if (existingTransaction.status === "completed" && status === "draft") {
-        await client.query("ROLLBACK");
-        return res.status(400).json({
-          success: false,
-          message: "Cannot edit completed transaction",
-        });
-      }
-
-      // 3. Get field definitions for this template
-      const fieldsRes = await client.query(
-        `SELECT field_name, instance_id, field_type 
-         FROM template_fields 
-         WHERE template_id = $1`,
-        [template_id]
-      );
-
-      // 4. Get existing columns
-      const tableColumnsRes = await client.query(`
-        SELECT column_name 
-        FROM information_schema.columns 
-        WHERE table_name = '${submissionsTable}'
-        ORDER BY ordinal_position
-      `);
-
-      const existingColumns = tableColumnsRes.rows.map(
-        (row) => row.column_name
-      );
-      const existingColumnsLower = existingColumns.map((col) =>
-        col.toLowerCase()
-      );
-      const columnMap = {};
-      existingColumns.forEach((col) => {
-        columnMap[col.toLowerCase()] = col;
-      });
-
-      // 5. Build update query
-      const updateFields = [];
-      const updateValues = [];
-      let paramCounter = 1;
-
-      // Add status to update
-      updateFields.push(`"status" = $${paramCounter}`);
-      updateValues.push(status);
-      paramCounter++;
-
-      // Add updated_at timestamp
-      updateFields.push(`"updated_at" = NOW()`);
-
-      // Process each field
-      const submittedKeys = Object.keys(data);
-      for (const submittedKey of submittedKeys) {
-        let matchedColumn = null;
-        const submittedLower = submittedKey.toLowerCase();
-
-        if (columnMap[submittedLower]) {
-          matchedColumn = columnMap[submittedLower];
-        } else {
-          // Try to find via field mapping
-          const fieldInfo = fieldsRes.rows.find(
-            (f) =>
-              f.field_name.toLowerCase() === submittedLower ||
-              f.instance_id.toLowerCase() === submittedLower
-          );
-          if (fieldInfo) {
-            const fieldName = fieldInfo.field_name;
-            const lowerFieldName = fieldName.toLowerCase();
-            if (columnMap[lowerFieldName]) {
-              matchedColumn = columnMap[lowerFieldName];
-            }
-          }
-        }
-
-        if (matchedColumn) {
-          let value = data[submittedKey];
-
-          // Convert value based on field type
-          const fieldType = fieldsRes.rows.find(
-            (f) =>
-              f.field_name.toLowerCase() === submittedLower ||
-              f.instance_id.toLowerCase() === submittedLower
-          )?.field_type;
-
-          if (fieldType === "number" || fieldType === "calculation") {
-            if (value == null || value === "" || value === "NaN") {
-              value = null;
-            } else {
-              const num = parseFloat(value);
-              value = Number.isNaN(num) ? null : num;
-            }
-          } else if (["date", "datetime", "time"].includes(fieldType)) {
-            value = (value || "").trim() === "" ? null : value;
-          }
-
-          updateFields.push(`"${matchedColumn}" = $${paramCounter}`);
-          updateValues.push(value);
-          paramCounter++;
-        }
-      }
-
-      // Add transaction_id as last parameter
-      updateValues.push(transaction_id);
-      updateValues.push(user_id); // Add user_id for security
-
-      // Execute update
-      const updateQuery = `
-        UPDATE "${submissionsTable}" 
-        SET ${updateFields.join(", ")}
-        WHERE id = $${paramCounter} AND user_id = $${paramCounter + 1}
-        RETURNING id, submitted_at, updated_at, status
-      `;
-
-      const updateResult = await client.query(updateQuery, updateValues);
-      const updatedTransaction = updateResult.rows[0];
-
-      await client.query("COMMIT");
-
-      return res.json({
-        success: true,
-        transaction_id: updatedTransaction.id,
-        status: updatedTransaction.status,
-        updated_at: updatedTransaction.updated_at,
-        message:
-          status === "completed"
-            ? "Transaction completed successfully"
-            : "Transaction saved as draft",
-        is_update: true,
-      });
-    } else {
-      // 6. CREATE NEW TRANSACTION
-      // Get field definitions
-      const fieldsRes = await client.query(
-        `SELECT field_name, instance_id, field_type 
-         FROM template_fields 
-         WHERE template_id = $1`,
-        [template_id]
-      );
-
-      // Get existing columns
-      const tableColumnsRes = await client.query(`
-        SELECT column_name 
-        FROM information_schema.columns 
-        WHERE table_name = '${submissionsTable}'
-        ORDER BY ordinal_position
-      `);
-
-      const existingColumns = tableColumnsRes.rows.map(
-        (row) => row.column_name
-      );
-      const existingColumnsLower = existingColumns.map((col) =>
-        col.toLowerCase()
-      );
-      const columnMap = {};
-      existingColumns.forEach((col) => {
-        columnMap[col.toLowerCase()] = col;
-      });
-
-      // 7. Prepare columns and values for insertion
-      const columnsToInsert = ["user_id", "template_version", "status"];
-      let valuesToInsert = [user_id, version, status];
-
-      // Process each field
-      const submittedKeys = Object.keys(data);
-      for (const submittedKey of submittedKeys) {
-        let matchedColumn = null;
-        const submittedLower = submittedKey.toLowerCase();
-
-        if (columnMap[submittedLower]) {
-          matchedColumn = columnMap[submittedLower];
-        } else {
-          // Try to find via field mapping
-          const fieldInfo = fieldsRes.rows.find(
-            (f) =>
-              f.field_name.toLowerCase() === submittedLower ||
-              f.instance_id.toLowerCase() === submittedLower
-          );
-          if (fieldInfo) {
-            const fieldName = fieldInfo.field_name;
-            const lowerFieldName = fieldName.toLowerCase();
-            if (columnMap[lowerFieldName]) {
-              matchedColumn = columnMap[lowerFieldName];
-            }
-          }
-        }
-
-        if (matchedColumn) {
-          columnsToInsert.push(matchedColumn);
-
-          let value = data[submittedKey];
-          const fieldType = fieldsRes.rows.find(
-            (f) =>
-              f.field_name.toLowerCase() === submittedLower ||
-              f.instance_id.toLowerCase() === submittedLower
-          )?.field_type;
-
-          if (fieldType === "number" || fieldType === "calculation") {
-            if (value == null || value === "" || value === "NaN") {
-              value = null;
-            } else {
-              const num = parseFloat(value);
-              value = Number.isNaN(num) ? null : num;
-            }
-          } else if (["date", "datetime", "time"].includes(fieldType)) {
-            value = (value || "").trim() === "" ? null : value;
-          }
-
-          valuesToInsert.push(value);
-        }
-      }
-
-      // 8. Build and execute insert query
-      const placeholders = columnsToInsert
-        .map((_, i) => `$${i + 1}`)
-        .join(", ");
-      const safeCols = columnsToInsert
-        .map((c) => `"${c.replace(/"/g, '""')}"`)
-        .join(", ");
-
-      const insertQuery = `
-        INSERT INTO "${submissionsTable}" (${safeCols})
-        VALUES (${placeholders})
-        RETURNING id, submitted_at, status, updated_at
-      `;
+    const saved = await saveTransaction(client, {
+      templateId: template_id,
+      data,
+      status,
+      transactionId: transaction_id,
+      expectedRevision: getExpectedRevision(req.body, req.get("If-Match")),
+      baseData: req.body.base_data || null,
+      body: req.body,
+      inspectionId: inspection_id,
+      userId: user_id,
+      permissions: req.formPermissions,
+    });
 
-      const insertResult = await client.query(insertQuery, valuesToInsert);
-      const newTransaction = insertResult.rows[0];
+    await client.query("COMMIT");
 
-      await client.query("COMMIT");
+    notifyOutOfSpec(saved);
 
-      return res.json({
-        success: true,
-        transaction_id: newTransaction.id,
-        status: newTransaction.status,
-        submitted_at: newTransaction.submitted_at,
-        updated_at: newTransaction.updated_at,
-        message:
-          status === "completed"
-            ? "Transaction completed successfully"
-            : "Transaction saved as draft",
-        is_update: false,
-      });
-    }
+    res.setHeader("ETag", toEtag(saved.revision));
+    res.json({
+      success: true,
+      transaction_id: saved.transactionId,
+      status: saved.status,
+      revision: saved.revision,
+      ...(saved.mergedFields ? { merged_fields: saved.mergedFields } : {}),
+      ...(saved.isUpdate ? {} : { submitted_at: saved.submittedAt }),
+      updated_at: saved.updatedAt,
+      inspection_id: saved.inspection ? saved.inspection.id : null,
+      warnings: saved.validation.warnings,
+      calculation_adjustments: saved.calculation.adjustments,
+      calculation_errors: saved.calculation.errors,
+      message:
+        status === "completed"
+          ? "Transaction completed successfully"
+          : "Transaction saved as draft",
+      is_update: saved.isUpdate,
+    });
   } catch (err) {
     await client.query("ROLLBACK");
+    if (err instanceof SubmissionError) {
+      return res.status(err.status).json({
+        success: false,
+        message: err.message,
+        ...err.details,
+      });
+    }
     console.error("Save transaction error:", err);
 
     res.status(500).json({
@@ -3022,120 +3078,130 @@ router.post("/transactions", async (req, res) => {
   }
 });
 
-router.get("/templates/:id/transactions", async (req, res) => {
-  const { id } = req.params;
-  const { user_id, status } = req.query;
+router.get(
+  "/templates/:id/transactions",
+  auth,
+  formAccess("view"),
+  async (req, res) => {
+    const { id } = req.params;
+    const { status } = req.query;
+    const { user_id } = req.user;
 
-  if (!user_id) {
-    return res.status(400).json({
-      success: false,
-      message: "User ID is required",
-    });
-  }
+    try {
+      // Get template info
+      const templateRes = await pool.query(
+        `SELECT id, table_name FROM checksheet_templates WHERE id = $1`,
+        [id]
+      );
 
-  try {
-    // Get template info
-    const templateRes = await pool.query(
-      `SELECT id, table_name FROM checksheet_templates WHERE id = $1`,
-      [id]
-    );
+      if (templateRes.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: "Template not found",
+        });
+      }
 
-    if (templateRes.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: "Template not found",
-      });
-    }
+      const template = templateRes.rows[0];
+      const tableName = template.table_name;
+      // Build query
+      let query = `SELECT id, user_id, submitted_at, updated_at, status, template_version, revision FROM "${tableName}" WHERE user_id = $1`;
+      const queryParams = [user_id];
+      let paramCounter = 2;
+
+      if (status) {
+        query += ` AND status = $${paramCounter}`;
+        queryParams.push(status);
+        paramCounter++;
+      }
 
-    const template = templateRes.rows[0];
-    const tableName = template.table_name;
+      query += ` ORDER BY updated_at DESC`;
 
-    // Build query
-    let query = `SELECT id, user_id, submitted_at, updated_at, status, template_version FROM "${tableName}" WHERE user_id = $1`;
-    const queryParams = [user_id];
-    let paramCounter = 2;
+      const transactionsRes = await pool.query(query, queryParams);
 
-    if (status) {
-      query += ` AND status = $${paramCounter}`;
-      queryParams.push(status);
-      paramCounter++;
+      res.json({
+        success: true,
+        transactions: transactionsRes.rows,
+        count: transactionsRes.rows.length,
+      });
+    } catch (err) {
+      console.error("Get transactions error:", err);
+      res.status(500).json({
+        success: false,
+        message: "Failed to get transactions",
+        details: err.message,
+      });
     }
-
-    query += ` ORDER BY updated_at DESC`;
-
-    const transactionsRes = await pool.query(query, queryParams);
-
-    res.json({
-      success: true,
-      transactions: transactionsRes.rows,
-      count: transactionsRes.rows.length,
-    });
-  } catch (err) {
-    console.error("Get transactions error:", err);
-    res.status(500).json({
-      success: false,
-      message: "Failed to get transactions",
-      details: err.message,
-    });
   }
-});
+);
 
 // ==============================
 // GET SINGLE TRANSACTION
 // ==============================
-router.get("/transactions/:transaction_id", async (req, res) => {
-  const { transaction_id } = req.params;
-  const { template_id, user_id } = req.query;
-
-  if (!template_id || !user_id) {
-    return res.status(400).json({
-      success: false,
-      message: "Template ID and User ID are required",
-    });
-  }
-
-  try {
-    // Get template info
-    const templateRes = await pool.query(
-      `SELECT id, table_name FROM checksheet_templates WHERE id = $1`,
-      [template_id]
-    );
-
-    if (templateRes.rows.length === 0) {
-      return res.status(404).json({
+router.get(
+  "/transactions/:transaction_id",
+  auth,
+  formAccess("view"),
+  async (req, res) => {
+    const { transaction_id } = req.params;
+    const { template_id } = req.query;
+    const { user_id } = req.user;
+
+    if (!template_id) {
+      return res.status(400).json({
         success: false,
-        message: "Template not found",
+        message: "Template ID is required",
       });
     }
 
-    const template = templateRes.rows[0];
-    const tableName = template.table_name;
+    try {
+      // Get template info
+      const templateRes = await pool.query(
+        `SELECT id, table_name FROM checksheet_templates WHERE id = $1`,
+        [template_id]
+      );
 
-    // Get the transaction
-    const transactionRes = await pool.query(
-      `SELECT * FROM "${tableName}" WHERE id = $1 AND user_id = $2`,
-      [transaction_id, user_id]
-    );
+      if (templateRes.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: "Template not found",
+        });
+      }
 
-    if (transactionRes.rows.length === 0) {
-      return res.status(404).json({
+      const template = templateRes.rows[0];
+      const tableName = template.table_name;
+      // Get the transaction
+      const transactionRes = await pool.query(
+        `SELECT * FROM "${tableName}" WHERE id = $1 AND user_id = $2`,
+        [transaction_id, user_id]
+      );
+
+      if (transactionRes.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: "Transaction not found",
+        });
+      }
+
+      const fieldsRes = await pool.query(
+        `SELECT field_name, instance_id FROM template_fields WHERE template_id = $1`,
+        [template_id]
+      );
+      const hidden = getHiddenColumns(fieldsRes.rows, req.formPermissions);
+
+      res.setHeader("ETag", toEtag(transactionRes.rows[0].revision));
+      res.json({
+        success: true,
+        transaction: stripColumns(transactionRes.rows[0], hidden),
+      });
+    } catch (err) {
+      console.error("Get transaction error:", err);
+      res.status(500).json({
         success: false,
-        message: "Transaction not found",
+        message: "Failed to get transaction",
+        details: err.message,
       });
     }
-
-    res.json({
-      success: true,
-      transaction: transactionRes.rows[0],
-    });
-  } catch (err) {
-    console.error("Get transaction error:", err);
-    res.status(500).json({
-      success: false,
-      message: "Failed to get transaction",
-      details: err.message,
-    });
   }
-});
+);
 
 module.exports = router;
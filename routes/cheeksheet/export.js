@@ -0,0 +1,292 @@
+const express = require("express");
+const router = express.Router();
+const ExcelJS = require("exceljs");
+const pool = require("../../db");
+const auth = require("../../middleware/auth");
+const formAccess = require("../../middleware/formAccess");
+const {
+  SYSTEM_COLUMNS,
+  buildFieldColumnMap,
+} = require("../../utils/checksheet/columns");
+const {
+  getFamilyId,
+  getFamilyVersions,
+} = require("../../utils/checksheet/family");
+const { buildSubmissionFilters } = require("../../utils/checksheet/filters");
+const { notSupersededClause } = require("../../utils/checksheet/union");
+const { fieldPermission } = require("../../utils/checksheet/permissions");
+const {
+  formatDate,
+  formatFieldValue,
+} = require("../../utils/checksheet/format");
+
+const BATCH_SIZE = 500;
+
+// Metadata columns included in every export, in order
+const META_COLUMNS = [
+  { key: "id", header: "Transaction ID" },
+  { key: "template_version", header: "Template Version" },
+  { key: "status", header: "Status" },
+  { key: "user_name", header: "Submitted By" },
+  { key: "emp_id", header: "Employee ID" },
+  { key: "submitted_at", header: "Submitted At" },
+  { key: "updated_at", header: "Updated At" },
+  { key: "production_plan_id", header: "Production Plan ID" },
+  { key: "plan_machine", header: "Machine" },
+  { key: "plan_shift", header: "Shift" },
+];
+
+// Helper function: Quote a CSV cell when needed. Text that a spreadsheet
+// would run as a formula (=, +, -, @, tab, CR first) is prefixed with '.
+const csvCell = (value) => {
+  if (value === null || value === undefined) return "";
+  let text = String(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Helper function: Write to the response, waiting when the buffer is full.
+// Also settles when the client goes away (res.destroyed is then set).
+const writeChunk = (res, chunk) =>
+  new Promise((resolve) => {
+    if (res.destroyed || res.write(chunk)) return resolve();
+    const done = () => {
+      res.off("drain", done);
+      res.off("close", done);
+      res.off("error", done);
+      resolve();
+    };
+    res.on("drain", done);
+    res.on("close", done);
+    res.on("error", done);
+  });
+
+// Helper function: Build the export column list across versions.
+// Labels come from the newest version that has the column.
+const buildExportColumns = async (versions) => {
+  const fieldsRes = await pool.query(
+    `SELECT * FROM template_fields WHERE template_id = ANY($1) ORDER BY id`,
+    [versions.map((v) => v.id)]
+  );
+
+  const columns = [];
+  const seen = new Set();
+
+  [...versions]
+    .sort((a, b) => b.version - a.version)
+    .forEach((version) => {
+      const fieldMap = buildFieldColumnMap(
+        fieldsRes.rows.filter((f) => f.template_id === version.id)
+      );
+      Object.entries(fieldMap).forEach(([column, field]) => {
+        if (seen.has(column) || SYSTEM_COLUMNS.includes(column)) return;
+        seen.add(column);
+        columns.push({
+          key: column,
+          header: field.label || field.field_name,
+          field,
+        });
+      });
+    });
+
+  return columns;
+};
+
+// Helper function: Read a version table in id order, BATCH_SIZE rows at a
+// time, until `stop()` says the client is gone. Rows a later version of
+// `versions` copied over are left out (they are exported as that copy).
+const forEachBatch = async (
+  version,
+  versions,
+  filters,
+  onRows,
+  stop = () => false
+) => {
+  const { clauses, params } = buildSubmissionFilters(filters, 2);
+  const superseded = notSupersededClause(versions, version);
+  if (superseded) clauses.push(superseded);
+  const where = ["t.id > $1", ...clauses].join(" AND ");
+  let lastId = 0;
+
+  while (!stop()) {
+    const batchRes = await pool.query(
+      `SELECT t.*, u.name AS user_name, u.emp_id
+       FROM "${version.table_name}" t
+       LEFT JOIN usermaster u ON u.user_id = t.user_id
+       WHERE ${where}
+       ORDER BY t.id
+       LIMIT ${BATCH_SIZE}`,
+      [lastId, ...params]
+    );
+
+    if (batchRes.rows.length === 0) break;
+    await onRows(batchRes.rows);
+    lastId = batchRes.rows[batchRes.rows.length - 1].id;
+    if (batchRes.rows.length < BATCH_SIZE) break;
+  }
+};
+
+// ==============================
+// EXPORT SUBMISSIONS (CSV / XLSX)
+// ==============================
+router.get(
+  "/templates/:id/submissions/export",
+  auth,
+  formAccess("view"),
+  async (req, res) => {
+    const { id } = req.params;
+    const {
+      format = "csv",
+      all_versions,
+      from,
+      to,
+      status,
+      user_id,
+    } = req.query;
+
+    if (!["csv", "xlsx"].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: "Format must be csv or xlsx",
+      });
+    }
+
+    if (
+      (from && Number.isNaN(Date.parse(from))) ||
+      (to && Number.isNaN(Date.parse(to)))
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "from/to must be valid dates",
+      });
+    }
+
+    try {
+      const templateRes = await pool.query(
+        `SELECT id, name, version, table_name FROM checksheet_templates WHERE id = $1`,
+        [id]
+      );
+
+      if (templateRes.rows.length === 0 || !templateRes.rows[0].table_name) {
+        return res.status(404).json({
+          success: false,
+          message: "Template not found",
+        });
+      }
+
+      const template = templateRes.rows[0];
+      const versions =
+        all_versions === "true"
+          ? await getFamilyVersions(pool, await getFamilyId(pool, id))
+          : [template];
+
+      // Fields the caller may not view are left out
+      const fieldColumns = (await buildExportColumns(versions)).filter(
+        (column) =>
+          fieldPermission(req.formPermissions, column.field.instance_id)
+            .can_view
+      );
+      const columns = [...META_COLUMNS, ...fieldColumns];
+      const filters = { from, to, status, user_id };
+
+      const toCells = (row) =>
+        columns.map((column) => {
+          if (column.field)
+            return formatFieldValue(column.field, row[column.key]);
+          if (row[column.key] instanceof Date) {
+            return formatDate(row[column.key], "yyyy-MM-dd HH:mm:ss");
+          }
+          return row[column.key] ?? "";
+        });
+
+      const baseName =
+        template.name.replace(/[^a-z0-9_-]+/gi, "_").replace(/^_+|_+$/g, "") ||
+        `template_${template.id}`;
+      const filename = `${baseName}_submissions.${format}`;
+
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${filename}"`
+      );
+
+      // Stop reading rows once the client has disconnected
+      const clientGone = () => res.destroyed;
+
+      if (format === "csv") {
+        res.setHeader("Content-Type", "text/csv; charset=utf-8");
+        // BOM so Excel opens UTF-8 labels correctly
+        await writeChunk(
+          res,
+          "\ufeff" + columns.map((c) => csvCell(c.header)).join(",") + "\r\n"
+        );
+
+        for (const version of versions) {
+          await forEachBatch(
+            version,
+            versions,
+            filters,
+            (rows) =>
+              writeChunk(
+                res,
+                rows
+                  .map((row) => toCells(row).map(csvCell).join(",") + "\r\n")
+                  .join("")
+              ),
+            clientGone
+          );
+        }
+
+        if (clientGone()) return;
+        return res.end();
+      }
+
+      res.setHeader(
+        "Content-Type",
+        "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+      );
+
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+        stream: res,
+        useStyles: true,
+      });
+      const sheet = workbook.addWorksheet("Submissions");
+      sheet.columns = columns.map((c) => ({
+        header: c.header,
+        key: c.key,
+        width: Math.min(Math.max(String(c.header).length + 2, 12), 40),
+      }));
+      sheet.getRow(1).font = { bold: true };
+      sheet.getRow(1).commit();
+
+      for (const version of versions) {
+        await forEachBatch(
+          version,
+          versions,
+          filters,
+          async (rows) => {
+            rows.forEach((row) => sheet.addRow(toCells(row)).commit());
+          },
+          clientGone
+        );
+      }
+      if (clientGone()) return;
+
+      sheet.commit();
+      await workbook.commit();
+    } catch (err) {
+      console.error("Export submissions error:", err);
+      if (res.headersSent) {
+        return res.destroy(err);
+      }
+      res.status(500).json({
+        success: false,
+        message: "Failed to export submissions",
+        details: err.message,
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,176 @@
+const express = require("express");
+const router = express.Router();
+const multer = require("multer");
+const pool = require("../../db");
+const auth = require("../../middleware/auth");
+const formAccess = require("../../middleware/formAccess");
+const { getFamilyId } = require("../../utils/checksheet/family");
+const {
+  ImportError,
+  readImportFile,
+  importRows,
+} = require("../../utils/checksheet/imports");
+
+// Import files are read in memory; same limit as template packages
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 50 * 1024 * 1024 },
+}).single("file");
+
+// ==============================
+// IMPORT SUBMISSIONS FROM CSV / XLSX
+// ==============================
+// Multipart upload: file (.csv or .xlsx, first row = headers), mapping
+// (JSON object of file column -> field instance_id / field_name,
+// "submitted_at" for the original date or "status", default completed),
+// optional sheet (XLSX name or 1-based position) and dry_run. Rows go into
+// the current version's table in one transaction: nothing is imported
+// unless every row is valid.
+// Without a mapping the answer lists the file columns and the fields.
+router.post(
+  "/templates/:id/submissions/import",
+  auth,
+  formAccess("edit"),
+  (req, res) => {
+    upload(req, res, async (err) => {
+      if (err) {
+        if (
+          err instanceof multer.MulterError &&
+          err.code === "LIMIT_FILE_SIZE"
+        ) {
+          return res.status(400).json({
+            success: false,
+            message: "Import file cannot exceed 50MB",
+          });
+        }
+        return res.status(400).json({
+          success: false,
+          message: "Failed to read upload",
+          details: err.message,
+        });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: "No file provided",
+        });
+      }
+
+      const dryRun = [true, "true", "1"].includes(req.body.dry_run);
+      const { user_id } = req.user;
+
+      const client = await pool.connect();
+      try {
+        const familyId = await getFamilyId(client, req.params.id);
+        const templateRes = familyId
+          ? await client.query(
+              `SELECT id, name, table_name, version, parent_template_id
+               FROM checksheet_templates
+               WHERE (id = $1 OR parent_template_id = $1) AND is_active = true
+               ORDER BY version DESC
+               LIMIT 1`,
+              [familyId]
+            )
+          : { rows: [] };
+        if (templateRes.rows.length === 0) {
+          return res.status(404).json({
+            success: false,
+            message: "Template not found or not active",
+          });
+        }
+        const template = templateRes.rows[0];
+
+        const fieldsRes = await client.query(
+          "SELECT * FROM template_fields WHERE template_id = $1 ORDER BY id",
+          [template.id]
+        );
+
+        const { headers, rows } = await readImportFile(req.file.buffer, {
+          sheet: req.body.sheet,
+        });
+
+        if (!req.body.mapping) {
+          return res.status(400).json({
+            success: false,
+            message: "mapping is required",
+            columns: headers,
+            fields: fieldsRes.rows
+              .filter((f) => f.field_type !== "calculation")
+              .map((f) => ({
+                instance_id: f.instance_id,
+                field_name: f.field_name,
+                label: f.label,
+                field_type: f.field_type,
+                required: f.required,
+              })),
+          });
+        }
+
+        await client.query("BEGIN");
+
+        const report = await importRows(client, {
+          template,
+          fields: fieldsRes.rows,
+          permissions: req.formPermissions,
+          headers,
+          rows,
+          mapping: req.body.mapping,
+          userId: user_id,
+          dryRun,
+        });
+
+        if (dryRun || report.errors_total > 0) {
+          await client.query("ROLLBACK");
+        } else {
+          await client.query("COMMIT");
+        }
+
+        if (report.errors_total > 0 && !dryRun) {
+          return res.status(422).json({
+            success: false,
+            template_id: template.id,
+            template_version: template.version,
+            report,
+            message: `${report.errors_total} error(s) found; nothing was imported`,
+          });
+        }
+
+        console.log(
+          `${dryRun ? "Checked" : "Imported"} ${
+            report.rows_imported
+          } row(s) into ${template.table_name}`
+        );
+
+        res.json({
+          success: report.errors_total === 0,
+          template_id: template.id,
+          template_version: template.version,
+          report,
+          message: dryRun
+            ? `Dry run: ${report.rows_imported} row(s) valid, ${report.errors_total} error(s)`
+            : `${report.rows_imported} row(s) imported`,
+        });
+      } catch (importErr) {
+        await client.query("ROLLBACK");
+        if (importErr instanceof ImportError) {
+          return res.status(400).json({
+            success: false,
+            message: importErr.message,
+            errors: importErr.errors,
+          });
+        }
+        console.error("Import submissions error:", importErr);
+        res.status(500).json({
+          success: false,
+          message: "Failed to import submissions",
+          details: importErr.message,
+        });
+      } finally {
+        client.release();
+      }
+    });
+  }
+);
+
+module.exports = router;
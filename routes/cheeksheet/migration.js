@@ -0,0 +1,152 @@
+const express = require("express");
+const router = express.Router();
+const pool = require("../../db");
+const auth = require("../../middleware/auth");
+const formAccess = require("../../middleware/formAccess");
+const { getFamilyId } = require("../../utils/checksheet/family");
+const {
+  MigrationError,
+  detectSchemaChanges,
+  plannedColumnTypes,
+  migrateVersionData,
+} = require("../../utils/checksheet/migration");
+
+// ==============================
+// MIGRATION DRY RUN
+// ==============================
+// Body: field_configurations (what would be saved) and conversions.
+// Reports how the current version's rows would be copied into a new version
+// without creating anything.
+router.post(
+  "/templates/:id/migration/preview",
+  auth,
+  formAccess("edit"),
+  async (req, res) => {
+    const { id } = req.params;
+    const { field_configurations, conversions } = req.body;
+
+    if (!field_configurations || typeof field_configurations !== "object") {
+      return res.status(400).json({
+        success: false,
+        message: "field_configurations is required",
+      });
+    }
+
+    try {
+      const templateRes = await pool.query(
+        "SELECT id, version, table_name FROM checksheet_templates WHERE id = $1",
+        [id]
+      );
+      if (templateRes.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: "Template not found",
+        });
+      }
+      const template = templateRes.rows[0];
+
+      const currentFieldsRes = await pool.query(
+        `SELECT field_name, field_type, instance_id
+         FROM template_fields
+         WHERE template_id = $1`,
+        [id]
+      );
+      const changes = detectSchemaChanges(
+        currentFieldsRes.rows,
+        field_configurations
+      );
+
+      const report = template.table_name
+        ? await migrateVersionData(pool, {
+            sourceTable: template.table_name,
+            targetTable: null,
+            targetColumns: plannedColumnTypes(field_configurations),
+            version: (template.version || 1) + 1,
+            oldFields: currentFieldsRes.rows,
+            newFields: field_configurations,
+            conversions,
+            dryRun: true,
+          })
+        : null;
+
+      res.json({
+        success: true,
+        template_id: template.id,
+        creates_new_version: changes.some((c) => c.breakingChange),
+        changes,
+        report,
+      });
+    } catch (err) {
+      if (err instanceof MigrationError) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid conversion rules",
+          details: err.message,
+        });
+      }
+      console.error("Migration preview error:", err);
+      res.status(500).json({
+        success: false,
+        message: "Failed to preview migration",
+        details: err.message,
+      });
+    }
+  }
+);
+
+// ==============================
+// MIGRATION REPORTS OF A TEMPLATE FAMILY
+// ==============================
+router.get(
+  "/templates/:id/migration-reports",
+  auth,
+  formAccess("view"),
+  async (req, res) => {
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit, 10) || 50, 1),
+      500
+    );
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    try {
+      const familyId = await getFamilyId(pool, req.params.id);
+      if (!familyId) {
+        return res.status(404).json({
+          success: false,
+          message: "Template not found",
+        });
+      }
+
+      const reportsRes = await pool.query(
+        `SELECT r.*, u.name AS created_by_name,
+                COUNT(*) OVER() AS total_count
+         FROM checksheet_migration_reports r
+         LEFT JOIN usermaster u ON u.user_id = r.created_by
+         WHERE r.family_id = $1
+         ORDER BY r.started_at DESC, r.id DESC
+         LIMIT $2 OFFSET $3`,
+        [familyId, limit, offset]
+      );
+
+      res.json({
+        success: true,
+        family_id: familyId,
+        reports: reportsRes.rows.map(({ total_count, ...row }) => row),
+        total: reportsRes.rows.length
+          ? parseInt(reportsRes.rows[0].total_count, 10)
+          : 0,
+        limit,
+        offset,
+      });
+    } catch (err) {
+      console.error("Get migration reports error:", err);
+      res.status(500).json({
+        success: false,
+        message: "Failed to get migration reports",
+        details: err.message,
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,207 @@
+const express = require("express");
+const router = express.Router();
+const multer = require("multer");
+const pool = require("../../db");
+const auth = require("../../middleware/auth");
+const formAccess = require("../../middleware/formAccess");
+const { syncReportView } = require("../../utils/checksheet/reporting");
+const { indexTemplate } = require("../../utils/checksheet/search");
+const {
+  PackageError,
+  buildTemplatePackage,
+  packageToZip,
+  parsePackageBuffer,
+  validatePackage,
+  importTemplatePackage,
+} = require("../../utils/checksheet/packages");
+
+// Packages are read in memory; same limit as the JSON body parser
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 50 * 1024 * 1024 },
+}).single("package");
+
+// Helper function: Safe file name for the download
+const packageFileName = (name, extension) =>
+  `${String(name || "template")
+    .replace(/[^A-Za-z0-9._-]+/g, "_")
+    .slice(0, 100)}.${extension}`;
+
+// ==============================
+// EXPORT TEMPLATE PACKAGE
+// ==============================
+// Query params: format = json (default) or zip
+router.get(
+  "/templates/:id/package",
+  auth,
+  formAccess("edit"),
+  async (req, res) => {
+    const { id } = req.params;
+    const format = req.query.format === "zip" ? "zip" : "json";
+
+    try {
+      const pkg = await buildTemplatePackage(pool, id);
+      if (!pkg) {
+        return res.status(404).json({
+          success: false,
+          message: "Template not found",
+        });
+      }
+
+      if (format === "zip") {
+        const buffer = await packageToZip(pkg);
+        res.setHeader("Content-Type", "application/zip");
+        res.setHeader(
+          "Content-Disposition",
+          `attachment; filename="${packageFileName(pkg.template.name, "zip")}"`
+        );
+        return res.send(buffer);
+      }
+
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${packageFileName(pkg.template.name, "json")}"`
+      );
+      res.json(pkg);
+    } catch (err) {
+      console.error("Export template package error:", err);
+      res.status(500).json({
+        success: false,
+        message: "Failed to export template package",
+        details: err.message,
+      });
+    }
+  }
+);
+
+// ==============================
+// IMPORT TEMPLATE PACKAGE
+// ==============================
+// Either a multipart upload (field "package", .json or .zip) or a JSON body
+// { package }. Optional name and folder_id; validate_only checks the
+// package without importing it.
+router.post("/templates/import", auth, (req, res) => {
+  upload(req, res, async (err) => {
+    if (err) {
+      if (err instanceof multer.MulterError && err.code === "LIMIT_FILE_SIZE") {
+        return res.status(400).json({
+          success: false,
+          message: "Package cannot exceed 50MB",
+        });
+      }
+      return res.status(400).json({
+        success: false,
+        message: "Failed to read upload",
+        details: err.message,
+      });
+    }
+
+    const { name } = req.body;
+    const folderId =
+      req.body.folder_id === undefined ||
+      req.body.folder_id === null ||
+      req.body.folder_id === "" ||
+      req.body.folder_id === "null"
+        ? null
+        : parseInt(req.body.folder_id, 10);
+    const validateOnly = [true, "true", "1"].includes(req.body.validate_only);
+
+    let pkg;
+    try {
+      if (req.file) {
+        pkg = await parsePackageBuffer(req.file.buffer);
+      } else if (typeof req.body.package === "string") {
+        pkg = await parsePackageBuffer(Buffer.from(req.body.package, "utf8"));
+      } else {
+        pkg = req.body.package;
+      }
+      if (!pkg) {
+        return res.status(400).json({
+          success: false,
+          message: "No package provided",
+        });
+      }
+      validatePackage(pkg);
+    } catch (parseErr) {
+      if (parseErr instanceof PackageError) {
+        return res.status(400).json({
+          success: false,
+          message: parseErr.message,
+          errors: parseErr.errors,
+        });
+      }
+      console.error("Read template package error:", parseErr);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to read template package",
+        details: parseErr.message,
+      });
+    }
+
+    if (Number.isNaN(folderId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid folder_id",
+      });
+    }
+
+    if (validateOnly) {
+      return res.json({
+        success: true,
+        valid: true,
+        name: pkg.template.name,
+        fields: pkg.fields.length,
+        images: (pkg.images || []).length,
+      });
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+
+      if (folderId !== null) {
+        const folderRes = await client.query(
+          "SELECT id FROM form_folders WHERE id = $1",
+          [folderId]
+        );
+        if (folderRes.rows.length === 0) {
+          await client.query("ROLLBACK");
+          return res.status(404).json({
+            success: false,
+            message: "Folder not found",
+          });
+        }
+      }
+
+      const imported = await importTemplatePackage(client, pkg, {
+        name,
+        folderId,
+      });
+
+      await syncReportView(client, imported.template_id);
+      await indexTemplate(client, imported.template_id);
+
+      await client.query("COMMIT");
+
+      res.json({
+        success: true,
+        ...imported,
+        version: 1,
+        source: pkg.source || null,
+        message: "Template imported successfully",
+      });
+    } catch (importErr) {
+      await client.query("ROLLBACK");
+      console.error("Import template package error:", importErr);
+      res.status(500).json({
+        success: false,
+        message: "Failed to import template package",
+        details: importErr.message,
+      });
+    } finally {
+      client.release();
+    }
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,214 @@
+const express = require("express");
+const router = express.Router();
+const puppeteer = require("puppeteer");
+const pool = require("../../db");
+const auth = require("../../middleware/auth");
+const formAccess = require("../../middleware/formAccess");
+const { renderTransactionHtml } = require("../../utils/checksheet/render");
+const {
+  loadImageData,
+  inlineAttachmentRefs,
+} = require("../../utils/checksheet/attachments");
+const {
+  getHiddenColumns,
+  stripColumns,
+} = require("../../utils/checksheet/permissions");
+
+// Helper function: Parse a JSON column that may already be an object
+const parseJson = (value, fallback) => {
+  if (!value) return fallback;
+  if (typeof value !== "string") return value;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return fallback;
+  }
+};
+
+// PDFs print in one shared browser, at most this many pages at a time
+// (CHECKSHEET_PDF_CONCURRENCY); further requests wait for a free slot
+const PDF_CONCURRENCY =
+  parseInt(process.env.CHECKSHEET_PDF_CONCURRENCY, 10) || 2;
+
+let browserPromise = null;
+let activePrints = 0;
+const waitingPrints = [];
+
+// Helper function: The shared headless browser, relaunched after a crash
+const getBrowser = () => {
+  if (!browserPromise) {
+    browserPromise = puppeteer
+      .launch({
+        headless: true,
+        args: ["--no-sandbox", "--disable-setuid-sandbox"],
+      })
+      .then((browser) => {
+        browser.on("disconnected", () => {
+          browserPromise = null;
+        });
+        return browser;
+      })
+      .catch((err) => {
+        browserPromise = null;
+        throw err;
+      });
+  }
+  return browserPromise;
+};
+
+// Helper function: Run `job` once a print slot is free. A finished job
+// hands its slot straight to the next waiting one.
+const withPrintSlot = async (job) => {
+  if (activePrints >= PDF_CONCURRENCY) {
+    await new Promise((resolve) => waitingPrints.push(resolve));
+  } else {
+    activePrints++;
+  }
+
+  try {
+    return await job();
+  } finally {
+    const next = waitingPrints.shift();
+    if (next) next();
+    else activePrints--;
+  }
+};
+
+// Helper function: Print HTML to PDF with the shared headless browser.
+// Scripts and outbound requests are disabled - images are already inlined.
+const htmlToPdf = (html, { format = "A4", landscape = false } = {}) =>
+  withPrintSlot(async () => {
+    const browser = await getBrowser();
+    const page = await browser.newPage();
+    try {
+      await page.setJavaScriptEnabled(false);
+      await page.setRequestInterception(true);
+      page.on("request", (request) => {
+        if (request.url().startsWith("data:")) request.continue();
+        else request.abort();
+      });
+
+      await page.setContent(html, { waitUntil: "load" });
+
+      const pdf = await page.pdf({
+        format,
+        landscape,
+        printBackground: true,
+        preferCSSPageSize: true,
+        margin: { top: "10mm", right: "10mm", bottom: "10mm", left: "10mm" },
+      });
+      return Buffer.from(pdf);
+    } finally {
+      await page.close().catch(() => {});
+    }
+  });
+
+// ==============================
+// PRINTABLE PDF OF A TRANSACTION
+// ==============================
+router.get(
+  "/transactions/:transaction_id/pdf",
+  auth,
+  formAccess("view"),
+  async (req, res) => {
+    const { transaction_id } = req.params;
+    const { template_id, format = "A4", landscape } = req.query;
+
+    if (!template_id) {
+      return res.status(400).json({
+        success: false,
+        message: "Template ID is required",
+      });
+    }
+
+    if (!["A4", "A3", "Letter", "Legal"].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: "Format must be A4, A3, Letter or Legal",
+      });
+    }
+
+    try {
+      const templateRes = await pool.query(
+        `SELECT id, name, version, table_name, html_content, css_content,
+              sheets, field_positions
+       FROM checksheet_templates WHERE id = $1`,
+        [template_id]
+      );
+
+      if (templateRes.rows.length === 0 || !templateRes.rows[0].table_name) {
+        return res.status(404).json({
+          success: false,
+          message: "Template not found",
+        });
+      }
+
+      const template = templateRes.rows[0];
+      template.sheets = parseJson(template.sheets, []);
+      template.field_positions = parseJson(template.field_positions, {});
+
+      const rowRes = await pool.query(
+        `SELECT * FROM "${template.table_name}" WHERE id = $1`,
+        [transaction_id]
+      );
+
+      if (rowRes.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: "Transaction not found",
+        });
+      }
+
+      const fieldsRes = await pool.query(
+        `SELECT * FROM template_fields WHERE template_id = $1 ORDER BY id`,
+        [template_id]
+      );
+
+      const imagesRes = await pool.query(
+        `SELECT id, mime_type, image_data, attachment_id
+         FROM template_images WHERE template_id = $1`,
+        [template_id]
+      );
+      await loadImageData(pool, imagesRes.rows);
+
+      // Fields the caller may not view print blank
+      const hidden = getHiddenColumns(fieldsRes.rows, req.formPermissions);
+
+      const html = renderTransactionHtml({
+        template,
+        fields: fieldsRes.rows,
+        row: await inlineAttachmentRefs(
+          pool,
+          stripColumns(rowRes.rows[0], hidden)
+        ),
+        images: imagesRes.rows,
+      });
+
+      const pdf = await htmlToPdf(html, {
+        format,
+        landscape: landscape === "true",
+      });
+
+      const baseName =
+        template.name.replace(/[^a-z0-9_-]+/gi, "_").replace(/^_+|_+$/g, "") ||
+        `template_${template.id}`;
+
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader("Content-Length", pdf.length);
+      res.setHeader(
+        "Content-Disposition",
+        `inline; filename="${baseName}_${transaction_id}.pdf"`
+      );
+      res.send(pdf);
+    } catch (err) {
+      console.error("Generate transaction PDF error:", err);
+      res.status(500).json({
+        success: false,
+        message: "Failed to generate PDF",
+        details: err.message,
+      });
+    }
+  }
+);
+
+module.exports = router;
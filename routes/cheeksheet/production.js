@@ -0,0 +1,162 @@
+const express = require("express");
+const router = express.Router();
+const pool = require("../../db");
+const auth = require("../../middleware/auth");
+const formAccess = require("../../middleware/formAccess");
+const { getFamilyId } = require("../../utils/checksheet/family");
+const {
+  PlanLinkError,
+  normalizeRequirements,
+} = require("../../utils/checksheet/production");
+
+// Helper function: Requirement rows of a family
+const getRequirements = async (client, familyId) => {
+  const res = await client.query(
+    `SELECT r.id, r.process_type, r.plan_id, r.is_mandatory, r.min_completed,
+            r.created_by, r.created_at, p.product_name AS plan_product_name
+     FROM checksheet_plan_requirements r
+     LEFT JOIN productionPlans p ON p.id = r.plan_id
+     WHERE r.template_id = $1
+     ORDER BY r.id`,
+    [familyId]
+  );
+  return res.rows;
+};
+
+// ==============================
+// PRODUCTION PLAN REQUIREMENTS OF A TEMPLATE FAMILY
+// ==============================
+router.get(
+  "/templates/:id/plan-requirements",
+  auth,
+  formAccess("view"),
+  async (req, res) => {
+    try {
+      const familyId = await getFamilyId(pool, req.params.id);
+      if (!familyId) {
+        return res.status(404).json({
+          success: false,
+          message: "Template not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        family_id: familyId,
+        requirements: await getRequirements(pool, familyId),
+      });
+    } catch (err) {
+      console.error("Get plan requirements error:", err);
+      res.status(500).json({
+        success: false,
+        message: "Failed to get plan requirements",
+        details: err.message,
+      });
+    }
+  }
+);
+
+// ==============================
+// REPLACE PRODUCTION PLAN REQUIREMENTS
+// ==============================
+// Body: requirements = [{ process_type | plan_id, is_mandatory (default
+// true), min_completed (default 1) }]. An empty list removes them all.
+router.put(
+  "/templates/:id/plan-requirements",
+  auth,
+  formAccess("edit"),
+  async (req, res) => {
+    const { user_id } = req.user;
+
+    let requirements;
+    try {
+      requirements = normalizeRequirements(req.body.requirements);
+    } catch (err) {
+      return res.status(400).json({
+        success: false,
+        message: err.message,
+      });
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+
+      const familyId = await getFamilyId(client, req.params.id);
+      if (!familyId) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({
+          success: false,
+          message: "Template not found",
+        });
+      }
+
+      const planIds = requirements
+        .map((r) => r.plan_id)
+        .filter((planId) => planId !== null);
+      if (planIds.length > 0) {
+        const plansRes = await client.query(
+          `SELECT id FROM productionPlans WHERE id = ANY($1)`,
+          [planIds]
+        );
+        const found = new Set(plansRes.rows.map((p) => p.id));
+        const unknown = planIds.filter((planId) => !found.has(planId));
+        if (unknown.length > 0) {
+          throw new PlanLinkError(
+            `Production plan(s) not found: ${unknown.join(", ")}`
+          );
+        }
+      }
+
+      await client.query(
+        "DELETE FROM checksheet_plan_requirements WHERE template_id = $1",
+        [familyId]
+      );
+      for (const requirement of requirements) {
+        await client.query(
+          `INSERT INTO checksheet_plan_requirements
+           (template_id, process_type, plan_id, is_mandatory, min_completed,
+            created_by)
+           VALUES ($1, $2, $3, $4, $5, $6)`,
+          [
+            familyId,
+            requirement.process_type,
+            requirement.plan_id,
+            requirement.is_mandatory,
+            requirement.min_completed,
+            user_id,
+          ]
+        );
+      }
+
+      const saved = await getRequirements(client, familyId);
+
+      await client.query("COMMIT");
+
+      res.json({
+        success: true,
+        family_id: familyId,
+        requirements: saved,
+        message: "Plan requirements saved successfully",
+      });
+    } catch (err) {
+      await client.query("ROLLBACK");
+      if (err instanceof PlanLinkError) {
+        return res.status(400).json({
+          success: false,
+          message: err.message,
+        });
+      }
+      console.error("Save plan requirements error:", err);
+      res.status(500).json({
+        success: false,
+        message: "Failed to save plan requirements",
+        details: err.message,
+      });
+    } finally {
+      client.release();
+    }
+  }
+);
+
+module.exports = router;
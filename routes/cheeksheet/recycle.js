@@ -0,0 +1,153 @@
+const express = require("express");
+const router = express.Router();
+const pool = require("../../db");
+const auth = require("../../middleware/auth");
+const isAdmin = require("../../middleware/isAdmin");
+const { getFamilyId } = require("../../utils/checksheet/family");
+const {
+  RETENTION_DAYS,
+  restoreFamily,
+  listRecycleBin,
+  purgeFamily,
+  purgeExpired,
+} = require("../../utils/checksheet/recycle");
+
+// Helper function: archive flag from the body or query
+const wantsArchive = (req) =>
+  [req.body && req.body.archive, req.query.archive].some(
+    (value) => value === true || value === "true"
+  );
+
+// ==============================
+// LIST RECYCLE BIN
+// ==============================
+router.get("/recycle-bin", auth, isAdmin, async (req, res) => {
+  try {
+    const templates = await listRecycleBin(pool);
+
+    res.json({
+      success: true,
+      retention_days: RETENTION_DAYS,
+      templates,
+    });
+  } catch (err) {
+    console.error("Get recycle bin error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to load recycle bin",
+      details: err.message,
+    });
+  }
+});
+
+// ==============================
+// RESTORE TEMPLATE
+// ==============================
+// :id is any version of the family
+router.post("/recycle-bin/:id/restore", auth, isAdmin, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const familyId = await getFamilyId(client, req.params.id);
+    const versionIds = familyId ? await restoreFamily(client, familyId) : [];
+    if (versionIds.length === 0) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({
+        success: false,
+        message: "Template not found in the recycle bin",
+      });
+    }
+
+    await client.query("COMMIT");
+
+    res.json({
+      success: true,
+      family_id: familyId,
+      versions_restored: versionIds.length,
+      message: "Template restored",
+    });
+  } catch (err) {
+    await client.query("ROLLBACK");
+    console.error("Restore template error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to restore template",
+      details: err.message,
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// ==============================
+// PURGE EXPIRED TEMPLATES
+// ==============================
+// Permanently deletes every family that has been in the bin for the
+// retention period. Body: archive (write an archive dump of each first).
+router.post("/recycle-bin/purge", auth, isAdmin, async (req, res) => {
+  try {
+    const report = await purgeExpired(pool, { archive: wantsArchive(req) });
+
+    res.json({
+      success: report.errors.length === 0,
+      report,
+      message:
+        report.errors.length === 0
+          ? `${report.purged.length} template(s) purged`
+          : "Purge finished with errors",
+    });
+  } catch (err) {
+    console.error("Purge recycle bin error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to purge recycle bin",
+      details: err.message,
+    });
+  }
+});
+
+// ==============================
+// PURGE ONE TEMPLATE
+// ==============================
+// Only once its retention period is over. archive=true (body or query)
+// writes an archive dump first.
+router.delete("/recycle-bin/:id", auth, isAdmin, async (req, res) => {
+  try {
+    const familyId = await getFamilyId(pool, req.params.id);
+    const result = familyId
+      ? await purgeFamily(pool, familyId, { archive: wantsArchive(req) })
+      : null;
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: "Template not found in the recycle bin",
+      });
+    }
+    if (!result.purged) {
+      return res.status(409).json({
+        success: false,
+        message: `Template can be purged after ${RETENTION_DAYS} day(s) in the recycle bin`,
+        purge_after: result.family.purge_after,
+      });
+    }
+
+    res.json({
+      success: true,
+      family_id: familyId,
+      versions_deleted: result.versions_deleted,
+      archive: result.archive,
+      message: "Template permanently deleted",
+    });
+  } catch (err) {
+    console.error("Purge template error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to purge template",
+      details: err.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,113 @@
+const express = require("express");
+const router = express.Router();
+const pool = require("../../db");
+const auth = require("../../middleware/auth");
+const formAccess = require("../../middleware/formAccess");
+const { getFamilyId } = require("../../utils/checksheet/family");
+const {
+  reportViewName,
+  rebuildReportView,
+} = require("../../utils/checksheet/reporting");
+
+// ==============================
+// FAMILY REPORTING VIEW
+// ==============================
+router.get(
+  "/templates/:id/report-view",
+  auth,
+  formAccess("view"),
+  async (req, res) => {
+    const { id } = req.params;
+
+    try {
+      const familyId = await getFamilyId(pool, id);
+      if (!familyId) {
+        return res.status(404).json({
+          success: false,
+          message: "Template not found",
+        });
+      }
+
+      const viewName = reportViewName(familyId);
+      const columnsRes = await pool.query(
+        `SELECT column_name, data_type
+       FROM information_schema.columns
+       WHERE table_name = $1
+       ORDER BY ordinal_position`,
+        [viewName]
+      );
+
+      res.json({
+        success: true,
+        family_id: familyId,
+        view_name: viewName,
+        exists: columnsRes.rows.length > 0,
+        columns: columnsRes.rows.map((c) => ({
+          name: c.column_name,
+          type: c.data_type,
+        })),
+      });
+    } catch (err) {
+      console.error("Get report view error:", err);
+      res.status(500).json({
+        success: false,
+        message: "Failed to get report view",
+        details: err.message,
+      });
+    }
+  }
+);
+
+// Rebuild on demand (e.g. after a manual schema change or a failed
+// automatic rebuild)
+router.post(
+  "/templates/:id/report-view/refresh",
+  auth,
+  formAccess("edit"),
+  async (req, res) => {
+    const { id } = req.params;
+
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+
+      const familyId = await getFamilyId(client, id);
+      if (!familyId) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({
+          success: false,
+          message: "Template not found",
+        });
+      }
+
+      const view = await rebuildReportView(client, familyId);
+
+      await client.query("COMMIT");
+
+      if (!view) {
+        return res.status(404).json({
+          success: false,
+          message: "Template has no submission tables",
+        });
+      }
+
+      res.json({
+        success: true,
+        family_id: familyId,
+        ...view,
+      });
+    } catch (err) {
+      await client.query("ROLLBACK");
+      console.error("Refresh report view error:", err);
+      res.status(500).json({
+        success: false,
+        message: "Failed to refresh report view",
+        details: err.message,
+      });
+    } finally {
+      client.release();
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,363 @@
+const express = require("express");
+const router = express.Router();
+const pool = require("../../db");
+const auth = require("../../middleware/auth");
+const isAdmin = require("../../middleware/isAdmin");
+const formAccess = require("../../middleware/formAccess");
+const { getFamilyId } = require("../../utils/checksheet/family");
+const {
+  DEFAULT_HOLD_DAYS,
+  normalizePolicy,
+  runPolicy,
+  restoreRange,
+  runRetentionTick,
+} = require("../../utils/checksheet/retention");
+
+// Archive batches listed with the policy
+const BATCH_LIST_LIMIT = 100;
+
+// Helper function: Resolve :id to its family or answer 404
+const resolveFamily = async (req, res) => {
+  const familyId = await getFamilyId(pool, req.params.id);
+  if (!familyId) {
+    res.status(404).json({
+      success: false,
+      message: "Template not found",
+    });
+  }
+  return familyId;
+};
+
+// Helper function: Policy of a family (or null)
+const getPolicy = async (client, familyId) => {
+  const res = await client.query(
+    "SELECT * FROM checksheet_retention_policies WHERE template_id = $1",
+    [familyId]
+  );
+  return res.rows[0] || null;
+};
+
+// ==============================
+// RETENTION POLICY OF A TEMPLATE FAMILY
+// ==============================
+// With the latest archive batches, their totals and the restore holds
+router.get(
+  "/templates/:id/retention",
+  auth,
+  formAccess("view"),
+  async (req, res) => {
+    try {
+      const familyId = await resolveFamily(req, res);
+      if (!familyId) return;
+
+      const batchesRes = await pool.query(
+        `SELECT id, template_id, table_name, mode, archive_table, file_path,
+                file_size, cutoff, row_count, first_id, last_id, from_date,
+                to_date, status, restored_count, restored_at, created_at
+         FROM checksheet_archive_batches
+         WHERE family_id = $1
+         ORDER BY id DESC
+         LIMIT $2`,
+        [familyId, BATCH_LIST_LIMIT]
+      );
+      const totalsRes = await pool.query(
+        `SELECT COUNT(*) AS batches,
+                COALESCE(SUM(row_count - restored_count), 0) AS archived_rows,
+                MIN(from_date) AS from_date, MAX(to_date) AS to_date
+         FROM checksheet_archive_batches
+         WHERE family_id = $1 AND status <> 'restored'`,
+        [familyId]
+      );
+      const holdsRes = await pool.query(
+        `SELECT h.*, u.name AS created_by_name,
+                h.hold_until > NOW() AS is_active
+         FROM checksheet_archive_holds h
+         LEFT JOIN usermaster u ON u.user_id = h.created_by
+         WHERE h.family_id = $1
+         ORDER BY h.id DESC`,
+        [familyId]
+      );
+
+      const totals = totalsRes.rows[0];
+      res.json({
+        success: true,
+        family_id: familyId,
+        policy: await getPolicy(pool, familyId),
+        archived: {
+          batches: parseInt(totals.batches, 10),
+          rows: parseInt(totals.archived_rows, 10),
+          from_date: totals.from_date,
+          to_date: totals.to_date,
+        },
+        batches: batchesRes.rows,
+        holds: holdsRes.rows,
+      });
+    } catch (err) {
+      console.error("Get retention policy error:", err);
+      res.status(500).json({
+        success: false,
+        message: "Failed to get retention policy",
+        details: err.message,
+      });
+    }
+  }
+);
+
+// ==============================
+// SAVE RETENTION POLICY
+// ==============================
+// Body: keep_years, keep_months, keep_days (rows stay online that long
+// after submitted_at), mode ("table" | "file"), is_active
+router.put(
+  "/templates/:id/retention",
+  auth,
+  formAccess("edit"),
+  async (req, res) => {
+    let policy;
+    try {
+      policy = normalizePolicy(req.body);
+    } catch (err) {
+      return res.status(400).json({
+        success: false,
+        message: err.message,
+      });
+    }
+
+    try {
+      const familyId = await resolveFamily(req, res);
+      if (!familyId) return;
+
+      const saved = await pool.query(
+        `INSERT INTO checksheet_retention_policies
+         (template_id, keep_years, keep_months, keep_days, mode, is_active,
+          created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         ON CONFLICT (template_id) DO UPDATE
+         SET keep_years = EXCLUDED.keep_years,
+             keep_months = EXCLUDED.keep_months,
+             keep_days = EXCLUDED.keep_days,
+             mode = EXCLUDED.mode,
+             is_active = EXCLUDED.is_active,
+             updated_at = NOW()
+         RETURNING *`,
+        [
+          familyId,
+          policy.keep_years,
+          policy.keep_months,
+          policy.keep_days,
+          policy.mode,
+          policy.is_active,
+          req.user.user_id,
+        ]
+      );
+
+      res.json({
+        success: true,
+        policy: saved.rows[0],
+        message: "Retention policy saved",
+      });
+    } catch (err) {
+      console.error("Save retention policy error:", err);
+      res.status(500).json({
+        success: false,
+        message: "Failed to save retention policy",
+        details: err.message,
+      });
+    }
+  }
+);
+
+// ==============================
+// DELETE RETENTION POLICY
+// ==============================
+// Rows already archived stay archived
+router.delete(
+  "/templates/:id/retention",
+  auth,
+  formAccess("edit"),
+  async (req, res) => {
+    try {
+      const familyId = await resolveFamily(req, res);
+      if (!familyId) return;
+
+      const deleted = await pool.query(
+        "DELETE FROM checksheet_retention_policies WHERE template_id = $1",
+        [familyId]
+      );
+      if (deleted.rowCount === 0) {
+        return res.status(404).json({
+          success: false,
+          message: "Retention policy not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Retention policy deleted",
+      });
+    } catch (err) {
+      console.error("Delete retention policy error:", err);
+      res.status(500).json({
+        success: false,
+        message: "Failed to delete retention policy",
+        details: err.message,
+      });
+    }
+  }
+);
+
+// ==============================
+// RUN RETENTION POLICY NOW
+// ==============================
+router.post("/templates/:id/retention/run", auth, isAdmin, async (req, res) => {
+  try {
+    const familyId = await resolveFamily(req, res);
+    if (!familyId) return;
+
+    const policy = await getPolicy(pool, familyId);
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: "Retention policy not found",
+      });
+    }
+
+    const report = await runPolicy(policy);
+
+    res.json({
+      success: !report.error,
+      report,
+      message: report.error
+        ? "Archiving finished with errors"
+        : `${report.rows} row(s) archived`,
+    });
+  } catch (err) {
+    console.error("Run retention policy error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to run retention policy",
+      details: err.message,
+    });
+  }
+});
+
+// ==============================
+// RESTORE ARCHIVED RANGE
+// ==============================
+// Body: from, to (submitted_at range), hold_days (default 30: the job
+// leaves the restored range online that long), reason
+router.post(
+  "/templates/:id/retention/restore",
+  auth,
+  isAdmin,
+  async (req, res) => {
+    const { from, to, reason } = req.body;
+    const holdDays =
+      req.body.hold_days !== undefined
+        ? Number(req.body.hold_days)
+        : DEFAULT_HOLD_DAYS;
+
+    if (!from || !to) {
+      return res.status(400).json({
+        success: false,
+        message: "from and to are required",
+      });
+    }
+    if (
+      Number.isNaN(new Date(from).getTime()) ||
+      Number.isNaN(new Date(to).getTime())
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "from and to must be dates",
+      });
+    }
+    if (new Date(from) > new Date(to)) {
+      return res.status(400).json({
+        success: false,
+        message: "from must be before to",
+      });
+    }
+    if (!Number.isInteger(holdDays) || holdDays < 1) {
+      return res.status(400).json({
+        success: false,
+        message: "hold_days must be a whole number of at least 1",
+      });
+    }
+
+    const client = await pool.connect();
+    try {
+      const familyId = await resolveFamily(req, res);
+      if (!familyId) return;
+
+      await client.query("BEGIN");
+
+      const report = await restoreRange(client, familyId, {
+        from,
+        to,
+        holdDays,
+        reason: reason || null,
+        userId: req.user.user_id,
+      });
+
+      await client.query("COMMIT");
+
+      res.json({
+        success: report.batches.every((b) => !b.error),
+        report,
+        message: `${report.rows} row(s) restored`,
+      });
+    } catch (err) {
+      await client.query("ROLLBACK");
+      console.error("Restore archived rows error:", err);
+      res.status(500).json({
+        success: false,
+        message: "Failed to restore archived rows",
+        details: err.message,
+      });
+    } finally {
+      client.release();
+    }
+  }
+);
+
+// ==============================
+// RELEASE RESTORE HOLD
+// ==============================
+// The job archives the range again on its next run
+router.delete("/retention/holds/:holdId", auth, isAdmin, async (req, res) => {
+  try {
+    const released = await pool.query(
+      `UPDATE checksheet_archive_holds SET hold_until = NOW()
+       WHERE id = $1 AND hold_until > NOW()
+       RETURNING *`,
+      [req.params.holdId]
+    );
+    if (released.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "Active hold not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      hold: released.rows[0],
+      message: "Hold released",
+    });
+  } catch (err) {
+    console.error("Release hold error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to release hold",
+      details: err.message,
+    });
+  }
+});
+
+// Move rows past their retention period to the archive
+if (!process.env.CHECKSHEET_RETENTION_DISABLED) {
+  setInterval(runRetentionTick, 60 * 60 * 1000); // Every hour
+}
+
+module.exports = router;
@@ -0,0 +1,542 @@
+const express = require("express");
+const router = express.Router();
+const pool = require("../../db");
+const auth = require("../../middleware/auth");
+const formAccess = require("../../middleware/formAccess");
+const { getFamilyId } = require("../../utils/checksheet/family");
+const {
+  getViewableTemplateIds,
+} = require("../../utils/checksheet/permissions");
+const {
+  ScheduleError,
+  normalizeSchedule,
+  normalizeAssignees,
+  regenerateInspections,
+  runSchedulerTick,
+} = require("../../utils/checksheet/schedules");
+
+const INSPECTION_STATUSES = ["pending", "overdue", "completed", "missed"];
+
+// Helper function: Schedules of a family with their assignees
+const getSchedules = async (client, familyId, scheduleId = null) => {
+  const schedulesRes = await client.query(
+    `SELECT s.*, u.name AS created_by_name
+     FROM checksheet_schedules s
+     LEFT JOIN usermaster u ON u.user_id = s.created_by
+     WHERE s.template_id = $1 AND ($2::INTEGER IS NULL OR s.id = $2)
+     ORDER BY s.id`,
+    [familyId, scheduleId]
+  );
+  if (schedulesRes.rows.length === 0) return [];
+
+  const assigneesRes = await client.query(
+    `SELECT a.schedule_id, a.user_id, u.name AS user_name,
+            a.group_id, g.group_name
+     FROM checksheet_schedule_assignees a
+     LEFT JOIN usermaster u ON u.user_id = a.user_id
+     LEFT JOIN user_groups g ON g.group_id = a.group_id
+     WHERE a.schedule_id = ANY($1)
+     ORDER BY a.id`,
+    [schedulesRes.rows.map((s) => s.id)]
+  );
+
+  return schedulesRes.rows.map((schedule) => ({
+    ...schedule,
+    assignees: assigneesRes.rows
+      .filter((a) => a.schedule_id === schedule.id)
+      .map(({ schedule_id, ...assignee }) => assignee),
+  }));
+};
+
+// Helper function: Replace a schedule's assignees
+const saveAssignees = async (client, scheduleId, assignees) => {
+  await client.query(
+    "DELETE FROM checksheet_schedule_assignees WHERE schedule_id = $1",
+    [scheduleId]
+  );
+  for (const assignee of assignees) {
+    await client.query(
+      `INSERT INTO checksheet_schedule_assignees (schedule_id, user_id, group_id)
+       VALUES ($1, $2, $3)`,
+      [scheduleId, assignee.user_id, assignee.group_id]
+    );
+  }
+};
+
+// Helper function: Answer a ScheduleError with 400, anything else with 500
+const sendScheduleError = (res, err, label, message) => {
+  if (err instanceof ScheduleError) {
+    return res.status(400).json({
+      success: false,
+      message: err.message,
+    });
+  }
+  console.error(`${label} error:`, err);
+  res.status(500).json({
+    success: false,
+    message,
+    details: err.message,
+  });
+};
+
+// ==============================
+// LIST SCHEDULES OF A TEMPLATE FAMILY
+// ==============================
+router.get(
+  "/templates/:id/schedules",
+  auth,
+  formAccess("view"),
+  async (req, res) => {
+    try {
+      const familyId = await getFamilyId(pool, req.params.id);
+      if (!familyId) {
+        return res.status(404).json({
+          success: false,
+          message: "Template not found",
+        });
+      }
+
+      const schedules = await getSchedules(pool, familyId);
+
+      res.json({
+        success: true,
+        family_id: familyId,
+        schedules,
+      });
+    } catch (err) {
+      sendScheduleError(res, err, "Get schedules", "Failed to get schedules");
+    }
+  }
+);
+
+// ==============================
+// CREATE SCHEDULE
+// ==============================
+// Body: frequency (shift | daily | weekly | cron), shifts, time,
+// days_of_week, cron, duration_minutes, grace_minutes, reminder_minutes,
+// starts_on, ends_on, is_active, name and assignees
+// ([{ user_id } | { group_id }]; none = anyone with access)
+router.post(
+  "/templates/:id/schedules",
+  auth,
+  formAccess("edit"),
+  async (req, res) => {
+    const { user_id } = req.user;
+
+    let schedule;
+    let assignees;
+    try {
+      schedule = normalizeSchedule(req.body);
+      assignees = normalizeAssignees(req.body.assignees);
+    } catch (err) {
+      return sendScheduleError(
+        res,
+        err,
+        "Validate schedule",
+        "Failed to create schedule"
+      );
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+
+      const familyId = await getFamilyId(client, req.params.id);
+      if (!familyId) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({
+          success: false,
+          message: "Template not found",
+        });
+      }
+
+      const insertRes = await client.query(
+        `INSERT INTO checksheet_schedules
+         (template_id, name, frequency, shifts, time, days_of_week, cron,
+          duration_minutes, grace_minutes, reminder_minutes, starts_on,
+          ends_on, is_active, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+         RETURNING *`,
+        [
+          familyId,
+          schedule.name,
+          schedule.frequency,
+          schedule.shifts ? JSON.stringify(schedule.shifts) : null,
+          schedule.time,
+          schedule.days_of_week ? JSON.stringify(schedule.days_of_week) : null,
+          schedule.cron,
+          schedule.duration_minutes,
+          schedule.grace_minutes,
+          schedule.reminder_minutes,
+          schedule.starts_on,
+          schedule.ends_on,
+          schedule.is_active,
+          user_id,
+        ]
+      );
+      const created = insertRes.rows[0];
+
+      await saveAssignees(client, created.id, assignees);
+      const generated = await regenerateInspections(client, created);
+
+      await client.query("COMMIT");
+
+      const [saved] = await getSchedules(pool, familyId, created.id);
+      res.json({
+        success: true,
+        schedule: saved,
+        generated,
+        message: "Schedule created successfully",
+      });
+    } catch (err) {
+      await client.query("ROLLBACK");
+      sendScheduleError(
+        res,
+        err,
+        "Create schedule",
+        "Failed to create schedule"
+      );
+    } finally {
+      client.release();
+    }
+  }
+);
+
+// ==============================
+// UPDATE SCHEDULE
+// ==============================
+// Same body as create; omitted settings keep their value and assignees are
+// only replaced when given. Future instances nobody has started are
+// generated again.
+router.put(
+  "/templates/:id/schedules/:scheduleId",
+  auth,
+  formAccess("edit"),
+  async (req, res) => {
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+
+      const familyId = await getFamilyId(client, req.params.id);
+      const existingRes = await client.query(
+        `SELECT * FROM checksheet_schedules
+         WHERE id = $1 AND template_id = $2
+         FOR UPDATE`,
+        [req.params.scheduleId, familyId]
+      );
+      if (existingRes.rows.length === 0) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({
+          success: false,
+          message: "Schedule not found",
+        });
+      }
+
+      const schedule = normalizeSchedule({
+        ...existingRes.rows[0],
+        ...req.body,
+      });
+      const assignees =
+        req.body.assignees !== undefined
+          ? normalizeAssignees(req.body.assignees)
+          : null;
+
+      const updateRes = await client.query(
+        `UPDATE checksheet_schedules
+         SET name = $2, frequency = $3, shifts = $4, time = $5,
+             days_of_week = $6, cron = $7, duration_minutes = $8,
+             grace_minutes = $9, reminder_minutes = $10, starts_on = $11,
+             ends_on = $12, is_active = $13, updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [
+          existingRes.rows[0].id,
+          schedule.name,
+          schedule.frequency,
+          schedule.shifts ? JSON.stringify(schedule.shifts) : null,
+          schedule.time,
+          schedule.days_of_week ? JSON.stringify(schedule.days_of_week) : null,
+          schedule.cron,
+          schedule.duration_minutes,
+          schedule.grace_minutes,
+          schedule.reminder_minutes,
+          schedule.starts_on,
+          schedule.ends_on,
+          schedule.is_active,
+        ]
+      );
+      const updated = updateRes.rows[0];
+
+      if (assignees) await saveAssignees(client, updated.id, assignees);
+      const generated = await regenerateInspections(client, updated);
+
+      await client.query("COMMIT");
+
+      const [saved] = await getSchedules(pool, familyId, updated.id);
+      res.json({
+        success: true,
+        schedule: saved,
+        generated,
+        message: "Schedule updated successfully",
+      });
+    } catch (err) {
+      await client.query("ROLLBACK");
+      sendScheduleError(
+        res,
+        err,
+        "Update schedule",
+        "Failed to update schedule"
+      );
+    } finally {
+      client.release();
+    }
+  }
+);
+
+// ==============================
+// DELETE SCHEDULE
+// ==============================
+// Removes the schedule and its inspection history; set is_active = false
+// instead to stop it but keep the history.
+router.delete(
+  "/templates/:id/schedules/:scheduleId",
+  auth,
+  formAccess("edit"),
+  async (req, res) => {
+    try {
+      const familyId = await getFamilyId(pool, req.params.id);
+      const deleteRes = await pool.query(
+        `DELETE FROM checksheet_schedules
+         WHERE id = $1 AND template_id = $2
+         RETURNING id`,
+        [req.params.scheduleId, familyId]
+      );
+      if (deleteRes.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: "Schedule not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Schedule deleted successfully",
+      });
+    } catch (err) {
+      sendScheduleError(
+        res,
+        err,
+        "Delete schedule",
+        "Failed to delete schedule"
+      );
+    }
+  }
+);
+
+// ==============================
+// LIST INSPECTIONS (ALL TEMPLATES)
+// ==============================
+// Query params: status (pending | overdue | completed | missed),
+// template_id, from / to (due date range), assigned_to = me, limit, offset.
+// Overdue = pending and past due but still within the grace period.
+router.get("/inspections", auth, formAccess("view"), async (req, res) => {
+  const { user_id } = req.user;
+  const { status, template_id, from, to, assigned_to } = req.query;
+  const limit = Math.min(
+    Math.max(parseInt(req.query.limit, 10) || 100, 1),
+    1000
+  );
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+  if (status && !INSPECTION_STATUSES.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      message: `status must be one of: ${INSPECTION_STATUSES.join(", ")}`,
+    });
+  }
+
+  try {
+    let familyId = null;
+    if (template_id) {
+      familyId = await getFamilyId(pool, template_id);
+      if (!familyId) {
+        return res.status(404).json({
+          success: false,
+          message: "Template not found",
+        });
+      }
+    }
+
+    // Only forms the caller may view
+    const familiesRes = await pool.query(
+      "SELECT DISTINCT template_id FROM checksheet_schedules"
+    );
+    const viewable = await getViewableTemplateIds(
+      pool,
+      req.checksheetUser,
+      familiesRes.rows.map((r) => r.template_id)
+    );
+
+    const conditions = ["i.template_id = ANY($1)", "ct.deleted_at IS NULL"];
+    const params = [[...viewable]];
+
+    if (familyId) {
+      params.push(familyId);
+      conditions.push(`i.template_id = $${params.length}`);
+    }
+    if (status === "overdue") {
+      conditions.push("i.status = 'pending' AND i.due_at < NOW()");
+    } else if (status) {
+      params.push(status);
+      conditions.push(`i.status = $${params.length}`);
+    }
+    if (from) {
+      params.push(from);
+      conditions.push(`i.due_at >= $${params.length}`);
+    }
+    if (to) {
+      params.push(to);
+      conditions.push(`i.due_at <= $${params.length}`);
+    }
+    if (assigned_to === "me") {
+      params.push(user_id);
+      conditions.push(`EXISTS (
+        SELECT 1 FROM checksheet_schedule_assignees a
+        LEFT JOIN user_group_memberships m ON m.group_id = a.group_id
+        WHERE a.schedule_id = i.schedule_id
+          AND (a.user_id = $${params.length} OR m.user_id = $${params.length})
+      )`);
+    }
+
+    params.push(limit, offset);
+    const inspectionsRes = await pool.query(
+      `SELECT i.*, s.name AS schedule_name, s.frequency, s.grace_minutes,
+              ct.name AS template_name,
+              (i.status = 'pending' AND i.due_at < NOW()) AS is_overdue,
+              (i.status = 'completed' AND i.completed_at > i.due_at) AS is_late,
+              u.name AS completed_by_name,
+              COUNT(*) OVER() AS total_count
+       FROM checksheet_inspections i
+       JOIN checksheet_schedules s ON s.id = i.schedule_id
+       JOIN checksheet_templates ct ON ct.id = i.template_id
+       LEFT JOIN usermaster u ON u.user_id = i.completed_by
+       WHERE ${conditions.join(" AND ")}
+       ORDER BY i.due_at DESC, i.id DESC
+       LIMIT $${params.length - 1} OFFSET $${params.length}`,
+      params
+    );
+
+    res.json({
+      success: true,
+      inspections: inspectionsRes.rows.map(({ total_count, ...row }) => row),
+      total: inspectionsRes.rows.length
+        ? parseInt(inspectionsRes.rows[0].total_count, 10)
+        : 0,
+    });
+  } catch (err) {
+    sendScheduleError(res, err, "Get inspections", "Failed to get inspections");
+  }
+});
+
+// ==============================
+// INSPECTION COMPLIANCE REPORT OF A TEMPLATE FAMILY
+// ==============================
+// Query params: from / to (due date range, default the last 30 days)
+router.get(
+  "/templates/:id/inspections/report",
+  auth,
+  formAccess("view"),
+  async (req, res) => {
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from
+      ? new Date(req.query.from)
+      : new Date(to.getTime() - 30 * 24 * 3600 * 1000);
+
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid from or to date",
+      });
+    }
+
+    try {
+      const familyId = await getFamilyId(pool, req.params.id);
+      if (!familyId) {
+        return res.status(404).json({
+          success: false,
+          message: "Template not found",
+        });
+      }
+
+      const countsRes = await pool.query(
+        `SELECT i.schedule_id, s.name AS schedule_name, i.shift_name,
+                COUNT(*) AS total,
+                COUNT(*) FILTER (WHERE i.status = 'completed') AS completed,
+                COUNT(*) FILTER (
+                  WHERE i.status = 'completed' AND i.completed_at > i.due_at
+                ) AS late,
+                COUNT(*) FILTER (WHERE i.status = 'missed') AS missed,
+                COUNT(*) FILTER (
+                  WHERE i.status = 'pending' AND i.due_at < NOW()
+                ) AS overdue,
+                COUNT(*) FILTER (
+                  WHERE i.status = 'pending' AND i.due_at >= NOW()
+                ) AS upcoming
+         FROM checksheet_inspections i
+         JOIN checksheet_schedules s ON s.id = i.schedule_id
+         WHERE i.template_id = $1 AND i.due_at BETWEEN $2 AND $3
+         GROUP BY i.schedule_id, s.name, i.shift_name
+         ORDER BY i.schedule_id, i.shift_name`,
+        [familyId, from, to]
+      );
+
+      const summarize = (rows) => {
+        const sum = (key) =>
+          rows.reduce((total, row) => total + parseInt(row[key], 10), 0);
+        const completed = sum("completed");
+        const missed = sum("missed");
+        return {
+          total: sum("total"),
+          completed,
+          late: sum("late"),
+          missed,
+          overdue: sum("overdue"),
+          upcoming: sum("upcoming"),
+          // Share of closed inspections that were done
+          compliance:
+            completed + missed > 0
+              ? Math.round((completed / (completed + missed)) * 10000) / 100
+              : null,
+        };
+      };
+
+      res.json({
+        success: true,
+        family_id: familyId,
+        from,
+        to,
+        summary: summarize(countsRes.rows),
+        by_schedule: countsRes.rows.map((row) => ({
+          schedule_id: row.schedule_id,
+          schedule_name: row.schedule_name,
+          shift_name: row.shift_name,
+          ...summarize([row]),
+        })),
+      });
+    } catch (err) {
+      sendScheduleError(
+        res,
+        err,
+        "Inspection report",
+        "Failed to get inspection report"
+      );
+    }
+  }
+);
+
+// Generate upcoming inspections, mark missed ones and send reminders
+if (!process.env.CHECKSHEET_SCHEDULER_DISABLED) {
+  setInterval(runSchedulerTick, 5 * 60 * 1000); // Every 5 minutes
+}
+
+module.exports = router;
@@ -0,0 +1,190 @@
+const express = require("express");
+const router = express.Router();
+const pool = require("../../db");
+const auth = require("../../middleware/auth");
+const isAdmin = require("../../middleware/isAdmin");
+const formAccess = require("../../middleware/formAccess");
+const { getFamilyId } = require("../../utils/checksheet/family");
+const {
+  getFormPermissions,
+  getViewableTemplateIds,
+} = require("../../utils/checksheet/permissions");
+const { appLink } = require("../../utils/checksheet/mail");
+const {
+  searchDocuments,
+  reindexSearch,
+} = require("../../utils/checksheet/search");
+
+const MAX_LIMIT = 100;
+
+// Helper function: Instance ids of fields the caller can't view, for the
+// templates of `templateIds` that restrict any field
+const getHiddenFields = async (client, access, templateIds) => {
+  if (access.isAdmin || templateIds.length === 0) return {};
+
+  const restrictedRes = await client.query(
+    `SELECT DISTINCT ct.id
+     FROM checksheet_templates ct
+     JOIN checksheet_templates member
+       ON member.id = COALESCE(ct.parent_template_id, ct.id)
+       OR member.parent_template_id = COALESCE(ct.parent_template_id, ct.id)
+     JOIN field_permissions fp ON fp.form_id = member.id
+     WHERE ct.id = ANY($1)`,
+    [templateIds]
+  );
+
+  const hidden = {};
+  for (const { id } of restrictedRes.rows) {
+    const permissions = await getFormPermissions(client, access, id);
+    const fields = Object.entries((permissions && permissions.fields) || {})
+      .filter(([, permission]) => !permission.can_view)
+      .map(([instanceId]) => instanceId);
+    if (fields.length) hidden[id] = fields;
+  }
+  return hidden;
+};
+
+// ==============================
+// SEARCH TEMPLATES AND TRANSACTIONS
+// ==============================
+// Query: q (web search syntax: words, "phrases", OR, -word), folder_id
+// (includes subfolders), template_id (any version of the family), from/to
+// (submitted_at), status (comma separated), type (template | transaction),
+// limit (max 100), offset. Hits are ranked (template name above field
+// values); title and snippet are HTML with matches in <mark>.
+router.get("/search", auth, formAccess("view"), async (req, res) => {
+  const { q, folder_id, template_id, from, to, status, type } = req.query;
+  const limit = Math.min(
+    Math.max(parseInt(req.query.limit, 10) || 20, 1),
+    MAX_LIMIT
+  );
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+  if (!q || !String(q).trim()) {
+    return res.status(400).json({
+      success: false,
+      message: "q is required",
+    });
+  }
+  if (type && !["template", "transaction"].includes(type)) {
+    return res.status(400).json({
+      success: false,
+      message: "type must be template or transaction",
+    });
+  }
+
+  try {
+    let familyId = null;
+    if (template_id) {
+      familyId = await getFamilyId(pool, template_id);
+      if (!familyId) {
+        return res.status(404).json({
+          success: false,
+          message: "Template not found",
+        });
+      }
+    }
+
+    // Only forms the caller may view
+    const templatesRes = await pool.query(
+      `SELECT DISTINCT template_id FROM checksheet_search_index
+       WHERE $1::INTEGER IS NULL OR family_id = $1`,
+      [familyId]
+    );
+    const templateIds = [
+      ...(await getViewableTemplateIds(
+        pool,
+        req.checksheetUser,
+        templatesRes.rows.map((r) => r.template_id)
+      )),
+    ];
+    const hiddenFields = await getHiddenFields(
+      pool,
+      req.checksheetUser,
+      templateIds
+    );
+
+    const result = await searchDocuments(pool, {
+      query: String(q).trim(),
+      templateIds,
+      hiddenFields,
+      familyId,
+      folderId: folder_id ? parseInt(folder_id, 10) || null : null,
+      from: from || null,
+      to: to || null,
+      statuses: status
+        ? String(status)
+            .split(",")
+            .map((s) => s.trim())
+            .filter(Boolean)
+        : [],
+      type: type || null,
+      limit,
+      offset,
+    });
+
+    res.json({
+      success: true,
+      query: String(q).trim(),
+      total: result.total,
+      limit,
+      offset,
+      hits: result.hits.map((hit) => ({
+        ...hit,
+        link: hit.transaction_id
+          ? appLink(
+              `/checksheet/transactions/${hit.transaction_id}?template_id=${hit.template_id}`
+            )
+          : appLink(`/checksheet/templates/${hit.template_id}`),
+      })),
+    });
+  } catch (err) {
+    console.error("Search error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to search",
+      details: err.message,
+    });
+  }
+});
+
+// ==============================
+// REBUILD SEARCH INDEX
+// ==============================
+// Body: template_id (optional, rebuilds only that family). Needed once for
+// data saved before search existed, and after changing
+// CHECKSHEET_SEARCH_CONFIG.
+router.post("/search/reindex", auth, isAdmin, async (req, res) => {
+  try {
+    let familyId = null;
+    if (req.body.template_id) {
+      familyId = await getFamilyId(pool, req.body.template_id);
+      if (!familyId) {
+        return res.status(404).json({
+          success: false,
+          message: "Template not found",
+        });
+      }
+    }
+
+    const report = await reindexSearch(pool, { familyId });
+
+    res.json({
+      success: report.errors.length === 0,
+      report,
+      message:
+        report.errors.length === 0
+          ? "Search index rebuilt"
+          : "Search index rebuilt with errors",
+    });
+  } catch (err) {
+    console.error("Search reindex error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to rebuild search index",
+      details: err.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,450 @@
+const express = require("express");
+const router = express.Router();
+const pool = require("../../db");
+const auth = require("../../middleware/auth");
+const formAccess = require("../../middleware/formAccess");
+const { getFamilyId } = require("../../utils/checksheet/family");
+const {
+  getWorkflow,
+  normalizeTransitions,
+  getUserGroupIds,
+  getAvailableTransitions,
+  recordStatusChange,
+} = require("../../utils/checksheet/workflow");
+const { getRowSnapshot, recordAudit } = require("../../utils/checksheet/audit");
+const { indexTransaction } = require("../../utils/checksheet/search");
+const {
+  toEtag,
+  getExpectedRevision,
+} = require("../../utils/checksheet/revisions");
+const {
+  getViewableTemplateIds,
+} = require("../../utils/checksheet/permissions");
+
+// ==============================
+// GET WORKFLOW FOR TEMPLATE FAMILY
+// ==============================
+router.get(
+  "/templates/:id/workflow",
+  auth,
+  formAccess("view"),
+  async (req, res) => {
+    const { id } = req.params;
+
+    try {
+      const familyId = await getFamilyId(pool, id);
+      if (!familyId) {
+        return res.status(404).json({
+          success: false,
+          message: "Template not found",
+        });
+      }
+
+      const workflow = await getWorkflow(pool, familyId);
+
+      res.json({
+        success: true,
+        family_id: familyId,
+        workflow,
+      });
+    } catch (err) {
+      console.error("Get workflow error:", err);
+      res.status(500).json({
+        success: false,
+        message: "Failed to get workflow",
+        details: err.message,
+      });
+    }
+  }
+);
+
+// ==============================
+// SAVE WORKFLOW FOR TEMPLATE FAMILY
+// ==============================
+router.put(
+  "/templates/:id/workflow",
+  auth,
+  formAccess("edit"),
+  async (req, res) => {
+    const { id } = req.params;
+    const { name, transitions, is_active = true } = req.body;
+    const { user_id } = req.user;
+
+    const normalized = normalizeTransitions(transitions);
+    if (normalized.error) {
+      return res.status(400).json({
+        success: false,
+        message: normalized.error,
+      });
+    }
+
+    try {
+      const familyId = await getFamilyId(pool, id);
+      if (!familyId) {
+        return res.status(404).json({
+          success: false,
+          message: "Template not found",
+        });
+      }
+
+      const result = await pool.query(
+        `INSERT INTO checksheet_workflows
+       (template_id, name, transitions, is_active, created_by)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (template_id) DO UPDATE SET
+         name = EXCLUDED.name,
+         transitions = EXCLUDED.transitions,
+         is_active = EXCLUDED.is_active,
+         updated_at = NOW()
+       RETURNING *`,
+        [
+          familyId,
+          name || null,
+          JSON.stringify(normalized.transitions),
+          is_active !== false,
+          user_id || null,
+        ]
+      );
+
+      res.json({
+        success: true,
+        workflow: result.rows[0],
+        message: "Workflow saved successfully",
+      });
+    } catch (err) {
+      console.error("Save workflow error:", err);
+      res.status(500).json({
+        success: false,
+        message: "Failed to save workflow",
+        details: err.message,
+      });
+    }
+  }
+);
+
+// ==============================
+// TRANSITION A TRANSACTION
+// ==============================
+// Optional body `revision` / If-Match: refused with 409 when the
+// transaction changed since it was loaded
+router.post(
+  "/transactions/:transaction_id/transition",
+  auth,
+  formAccess("view"),
+  async (req, res) => {
+    const { transaction_id } = req.params;
+    const { template_id, action, comment } = req.body;
+    const { user_id } = req.user;
+
+    if (!template_id || !action) {
+      return res.status(400).json({
+        success: false,
+        message: "Template ID and action are required",
+      });
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+
+      const templateRes = await client.query(
+        `SELECT id, table_name, version, parent_template_id
+       FROM checksheet_templates WHERE id = $1`,
+        [template_id]
+      );
+
+      if (templateRes.rows.length === 0) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({
+          success: false,
+          message: "Template not found",
+        });
+      }
+
+      const template = templateRes.rows[0];
+      const familyId = template.parent_template_id || template.id;
+
+      const workflow = await getWorkflow(client, familyId);
+      if (!workflow) {
+        await client.query("ROLLBACK");
+        return res.status(400).json({
+          success: false,
+          message: "No workflow configured for this template",
+        });
+      }
+
+      // Lock the row so two approvers can't transition it at once
+      const txRes = await client.query(
+        `SELECT id, status, revision FROM "${template.table_name}" WHERE id = $1 FOR UPDATE`,
+        [transaction_id]
+      );
+
+      if (txRes.rows.length === 0) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({
+          success: false,
+          message: "Transaction not found",
+        });
+      }
+
+      const currentStatus = txRes.rows[0].status;
+      const currentRevision = txRes.rows[0].revision;
+      const expectedRevision = getExpectedRevision(
+        req.body,
+        req.get("If-Match")
+      );
+      if (expectedRevision !== null && expectedRevision !== currentRevision) {
+        await client.query("ROLLBACK");
+        return res.status(409).json({
+          success: false,
+          message: "Transaction was changed by someone else",
+          reason: "stale_revision",
+          revision: expectedRevision,
+          current_revision: currentRevision,
+          etag: toEtag(currentRevision),
+          current_status: currentStatus,
+        });
+      }
+
+      const groupIds = await getUserGroupIds(client, user_id);
+      const available = getAvailableTransitions(
+        workflow,
+        currentStatus,
+        groupIds
+      );
+      const transition = available.find((t) => t.action === action);
+
+      if (!transition) {
+        await client.query("ROLLBACK");
+        return res.status(403).json({
+          success: false,
+          message: `Action "${action}" is not allowed from status "${currentStatus}"`,
+          current_status: currentStatus,
+          available_actions: available.map((t) => t.action),
+        });
+      }
+
+      if (transition.require_comment && (!comment || !comment.trim())) {
+        await client.query("ROLLBACK");
+        return res.status(400).json({
+          success: false,
+          message: "A comment is required for this action",
+        });
+      }
+
+      const oldRow = await getRowSnapshot(
+        client,
+        template.table_name,
+        transaction_id
+      );
+
+      const updateRes = await client.query(
+        `UPDATE "${template.table_name}"
+       SET "status" = $1, "updated_at" = NOW(), "revision" = "revision" + 1
+       WHERE id = $2
+       RETURNING id, status, updated_at, revision`,
+        [transition.to, transaction_id]
+      );
+
+      await recordAudit(client, {
+        templateId: template.id,
+        familyId,
+        templateVersion: template.version,
+        tableName: template.table_name,
+        transactionId: parseInt(transaction_id, 10),
+        action: "status_change",
+        userId: user_id,
+        oldRow,
+        newRow: await getRowSnapshot(
+          client,
+          template.table_name,
+          transaction_id
+        ),
+      });
+
+      await recordStatusChange(client, {
+        templateId: template.id,
+        familyId,
+        templateVersion: template.version,
+        tableName: template.table_name,
+        transactionId: parseInt(transaction_id, 10),
+        fromStatus: currentStatus,
+        toStatus: transition.to,
+        action: transition.action,
+        comment: comment || null,
+        userId: user_id,
+      });
+
+      await indexTransaction(client, template.id, parseInt(transaction_id, 10));
+
+      await client.query("COMMIT");
+
+      res.setHeader("ETag", toEtag(updateRes.rows[0].revision));
+      res.json({
+        success: true,
+        transaction_id: updateRes.rows[0].id,
+        from_status: currentStatus,
+        status: updateRes.rows[0].status,
+        updated_at: updateRes.rows[0].updated_at,
+        revision: updateRes.rows[0].revision,
+        message: `Transaction moved to "${transition.to}"`,
+      });
+    } catch (err) {
+      await client.query("ROLLBACK");
+      console.error("Transition transaction error:", err);
+      res.status(500).json({
+        success: false,
+        message: "Failed to transition transaction",
+        details: err.message,
+      });
+    } finally {
+      client.release();
+    }
+  }
+);
+
+// ==============================
+// STATUS HISTORY OF A TRANSACTION
+// ==============================
+router.get(
+  "/transactions/:transaction_id/history",
+  auth,
+  formAccess("view"),
+  async (req, res) => {
+    const { transaction_id } = req.params;
+    const { template_id } = req.query;
+
+    if (!template_id) {
+      return res.status(400).json({
+        success: false,
+        message: "Template ID is required",
+      });
+    }
+
+    try {
+      const templateRes = await pool.query(
+        `SELECT table_name FROM checksheet_templates WHERE id = $1`,
+        [template_id]
+      );
+
+      if (templateRes.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: "Template not found",
+        });
+      }
+
+      const historyRes = await pool.query(
+        `SELECT h.id, h.from_status, h.to_status, h.action, h.comment,
+              h.user_id, u.name AS user_name, h.template_version, h.created_at
+       FROM checksheet_status_history h
+       LEFT JOIN usermaster u ON u.user_id = h.user_id
+       WHERE h.table_name = $1 AND h.transaction_id = $2
+       ORDER BY h.created_at ASC, h.id ASC`,
+        [templateRes.rows[0].table_name, transaction_id]
+      );
+
+      res.json({
+        success: true,
+        history: historyRes.rows,
+        count: historyRes.rows.length,
+      });
+    } catch (err) {
+      console.error("Get transaction history error:", err);
+      res.status(500).json({
+        success: false,
+        message: "Failed to get transaction history",
+        details: err.message,
+      });
+    }
+  }
+);
+
+// ==============================
+// TRANSACTIONS PENDING MY APPROVAL (ALL TEMPLATES)
+// ==============================
+router.get("/workflow/pending", auth, formAccess("view"), async (req, res) => {
+  const { user_id } = req.user;
+
+  try {
+    const groupIds = await getUserGroupIds(pool, user_id);
+    const workflowsRes = await pool.query(
+      `SELECT w.*, ct.name AS template_name
+       FROM checksheet_workflows w
+       JOIN checksheet_templates ct ON ct.id = w.template_id
+       WHERE w.is_active = true AND ct.deleted_at IS NULL`
+    );
+
+    // Only forms the caller may view
+    const viewable = await getViewableTemplateIds(
+      pool,
+      req.checksheetUser,
+      workflowsRes.rows.map((w) => w.template_id)
+    );
+
+    const pending = [];
+
+    for (const workflow of workflowsRes.rows.filter((w) =>
+      viewable.has(w.template_id)
+    )) {
+      // Statuses this user can act on in this workflow
+      const actionable = (workflow.transitions || []).filter(
+        (t) =>
+          t.group_ids.length === 0 ||
+          t.group_ids.some((id) => groupIds.includes(id))
+      );
+      const statuses = [...new Set(actionable.flatMap((t) => t.from))];
+      if (statuses.length === 0) continue;
+
+      const versionsRes = await pool.query(
+        `SELECT id, version, table_name FROM checksheet_templates
+         WHERE (id = $1 OR parent_template_id = $1) AND table_name IS NOT NULL`,
+        [workflow.template_id]
+      );
+
+      for (const version of versionsRes.rows) {
+        const rowsRes = await pool.query(
+          `SELECT t.id, t.user_id, u.name AS user_name, t.status,
+                  t.submitted_at, t.updated_at, t.template_version
+           FROM "${version.table_name}" t
+           LEFT JOIN usermaster u ON u.user_id = t.user_id
+           WHERE t.status = ANY($1)`,
+          [statuses]
+        );
+
+        rowsRes.rows.forEach((row) => {
+          pending.push({
+            ...row,
+            transaction_id: row.id,
+            template_id: version.id,
+            family_id: workflow.template_id,
+            template_name: workflow.template_name,
+            version: version.version,
+            available_actions: getAvailableTransitions(
+              workflow,
+              row.status,
+              groupIds
+            ).map((t) => ({ action: t.action, to: t.to })),
+          });
+        });
+      }
+    }
+
+    pending.sort((a, b) => new Date(a.updated_at) - new Date(b.updated_at));
+
+    res.json({
+      success: true,
+      pending,
+      count: pending.length,
+    });
+  } catch (err) {
+    console.error("Get pending approvals error:", err);
+    res.status(500).json({
+      success: false,
+      message: "Failed to get pending approvals",
+      details: err.message,
+    });
+  }
+});
+
+module.exports = router;
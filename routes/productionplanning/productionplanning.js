@@ -6,6 +6,7 @@ const cors = require("cors");
 const bcrypt = require("bcrypt");
 const auth = require("../../middleware/auth");
 const isAdmin = require("../../middleware/isAdmin");
+const { getPlanChecksheets } = require("../../utils/checksheet/production");
 require("dotenv").config();
 
 // Apply route-specific logger middleware
@@ -179,6 +180,53 @@ router.get("/:id", auth, async (req, res) => {
   }
 });
 
+// GET - Checksheets of a plan and whether the required ones are done
+router.get("/:id/checksheets", auth, async (req, res) => {
+  const logger = req.logger;
+  const { id } = req.params;
+
+  try {
+    logger.route(`=== GET PLAN CHECKSHEETS STARTED: ${id} ===`);
+
+    const planResult = await pool.query(
+      `SELECT * FROM productionPlans WHERE id = $1`,
+      [id]
+    );
+
+    if (planResult.rows.length === 0) {
+      logger.warn(`Production plan not found with ID: ${id}`);
+      return res.status(404).json({ error: "Plan not found" });
+    }
+
+    const plan = planResult.rows[0];
+    const result = await getPlanChecksheets(pool, plan);
+
+    logger.debug("Plan checksheet status", {
+      plan_id: plan.id,
+      summary: result.summary,
+    });
+    logger.route(`=== GET PLAN CHECKSHEETS COMPLETED: ${id} ===`);
+
+    res.status(200).json({
+      plan_id: plan.id,
+      process_type: plan.process_type,
+      status: plan.status,
+      ...result,
+    });
+  } catch (err) {
+    logger.error("Error fetching plan checksheets", {
+      error: err.message,
+      plan_id: id,
+      user: req.user?.name || req.user?.emp_id,
+      stack: err.stack,
+    });
+
+    res.status(500).json({
+      error: "Database error: " + err.message,
+    });
+  }
+});
+
 // POST - Adding a Plan
 router.post("/", auth, isAdmin, async (req, res) => {
   const logger = req.logger;
@@ -385,6 +433,29 @@ router.put("/:id", auth, isAdmin, async (req, res) => {
       current_progress: existingPlan.progress,
     });
 
+    // A plan can't be completed while mandatory checksheets are missing
+    const isCompleted = (value) =>
+      String(value || "").toLowerCase() === "completed";
+    if (isCompleted(status) && !isCompleted(existingPlan.status)) {
+      const checksheetStatus = await getPlanChecksheets(pool, {
+        ...existingPlan,
+        process_type,
+      });
+
+      if (!checksheetStatus.can_complete) {
+        logger.warn("Plan completion blocked: mandatory checksheets missing", {
+          plan_id: id,
+          missing: checksheetStatus.missing_mandatory,
+          updated_by: req.user?.name || req.user?.emp_id,
+        });
+
+        return res.status(409).json({
+          error: "Mandatory checksheets are missing for this plan",
+          missing_checksheets: checksheetStatus.missing_mandatory,
+        });
+      }
+    }
+
     // Update the plan
     logger.debug("Updating production plan in database");
     const result = await pool.query(
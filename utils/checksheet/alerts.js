@@ -0,0 +1,245 @@
+// Out-of-spec alert emails for completed transactions.
+//
+// Recipients are rows of checksheet_alert_recipients: a template family
+// (template_id) or every template (template_id NULL), and either a fixed
+// email or a user_group whose members' usermaster emails are used.
+// Every delivery attempt is written to checksheet_alert_log.
+
+const pool = require("../../db");
+const { escapeHtml } = require("./render");
+const { getMailer, appLink } = require("./mail");
+
+// Validator rules that count as a spec breach
+const BREACH_RULES = ["min_value", "max_value", "exact_match_text"];
+
+const MAX_ATTEMPTS = 3;
+
+// Create the alert tables (at startup, see ./schema.js)
+const ensureAlertTables = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS checksheet_alert_recipients (
+      id SERIAL PRIMARY KEY,
+      template_id INTEGER,
+      group_id INTEGER,
+      email VARCHAR(255),
+      is_active BOOLEAN DEFAULT true,
+      created_by INTEGER,
+      created_at TIMESTAMP DEFAULT NOW(),
+      CHECK (group_id IS NOT NULL OR email IS NOT NULL)
+    )
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS checksheet_alert_log (
+      id SERIAL PRIMARY KEY,
+      template_id INTEGER NOT NULL,
+      family_id INTEGER NOT NULL,
+      transaction_id INTEGER NOT NULL,
+      recipients TEXT,
+      breaches JSONB,
+      attempt INTEGER DEFAULT 1,
+      status VARCHAR(20) NOT NULL,
+      error TEXT,
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_checksheet_alert_log_txn
+    ON checksheet_alert_log (family_id, transaction_id)
+  `);
+};
+
+// Helper function: Pick spec breaches out of validator warnings
+const getBreaches = (warnings) =>
+  (warnings || []).filter((w) => BREACH_RULES.includes(w.rule));
+
+// Helper function: Distinct, active recipient emails for a template family
+const getRecipientEmails = async (client, familyId) => {
+  const res = await client.query(
+    `SELECT DISTINCT LOWER(email) AS email FROM (
+       SELECT r.email
+       FROM checksheet_alert_recipients r
+       WHERE r.is_active = true AND r.email IS NOT NULL
+         AND (r.template_id = $1 OR r.template_id IS NULL)
+       UNION
+       SELECT u.email
+       FROM checksheet_alert_recipients r
+       JOIN user_groups g ON g.group_id = r.group_id AND g.is_active = true
+       JOIN user_group_memberships m ON m.group_id = r.group_id
+       JOIN usermaster u ON u.user_id = m.user_id
+       WHERE r.is_active = true AND r.group_id IS NOT NULL
+         AND (r.template_id = $1 OR r.template_id IS NULL)
+     ) recipients
+     WHERE email IS NOT NULL AND email <> ''`,
+    [familyId]
+  );
+  return res.rows.map((r) => r.email);
+};
+
+// Helper function: Link to the transaction in the web app
+const transactionLink = (templateId, transactionId) =>
+  appLink(
+    `/checksheet/transactions/${transactionId}?template_id=${templateId}`
+  );
+
+const renderAlertHtml = ({ templateName, operator, link, breaches }) => {
+  const rows = breaches
+    .map(
+      (b) => `
+          <tr>
+            <td style="padding: 6px; border: 1px solid #e5e7eb;">${escapeHtml(
+              b.label || b.field_name
+            )}</td>
+            <td style="padding: 6px; border: 1px solid #e5e7eb;">${escapeHtml(
+              b.value ?? ""
+            )}</td>
+            <td style="padding: 6px; border: 1px solid #e5e7eb;">${escapeHtml(
+              b.message
+            )}</td>
+          </tr>`
+    )
+    .join("");
+
+  return `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #dc2626;">Out-of-spec checksheet submitted</h2>
+          <p><strong>Checksheet:</strong> ${escapeHtml(templateName)}</p>
+          <p><strong>Operator:</strong> ${escapeHtml(operator)}</p>
+          <table style="border-collapse: collapse; width: 100%; font-size: 14px;">
+            <tr style="background-color: #f3f4f6;">
+              <th style="padding: 6px; border: 1px solid #e5e7eb; text-align: left;">Field</th>
+              <th style="padding: 6px; border: 1px solid #e5e7eb; text-align: left;">Value</th>
+              <th style="padding: 6px; border: 1px solid #e5e7eb; text-align: left;">Issue</th>
+            </tr>${rows}
+          </table>
+          <p><a href="${escapeHtml(link)}">Open the transaction</a></p>
+          <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 20px 0;">
+          <p style="color: #6b7280; font-size: 12px;">
+            This is an automated message from NXPERT EON System.
+          </p>
+        </div>
+      `;
+};
+
+// Helper function: Write one delivery attempt to the log
+const logAttempt = (client, entry) =>
+  client.query(
+    `INSERT INTO checksheet_alert_log
+     (template_id, family_id, transaction_id, recipients, breaches,
+      attempt, status, error)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+    [
+      entry.templateId,
+      entry.familyId,
+      entry.transactionId,
+      entry.recipients.join(", "),
+      JSON.stringify(entry.breaches),
+      entry.attempt,
+      entry.status,
+      entry.error || null,
+    ]
+  );
+
+// Send the alert for a completed transaction. Runs after the transaction
+// has been committed and never throws - failures end up in the log.
+const sendOutOfSpecAlert = async ({
+  templateId,
+  familyId,
+  templateName,
+  transactionId,
+  userId,
+  breaches,
+  data = {},
+}) => {
+  if (!breaches || breaches.length === 0) return;
+
+  // Attach the submitted value to each breach for the email
+  const lookup = {};
+  Object.keys(data).forEach((key) => {
+    lookup[key.toLowerCase()] = data[key];
+  });
+  const details = breaches.map((b) => ({
+    ...b,
+    value:
+      lookup[String(b.instance_id || "").toLowerCase()] ??
+      lookup[String(b.field_name || "").toLowerCase()],
+  }));
+
+  const entry = {
+    templateId,
+    familyId,
+    transactionId,
+    breaches: details,
+    recipients: [],
+  };
+
+  try {
+    entry.recipients = await getRecipientEmails(pool, familyId);
+    if (entry.recipients.length === 0) {
+      await logAttempt(pool, {
+        ...entry,
+        attempt: 0,
+        status: "skipped",
+        error: "No recipients configured",
+      });
+      return;
+    }
+
+    const mailer = await getMailer(pool);
+    if (!mailer) {
+      await logAttempt(pool, {
+        ...entry,
+        attempt: 0,
+        status: "skipped",
+        error: "SMTP settings not configured",
+      });
+      return;
+    }
+
+    const userRes = await pool.query(
+      "SELECT name, emp_id FROM usermaster WHERE user_id = $1",
+      [userId]
+    );
+    const operator = userRes.rows[0]
+      ? `${userRes.rows[0].name} (${userRes.rows[0].emp_id})`
+      : `User ${userId}`;
+
+    const message = {
+      from: mailer.from,
+      to: entry.recipients.join(", "),
+      subject: `Out-of-spec: ${templateName} #${transactionId}`,
+      html: renderAlertHtml({
+        templateName,
+        operator,
+        link: transactionLink(templateId, transactionId),
+        breaches: details,
+      }),
+    };
+
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+      try {
+        await mailer.transporter.sendMail(message);
+        await logAttempt(pool, { ...entry, attempt, status: "sent" });
+        return;
+      } catch (err) {
+        await logAttempt(pool, {
+          ...entry,
+          attempt,
+          status: "failed",
+          error: err.message,
+        });
+      }
+    }
+  } catch (err) {
+    console.error("Out-of-spec alert error:", err);
+  }
+};
+
+module.exports = {
+  BREACH_RULES,
+  ensureAlertTables,
+  getBreaches,
+  getRecipientEmails,
+  sendOutOfSpecAlert,
+};
@@ -0,0 +1,77 @@
+// Archive files and tables shared by the recycle bin (recycle.js) and the
+// retention job (retention.js).
+//
+// Archive files are gzipped NDJSON (one JSON record per line) under
+// ARCHIVE_DIR (CHECKSHEET_ARCHIVE_DIR, default archives/checksheet).
+// Submission rows are written with to_jsonb, so dates and numerics keep
+// their database text form and load back unchanged with
+// jsonb_populate_recordset.
+
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const readline = require("readline");
+const { once } = require("events");
+const { finished } = require("stream/promises");
+
+const ARCHIVE_DIR =
+  process.env.CHECKSHEET_ARCHIVE_DIR ||
+  path.join(__dirname, "..", "..", "archives", "checksheet");
+
+// Archive table of a submission table (rows moved out by retention)
+const archiveTableName = (tableName) => `${tableName}_archive`;
+
+// Helper function: Timestamp usable in a file name
+const fileStamp = () => new Date().toISOString().replace(/[:.]/g, "-");
+
+// Open an archive file for writing: { write(record), close(), abort() }.
+// The file only gets its final name once close() finished, so a crash
+// never leaves a truncated archive behind.
+const createArchiveWriter = async (filePath) => {
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+  const partialPath = `${filePath}.partial`;
+  const gzip = zlib.createGzip();
+  const out = fs.createWriteStream(partialPath);
+  gzip.pipe(out);
+  const done = finished(out);
+  done.catch(() => {});
+
+  return {
+    write: async (record) => {
+      if (!gzip.write(`${JSON.stringify(record)}\n`)) {
+        await once(gzip, "drain");
+      }
+    },
+    close: async () => {
+      gzip.end();
+      await done;
+      await fs.promises.rename(partialPath, filePath);
+      return (await fs.promises.stat(filePath)).size;
+    },
+    abort: async () => {
+      gzip.destroy();
+      out.destroy();
+      await fs.promises.unlink(partialPath).catch(() => {});
+    },
+  };
+};
+
+// Read the records of an archive file one by one
+async function* readArchive(filePath) {
+  const lines = readline.createInterface({
+    input: fs.createReadStream(filePath).pipe(zlib.createGunzip()),
+    crlfDelay: Infinity,
+  });
+  for await (const line of lines) {
+    if (line.trim()) yield JSON.parse(line);
+  }
+}
+
+module.exports = {
+  ARCHIVE_DIR,
+  archiveTableName,
+  fileStamp,
+  createArchiveWriter,
+  readArchive,
+};
@@ -0,0 +1,760 @@
+// File attachments: photos, signatures and template images stored on disk.
+//
+// Files live under CHECKSHEET_ATTACHMENT_DIR (default attachments/checksheet,
+// outside the static uploads folder), named by their sha256 (ab/ab12...),
+// so identical content is stored once. checksheet_attachments holds one
+// metadata row per upload, with its owner and the template / transaction /
+// field it belongs to. A file is written before its row commits; files no
+// row refers to (rolled back saves) are removed by sweepOrphanFiles.
+//
+// Submission columns hold a reference instead of the file itself:
+// "attachment:<id>" (also inside signature JSON). Data URLs posted by
+// older clients are stored as attachments on save. Template images point
+// at their file through template_images.attachment_id (image_data NULL).
+//
+// Field max_file_size is in megabytes.
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { toColumnName } = require("./columns");
+const { getFamilyId } = require("./family");
+const { quoteIdent } = require("./union");
+
+const UPLOAD_ROOT =
+  process.env.CHECKSHEET_ATTACHMENT_DIR ||
+  path.join(__dirname, "..", "..", "attachments", "checksheet");
+const TMP_DIR = path.join(UPLOAD_ROOT, "tmp");
+
+// Where files were stored before CHECKSHEET_ATTACHMENT_DIR
+const LEGACY_ROOT = path.join(__dirname, "..", "..", "uploads", "attachments");
+
+// Files younger than this are never swept: their row may not be committed
+const ORPHAN_GRACE_MS = 24 * 60 * 60 * 1000;
+
+// Hard cap for any upload, whatever the field allows
+const MAX_UPLOAD_BYTES = 50 * 1024 * 1024;
+
+const REF_PREFIX = "attachment:";
+const REF_PATTERN = /attachment:(\d+)/g;
+const DATA_URL_PATTERN =
+  /data:([a-z0-9.+-]+\/[a-z0-9.+-]+);base64,([A-Za-z0-9+/=]+)/gi;
+
+class AttachmentError extends Error {
+  constructor(message, field = null) {
+    super(message);
+    this.name = "AttachmentError";
+    this.field = field;
+  }
+}
+
+// Create the attachment table (at startup, see ./schema.js)
+const ensureAttachmentTables = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS checksheet_attachments (
+      id SERIAL PRIMARY KEY,
+      storage_key VARCHAR(200) NOT NULL,
+      original_name VARCHAR(255),
+      mime_type VARCHAR(100),
+      size BIGINT NOT NULL,
+      sha256 CHAR(64) NOT NULL,
+      owner_id INTEGER,
+      template_id INTEGER,
+      transaction_id INTEGER,
+      field_instance_id VARCHAR(255),
+      source VARCHAR(20) DEFAULT 'upload',
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_checksheet_attachments_link
+    ON checksheet_attachments (template_id, transaction_id);
+
+    CREATE INDEX IF NOT EXISTS idx_checksheet_attachments_sha
+    ON checksheet_attachments (sha256);
+
+    ALTER TABLE template_images
+    ADD COLUMN IF NOT EXISTS attachment_id INTEGER;
+  `);
+};
+
+// ------------------------------
+// Files
+// ------------------------------
+const storagePath = (storageKey) => path.join(UPLOAD_ROOT, storageKey);
+
+const tempPath = () => {
+  fs.mkdirSync(TMP_DIR, { recursive: true });
+  return path.join(
+    TMP_DIR,
+    `${Date.now()}-${crypto.randomBytes(8).toString("hex")}`
+  );
+};
+
+const hashFile = (filePath) =>
+  new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    fs.createReadStream(filePath)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("error", reject)
+      .on("end", () => resolve(hash.digest("hex")));
+  });
+
+// Helper function: Move a temp file to its content path (or drop it when
+// the content is already stored). An existing file is touched so the
+// orphan sweep leaves it alone until the new row is committed.
+const placeFile = async (tmpFile, sha256) => {
+  const storageKey = `${sha256.slice(0, 2)}/${sha256}`;
+  const target = storagePath(storageKey);
+  if (fs.existsSync(target)) {
+    await fs.promises.unlink(tmpFile);
+    const now = new Date();
+    await fs.promises.utimes(target, now, now);
+  } else {
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    await fs.promises.rename(tmpFile, target);
+  }
+  return storageKey;
+};
+
+// Helper function: Metadata row for a stored file
+const insertAttachment = async (client, file, meta) => {
+  const res = await client.query(
+    `INSERT INTO checksheet_attachments
+     (storage_key, original_name, mime_type, size, sha256, owner_id,
+      template_id, transaction_id, field_instance_id, source)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+     RETURNING *`,
+    [
+      file.storageKey,
+      meta.originalName || null,
+      meta.mimeType || "application/octet-stream",
+      file.size,
+      file.sha256,
+      meta.ownerId || null,
+      meta.templateId || null,
+      meta.transactionId || null,
+      meta.fieldInstanceId || null,
+      meta.source || "upload",
+    ]
+  );
+  return res.rows[0];
+};
+
+// Store a file already on disk (a multer temp file); it is moved away
+const storeFile = async (client, filePath, meta) => {
+  const sha256 = await hashFile(filePath);
+  const { size } = await fs.promises.stat(filePath);
+  const storageKey = await placeFile(filePath, sha256);
+  return insertAttachment(client, { storageKey, sha256, size }, meta);
+};
+
+// Store a buffer
+const storeBuffer = async (client, buffer, meta) => {
+  const sha256 = crypto.createHash("sha256").update(buffer).digest("hex");
+  const tmpFile = tempPath();
+  await fs.promises.writeFile(tmpFile, buffer);
+  const storageKey = await placeFile(tmpFile, sha256);
+  return insertAttachment(
+    client,
+    { storageKey, sha256, size: buffer.length },
+    meta
+  );
+};
+
+// Helper function: Decode raw base64 or a data URL
+const decodeBase64 = (value) => {
+  const text = String(value || "");
+  const match = text.match(/^data:([^;,]+);base64,/i);
+  return {
+    mimeType: match ? match[1] : null,
+    buffer: Buffer.from(match ? text.slice(match[0].length) : text, "base64"),
+  };
+};
+
+const readAttachment = (attachment) =>
+  fs.promises.readFile(storagePath(attachment.storage_key));
+
+// ------------------------------
+// References in submission values
+// ------------------------------
+const toRef = (attachmentId) => `${REF_PREFIX}${attachmentId}`;
+
+// Helper function: Attachment ids referenced by a value
+const findRefs = (value) => {
+  const ids = [];
+  if (typeof value !== "string") return ids;
+  for (const match of value.matchAll(REF_PATTERN)) {
+    ids.push(parseInt(match[1], 10));
+  }
+  return ids;
+};
+
+// Helper function: Byte limit of a field (max_file_size is in MB)
+const fieldSizeLimit = (field) => {
+  const mb = field ? parseFloat(field.max_file_size) : NaN;
+  return Number.isNaN(mb) || mb <= 0 ? null : Math.floor(mb * 1024 * 1024);
+};
+
+const formatSize = (bytes) => `${Math.round((bytes / 1048576) * 100) / 100}MB`;
+
+// Helper function: template_fields row a submitted key refers to
+const findField = (fields, key) => {
+  const lower = String(key).toLowerCase();
+  return (
+    fields.find(
+      (f) =>
+        (f.field_name && f.field_name.toLowerCase() === lower) ||
+        (f.instance_id && f.instance_id.toLowerCase() === lower) ||
+        (f.field_name && toColumnName(f.field_name) === lower)
+    ) || null
+  );
+};
+
+// Helper function: Replace every data URL in a string with a stored
+// attachment reference
+const externalizeDataUrls = async (value, onStored) => {
+  const matches = [...value.matchAll(DATA_URL_PATTERN)];
+  if (matches.length === 0) return value;
+
+  let output = "";
+  let last = 0;
+  for (const match of matches) {
+    const buffer = Buffer.from(match[2], "base64");
+    const attachment = await onStored(buffer, match[1]);
+    output += value.slice(last, match.index) + toRef(attachment.id);
+    last = match.index + match[0].length;
+  }
+  return output + value.slice(last);
+};
+
+// Prepare submitted values for saving: data URLs become attachments and
+// every referenced attachment is checked (exists, belongs to the template
+// family, uploaded by the user or already on this transaction, within the
+// field's max_file_size). Returns the rewritten data and the ids to link.
+const prepareAttachmentValues = async (
+  client,
+  { fields, data, templateId, userId, transactionId = null }
+) => {
+  const output = { ...data };
+  const usages = [];
+  const created = new Set();
+
+  for (const [key, value] of Object.entries(data)) {
+    if (typeof value !== "string") continue;
+    if (!value.includes(";base64,") && !value.includes(REF_PREFIX)) continue;
+
+    const field = findField(fields, key);
+    const label = field ? field.label || field.field_name : key;
+    const limit = fieldSizeLimit(field);
+
+    const rewritten = await externalizeDataUrls(
+      value,
+      async (buffer, mimeType) => {
+        if (limit !== null && buffer.length > limit) {
+          throw new AttachmentError(
+            `${label}: file exceeds the ${formatSize(limit)} limit`,
+            key
+          );
+        }
+        const attachment = await storeBuffer(client, buffer, {
+          originalName: `${toColumnName(key) || "file"}`,
+          mimeType,
+          ownerId: userId,
+          templateId,
+          transactionId,
+          fieldInstanceId: field ? field.instance_id : null,
+          source: "inline",
+        });
+        created.add(attachment.id);
+        return attachment;
+      }
+    );
+    output[key] = rewritten;
+
+    findRefs(rewritten).forEach((id) => usages.push({ id, key, label, limit }));
+  }
+
+  const ids = [...new Set(usages.map((u) => u.id))];
+  if (ids.length === 0) return { data: output, attachmentIds: [] };
+
+  const familyId = await getFamilyId(client, templateId);
+  const res = await client.query(
+    `SELECT a.id, a.size, a.owner_id, a.transaction_id,
+            COALESCE(ct.parent_template_id, ct.id) AS family_id
+     FROM checksheet_attachments a
+     LEFT JOIN checksheet_templates ct ON ct.id = a.template_id
+     WHERE a.id = ANY($1)`,
+    [ids]
+  );
+  const byId = {};
+  res.rows.forEach((row) => {
+    byId[row.id] = row;
+  });
+
+  usages.forEach(({ id, key, label, limit }) => {
+    const attachment = byId[id];
+    const usable =
+      attachment &&
+      (attachment.family_id === null || attachment.family_id === familyId) &&
+      (created.has(id) ||
+        (attachment.transaction_id === null &&
+          attachment.owner_id === userId) ||
+        (transactionId !== null &&
+          attachment.transaction_id === parseInt(transactionId, 10)));
+    if (!usable) {
+      throw new AttachmentError(`${label}: attachment ${id} not found`, key);
+    }
+    if (limit !== null && parseInt(attachment.size, 10) > limit) {
+      throw new AttachmentError(
+        `${label}: file exceeds the ${formatSize(limit)} limit`,
+        key
+      );
+    }
+  });
+
+  return { data: output, attachmentIds: ids };
+};
+
+// Tie uploaded attachments to the transaction that now uses them
+const linkAttachments = async (
+  client,
+  attachmentIds,
+  { templateId, transactionId }
+) => {
+  if (!attachmentIds || attachmentIds.length === 0) return;
+  await client.query(
+    `UPDATE checksheet_attachments
+     SET transaction_id = $2, template_id = $3
+     WHERE id = ANY($1) AND transaction_id IS NULL`,
+    [attachmentIds, transactionId, templateId]
+  );
+};
+
+// Replace image attachment references in a row with data URLs (printing)
+const inlineAttachmentRefs = async (client, row) => {
+  const ids = [...new Set(Object.values(row).flatMap(findRefs))];
+  if (ids.length === 0) return row;
+
+  const res = await client.query(
+    `SELECT id, storage_key, mime_type FROM checksheet_attachments
+     WHERE id = ANY($1) AND mime_type LIKE 'image/%'`,
+    [ids]
+  );
+  const dataUrls = {};
+  for (const attachment of res.rows) {
+    try {
+      const buffer = await readAttachment(attachment);
+      dataUrls[attachment.id] = `data:${
+        attachment.mime_type
+      };base64,${buffer.toString("base64")}`;
+    } catch (err) {
+      console.warn(`Attachment ${attachment.id} file missing:`, err.message);
+    }
+  }
+
+  const output = {};
+  Object.entries(row).forEach(([key, value]) => {
+    output[key] =
+      typeof value === "string"
+        ? value.replace(REF_PATTERN, (match, id) => dataUrls[id] || match)
+        : value;
+  });
+  return output;
+};
+
+// ------------------------------
+// Template images
+// ------------------------------
+// Store a template image (raw base64 or data URL) as an attachment
+const storeTemplateImage = async (client, base64, meta) => {
+  const { buffer, mimeType } = decodeBase64(base64);
+  return storeBuffer(client, buffer, {
+    ...meta,
+    mimeType: meta.mimeType || mimeType,
+    source: "template_image",
+  });
+};
+
+// Fill image_data (base64) of template_images rows stored as attachments
+const loadImageData = async (client, images) => {
+  const pending = images.filter((i) => !i.image_data && i.attachment_id);
+  if (pending.length === 0) return images;
+
+  const res = await client.query(
+    `SELECT id, storage_key FROM checksheet_attachments WHERE id = ANY($1)`,
+    [pending.map((i) => i.attachment_id)]
+  );
+  const byId = {};
+  res.rows.forEach((row) => {
+    byId[row.id] = row;
+  });
+
+  for (const image of pending) {
+    const attachment = byId[image.attachment_id];
+    if (!attachment) continue;
+    try {
+      image.image_data = (await readAttachment(attachment)).toString("base64");
+    } catch (err) {
+      console.warn(`Template image ${image.id} file missing:`, err.message);
+    }
+  }
+  return images;
+};
+
+// ------------------------------
+// Download
+// ------------------------------
+// Helper function: Parse a single "bytes=" range; null = whole file,
+// false = unsatisfiable
+const parseRange = (header, size) => {
+  if (!header) return null;
+  const match = String(header).match(/^bytes=(\d*)-(\d*)$/);
+  if (!match || (match[1] === "" && match[2] === "")) return null;
+
+  let start;
+  let end;
+  if (match[1] === "") {
+    // Last N bytes
+    start = Math.max(size - parseInt(match[2], 10), 0);
+    end = size - 1;
+  } else {
+    start = parseInt(match[1], 10);
+    end =
+      match[2] === "" ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+  }
+  if (start > end || start >= size) return false;
+  return { start, end };
+};
+
+// Stream an attachment, honouring Range requests
+const sendAttachment = (req, res, attachment, { download = false } = {}) => {
+  const filePath = storagePath(attachment.storage_key);
+  if (!fs.existsSync(filePath)) {
+    return res.status(404).json({
+      success: false,
+      message: "Attachment file not found",
+    });
+  }
+
+  const size = parseInt(attachment.size, 10);
+  const etag = `"${attachment.sha256}"`;
+  res.setHeader("Accept-Ranges", "bytes");
+  res.setHeader("ETag", etag);
+  res.setHeader("Cache-Control", "private, max-age=31536000, immutable");
+  res.setHeader(
+    "Content-Type",
+    attachment.mime_type || "application/octet-stream"
+  );
+  res.setHeader(
+    "Content-Disposition",
+    `${download ? "attachment" : "inline"}; filename="${String(
+      attachment.original_name || `attachment-${attachment.id}`
+    ).replace(/["\\\r\n]/g, "_")}"`
+  );
+
+  if (req.headers["if-none-match"] === etag) {
+    return res.status(304).end();
+  }
+
+  const range = parseRange(req.headers.range, size);
+  if (range === false) {
+    res.setHeader("Content-Range", `bytes */${size}`);
+    return res.status(416).end();
+  }
+
+  let stream;
+  if (range) {
+    res.status(206);
+    res.setHeader("Content-Range", `bytes ${range.start}-${range.end}/${size}`);
+    res.setHeader("Content-Length", range.end - range.start + 1);
+    stream = fs.createReadStream(filePath, range);
+  } else {
+    res.setHeader("Content-Length", size);
+    stream = fs.createReadStream(filePath);
+  }
+
+  stream.on("error", (err) => {
+    console.error(`Stream attachment ${attachment.id} error:`, err);
+    res.destroy(err);
+  });
+  stream.pipe(res);
+};
+
+// ------------------------------
+// One-time migration of base64 blobs
+// ------------------------------
+// Moves template_images.image_data and data URLs in the TEXT columns of
+// every submission table into attachments. Works in small batches, each
+// in its own transaction, so it can be stopped and run again.
+const migrateBase64Blobs = async (pool, { dryRun = false, batchSize = 50 }) => {
+  const report = {
+    dry_run: dryRun,
+    template_images: { found: 0, migrated: 0, bytes: 0 },
+    tables: [],
+    errors: [],
+  };
+
+  // 1. Template images
+  let lastId = 0;
+  for (;;) {
+    const imagesRes = await pool.query(
+      `SELECT id, template_id, filename, mime_type, image_data
+       FROM template_images
+       WHERE id > $1 AND image_data IS NOT NULL AND attachment_id IS NULL
+       ORDER BY id
+       LIMIT $2`,
+      [lastId, batchSize]
+    );
+    if (imagesRes.rows.length === 0) break;
+    lastId = imagesRes.rows[imagesRes.rows.length - 1].id;
+
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      for (const image of imagesRes.rows) {
+        report.template_images.found++;
+        const { buffer } = decodeBase64(image.image_data);
+        report.template_images.bytes += buffer.length;
+        if (dryRun) continue;
+
+        const attachment = await storeTemplateImage(client, image.image_data, {
+          originalName: image.filename,
+          mimeType: image.mime_type,
+          templateId: image.template_id,
+        });
+        await client.query(
+          `UPDATE template_images
+           SET attachment_id = $2, image_data = NULL
+           WHERE id = $1`,
+          [image.id, attachment.id]
+        );
+        report.template_images.migrated++;
+      }
+      await client.query("COMMIT");
+    } catch (err) {
+      await client.query("ROLLBACK");
+      report.errors.push({ template_images: lastId, error: err.message });
+    } finally {
+      client.release();
+    }
+  }
+
+  // 2. Submission tables
+  const tablesRes = await pool.query(
+    `SELECT ct.id, ct.table_name, c.column_name
+     FROM checksheet_templates ct
+     JOIN information_schema.columns c ON c.table_name = ct.table_name
+     WHERE c.table_schema = current_schema()
+       AND c.data_type IN ('text', 'character varying')
+     ORDER BY ct.id, c.ordinal_position`
+  );
+  const tables = new Map();
+  tablesRes.rows.forEach((row) => {
+    if (!tables.has(row.table_name)) {
+      tables.set(row.table_name, { templateId: row.id, columns: [] });
+    }
+    tables.get(row.table_name).columns.push(row.column_name);
+  });
+
+  for (const [tableName, { templateId, columns }] of tables) {
+    const fieldsRes = await pool.query(
+      `SELECT field_name, instance_id FROM template_fields WHERE template_id = $1`,
+      [templateId]
+    );
+    const entry = { table: tableName, rows: 0, values: 0, bytes: 0 };
+    const hasBlob = columns
+      .map(
+        (c) => `${quoteIdent(c)} LIKE 'data:%;base64,%'
+                   OR ${quoteIdent(c)} LIKE '%"data:%;base64,%'`
+      )
+      .join(" OR ");
+
+    let lastRowId = 0;
+    for (;;) {
+      let rowsRes;
+      try {
+        rowsRes = await pool.query(
+          `SELECT id, user_id, ${columns.map(quoteIdent).join(", ")}
+           FROM ${quoteIdent(tableName)}
+           WHERE id > $1 AND (${hasBlob})
+           ORDER BY id
+           LIMIT $2`,
+          [lastRowId, batchSize]
+        );
+      } catch (err) {
+        report.errors.push({ table: tableName, error: err.message });
+        break;
+      }
+      if (rowsRes.rows.length === 0) break;
+      lastRowId = rowsRes.rows[rowsRes.rows.length - 1].id;
+
+      const client = await pool.connect();
+      try {
+        await client.query("BEGIN");
+        for (const row of rowsRes.rows) {
+          entry.rows++;
+          const updates = {};
+          for (const column of columns) {
+            const value = row[column];
+            if (typeof value !== "string" || !value.includes(";base64,")) {
+              continue;
+            }
+            const field = findField(fieldsRes.rows, column);
+            updates[column] = await externalizeDataUrls(
+              value,
+              async (buffer, mimeType) => {
+                entry.values++;
+                entry.bytes += buffer.length;
+                if (dryRun) return { id: 0 };
+                return storeBuffer(client, buffer, {
+                  originalName: column,
+                  mimeType,
+                  ownerId: row.user_id,
+                  templateId,
+                  transactionId: row.id,
+                  fieldInstanceId: field ? field.instance_id : null,
+                  source: "migration",
+                });
+              }
+            );
+          }
+
+          const changed = Object.keys(updates);
+          if (dryRun || changed.length === 0) continue;
+          await client.query(
+            `UPDATE ${quoteIdent(tableName)}
+             SET ${changed
+               .map((column, i) => `${quoteIdent(column)} = $${i + 2}`)
+               .join(", ")}
+             WHERE id = $1`,
+            [row.id, ...changed.map((column) => updates[column])]
+          );
+        }
+        await client.query("COMMIT");
+      } catch (err) {
+        await client.query("ROLLBACK");
+        report.errors.push({
+          table: tableName,
+          after_id: lastRowId,
+          error: err.message,
+        });
+      } finally {
+        client.release();
+      }
+
+      if (rowsRes.rows.length < batchSize) break;
+    }
+
+    if (entry.rows > 0) report.tables.push(entry);
+  }
+
+  return report;
+};
+
+// ------------------------------
+// Storage upkeep
+// ------------------------------
+// Move files stored under uploads/attachments to the attachment directory
+// (at startup, see ./schema.js). Skipped when the directory already exists.
+const moveLegacyFiles = async () => {
+  if (
+    path.resolve(LEGACY_ROOT) === path.resolve(UPLOAD_ROOT) ||
+    !fs.existsSync(LEGACY_ROOT)
+  ) {
+    return;
+  }
+  if (fs.existsSync(UPLOAD_ROOT)) {
+    console.warn(
+      `Attachments left in ${LEGACY_ROOT}: ${UPLOAD_ROOT} already exists, move them by hand`
+    );
+    return;
+  }
+
+  await fs.promises.mkdir(path.dirname(UPLOAD_ROOT), { recursive: true });
+  try {
+    await fs.promises.rename(LEGACY_ROOT, UPLOAD_ROOT);
+  } catch (err) {
+    if (err.code !== "EXDEV") throw err;
+    // Other file system: copy, then remove
+    await fs.promises.cp(LEGACY_ROOT, UPLOAD_ROOT, { recursive: true });
+    await fs.promises.rm(LEGACY_ROOT, { recursive: true, force: true });
+  }
+  console.log(`Moved attachments from ${LEGACY_ROOT} to ${UPLOAD_ROOT}`);
+};
+
+// Helper function: Files of a directory older than the grace period
+const staleFiles = async (dir) => {
+  let names;
+  try {
+    names = await fs.promises.readdir(dir);
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+  const cutoff = Date.now() - ORPHAN_GRACE_MS;
+  const stale = [];
+  for (const name of names) {
+    const stat = await fs.promises.stat(path.join(dir, name));
+    if (stat.isFile() && stat.mtimeMs < cutoff) stale.push(name);
+  }
+  return stale;
+};
+
+// Remove stored files no checksheet_attachments row refers to (written by a
+// save that rolled back or purged with their family) and abandoned temp
+// files. Returns the number of files removed.
+const sweepOrphanFiles = async (pool) => {
+  let removed = 0;
+  const remove = async (filePath) => {
+    await fs.promises.unlink(filePath).catch(() => {});
+    removed++;
+  };
+
+  for (const name of await staleFiles(TMP_DIR)) {
+    await remove(path.join(TMP_DIR, name));
+  }
+
+  const prefixes = fs.existsSync(UPLOAD_ROOT)
+    ? (await fs.promises.readdir(UPLOAD_ROOT)).filter((name) =>
+        /^[a-f0-9]{2}$/.test(name)
+      )
+    : [];
+  for (const prefix of prefixes) {
+    const keys = (await staleFiles(path.join(UPLOAD_ROOT, prefix))).map(
+      (name) => `${prefix}/${name}`
+    );
+    if (keys.length === 0) continue;
+
+    const usedRes = await pool.query(
+      `SELECT DISTINCT storage_key FROM checksheet_attachments
+       WHERE storage_key = ANY($1)`,
+      [keys]
+    );
+    const used = new Set(usedRes.rows.map((row) => row.storage_key));
+    for (const key of keys) {
+      if (!used.has(key)) await remove(storagePath(key));
+    }
+  }
+  return removed;
+};
+
+module.exports = {
+  MAX_UPLOAD_BYTES,
+  AttachmentError,
+  ensureAttachmentTables,
+  moveLegacyFiles,
+  sweepOrphanFiles,
+  tempPath,
+  storeFile,
+  storeBuffer,
+  storeTemplateImage,
+  readAttachment,
+  fieldSizeLimit,
+  findField,
+  prepareAttachmentValues,
+  linkAttachments,
+  inlineAttachmentRefs,
+  loadImageData,
+  sendAttachment,
+  migrateBase64Blobs,
+};
@@ -0,0 +1,149 @@
+// Per-field audit trail for rows in the dynamic submission tables.
+//
+// Every insert/update/status change writes one checksheet_audit_events row
+// plus one checksheet_audit_changes row per column whose value changed.
+// Values are stored as JSONB snapshots taken with to_jsonb(), so dates,
+// numbers and booleans keep a stable representation for diffs.
+
+// Columns that change on every save and carry no inspection data
+const IGNORED_COLUMNS = ["id", "updated_at", "revision"];
+
+// Create the audit tables (at startup, see ./schema.js)
+const ensureAuditTables = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS checksheet_audit_events (
+      id SERIAL PRIMARY KEY,
+      template_id INTEGER NOT NULL,
+      family_id INTEGER NOT NULL,
+      template_version INTEGER,
+      table_name VARCHAR(255) NOT NULL,
+      transaction_id INTEGER NOT NULL,
+      action VARCHAR(30) NOT NULL,
+      user_id INTEGER,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS checksheet_audit_changes (
+      id SERIAL PRIMARY KEY,
+      event_id INTEGER NOT NULL REFERENCES checksheet_audit_events(id) ON DELETE CASCADE,
+      column_name VARCHAR(255) NOT NULL,
+      old_value JSONB,
+      new_value JSONB
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_checksheet_audit_events_tx
+    ON checksheet_audit_events (table_name, transaction_id, created_at);
+
+    CREATE INDEX IF NOT EXISTS idx_checksheet_audit_changes_event
+    ON checksheet_audit_changes (event_id);
+  `);
+};
+
+// Helper function: Read a submission row as JSON (null if missing)
+const getRowSnapshot = async (client, tableName, id) => {
+  const res = await client.query(
+    `SELECT to_jsonb(t) AS row FROM "${tableName}" t WHERE t.id = $1`,
+    [id]
+  );
+  return res.rows.length > 0 ? res.rows[0].row : null;
+};
+
+// Helper function: Columns whose value differs between two snapshots
+const diffRows = (oldRow, newRow) => {
+  const before = oldRow || {};
+  const after = newRow || {};
+  const columns = new Set([...Object.keys(before), ...Object.keys(after)]);
+  const changes = [];
+
+  columns.forEach((column) => {
+    if (IGNORED_COLUMNS.includes(column)) return;
+    const oldValue = before[column] === undefined ? null : before[column];
+    const newValue = after[column] === undefined ? null : after[column];
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes.push({ column, old_value: oldValue, new_value: newValue });
+    }
+  });
+
+  return changes;
+};
+
+// Record an audit event. Returns the event id (null if nothing changed).
+const recordAudit = async (
+  client,
+  {
+    templateId,
+    familyId,
+    templateVersion,
+    tableName,
+    transactionId,
+    action,
+    userId = null,
+    oldRow = null,
+    newRow = null,
+  }
+) => {
+  const changes = diffRows(oldRow, newRow);
+  if (changes.length === 0) return null;
+
+  const eventRes = await client.query(
+    `INSERT INTO checksheet_audit_events
+     (template_id, family_id, template_version, table_name, transaction_id,
+      action, user_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING id`,
+    [
+      templateId,
+      familyId || templateId,
+      templateVersion || null,
+      tableName,
+      transactionId,
+      action,
+      userId,
+    ]
+  );
+  const eventId = eventRes.rows[0].id;
+
+  for (const change of changes) {
+    await client.query(
+      `INSERT INTO checksheet_audit_changes
+       (event_id, column_name, old_value, new_value)
+       VALUES ($1, $2, $3, $4)`,
+      [
+        eventId,
+        change.column,
+        JSON.stringify(change.old_value),
+        JSON.stringify(change.new_value),
+      ]
+    );
+  }
+
+  return eventId;
+};
+
+// Helper function: Rebuild a row as it was at `at` by undoing every later
+// change on top of the current row (works for rows created before auditing)
+const rowAt = (currentRow, events, at) => {
+  const state = { ...(currentRow || {}) };
+  const cutoff = new Date(at).getTime();
+
+  [...events]
+    .sort(
+      (a, b) => new Date(b.created_at) - new Date(a.created_at) || b.id - a.id
+    )
+    .forEach((event) => {
+      if (new Date(event.created_at).getTime() <= cutoff) return;
+      event.changes.forEach((change) => {
+        state[change.column_name] = change.old_value;
+      });
+    });
+
+  return state;
+};
+
+module.exports = {
+  ensureAuditTables,
+  getRowSnapshot,
+  diffRows,
+  recordAudit,
+  rowAt,
+};
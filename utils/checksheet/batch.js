@@ -0,0 +1,438 @@
+// Batch saving for offline clients (shop-floor tablets that queue records
+// while they have no connection).
+//
+// Each item carries a client-generated idempotency_key (unique per user)
+// and the client_timestamp it was recorded at; new rows get that time as
+// submitted_at (never later than the server clock). Keys are remembered in
+// checksheet_idempotency_keys with the item's result, so a retried item is
+// answered as "duplicate" with the original result instead of being saved
+// twice. A key reused for a different payload is rejected.
+//
+// An item saved against a template version that has been superseded since
+// the client loaded it is rejected as a "conflict"
+// (reason template_version_superseded, with the current version).
+//
+// Items run in array order, either each in its own transaction or
+// atomically (all or nothing). An update may name the transaction through
+// transaction_key: the idempotency_key of the item that created it, so a
+// draft created offline can be completed in the same or a later batch.
+// Updates carry the revision the client loaded (`revision`; through
+// transaction_key it defaults to the last revision batch items saved), so
+// an item recorded against an older state of the transaction is a
+// "conflict" (reason stale_revision) unless its base_data lets it merge.
+
+const crypto = require("crypto");
+const { getFormPermissions } = require("./permissions");
+const { isTemplateDeleted } = require("./recycle");
+const {
+  SubmissionError,
+  saveSubmission,
+  saveTransaction,
+  notifyOutOfSpec,
+} = require("./submissions");
+const { getExpectedRevision } = require("./revisions");
+
+const MAX_BATCH_ITEMS = 100;
+
+const ITEM_TYPES = ["submission", "transaction"];
+
+const MAX_KEY_LENGTH = 200;
+
+// Keys older than this are forgotten (CHECKSHEET_IDEMPOTENCY_DAYS)
+const KEY_RETENTION_DAYS =
+  parseInt(process.env.CHECKSHEET_IDEMPOTENCY_DAYS, 10) || 90;
+
+let lastCleanup = 0;
+
+// Create the idempotency key table (at startup, see ./schema.js)
+const ensureIdempotencyTables = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS checksheet_idempotency_keys (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      idempotency_key VARCHAR(${MAX_KEY_LENGTH}) NOT NULL,
+      item_type VARCHAR(20) NOT NULL,
+      request_hash VARCHAR(64) NOT NULL,
+      template_id INTEGER,
+      transaction_id INTEGER,
+      client_timestamp TIMESTAMPTZ,
+      result JSONB,
+      created_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE (user_id, idempotency_key)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_checksheet_idempotency_keys_created
+    ON checksheet_idempotency_keys (created_at);
+  `);
+};
+
+// Helper function: Forget expired keys, at most once an hour
+const cleanupKeys = async (client) => {
+  if (Date.now() - lastCleanup < 60 * 60 * 1000) return;
+  lastCleanup = Date.now();
+  await client.query(
+    `DELETE FROM checksheet_idempotency_keys
+     WHERE created_at < NOW() - ($1 * INTERVAL '1 day')`,
+    [KEY_RETENTION_DAYS]
+  );
+};
+
+// Helper function: Fingerprint of what an item asks for (to catch a key
+// reused for a different payload)
+const hashItem = (item) =>
+  crypto
+    .createHash("sha256")
+    .update(
+      JSON.stringify([
+        item.type,
+        item.template_id,
+        item.template_version ?? null,
+        item.transaction_id ?? null,
+        item.transaction_key ?? null,
+        item.status ?? null,
+        item.revision ?? null,
+        item.data,
+      ])
+    )
+    .digest("hex");
+
+// Check the shape of one item; returns an error message or null
+const validateItem = (item) => {
+  if (!item || typeof item !== "object" || Array.isArray(item)) {
+    return "Item must be an object";
+  }
+  if (
+    typeof item.idempotency_key !== "string" ||
+    item.idempotency_key.trim() === "" ||
+    item.idempotency_key.length > MAX_KEY_LENGTH
+  ) {
+    return `idempotency_key must be a string of 1 to ${MAX_KEY_LENGTH} characters`;
+  }
+  if (!ITEM_TYPES.includes(item.type)) {
+    return `type must be one of: ${ITEM_TYPES.join(", ")}`;
+  }
+  if (!Number.isInteger(Number(item.template_id))) {
+    return "template_id is required";
+  }
+  if (!item.data || typeof item.data !== "object" || Array.isArray(item.data)) {
+    return "data must be an object";
+  }
+  if (
+    !item.client_timestamp ||
+    Number.isNaN(new Date(item.client_timestamp).getTime())
+  ) {
+    return "client_timestamp must be a date";
+  }
+  if (
+    item.type === "submission" &&
+    (item.transaction_id || item.transaction_key)
+  ) {
+    return "Only transaction items can update a transaction";
+  }
+  if (item.transaction_id && item.transaction_key) {
+    return "Give transaction_id or transaction_key, not both";
+  }
+  return null;
+};
+
+// Helper function: Reject items saved against a version that is no longer
+// the active one of its family
+const checkTemplateVersion = async (client, item) => {
+  const templateRes = await client.query(
+    `SELECT id, version, is_active, COALESCE(parent_template_id, id) AS family_id
+     FROM checksheet_templates WHERE id = $1`,
+    [item.template_id]
+  );
+  const template = templateRes.rows[0];
+  if (!template || (await isTemplateDeleted(client, template.id))) {
+    throw new SubmissionError(404, "Template not found");
+  }
+
+  const versionMatches =
+    item.template_version === undefined ||
+    item.template_version === null ||
+    Number(item.template_version) === template.version;
+  if (template.is_active && versionMatches) return;
+
+  const currentRes = await client.query(
+    `SELECT id, version FROM checksheet_templates
+     WHERE (id = $1 OR parent_template_id = $1) AND is_active = true
+     ORDER BY version DESC
+     LIMIT 1`,
+    [template.family_id]
+  );
+  const current = currentRes.rows[0] || null;
+  throw new SubmissionError(
+    409,
+    current
+      ? `Template version ${
+          item.template_version ?? template.version
+        } was superseded by version ${current.version}`
+      : "Template has no active version",
+    {
+      reason: "template_version_superseded",
+      template_version: Number(item.template_version ?? template.version),
+      current_template_id: current ? current.id : null,
+      current_version: current ? current.version : null,
+    }
+  );
+};
+
+// Helper function: Transaction id of an item created earlier under
+// transaction_key, and the revision the user's last batch item on that
+// transaction saved
+const resolveTransactionKey = async (client, userId, key) => {
+  const res = await client.query(
+    `SELECT k.transaction_id, latest.result
+     FROM checksheet_idempotency_keys k
+     LEFT JOIN LATERAL (
+       SELECT result FROM checksheet_idempotency_keys l
+       WHERE l.user_id = k.user_id
+         AND l.template_id = k.template_id
+         AND l.transaction_id = k.transaction_id
+         AND l.result IS NOT NULL
+       ORDER BY l.id DESC
+       LIMIT 1
+     ) latest ON true
+     WHERE k.user_id = $1 AND k.idempotency_key = $2
+       AND k.transaction_id IS NOT NULL`,
+    [userId, key]
+  );
+  if (res.rows.length === 0) {
+    throw new SubmissionError(404, `No transaction saved under "${key}"`);
+  }
+  const { transaction_id, result } = res.rows[0];
+  return {
+    transactionId: transaction_id,
+    revision: result && result.revision != null ? result.revision : null,
+  };
+};
+
+// Save one item inside the caller's transaction. Returns its result
+// (status "created", "updated" or "duplicate") and, for new saves, the
+// saved record for the alert; SubmissionError for anything rejected.
+const saveItem = async (client, item, { access, userId }) => {
+  const requestHash = hashItem(item);
+  const clientTimestamp = new Date(item.client_timestamp);
+
+  // Claim the key; a concurrent retry waits here until this one is done
+  const claimRes = await client.query(
+    `INSERT INTO checksheet_idempotency_keys
+     (user_id, idempotency_key, item_type, request_hash, template_id,
+      client_timestamp)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (user_id, idempotency_key) DO NOTHING
+     RETURNING id`,
+    [
+      userId,
+      item.idempotency_key,
+      item.type,
+      requestHash,
+      item.template_id,
+      clientTimestamp,
+    ]
+  );
+
+  if (claimRes.rows.length === 0) {
+    const existingRes = await client.query(
+      `SELECT request_hash, result, created_at
+       FROM checksheet_idempotency_keys
+       WHERE user_id = $1 AND idempotency_key = $2`,
+      [userId, item.idempotency_key]
+    );
+    const existing = existingRes.rows[0];
+    if (existing.request_hash !== requestHash) {
+      throw new SubmissionError(
+        422,
+        "idempotency_key was already used for a different item",
+        { reason: "idempotency_key_reused" }
+      );
+    }
+    return {
+      result: {
+        ...existing.result,
+        status: "duplicate",
+        original_status: existing.result ? existing.result.status : null,
+        first_seen_at: existing.created_at,
+      },
+    };
+  }
+  const keyId = claimRes.rows[0].id;
+
+  await checkTemplateVersion(client, item);
+
+  const permissions = await getFormPermissions(
+    client,
+    access,
+    item.template_id
+  );
+  if (!permissions || !permissions.can_view) {
+    throw new SubmissionError(
+      403,
+      "You do not have permission to view this form"
+    );
+  }
+
+  // Offline records keep the time they were taken, not the upload time
+  const submittedAt = new Date(Math.min(clientTimestamp.getTime(), Date.now()));
+
+  let saved;
+  if (item.type === "submission") {
+    saved = await saveSubmission(client, {
+      templateId: item.template_id,
+      data: item.data,
+      body: item,
+      inspectionId: item.inspection_id || null,
+      userId,
+      permissions,
+      submittedAt,
+    });
+  } else {
+    const keyed = item.transaction_key
+      ? await resolveTransactionKey(client, userId, item.transaction_key)
+      : null;
+    const revision = getExpectedRevision(item, null);
+    saved = await saveTransaction(client, {
+      templateId: item.template_id,
+      data: item.data,
+      status: item.status || "draft",
+      transactionId: keyed ? keyed.transactionId : item.transaction_id || null,
+      expectedRevision: revision === null && keyed ? keyed.revision : revision,
+      baseData: item.base_data || null,
+      body: item,
+      inspectionId: item.inspection_id || null,
+      userId,
+      permissions,
+      submittedAt,
+    });
+  }
+
+  const result = {
+    status: saved.isUpdate ? "updated" : "created",
+    type: item.type,
+    template_id: saved.template.id,
+    template_version: saved.version,
+    transaction_id: saved.transactionId,
+    transaction_status: item.type === "submission" ? null : saved.status,
+    revision: item.type === "submission" ? null : saved.revision,
+    ...(saved.mergedFields ? { merged_fields: saved.mergedFields } : {}),
+    submitted_at: saved.submittedAt,
+    inspection_id: saved.inspection ? saved.inspection.id : null,
+    warnings: saved.validation.warnings,
+    calculation_errors: saved.calculation.errors,
+  };
+
+  await client.query(
+    `UPDATE checksheet_idempotency_keys
+     SET template_id = $2, transaction_id = $3, result = $4
+     WHERE id = $1`,
+    [keyId, saved.template.id, saved.transactionId, JSON.stringify(result)]
+  );
+
+  return { result, saved };
+};
+
+// Helper function: Result of a rejected item
+const failedResult = (err) =>
+  err instanceof SubmissionError
+    ? {
+        status: err.status === 409 ? "conflict" : "rejected",
+        http_status: err.status,
+        message: err.message,
+        ...err.details,
+      }
+    : {
+        status: "error",
+        http_status: 500,
+        message: "Failed to save item",
+        details: err.message,
+      };
+
+// Save a batch of items. `atomic` commits all of them or none; otherwise
+// every item is committed (or rolled back) on its own. Returns
+// { results, committed }: one result per item, in order.
+const processBatch = async (pool, { items, atomic, access, userId }) => {
+  const client = await pool.connect();
+  const results = [];
+  const savedRecords = [];
+  let committed = false;
+
+  try {
+    await cleanupKeys(client);
+
+    if (atomic) await client.query("BEGIN");
+
+    for (let index = 0; index < items.length; index++) {
+      const item = items[index];
+      const base = {
+        index,
+        idempotency_key: item && item.idempotency_key,
+      };
+
+      const invalid = validateItem(item);
+      if (invalid) {
+        results.push({
+          ...base,
+          ...failedResult(new SubmissionError(400, invalid)),
+        });
+        continue;
+      }
+
+      await client.query(atomic ? "SAVEPOINT batch_item" : "BEGIN");
+      try {
+        const { result, saved } = await saveItem(client, item, {
+          access,
+          userId,
+        });
+        await client.query(atomic ? "RELEASE SAVEPOINT batch_item" : "COMMIT");
+        results.push({ ...base, ...result });
+        if (saved && atomic) savedRecords.push(saved);
+        else if (saved) notifyOutOfSpec(saved);
+      } catch (err) {
+        await client.query(
+          atomic ? "ROLLBACK TO SAVEPOINT batch_item" : "ROLLBACK"
+        );
+        if (!(err instanceof SubmissionError)) {
+          console.error("Batch item error:", err);
+        }
+        results.push({ ...base, ...failedResult(err) });
+      }
+    }
+
+    const failed = results.some(
+      (r) => !["created", "updated", "duplicate"].includes(r.status)
+    );
+
+    if (atomic) {
+      if (failed) {
+        await client.query("ROLLBACK");
+        results.forEach((r) => {
+          if (r.status === "created" || r.status === "updated") {
+            r.status = "rolled_back";
+            delete r.transaction_id;
+          }
+        });
+      } else {
+        await client.query("COMMIT");
+        committed = true;
+        savedRecords.forEach(notifyOutOfSpec);
+      }
+    } else {
+      committed = true;
+    }
+
+    return { results, committed };
+  } catch (err) {
+    if (atomic) await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  MAX_BATCH_ITEMS,
+  ITEM_TYPES,
+  ensureIdempotencyTables,
+  processBatch,
+};
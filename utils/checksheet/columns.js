@@ -0,0 +1,197 @@
+// Column naming and schema of the dynamic checksheet_<id>_<version>
+// submission tables
+
+// Metadata columns every submission table has (see createOptimizedTable)
+const SYSTEM_COLUMNS = [
+  "id",
+  "user_id",
+  "submitted_at",
+  "template_version",
+  "original_submission_id",
+  "status",
+  "updated_at",
+  "revision",
+  "production_plan_id",
+  "plan_machine",
+  "plan_shift",
+];
+
+// Production plan link of a transaction (see ./production.js). Older
+// tables get these columns at startup (upgradeSubmissionTables).
+const PLAN_COLUMNS = {
+  production_plan_id: "INTEGER",
+  plan_machine: "VARCHAR(100)",
+  plan_shift: "VARCHAR(50)",
+};
+
+// Helper function: Turn a field name into its submission table column name
+const toColumnName = (name) =>
+  String(name)
+    .toLowerCase()
+    .replace(/[^a-z0-9_]/g, "_")
+    .replace(/_{2,}/g, "_")
+    .replace(/^_+|_+$/g, "");
+
+// Helper function: Map column name -> template_fields row
+const buildFieldColumnMap = (fields) => {
+  const map = {};
+  (fields || []).forEach((field) => {
+    const column = toColumnName(field.field_name || field.instance_id);
+    if (column && !map[column]) map[column] = field;
+  });
+  return map;
+};
+
+// Helper function: Column type for a field type in a submission table
+const columnTypeFor = (fieldType) => {
+  switch (fieldType) {
+    case "number":
+    case "calculation":
+      return "DECIMAL(12,4)";
+    case "date":
+      return "DATE";
+    case "datetime":
+      return "TIMESTAMP";
+    case "time":
+      return "TIME";
+    case "boolean":
+      return "BOOLEAN";
+    default:
+      return "TEXT";
+  }
+};
+
+// Helper function: Convert a submitted value for its column type. Empty
+// strings, null and "NaN" become NULL for number/calculation and
+// date/datetime/time columns; other values are stored as submitted.
+const toColumnValue = (fieldType, value) => {
+  if (fieldType === "number" || fieldType === "calculation") {
+    if (
+      value == null ||
+      value === "" ||
+      value === "NaN" ||
+      Number.isNaN(value)
+    ) {
+      return null;
+    }
+    const num = parseFloat(value);
+    return Number.isNaN(num) ? null : num;
+  }
+  if (["date", "datetime", "time"].includes(fieldType)) {
+    return String(value ?? "").trim() === "" ? null : value;
+  }
+  return value;
+};
+
+// Helper function: Create optimized table with proper data types
+const createOptimizedTable = async (client, tableName, fieldConfigs) => {
+  const columns = [];
+
+  // Always include metadata columns
+  columns.push("id SERIAL PRIMARY KEY");
+  columns.push("user_id INTEGER");
+  columns.push("submitted_at TIMESTAMP DEFAULT NOW()");
+  columns.push("template_version INTEGER DEFAULT 1");
+  columns.push("original_submission_id INTEGER");
+
+  // === NEW: ADD STATUS COLUMNS ===
+  columns.push("\"status\" VARCHAR(20) DEFAULT 'draft'");
+  columns.push('"updated_at" TIMESTAMP DEFAULT NOW()');
+  columns.push('"revision" INTEGER NOT NULL DEFAULT 1');
+
+  Object.entries(PLAN_COLUMNS).forEach(([name, type]) => {
+    columns.push(`"${name}" ${type}`);
+  });
+
+  // Add columns based on field types
+  Object.values(fieldConfigs).forEach((config) => {
+    const safeName = toColumnName(config.field_name || config.instanceId);
+    const columnType = columnTypeFor(config.type);
+    columns.push(`"${safeName}" ${columnType}`);
+  });
+
+  const createSQL = `CREATE TABLE "${tableName}" (${columns.join(", ")})`;
+  await client.query(createSQL);
+
+  // Create indexes
+  // Create indexes
+  await client.query(`
+  CREATE INDEX IF NOT EXISTS idx_${tableName.replace(/[^a-z0-9]/g, "_")}_user 
+  ON "${tableName}" (user_id);
+  
+  CREATE INDEX IF NOT EXISTS idx_${tableName.replace(/[^a-z0-9]/g, "_")}_date 
+  ON "${tableName}" (submitted_at DESC);
+  
+  CREATE INDEX IF NOT EXISTS idx_${tableName.replace(
+    /[^a-z0-9]/g,
+    "_"
+  )}_version 
+  ON "${tableName}" (template_version);
+  
+  CREATE INDEX IF NOT EXISTS idx_${tableName.replace(/[^a-z0-9]/g, "_")}_status 
+  ON "${tableName}" (status);
+  
+  CREATE INDEX IF NOT EXISTS idx_${tableName.replace(
+    /[^a-z0-9]/g,
+    "_"
+  )}_updated 
+  ON "${tableName}" (updated_at DESC);
+`);
+
+  await createPlanIndex(client, tableName);
+};
+
+// Helper function: Index transactions by production plan
+const createPlanIndex = (client, tableName) =>
+  client.query(`
+    CREATE INDEX IF NOT EXISTS idx_${tableName.replace(/[^a-z0-9]/g, "_")}_plan
+    ON "${tableName}" (production_plan_id)
+  `);
+
+// Helper function: Add the production plan columns to a table created
+// before they existed
+const ensurePlanColumns = async (client, tableName) => {
+  await client.query(
+    `ALTER TABLE "${tableName}" ${Object.entries(PLAN_COLUMNS)
+      .map(([name, type]) => `ADD COLUMN IF NOT EXISTS "${name}" ${type}`)
+      .join(", ")}`
+  );
+  await createPlanIndex(client, tableName);
+};
+
+// Helper function: Add the revision counter (optimistic concurrency, see
+// ./revisions.js) to a table created before it existed
+const ensureRevisionColumn = (client, tableName) =>
+  client.query(
+    `ALTER TABLE "${tableName}"
+     ADD COLUMN IF NOT EXISTS "revision" INTEGER NOT NULL DEFAULT 1`
+  );
+
+// Bring the submission tables created before the newer system columns up
+// to date (at startup, see ./schema.js). Templates whose table is missing
+// are skipped.
+const upgradeSubmissionTables = async (pool) => {
+  const res = await pool.query(
+    `SELECT DISTINCT ct.table_name
+     FROM checksheet_templates ct
+     JOIN information_schema.tables t
+       ON t.table_name = ct.table_name
+      AND t.table_schema = current_schema()
+     ORDER BY ct.table_name`
+  );
+  for (const { table_name: tableName } of res.rows) {
+    await ensurePlanColumns(pool, tableName);
+    await ensureRevisionColumn(pool, tableName);
+  }
+};
+
+module.exports = {
+  SYSTEM_COLUMNS,
+  PLAN_COLUMNS,
+  toColumnName,
+  buildFieldColumnMap,
+  columnTypeFor,
+  toColumnValue,
+  createOptimizedTable,
+  upgradeSubmissionTables,
+};
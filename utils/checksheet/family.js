@@ -0,0 +1,30 @@
+// Template families: version 1 is the root template and every later version
+// points at it through parent_template_id, each with its own submission table
+
+// Helper function: Resolve the root template id of a version family
+const getFamilyId = async (client, templateId) => {
+  const res = await client.query(
+    `SELECT id, parent_template_id FROM checksheet_templates WHERE id = $1`,
+    [templateId]
+  );
+  if (res.rows.length === 0) return null;
+  return res.rows[0].parent_template_id || res.rows[0].id;
+};
+
+// Helper function: All versions of a family that have a submission table
+const getFamilyVersions = async (client, familyId) => {
+  const res = await client.query(
+    `SELECT id, name, version, table_name, is_active, created_at
+     FROM checksheet_templates
+     WHERE (id = $1 OR parent_template_id = $1)
+       AND table_name IS NOT NULL
+     ORDER BY version ASC`,
+    [familyId]
+  );
+  return res.rows;
+};
+
+module.exports = {
+  getFamilyId,
+  getFamilyVersions,
+};
@@ -0,0 +1,154 @@
+// WHERE-clause builder for queries against the dynamic submission tables.
+// Column references use the "t" alias.
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Build { clauses, params } for the common submission filters.
+// `startIndex` is the first $n placeholder number to use.
+const buildSubmissionFilters = (
+  { from, to, status, user_id } = {},
+  startIndex = 1
+) => {
+  const clauses = [];
+  const params = [];
+  const next = (value) => {
+    params.push(value);
+    return `$${startIndex + params.length - 1}`;
+  };
+
+  if (from) {
+    clauses.push(`t.submitted_at >= ${next(from)}`);
+  }
+
+  if (to) {
+    // A bare date means "through the end of that day"
+    clauses.push(
+      DATE_ONLY.test(to)
+        ? `t.submitted_at < (${next(to)}::date + INTERVAL '1 day')`
+        : `t.submitted_at <= ${next(to)}`
+    );
+  }
+
+  if (status) {
+    const statuses = String(status)
+      .split(",")
+      .map((s) => s.trim())
+      .filter(Boolean);
+    clauses.push(`t.status = ANY(${next(statuses)})`);
+  }
+
+  if (user_id) {
+    const userIds = String(user_id)
+      .split(",")
+      .map((u) => parseInt(u, 10))
+      .filter((u) => !Number.isNaN(u));
+    clauses.push(`t.user_id = ANY(${next(userIds)})`);
+  }
+
+  return { clauses, params };
+};
+
+// Bad filter input (reported to the client as 400)
+class FilterError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "FilterError";
+  }
+}
+
+const FIELD_OPERATORS = ["=", "!=", "<", "<=", ">", ">=", "contains"];
+
+const NUMERIC_TYPES = ["INTEGER", "BIGINT", "NUMERIC", "DOUBLE PRECISION"];
+const NUMERIC_TEXT = "^\\s*[-+]?(\\d+\\.?\\d*|\\.\\d+)\\s*$";
+
+// Helper function: Parse the `filters` query value.
+// Accepts a JSON array of { field, op, value } (or a single object).
+const parseFieldFilters = (raw) => {
+  if (!raw) return [];
+  let parsed = raw;
+  if (typeof raw === "string") {
+    try {
+      parsed = JSON.parse(raw);
+    } catch (e) {
+      throw new FilterError("Filters must be a JSON array");
+    }
+  }
+  const list = Array.isArray(parsed) ? parsed : [parsed];
+
+  return list.map((filter) => {
+    if (!filter || typeof filter !== "object" || !filter.field) {
+      throw new FilterError("Each filter needs a field");
+    }
+    const op = filter.op || filter.operator || "=";
+    if (!FIELD_OPERATORS.includes(op)) {
+      throw new FilterError(
+        `Unsupported operator "${op}" (use ${FIELD_OPERATORS.join(", ")})`
+      );
+    }
+    if (filter.value === undefined || filter.value === null) {
+      throw new FilterError(`Filter on "${filter.field}" needs a value`);
+    }
+    return { field: String(filter.field), op, value: filter.value };
+  });
+};
+
+// Build { clauses, params } for field value filters.
+// `columns` maps column name -> cast type (as produced by buildFamilyUnion);
+// `resolveColumn` turns a filter's field reference into a column name.
+const buildFieldFilters = (filters, columns, resolveColumn, startIndex = 1) => {
+  const clauses = [];
+  const params = [];
+  const next = (value) => {
+    params.push(value);
+    return `$${startIndex + params.length - 1}`;
+  };
+
+  filters.forEach(({ field, op, value }) => {
+    const column = resolveColumn(field);
+    if (!column || !columns[column]) {
+      throw new FilterError(`Unknown field "${field}"`);
+    }
+    const type = columns[column];
+    const ref = `t."${column}"`;
+
+    if (op === "contains") {
+      const pattern = `%${String(value).replace(/[\\%_]/g, "\\$&")}%`;
+      clauses.push(`${ref}::TEXT ILIKE ${next(pattern)}`);
+      return;
+    }
+
+    const sqlOp = op === "!=" ? "<>" : op;
+
+    // Text columns compare numerically when both sides look like numbers
+    // (a column that changed type between versions is unioned as TEXT)
+    if (
+      type === "TEXT" &&
+      op !== "=" &&
+      op !== "!=" &&
+      new RegExp(NUMERIC_TEXT).test(String(value))
+    ) {
+      clauses.push(
+        `(CASE WHEN ${ref} ~ '${NUMERIC_TEXT}' THEN ${ref}::NUMERIC END) ${sqlOp} ${next(
+          value
+        )}::NUMERIC`
+      );
+      return;
+    }
+
+    if (NUMERIC_TYPES.includes(type) && Number.isNaN(Number(value))) {
+      throw new FilterError(`Filter on "${field}" needs a numeric value`);
+    }
+
+    clauses.push(`${ref} ${sqlOp} ${next(value)}::${type}`);
+  });
+
+  return { clauses, params };
+};
+
+module.exports = {
+  FilterError,
+  FIELD_OPERATORS,
+  buildSubmissionFilters,
+  parseFieldFilters,
+  buildFieldFilters,
+};
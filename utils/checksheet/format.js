@@ -0,0 +1,194 @@
+// Display formatting for submission values, using the date-fns style
+// patterns stored in template_fields (date_format, DatetimeFormat,
+// time_format), e.g. "yyyy-MMMM-dd" or "HH:mm:ss".
+
+const MONTHS = [
+  "January",
+  "February",
+  "March",
+  "April",
+  "May",
+  "June",
+  "July",
+  "August",
+  "September",
+  "October",
+  "November",
+  "December",
+];
+
+const pad = (value, length = 2) => String(value).padStart(length, "0");
+
+// Helper function: Format a Date with a date-fns style pattern
+const formatDate = (date, pattern) => {
+  if (!(date instanceof Date) || Number.isNaN(date.getTime())) return "";
+
+  const hours = date.getHours();
+  const tokens = {
+    yyyy: () => String(date.getFullYear()),
+    yy: () => String(date.getFullYear()).slice(-2),
+    MMMM: () => MONTHS[date.getMonth()],
+    MMM: () => MONTHS[date.getMonth()].slice(0, 3),
+    MM: () => pad(date.getMonth() + 1),
+    M: () => String(date.getMonth() + 1),
+    dd: () => pad(date.getDate()),
+    d: () => String(date.getDate()),
+    HH: () => pad(hours),
+    H: () => String(hours),
+    hh: () => pad(hours % 12 || 12),
+    h: () => String(hours % 12 || 12),
+    mm: () => pad(date.getMinutes()),
+    ss: () => pad(date.getSeconds()),
+    a: () => (hours < 12 ? "AM" : "PM"),
+  };
+
+  // Longest tokens first; text in single quotes is copied as-is
+  return String(pattern || "yyyy-MM-dd").replace(
+    /'([^']*)'|yyyy|yy|MMMM|MMM|MM|M|dd|d|HH|H|hh|h|mm|ss|a/g,
+    (match, literal) =>
+      literal !== undefined ? literal : tokens[match] ? tokens[match]() : match
+  );
+};
+
+// Regex for each formatDate token when parsing
+const PARSE_TOKENS = {
+  yyyy: "(\\d{4})",
+  yy: "(\\d{2})",
+  MMMM: "([A-Za-z]+)",
+  MMM: "([A-Za-z]{3})",
+  MM: "(\\d{2})",
+  M: "(\\d{1,2})",
+  dd: "(\\d{2})",
+  d: "(\\d{1,2})",
+  HH: "(\\d{2})",
+  H: "(\\d{1,2})",
+  hh: "(\\d{2})",
+  h: "(\\d{1,2})",
+  mm: "(\\d{2})",
+  ss: "(\\d{2})",
+  a: "([AaPp][Mm])",
+};
+
+// Helper function: Parse text written with a date-fns style pattern (the
+// inverse of formatDate). Returns a local Date, or null if it doesn't match.
+const parseDate = (text, pattern) => {
+  const tokens = [];
+  const source = String(pattern).replace(
+    /'([^']*)'|yyyy|yy|MMMM|MMM|MM|M|dd|d|HH|H|hh|h|mm|ss|a|[.*+?^${}()|[\]\\]/g,
+    (match, literal) => {
+      if (literal !== undefined) {
+        return literal.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      }
+      if (PARSE_TOKENS[match]) {
+        tokens.push(match);
+        return PARSE_TOKENS[match];
+      }
+      return `\\${match}`;
+    }
+  );
+
+  const match = String(text)
+    .trim()
+    .match(new RegExp(`^${source}$`));
+  if (!match) return null;
+
+  const parts = { year: 1970, month: 0, day: 1, hours: 0, minutes: 0 };
+  let seconds = 0;
+  let meridiem = null;
+  tokens.forEach((token, index) => {
+    const value = match[index + 1];
+    const num = parseInt(value, 10);
+    if (token === "yyyy") parts.year = num;
+    else if (token === "yy") parts.year = 2000 + num;
+    else if (token === "MMMM" || token === "MMM") {
+      parts.month = MONTHS.findIndex((m) =>
+        token === "MMMM"
+          ? m.toLowerCase() === value.toLowerCase()
+          : m.slice(0, 3).toLowerCase() === value.toLowerCase()
+      );
+    } else if (token === "MM" || token === "M") parts.month = num - 1;
+    else if (token === "dd" || token === "d") parts.day = num;
+    else if (/^[Hh]+$/.test(token)) parts.hours = num;
+    else if (token === "mm") parts.minutes = num;
+    else if (token === "ss") seconds = num;
+    else if (token === "a") meridiem = value.toUpperCase();
+  });
+
+  if (meridiem) {
+    if (parts.hours < 1 || parts.hours > 12) return null;
+    parts.hours = (parts.hours % 12) + (meridiem === "PM" ? 12 : 0);
+  }
+  if (parts.month < 0 || parts.hours > 23 || parts.minutes > 59) return null;
+  if (seconds > 59) return null;
+
+  const date = new Date(
+    parts.year,
+    parts.month,
+    parts.day,
+    parts.hours,
+    parts.minutes,
+    seconds
+  );
+  // Reject overflow such as 31/02 rolling into March
+  if (date.getMonth() !== parts.month || date.getDate() !== parts.day) {
+    return null;
+  }
+  return date;
+};
+
+// Helper function: Parse "HH:mm[:ss]" (pg TIME) into a Date on 1970-01-01
+const timeToDate = (value) => {
+  const match = String(value).match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?/);
+  if (!match) return null;
+  return new Date(
+    1970,
+    0,
+    1,
+    parseInt(match[1], 10),
+    parseInt(match[2], 10),
+    match[3] ? parseInt(match[3], 10) : 0
+  );
+};
+
+// Format a stored value for export according to its field definition
+const formatFieldValue = (field, value) => {
+  if (value === null || value === undefined) return "";
+  const type = field ? field.field_type : null;
+
+  switch (type) {
+    case "date": {
+      const date = value instanceof Date ? value : new Date(value);
+      return formatDate(date, field.date_format || "yyyy-MM-dd");
+    }
+    case "datetime": {
+      const date = value instanceof Date ? value : new Date(value);
+      const timePattern =
+        field.datetimeformat || field.DatetimeFormat || "HH:mm";
+      return formatDate(
+        date,
+        `${field.date_format || "yyyy-MM-dd"} ${timePattern}`
+      );
+    }
+    case "time": {
+      const date = timeToDate(value);
+      return date ? formatDate(date, field.time_format || "HH:mm:ss") : "";
+    }
+    case "boolean":
+      return value ? "Yes" : "No";
+    case "number":
+    case "calculation": {
+      const num = Number(value);
+      if (Number.isNaN(num)) return String(value);
+      const places = parseInt(field.decimal_places, 10);
+      return Number.isNaN(places) ? num : Number(num.toFixed(places));
+    }
+    default:
+      return value instanceof Date ? value.toISOString() : value;
+  }
+};
+
+module.exports = {
+  formatDate,
+  parseDate,
+  formatFieldValue,
+};
@@ -0,0 +1,508 @@
+// Formula engine for "calculation" fields.
+//
+// Formulas reference other fields by instance_id or field_name, either bare
+// (qty * price) or wrapped when the id has special characters ({field-1} or
+// [field-1]). Supported: + - * / % ^, comparisons (< > <= >= = == != <>),
+// && / ||, and the functions SUM, AVG, MIN, MAX, ROUND, ABS, IF.
+// Formulas are parsed into a tree and evaluated without eval().
+
+const FUNCTIONS = ["SUM", "AVG", "AVERAGE", "MIN", "MAX", "ROUND", "ABS", "IF"];
+
+class FormulaError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "FormulaError";
+  }
+}
+
+// Helper function: Split formula text into tokens
+const tokenize = (formula) => {
+  const tokens = [];
+  let i = 0;
+
+  while (i < formula.length) {
+    const ch = formula[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    if (/[0-9.]/.test(ch)) {
+      const match = formula.slice(i).match(/^(\d+\.?\d*|\.\d+)(e[-+]?\d+)?/i);
+      if (!match) throw new FormulaError(`Invalid number at position ${i}`);
+      tokens.push({ type: "number", value: parseFloat(match[0]) });
+      i += match[0].length;
+      continue;
+    }
+
+    if (ch === '"' || ch === "'") {
+      const end = formula.indexOf(ch, i + 1);
+      if (end === -1) throw new FormulaError("Unterminated string");
+      tokens.push({ type: "string", value: formula.slice(i + 1, end) });
+      i = end + 1;
+      continue;
+    }
+
+    if (ch === "{" || ch === "[") {
+      const close = ch === "{" ? "}" : "]";
+      const end = formula.indexOf(close, i + 1);
+      if (end === -1) throw new FormulaError(`Missing "${close}"`);
+      const name = formula.slice(i + 1, end).trim();
+      if (!name) throw new FormulaError("Empty field reference");
+      tokens.push({ type: "ref", value: name });
+      i = end + 1;
+      continue;
+    }
+
+    if (/[A-Za-z_]/.test(ch)) {
+      const match = formula.slice(i).match(/^[A-Za-z_][A-Za-z0-9_]*/);
+      tokens.push({ type: "ident", value: match[0] });
+      i += match[0].length;
+      continue;
+    }
+
+    const two = formula.slice(i, i + 2);
+    if (["<=", ">=", "==", "!=", "<>", "&&", "||"].includes(two)) {
+      tokens.push({ type: "op", value: two });
+      i += 2;
+      continue;
+    }
+
+    if ("+-*/%^()<>=,".includes(ch)) {
+      tokens.push({ type: "op", value: ch });
+      i++;
+      continue;
+    }
+
+    throw new FormulaError(`Unexpected character "${ch}" at position ${i}`);
+  }
+
+  return tokens;
+};
+
+// Helper function: Recursive-descent parser producing an expression tree
+const parse = (formula) => {
+  if (!formula || String(formula).trim() === "") {
+    throw new FormulaError("Formula is empty");
+  }
+
+  const tokens = tokenize(String(formula).replace(/^\s*=/, ""));
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const isOp = (value) =>
+    peek() && peek().type === "op" && peek().value === value;
+  const expectOp = (value) => {
+    if (!isOp(value)) throw new FormulaError(`Expected "${value}"`);
+    pos++;
+  };
+
+  const parseOr = () => {
+    let node = parseAnd();
+    while (isOp("||")) {
+      pos++;
+      node = { type: "binary", op: "||", left: node, right: parseAnd() };
+    }
+    return node;
+  };
+
+  const parseAnd = () => {
+    let node = parseComparison();
+    while (isOp("&&")) {
+      pos++;
+      node = { type: "binary", op: "&&", left: node, right: parseComparison() };
+    }
+    return node;
+  };
+
+  const parseComparison = () => {
+    let node = parseAdditive();
+    const ops = ["<", ">", "<=", ">=", "=", "==", "!=", "<>"];
+    while (peek() && peek().type === "op" && ops.includes(peek().value)) {
+      const op = tokens[pos++].value;
+      node = { type: "binary", op, left: node, right: parseAdditive() };
+    }
+    return node;
+  };
+
+  const parseAdditive = () => {
+    let node = parseMultiplicative();
+    while (isOp("+") || isOp("-")) {
+      const op = tokens[pos++].value;
+      node = { type: "binary", op, left: node, right: parseMultiplicative() };
+    }
+    return node;
+  };
+
+  const parseMultiplicative = () => {
+    let node = parseUnary();
+    while (isOp("*") || isOp("/") || isOp("%")) {
+      const op = tokens[pos++].value;
+      node = { type: "binary", op, left: node, right: parseUnary() };
+    }
+    return node;
+  };
+
+  const parseUnary = () => {
+    if (isOp("-") || isOp("+")) {
+      const op = tokens[pos++].value;
+      return { type: "unary", op, operand: parseUnary() };
+    }
+    return parsePower();
+  };
+
+  const parsePower = () => {
+    const base = parsePrimary();
+    if (isOp("^")) {
+      pos++;
+      return { type: "binary", op: "^", left: base, right: parseUnary() };
+    }
+    return base;
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) throw new FormulaError("Unexpected end of formula");
+
+    if (token.type === "number" || token.type === "string") {
+      pos++;
+      return { type: "literal", value: token.value };
+    }
+
+    if (token.type === "ref") {
+      pos++;
+      return { type: "ref", name: token.value };
+    }
+
+    if (token.type === "ident") {
+      pos++;
+      const upper = token.value.toUpperCase();
+
+      if (isOp("(")) {
+        if (!FUNCTIONS.includes(upper)) {
+          throw new FormulaError(`Unknown function "${token.value}"`);
+        }
+        pos++;
+        const args = [];
+        if (!isOp(")")) {
+          args.push(parseOr());
+          while (isOp(",")) {
+            pos++;
+            args.push(parseOr());
+          }
+        }
+        expectOp(")");
+        return { type: "call", name: upper, args };
+      }
+
+      if (upper === "TRUE" || upper === "FALSE") {
+        return { type: "literal", value: upper === "TRUE" };
+      }
+
+      return { type: "ref", name: token.value };
+    }
+
+    if (isOp("(")) {
+      pos++;
+      const node = parseOr();
+      expectOp(")");
+      return node;
+    }
+
+    throw new FormulaError(`Unexpected "${token.value}"`);
+  };
+
+  const tree = parseOr();
+  if (pos < tokens.length) {
+    throw new FormulaError(`Unexpected "${tokens[pos].value}"`);
+  }
+  return tree;
+};
+
+// Helper function: List the field references used by a formula
+const getReferences = (tree) => {
+  const refs = new Set();
+  const walk = (node) => {
+    if (!node) return;
+    if (node.type === "ref") refs.add(node.name);
+    if (node.type === "binary") {
+      walk(node.left);
+      walk(node.right);
+    }
+    if (node.type === "unary") walk(node.operand);
+    if (node.type === "call") node.args.forEach(walk);
+  };
+  walk(tree);
+  return [...refs];
+};
+
+// Helper function: Convert submitted input to a number when it looks like one
+const toOperand = (value) => {
+  if (value === undefined || value === null) return null;
+  if (typeof value === "number") return Number.isNaN(value) ? null : value;
+  if (typeof value === "boolean") return value;
+  const trimmed = String(value).trim();
+  if (trimmed === "" || trimmed === "NaN") return null;
+  const num = Number(trimmed);
+  return Number.isNaN(num) ? trimmed : num;
+};
+
+const roundTo = (value, places) => {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+};
+
+const numericArgs = (values) =>
+  values
+    .flat()
+    .filter((v) => v !== null && v !== "" && !Number.isNaN(Number(v)))
+    .map(Number);
+
+// Evaluate an expression tree. `resolve(name)` returns the raw field value.
+const evaluateTree = (tree, resolve) => {
+  const evaluate = (node) => {
+    switch (node.type) {
+      case "literal":
+        return node.value;
+
+      case "ref":
+        return toOperand(resolve(node.name));
+
+      case "unary": {
+        const value = evaluate(node.operand);
+        if (value === null) return null;
+        return node.op === "-" ? -Number(value) : Number(value);
+      }
+
+      case "binary": {
+        if (node.op === "&&") {
+          return Boolean(evaluate(node.left)) && Boolean(evaluate(node.right));
+        }
+        if (node.op === "||") {
+          return Boolean(evaluate(node.left)) || Boolean(evaluate(node.right));
+        }
+
+        const left = evaluate(node.left);
+        const right = evaluate(node.right);
+
+        switch (node.op) {
+          case "=":
+          case "==":
+            return left === right;
+          case "!=":
+          case "<>":
+            return left !== right;
+        }
+
+        if (left === null || right === null) return null;
+
+        switch (node.op) {
+          case "<":
+            return left < right;
+          case ">":
+            return left > right;
+          case "<=":
+            return left <= right;
+          case ">=":
+            return left >= right;
+        }
+
+        const a = Number(left);
+        const b = Number(right);
+        if (Number.isNaN(a) || Number.isNaN(b)) {
+          throw new FormulaError(`Non-numeric value in "${node.op}"`);
+        }
+
+        switch (node.op) {
+          case "+":
+            return a + b;
+          case "-":
+            return a - b;
+          case "*":
+            return a * b;
+          case "/":
+            if (b === 0) throw new FormulaError("Division by zero");
+            return a / b;
+          case "%":
+            if (b === 0) throw new FormulaError("Division by zero");
+            return a % b;
+          case "^":
+            return Math.pow(a, b);
+        }
+        throw new FormulaError(`Unknown operator "${node.op}"`);
+      }
+
+      case "call": {
+        if (node.name === "IF") {
+          if (node.args.length < 2 || node.args.length > 3) {
+            throw new FormulaError("IF expects 2 or 3 arguments");
+          }
+          return evaluate(node.args[0])
+            ? evaluate(node.args[1])
+            : node.args[2]
+            ? evaluate(node.args[2])
+            : null;
+        }
+
+        const args = node.args.map(evaluate);
+
+        switch (node.name) {
+          case "SUM":
+            return numericArgs(args).reduce((sum, v) => sum + v, 0);
+          case "AVG":
+          case "AVERAGE": {
+            const nums = numericArgs(args);
+            return nums.length === 0
+              ? null
+              : nums.reduce((sum, v) => sum + v, 0) / nums.length;
+          }
+          case "MIN": {
+            const nums = numericArgs(args);
+            return nums.length === 0 ? null : Math.min(...nums);
+          }
+          case "MAX": {
+            const nums = numericArgs(args);
+            return nums.length === 0 ? null : Math.max(...nums);
+          }
+          case "ROUND": {
+            if (args[0] === null) return null;
+            const places = args.length > 1 ? parseInt(args[1], 10) || 0 : 0;
+            return roundTo(Number(args[0]), places);
+          }
+          case "ABS":
+            return args[0] === null ? null : Math.abs(Number(args[0]));
+        }
+        throw new FormulaError(`Unknown function "${node.name}"`);
+      }
+    }
+
+    throw new FormulaError("Invalid expression");
+  };
+
+  return evaluate(tree);
+};
+
+// Evaluate a formula against a map of input values (keys case-insensitive).
+// Returns { value, references, missing } or throws FormulaError.
+const evaluateFormula = (formula, inputs = {}) => {
+  const tree = parse(formula);
+  const lookup = {};
+  Object.keys(inputs).forEach((key) => {
+    lookup[key.toLowerCase()] = inputs[key];
+  });
+
+  const references = getReferences(tree);
+  const missing = references.filter((name) => !(name.toLowerCase() in lookup));
+
+  let value = evaluateTree(tree, (name) => lookup[name.toLowerCase()]);
+  if (typeof value === "boolean") value = value ? 1 : 0;
+  if (typeof value === "number" && !Number.isFinite(value)) value = null;
+
+  return { value, references, missing };
+};
+
+// Recompute every calculation field from submitted data.
+// The server value wins: returns a copy of data with calculation fields
+// overwritten plus a list of adjustments where the client value differed
+// and the errors of formulas that failed (their fields store null).
+const applyCalculations = (fields, data) => {
+  const result = { ...data };
+  const adjustments = [];
+  const errors = [];
+
+  // Map every alias (instance_id / field_name) of a field to its data key
+  const keyByLower = {};
+  Object.keys(result).forEach((key) => {
+    keyByLower[key.toLowerCase()] = key;
+  });
+
+  const buildInputs = () => {
+    const inputs = {};
+    fields.forEach((field) => {
+      const aliases = [field.instance_id, field.field_name].filter(Boolean);
+      const key = aliases
+        .map((alias) => keyByLower[String(alias).toLowerCase()])
+        .find((k) => k !== undefined);
+      if (key === undefined) return;
+      aliases.forEach((alias) => {
+        inputs[alias] = result[key];
+      });
+    });
+    Object.keys(result).forEach((key) => {
+      if (!(key in inputs)) inputs[key] = result[key];
+    });
+    return inputs;
+  };
+
+  const calcFields = fields.filter(
+    (f) => f.field_type === "calculation" && f.formula && f.formula.trim()
+  );
+
+  // Calculations may depend on each other - run in definition order,
+  // rebuilding inputs each time so later formulas see earlier results
+  calcFields.forEach((field) => {
+    const aliases = [field.instance_id, field.field_name].filter(Boolean);
+    const existingKey = aliases
+      .map((alias) => keyByLower[String(alias).toLowerCase()])
+      .find((k) => k !== undefined);
+    const targetKey = existingKey || field.instance_id || field.field_name;
+    const clientValue =
+      existingKey !== undefined ? result[existingKey] : undefined;
+
+    let computed;
+    try {
+      computed = evaluateFormula(field.formula, buildInputs()).value;
+    } catch (err) {
+      if (!(err instanceof FormulaError)) throw err;
+      errors.push({
+        instance_id: field.instance_id,
+        field_name: field.field_name,
+        formula: field.formula,
+        message: err.message,
+      });
+      // A formula that fails (division by zero, or a template formula
+      // that doesn't parse) stores no value - never the client's
+      computed = null;
+    }
+
+    if (typeof computed === "string") {
+      computed = Number.isNaN(Number(computed)) ? null : Number(computed);
+    }
+
+    const places = parseInt(field.decimal_places, 10);
+    if (computed !== null && !Number.isNaN(places)) {
+      computed = roundTo(computed, places);
+    }
+
+    const clientNumber = toOperand(clientValue);
+    const tolerance = !Number.isNaN(places) ? Math.pow(10, -places) / 2 : 1e-9;
+    const matches =
+      computed === null
+        ? clientNumber === null
+        : typeof clientNumber === "number" &&
+          Math.abs(clientNumber - computed) <= tolerance;
+
+    if (clientValue !== undefined && !matches) {
+      adjustments.push({
+        instance_id: field.instance_id,
+        field_name: field.field_name,
+        submitted: clientValue,
+        calculated: computed,
+      });
+    }
+
+    result[targetKey] = computed;
+    keyByLower[String(targetKey).toLowerCase()] = targetKey;
+  });
+
+  return { data: result, adjustments, errors };
+};
+
+module.exports = {
+  FormulaError,
+  parse,
+  getReferences,
+  evaluateFormula,
+  applyCalculations,
+};
@@ -0,0 +1,158 @@
+// Template image URLs in html_content.
+//
+// Saved HTML points at /api/checksheet/templates/<id>/images/<imageId>.
+// New versions copy the images (new ids, same element_id) but keep the
+// HTML, so a later version's HTML can still reference an earlier
+// version's image ids. Copies of a template therefore resolve every
+// referenced id to the template's own image before rewriting URLs.
+//
+// The image endpoint needs a login, which an <img> tag can't send. HTML
+// handed to the browser therefore carries signed, expiring URLs
+// (?expires=<unix time>&sig=<hmac>, see signTemplateHtml); saved HTML keeps
+// the bare URL (unsignTemplateHtml strips the signature again).
+
+const crypto = require("crypto");
+
+const IMAGE_URL_PATTERN = /(\/templates\/)\d+(\/images\/)(\d+)/g;
+
+// Full image URL with an optional signature (& may be HTML-escaped)
+const SIGNED_URL_PATTERN =
+  /(\/api\/checksheet\/templates\/(\d+)\/images\/(\d+))(?:\?expires=\d+(?:&|&amp;)sig=[a-f0-9]*)?/g;
+
+// How long a signed URL works (CHECKSHEET_IMAGE_URL_TTL, seconds)
+const IMAGE_URL_TTL =
+  parseInt(process.env.CHECKSHEET_IMAGE_URL_TTL, 10) || 12 * 60 * 60;
+
+// Helper function: Signature of one image URL
+const imageSignature = (templateId, imageId, expires) =>
+  crypto
+    .createHmac(
+      "sha256",
+      process.env.CHECKSHEET_IMAGE_URL_SECRET || process.env.JWT_SECRET
+    )
+    .update(`${templateId}/${imageId}/${expires}`)
+    .digest("hex");
+
+// Whether a signed image URL is genuine and not expired
+const verifyImageSignature = (templateId, imageId, expires, sig) => {
+  const expiresAt = parseInt(expires, 10);
+  if (!expiresAt || expiresAt * 1000 < Date.now()) return false;
+  if (typeof sig !== "string") return false;
+
+  const expected = Buffer.from(imageSignature(templateId, imageId, expiresAt));
+  const given = Buffer.from(sig);
+  return (
+    expected.length === given.length && crypto.timingSafeEqual(expected, given)
+  );
+};
+
+// Helper function: Rewrite image URLs in HTML, given the bare URL and ids
+const mapImageUrls = (html, replace) =>
+  typeof html === "string"
+    ? html.replace(SIGNED_URL_PATTERN, (match, url, templateId, imageId) =>
+        replace(url, templateId, imageId)
+      )
+    : html;
+
+// Helper function: Apply `mapHtml` to every HTML property of a template
+// (html_content, original_html_content and each sheet's HTML)
+const mapTemplateHtml = (template, mapHtml) => {
+  if (!template || typeof template !== "object") return template;
+
+  const result = { ...template };
+  ["html_content", "original_html_content"].forEach((key) => {
+    result[key] = mapHtml(result[key]);
+  });
+  if (Array.isArray(result.sheets)) {
+    result.sheets = result.sheets.map((sheet) =>
+      sheet && typeof sheet === "object"
+        ? {
+            ...sheet,
+            ...(sheet.html_content !== undefined && {
+              html_content: mapHtml(sheet.html_content),
+            }),
+            ...(sheet.html !== undefined && { html: mapHtml(sheet.html) }),
+          }
+        : sheet
+    );
+  }
+  return result;
+};
+
+// Copy of a template whose image URLs are signed for the browser. Expiry is
+// rounded up to the hour so repeated loads keep the same (cacheable) URLs.
+const signTemplateHtml = (template) => {
+  const expires = Math.ceil((Date.now() / 1000 + IMAGE_URL_TTL) / 3600) * 3600;
+  return mapTemplateHtml(template, (html) =>
+    mapImageUrls(
+      html,
+      (url, templateId, imageId) =>
+        `${url}?expires=${expires}&sig=${imageSignature(
+          templateId,
+          imageId,
+          expires
+        )}`
+    )
+  );
+};
+
+// Copy of a posted template with the signatures stripped from image URLs
+const unsignTemplateHtml = (template) =>
+  mapTemplateHtml(template, (html) => mapImageUrls(html, (url) => url));
+
+// Helper function: Image ids referenced by the HTML
+const findImageReferences = (html) => {
+  const ids = new Set();
+  String(html || "").replace(IMAGE_URL_PATTERN, (match, a, b, imageId) => {
+    ids.add(parseInt(imageId, 10));
+    return match;
+  });
+  return [...ids];
+};
+
+// Helper function: Map every image id the HTML references to one of
+// `images` (the template's own rows, which need id and element_id).
+// Ids of other versions' copies are matched by element_id.
+const resolveImageIds = async (client, html, images) => {
+  const own = {};
+  const byElement = {};
+  images.forEach((image) => {
+    own[image.id] = image.id;
+    if (image.element_id) byElement[image.element_id] = image.id;
+  });
+
+  const foreign = findImageReferences(html).filter((id) => !own[id]);
+  if (foreign.length > 0) {
+    const res = await client.query(
+      `SELECT id, element_id FROM template_images WHERE id = ANY($1)`,
+      [foreign]
+    );
+    res.rows.forEach((row) => {
+      if (row.element_id && byElement[row.element_id]) {
+        own[row.id] = byElement[row.element_id];
+      }
+    });
+  }
+
+  return own;
+};
+
+// Helper function: Point image URLs at another template's images.
+// imageIds maps referenced image id -> new image id; others are left as-is.
+const remapImageUrls = (html, templateId, imageIds) =>
+  String(html || "").replace(
+    IMAGE_URL_PATTERN,
+    (match, prefix, middle, imageId) =>
+      imageIds[imageId]
+        ? `${prefix}${templateId}${middle}${imageIds[imageId]}`
+        : match
+  );
+
+module.exports = {
+  verifyImageSignature,
+  signTemplateHtml,
+  unsignTemplateHtml,
+  findImageReferences,
+  resolveImageIds,
+  remapImageUrls,
+};
@@ -0,0 +1,528 @@
+// Bulk import of historical submissions from a CSV or XLSX file.
+//
+// The caller maps file columns (header text) to template fields by
+// instance_id or field_name; a column mapped to "submitted_at" keeps the
+// original submission date and one mapped to "status" its status (draft or
+// completed; empty cells and unmapped files import as completed). Every row
+// goes through the same steps as POST /submissions: edit permissions,
+// calculations, validation (all required fields for completed rows),
+// attachment references and column conversion (toColumnValue).
+//
+// importRows runs inside the caller's transaction, one savepoint per row,
+// and reports every row error. The caller commits only when there are
+// none; a dry run always rolls back, so it reports exactly what a real
+// import would do.
+
+const ExcelJS = require("exceljs");
+const { toColumnName, toColumnValue } = require("./columns");
+const { validateSubmission } = require("./validator");
+const { applyCalculations } = require("./formula");
+const { findBlockedWrites, applyEditPermissions } = require("./permissions");
+const {
+  AttachmentError,
+  prepareAttachmentValues,
+  linkAttachments,
+} = require("./attachments");
+const { getRowSnapshot, recordAudit } = require("./audit");
+const { BASE_STATUSES, recordStatusChange } = require("./workflow");
+const { indexTransaction } = require("./search");
+const { quoteIdent } = require("./union");
+
+const MAX_IMPORT_ROWS = 50000;
+
+// Row errors returned in a report (the total is always counted)
+const MAX_REPORTED_ERRORS = 500;
+
+const SUBMITTED_AT = "submitted_at";
+const STATUS = "status";
+const DEFAULT_STATUS = "completed";
+
+class ImportError extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.name = "ImportError";
+    this.errors = errors;
+  }
+}
+
+// Helper function: Split CSV text into rows of cells (RFC 4180 quoting;
+// the delimiter is "," or ";", whichever the header line uses more)
+const parseCsv = (text) => {
+  const source = text.replace(/^\uFEFF/, "");
+  const headerLine = source.slice(0, source.search(/\r?\n|$/));
+  const delimiter =
+    (headerLine.match(/;/g) || []).length >
+    (headerLine.match(/,/g) || []).length
+      ? ";"
+      : ",";
+
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== "" || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+};
+
+// Helper function: Plain value of an XLSX cell (rich text, formulas and
+// hyperlinks are reduced to what the cell shows)
+const xlsxCellValue = (value) => {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date || typeof value !== "object") return value;
+  if (Array.isArray(value.richText)) {
+    return value.richText.map((part) => part.text).join("");
+  }
+  if ("result" in value) return xlsxCellValue(value.result);
+  if ("text" in value) return xlsxCellValue(value.text);
+  return null;
+};
+
+// Helper function: Rows of one XLSX worksheet (name or 1-based position;
+// default the first)
+const parseXlsx = async (buffer, sheet) => {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (err) {
+    throw new ImportError("File is not a valid XLSX workbook");
+  }
+
+  let worksheet;
+  if (sheet === undefined || sheet === null || sheet === "") {
+    worksheet = workbook.worksheets[0];
+  } else if (/^\d+$/.test(String(sheet))) {
+    worksheet = workbook.worksheets[Number(sheet) - 1];
+  } else {
+    worksheet = workbook.getWorksheet(String(sheet));
+  }
+  if (!worksheet) {
+    throw new ImportError(
+      sheet ? `Worksheet "${sheet}" not found` : "Workbook has no worksheets"
+    );
+  }
+
+  const rows = [];
+  worksheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+    const cells = [];
+    row.eachCell({ includeEmpty: true }, (cell, column) => {
+      cells[column - 1] = xlsxCellValue(cell.value);
+    });
+    rows[rowNumber - 1] = Array.from(cells, (v) =>
+      v === undefined ? null : v
+    );
+  });
+  return Array.from(rows, (r) => r || []);
+};
+
+// Read an uploaded CSV or XLSX file: { headers, rows } where rows are
+// arrays of cells in header order. XLSX is recognised by its zip
+// signature, anything else is read as UTF-8 CSV.
+const readImportFile = async (buffer, { sheet } = {}) => {
+  const isXlsx = buffer.length > 3 && buffer.readUInt32LE(0) === 0x04034b50;
+  const table = isXlsx
+    ? await parseXlsx(buffer, sheet)
+    : parseCsv(buffer.toString("utf8"));
+
+  const [headerRow = [], ...rows] = table;
+  const headers = headerRow.map((h) =>
+    h === null || h === undefined ? "" : String(h).trim()
+  );
+  if (headers.every((h) => h === "")) {
+    throw new ImportError("File has no header row");
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new ImportError(
+      `File has ${rows.length} rows; an import is limited to ${MAX_IMPORT_ROWS}`
+    );
+  }
+  return { headers, rows };
+};
+
+// Helper function: Mapping from the request: JSON text (multipart) or an
+// object of header -> instance_id / field_name / "submitted_at" / "status"
+const parseMapping = (mapping) => {
+  if (typeof mapping === "string") {
+    try {
+      mapping = JSON.parse(mapping);
+    } catch (err) {
+      throw new ImportError("mapping is not valid JSON");
+    }
+  }
+  if (!mapping || typeof mapping !== "object" || Array.isArray(mapping)) {
+    throw new ImportError(
+      "mapping must be an object of file column -> field instance_id or field_name"
+    );
+  }
+  return mapping;
+};
+
+// Resolve the column mapping against the file headers, the template fields
+// and the columns of the submission table. Returns
+// [{ header, index, field, target }] (field null for submitted_at and
+// status).
+const resolveMapping = (mapping, headers, fields, tableColumns) => {
+  const entries = Object.entries(parseMapping(mapping)).filter(
+    ([, target]) => target !== null && target !== undefined && target !== ""
+  );
+  if (entries.length === 0) {
+    throw new ImportError("mapping does not map any column");
+  }
+
+  const errors = [];
+  const resolved = [];
+  const usedTargets = new Set();
+  const headerIndex = new Map();
+  headers.forEach((header, index) => {
+    if (!headerIndex.has(header.toLowerCase())) {
+      headerIndex.set(header.toLowerCase(), index);
+    }
+  });
+
+  entries.forEach(([header, target]) => {
+    const index = headerIndex.get(String(header).trim().toLowerCase());
+    if (index === undefined) {
+      errors.push({ column: header, message: "Column not found in the file" });
+      return;
+    }
+
+    const lower = String(target).toLowerCase();
+    if (lower === SUBMITTED_AT || lower === STATUS) {
+      if (usedTargets.has(lower)) {
+        errors.push({ column: header, message: `${lower} mapped twice` });
+      }
+      usedTargets.add(lower);
+      resolved.push({ header, index, field: null, target: lower });
+      return;
+    }
+
+    const field = fields.find(
+      (f) =>
+        (f.instance_id && f.instance_id.toLowerCase() === lower) ||
+        (f.field_name && f.field_name.toLowerCase() === lower)
+    );
+    if (!field) {
+      errors.push({ column: header, message: `Unknown field "${target}"` });
+      return;
+    }
+    if (field.field_type === "calculation") {
+      errors.push({
+        column: header,
+        message: `${
+          field.label || field.field_name
+        } is calculated by the server`,
+      });
+      return;
+    }
+    const column = toColumnName(field.field_name || field.instance_id);
+    if (!tableColumns.includes(column)) {
+      errors.push({
+        column: header,
+        message: `${
+          field.label || field.field_name
+        } has no column in the submission table`,
+      });
+      return;
+    }
+    if (usedTargets.has(field.instance_id)) {
+      errors.push({
+        column: header,
+        message: `${field.label || field.field_name} is mapped twice`,
+      });
+      return;
+    }
+    usedTargets.add(field.instance_id);
+    resolved.push({ header, index, field, target: field.instance_id });
+  });
+
+  if (errors.length > 0) {
+    throw new ImportError("Invalid column mapping", errors);
+  }
+  return resolved;
+};
+
+// Helper function: Cell value as the form would submit it. XLSX dates are
+// stored as UTC wall-clock times, so they are formatted from the ISO string.
+const toSubmittedValue = (value, fieldType) => {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) return "";
+    const iso = value.toISOString();
+    if (fieldType === "date") return iso.slice(0, 10);
+    if (fieldType === "time") return iso.slice(11, 19);
+    return `${iso.slice(0, 10)} ${iso.slice(11, 19)}`;
+  }
+  if (typeof value === "string") return value.trim();
+  return value;
+};
+
+// Helper function: Insert one file row; returns { id } or { errors }
+const importRow = async (client, context, cells, rowNumber) => {
+  const {
+    template,
+    fields,
+    editableFields,
+    permissions,
+    mapping,
+    userId,
+    dryRun,
+  } = context;
+  const rowError = (message, extra = {}) => ({
+    row: rowNumber,
+    ...extra,
+    message,
+  });
+
+  const data = {};
+  let submittedAt = null;
+  let status = DEFAULT_STATUS;
+  mapping.forEach(({ index, field, target }) => {
+    const value = toSubmittedValue(
+      cells[index],
+      field ? field.field_type : target === STATUS ? "text" : "datetime"
+    );
+    if (field) {
+      data[field.instance_id] = value;
+    } else if (target === STATUS) {
+      status = value === "" ? DEFAULT_STATUS : String(value).toLowerCase();
+    } else {
+      submittedAt = value === "" ? null : value;
+    }
+  });
+
+  if (
+    submittedAt === null &&
+    Object.values(data).every((v) => v === "" || v === null)
+  ) {
+    return { skipped: true };
+  }
+
+  if (submittedAt !== null && Number.isNaN(new Date(submittedAt).getTime())) {
+    return {
+      errors: [
+        rowError("submitted_at must be a date", { column: SUBMITTED_AT }),
+      ],
+    };
+  }
+  if (!BASE_STATUSES.includes(status)) {
+    return {
+      errors: [
+        rowError(`status must be one of: ${BASE_STATUSES.join(", ")}`, {
+          column: STATUS,
+        }),
+      ],
+    };
+  }
+
+  const blocked = findBlockedWrites(fields, permissions, data);
+  if (blocked.length > 0) {
+    return {
+      errors: blocked.map((field) =>
+        rowError("You do not have permission to edit this field", field)
+      ),
+    };
+  }
+
+  Object.assign(data, applyCalculations(fields, data).data);
+
+  const validation = validateSubmission(editableFields, data, {
+    requireAll: status === "completed",
+  });
+  if (!validation.valid) {
+    return {
+      errors: validation.errors.map(({ message, ...issue }) =>
+        rowError(message, issue)
+      ),
+    };
+  }
+
+  // Attachment references are checked like a submission; embedded files
+  // would be stored before the dry run is rolled back
+  const embedded = fields.find((f) =>
+    String(data[f.instance_id] || "").includes(";base64,")
+  );
+  if (embedded) {
+    return {
+      errors: [
+        rowError("Embedded files can't be imported", {
+          instance_id: embedded.instance_id,
+          field_name: embedded.field_name,
+        }),
+      ],
+    };
+  }
+  let attachmentIds;
+  try {
+    const prepared = await prepareAttachmentValues(client, {
+      fields,
+      data,
+      templateId: template.id,
+      userId,
+    });
+    Object.assign(data, prepared.data);
+    attachmentIds = prepared.attachmentIds;
+  } catch (err) {
+    if (!(err instanceof AttachmentError)) throw err;
+    return { errors: [rowError(err.message, { instance_id: err.field })] };
+  }
+
+  const columns = ["user_id", "template_version", STATUS];
+  const values = [userId, template.version || 1, status];
+  if (submittedAt !== null) {
+    columns.push(SUBMITTED_AT);
+    values.push(submittedAt);
+  }
+  fields.forEach((field) => {
+    if (!(field.instance_id in data)) return;
+    const column = toColumnName(field.field_name || field.instance_id);
+    if (!context.tableColumns.includes(column)) return;
+    columns.push(column);
+    values.push(toColumnValue(field.field_type, data[field.instance_id]));
+  });
+
+  // Database errors (out-of-range numbers, bad dates) belong to the row
+  await client.query("SAVEPOINT import_row");
+  let id;
+  try {
+    const insertRes = await client.query(
+      `INSERT INTO ${quoteIdent(template.table_name)}
+       (${columns.map(quoteIdent).join(", ")})
+       VALUES (${columns.map((_, i) => `$${i + 1}`).join(", ")})
+       RETURNING id`,
+      values
+    );
+    id = insertRes.rows[0].id;
+  } catch (err) {
+    await client.query("ROLLBACK TO SAVEPOINT import_row");
+    return { errors: [rowError(err.message)] };
+  }
+  await client.query("RELEASE SAVEPOINT import_row");
+
+  if (!dryRun) {
+    await linkAttachments(client, attachmentIds, {
+      templateId: template.id,
+      transactionId: id,
+    });
+    await recordAudit(client, {
+      templateId: template.id,
+      familyId: template.parent_template_id || template.id,
+      templateVersion: template.version,
+      tableName: template.table_name,
+      transactionId: id,
+      action: "import",
+      userId,
+      newRow: await getRowSnapshot(client, template.table_name, id),
+    });
+    await recordStatusChange(client, {
+      templateId: template.id,
+      familyId: template.parent_template_id || template.id,
+      templateVersion: template.version,
+      tableName: template.table_name,
+      transactionId: id,
+      toStatus: status,
+      action: "import",
+      userId,
+    });
+    await indexTransaction(client, template.id, id);
+  }
+
+  return { id, warnings: validation.warnings.length };
+};
+
+// Import the rows of a file into the template's submission table, inside
+// the caller's transaction. `template` is the active version row. Returns
+// the report; the caller rolls back when report.errors_total > 0.
+const importRows = async (
+  client,
+  { template, fields, permissions, headers, rows, mapping, userId, dryRun }
+) => {
+  const columnsRes = await client.query(
+    `SELECT column_name FROM information_schema.columns
+     WHERE table_schema = current_schema() AND table_name = $1`,
+    [template.table_name]
+  );
+  const tableColumns = columnsRes.rows.map((r) => r.column_name);
+
+  const context = {
+    template,
+    fields,
+    editableFields: applyEditPermissions(fields, permissions),
+    permissions,
+    tableColumns,
+    mapping: resolveMapping(mapping, headers, fields, tableColumns),
+    userId,
+    dryRun,
+  };
+
+  const report = {
+    dry_run: dryRun,
+    rows_total: rows.length,
+    rows_imported: 0,
+    rows_skipped: 0,
+    rows_with_warnings: 0,
+    errors_total: 0,
+    errors: [],
+  };
+
+  for (let i = 0; i < rows.length; i++) {
+    // Row 1 is the header
+    const result = await importRow(client, context, rows[i], i + 2);
+    if (result.skipped) {
+      report.rows_skipped++;
+    } else if (result.errors) {
+      report.errors_total += result.errors.length;
+      report.errors.push(
+        ...result.errors.slice(
+          0,
+          Math.max(0, MAX_REPORTED_ERRORS - report.errors.length)
+        )
+      );
+    } else {
+      report.rows_imported++;
+      if (result.warnings > 0) report.rows_with_warnings++;
+    }
+  }
+
+  report.mapping = context.mapping.map(({ header, field, target }) => ({
+    column: header,
+    target,
+    label: field ? field.label || field.field_name : null,
+  }));
+  return report;
+};
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  ImportError,
+  readImportFile,
+  importRows,
+};
@@ -0,0 +1,46 @@
+// Outgoing checksheet email through the SMTP settings in AppSettings
+
+const nodemailer = require("nodemailer");
+
+// Helper function: Transport and From address, or null when SMTP isn't
+// configured
+const getMailer = async (client) => {
+  const settingsRes = await client.query(
+    "SELECT * FROM AppSettings WHERE id = 1"
+  );
+  if (settingsRes.rows.length === 0) return null;
+  const smtpSettings = settingsRes.rows[0];
+
+  const transporter = nodemailer.createTransport({
+    host: smtpSettings.smtphost,
+    port: smtpSettings.smtpport,
+    secure: smtpSettings.smtpsecure,
+    auth: {
+      user: smtpSettings.smtpuser,
+      pass: smtpSettings.smtppass,
+    },
+  });
+
+  return {
+    transporter,
+    from: `"${smtpSettings.smtpfromname || "NXPERT EON"}" <${
+      smtpSettings.smtpfromemail || smtpSettings.smtpuser
+    }>`,
+  };
+};
+
+// Helper function: Link into the web app (CHECKSHEET_APP_URL, else the
+// CORS frontend origin)
+const appLink = (path) => {
+  const base = (
+    process.env.CHECKSHEET_APP_URL ||
+    process.env.FRONTEND_ORIGIN ||
+    ""
+  ).replace(/\/+$/, "");
+  return `${base}${path}`;
+};
+
+module.exports = {
+  getMailer,
+  appLink,
+};
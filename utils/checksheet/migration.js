@@ -0,0 +1,717 @@
+// Data migration between the submission tables of two template versions.
+//
+// Every row of the source table is copied in batches (keyset on id). The
+// source rows stay where they are; each copy records the source id in
+// original_submission_id, which marks the source row as superseded for
+// readers that span versions (see union.js).
+//
+// Each target column takes its data from the source column of the same
+// field (matched by instance_id, so renamed fields keep their data) or of
+// the same name. Values go through a converter for the target type:
+//   - compatible columns are copied as before (date -> text etc.)
+//   - breaking changes (see isBreakingChange) and incompatible types are
+//     only migrated with a conversion rule, otherwise the column is dropped
+//     and listed in the report.
+//
+// Conversion rules are keyed by field_name, instance_id or column name:
+//   { format: "dd/MM/yyyy", on_error: "null" | "skip_row",
+//     decimal_separator: "," }
+// format uses the same date-fns tokens as template_fields.date_format.
+// on_error "null" (default) stores NULL for a value that won't convert,
+// "skip_row" leaves the whole row out.
+//
+// Every real run is recorded in checksheet_migration_reports; a dry run
+// returns the same report without writing anything.
+
+const { toColumnName, columnTypeFor } = require("./columns");
+const { parseDate, formatDate } = require("./format");
+const { toNumber, toSeconds, isEmpty } = require("./validator");
+const { quoteIdent } = require("./union");
+
+const DEFAULT_BATCH_SIZE = 500;
+
+// pg allows 65535 bind parameters per statement
+const MAX_PARAMS = 30000;
+
+// Sample failures kept per column in the report
+const MAX_SAMPLES = 5;
+
+const ON_ERROR_MODES = ["null", "skip_row"];
+
+// Columns the migration sets itself
+const MIGRATION_COLUMNS = [
+  "id",
+  "user_id",
+  "submitted_at",
+  "template_version",
+  "original_submission_id",
+];
+
+class MigrationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "MigrationError";
+  }
+}
+
+// The copy into a new version's table failed. The caller rolls the version
+// save back, then records `report` (status "failed") with
+// recordFailedMigration.
+class MigrationFailedError extends Error {
+  constructor(report, meta) {
+    super(`Data migration failed: ${report.error}`);
+    this.name = "MigrationFailedError";
+    this.report = report;
+    this.meta = meta;
+  }
+}
+
+// Create the report table (at startup, see ./schema.js)
+const ensureMigrationTables = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS checksheet_migration_reports (
+      id SERIAL PRIMARY KEY,
+      family_id INTEGER NOT NULL,
+      from_template_id INTEGER,
+      to_template_id INTEGER,
+      from_version INTEGER,
+      to_version INTEGER,
+      from_table VARCHAR(255),
+      to_table VARCHAR(255),
+      status VARCHAR(20) NOT NULL,
+      total_rows INTEGER DEFAULT 0,
+      migrated_rows INTEGER DEFAULT 0,
+      skipped_rows INTEGER DEFAULT 0,
+      columns JSONB,
+      dropped JSONB,
+      conversions JSONB,
+      error TEXT,
+      created_by INTEGER,
+      started_at TIMESTAMP DEFAULT NOW(),
+      finished_at TIMESTAMP
+    )
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_checksheet_migration_reports_family
+    ON checksheet_migration_reports (family_id, to_version)
+  `);
+};
+
+// Helper function: Check if a field type change is breaking
+const isBreakingChange = (oldType, newType) => {
+  const breakingPairs = [
+    ["text", "number"],
+    ["text", "date"],
+    ["text", "datetime"],
+    ["text", "time"],
+    ["text", "boolean"],
+    ["textbox", "number"],
+    ["textbox", "date"],
+    ["number", "text"],
+    ["number", "textbox"],
+    ["date", "text"],
+    ["datetime", "text"],
+    ["boolean", "text"],
+    ["calculation", "text"],
+  ];
+
+  return breakingPairs.some(([from, to]) => from === oldType && to === newType);
+};
+
+// Helper function: Detect field type changes between the stored fields and
+// the field_configurations being saved
+const detectSchemaChanges = (oldFields, newFields) => {
+  const changes = [];
+
+  // Convert old fields to map for easy lookup
+  const oldFieldMap = {};
+  oldFields.forEach((field) => {
+    oldFieldMap[field.instance_id] = field;
+  });
+
+  // Check each new field
+  Object.keys(newFields).forEach((fieldId) => {
+    const oldField = oldFieldMap[fieldId];
+    const newField = newFields[fieldId];
+
+    if (oldField && oldField.field_type !== newField.type) {
+      changes.push({
+        fieldId,
+        fieldName: newField.field_name || fieldId,
+        oldType: oldField.field_type,
+        newType: newField.type,
+        breakingChange: isBreakingChange(oldField.field_type, newField.type),
+      });
+    }
+  });
+
+  return changes;
+};
+
+const simplifyType = (type) => {
+  const lower = String(type).toLowerCase();
+  if (lower.includes("character") || lower.includes("text")) return "text";
+  if (lower.includes("integer")) return "integer";
+  if (lower.includes("decimal") || lower.includes("numeric")) return "decimal";
+  if (lower.includes("timestamp")) return "timestamp";
+  if (lower.includes("date")) return "date";
+  if (lower.includes("time")) return "time";
+  if (lower.includes("boolean")) return "boolean";
+  return lower;
+};
+
+// Helper function to check type compatibility
+const areTypesCompatible = (oldType, newType) => {
+  // Simplify type comparison
+  const oldSimple = simplifyType(oldType);
+  const newSimple = simplifyType(newType);
+
+  // Compatible if same type or TEXT can accept anything
+  if (newSimple === "text") return true;
+  if (oldSimple === newSimple) return true;
+
+  // Some specific compatibilities
+  if (oldSimple === "integer" && newSimple === "decimal") return true;
+  if (oldSimple === "decimal" && newSimple === "integer") return true;
+
+  return false;
+};
+
+// Helper function: Validate the conversions payload
+const normalizeConversions = (conversions) => {
+  if (conversions === undefined || conversions === null) return {};
+  if (typeof conversions !== "object" || Array.isArray(conversions)) {
+    throw new MigrationError("Conversions must be an object keyed by field");
+  }
+
+  const normalized = {};
+  Object.entries(conversions).forEach(([key, rule]) => {
+    if (!rule || typeof rule !== "object") {
+      throw new MigrationError(`Conversion for "${key}" must be an object`);
+    }
+    const onError = rule.on_error || "null";
+    if (!ON_ERROR_MODES.includes(onError)) {
+      throw new MigrationError(
+        `Conversion for "${key}": on_error must be one of ${ON_ERROR_MODES.join(
+          ", "
+        )}`
+      );
+    }
+    if (rule.format !== undefined && typeof rule.format !== "string") {
+      throw new MigrationError(`Conversion for "${key}": format must be text`);
+    }
+    normalized[String(key).toLowerCase()] = {
+      format: rule.format || null,
+      on_error: onError,
+      decimal_separator: rule.decimal_separator === "," ? "," : ".",
+    };
+  });
+  return normalized;
+};
+
+const pad = (value) => String(value).padStart(2, "0");
+
+// Helper function: Parse a date/timestamp source value (pg text output or
+// user text), with the rule's format when there is one
+const parseDateValue = (text, rule) => {
+  if (rule && rule.format) return parseDate(text, rule.format);
+
+  const match = text.match(
+    /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?)?/
+  );
+  if (match) {
+    const date = new Date(
+      parseInt(match[1], 10),
+      parseInt(match[2], 10) - 1,
+      parseInt(match[3], 10),
+      parseInt(match[4] || "0", 10),
+      parseInt(match[5] || "0", 10),
+      parseInt(match[6] || "0", 10)
+    );
+    return date.getDate() === parseInt(match[3], 10) ? date : null;
+  }
+
+  // Only with a rule do we guess at free-form text
+  if (!rule) return null;
+  const parsed = new Date(text);
+  return Number.isNaN(parsed.getTime()) ? null : parsed;
+};
+
+const TRUE_VALUES = ["true", "t", "1", "yes", "y", "on"];
+const FALSE_VALUES = ["false", "f", "0", "no", "n", "off"];
+
+// Convert one source value (as text) for a target column type.
+// Returns { value } or { error }.
+const convertValue = (raw, targetType, rule) => {
+  if (isEmpty(raw)) return { value: null };
+  const text = String(raw).trim();
+
+  switch (simplifyType(targetType)) {
+    case "text":
+      return { value: String(raw) };
+
+    case "decimal":
+    case "integer": {
+      let source = text.replace(/\s/g, "");
+      if (rule && rule.decimal_separator === ",") {
+        source = source.replace(/\./g, "").replace(",", ".");
+      } else {
+        source = source.replace(/,/g, "");
+      }
+      const num = toNumber(source);
+      if (num === null || Number.isNaN(num)) {
+        return { error: `"${text}" is not a number` };
+      }
+      if (simplifyType(targetType) === "integer") {
+        const rounded = Math.round(num);
+        if (Math.abs(rounded) > 2147483647) {
+          return { error: `${num} is out of range` };
+        }
+        return { value: String(rounded) };
+      }
+      // DECIMAL(12,4) holds 8 integer digits
+      if (Math.abs(num) >= 1e8) return { error: `${num} is out of range` };
+      return { value: String(num) };
+    }
+
+    case "date": {
+      const date = parseDateValue(text, rule);
+      if (!date) return { error: `"${text}" is not a valid date` };
+      return { value: formatDate(date, "yyyy-MM-dd") };
+    }
+
+    case "timestamp": {
+      const date = parseDateValue(text, rule);
+      if (!date) return { error: `"${text}" is not a valid date/time` };
+      return { value: formatDate(date, "yyyy-MM-dd HH:mm:ss") };
+    }
+
+    case "time": {
+      let seconds = null;
+      if (rule && rule.format) {
+        const date = parseDate(text, rule.format);
+        if (date) {
+          seconds =
+            date.getHours() * 3600 + date.getMinutes() * 60 + date.getSeconds();
+        }
+      } else {
+        seconds = toSeconds(text);
+      }
+      if (seconds === null) return { error: `"${text}" is not a valid time` };
+      return {
+        value: `${pad(Math.floor(seconds / 3600))}:${pad(
+          Math.floor((seconds % 3600) / 60)
+        )}:${pad(seconds % 60)}`,
+      };
+    }
+
+    case "boolean": {
+      const lower = text.toLowerCase();
+      if (TRUE_VALUES.includes(lower)) return { value: "true" };
+      if (FALSE_VALUES.includes(lower)) return { value: "false" };
+      return { error: `"${text}" is not true or false` };
+    }
+
+    default:
+      return { value: String(raw) };
+  }
+};
+
+// Helper function: Column name -> data_type of a table
+const getColumnTypes = async (client, tableName) => {
+  const res = await client.query(
+    `SELECT column_name, data_type
+     FROM information_schema.columns
+     WHERE table_name = $1
+     ORDER BY ordinal_position`,
+    [tableName]
+  );
+  const columns = new Map();
+  res.rows.forEach((row) => columns.set(row.column_name, row.data_type));
+  return columns;
+};
+
+// Helper function: Target column -> data_type for field configurations
+// (for dry runs, before the target table exists)
+const plannedColumnTypes = (fieldConfigs) => {
+  const columns = new Map([
+    ["status", "character varying"],
+    ["updated_at", "timestamp without time zone"],
+    ["production_plan_id", "integer"],
+    ["plan_machine", "character varying"],
+    ["plan_shift", "character varying"],
+  ]);
+  Object.entries(fieldConfigs || {}).forEach(([fieldId, config]) => {
+    columns.set(
+      toColumnName(config.field_name || config.instanceId || fieldId),
+      columnTypeFor(config.type)
+    );
+  });
+  return columns;
+};
+
+// Work out where every target column gets its data from.
+// oldFields: template_fields rows of the source version;
+// newFields: { instanceId: { field_name, type } } of the target version.
+const planMigration = ({
+  sourceColumns,
+  targetColumns,
+  oldFields = [],
+  newFields = {},
+  conversions = {},
+}) => {
+  const oldByInstance = {};
+  oldFields.forEach((field) => {
+    oldByInstance[field.instance_id] = field;
+  });
+
+  // Target column -> field info
+  const targetFields = {};
+  Object.entries(newFields).forEach(([fieldId, config]) => {
+    const instanceId = config.instanceId || fieldId;
+    const column = toColumnName(config.field_name || instanceId);
+    targetFields[column] = {
+      instance_id: instanceId,
+      field_name: config.field_name || instanceId,
+      type: config.type,
+    };
+  });
+
+  const findRule = (field, column) => {
+    const keys = [column];
+    if (field) keys.push(field.instance_id, field.field_name);
+    const key = keys
+      .filter(Boolean)
+      .map((k) => String(k).toLowerCase())
+      .find((k) => conversions[k]);
+    return key ? conversions[key] : null;
+  };
+
+  const columns = [];
+  const dropped = [];
+  const usedSources = new Set();
+
+  targetColumns.forEach((targetType, target) => {
+    if (MIGRATION_COLUMNS.includes(target)) return;
+
+    const field = targetFields[target];
+    const oldField = field ? oldByInstance[field.instance_id] : null;
+    const renamedFrom = oldField
+      ? toColumnName(oldField.field_name || oldField.instance_id)
+      : null;
+    const source =
+      renamedFrom && sourceColumns.has(renamedFrom)
+        ? renamedFrom
+        : sourceColumns.has(target)
+        ? target
+        : null;
+    if (!source) return;
+    usedSources.add(source);
+
+    const sourceType = sourceColumns.get(source);
+    const rule = findRule(field, target);
+    const breaking =
+      oldField && field
+        ? isBreakingChange(oldField.field_type, field.type)
+        : false;
+    const compatible = areTypesCompatible(sourceType, targetType);
+
+    if ((breaking || !compatible) && !rule) {
+      dropped.push({
+        column: source,
+        target,
+        source_type: sourceType,
+        target_type: targetType,
+        reason: breaking
+          ? "Breaking type change without a conversion rule"
+          : "Incompatible column types without a conversion rule",
+      });
+      return;
+    }
+
+    columns.push({
+      source,
+      target,
+      source_type: sourceType,
+      target_type: targetType,
+      action: breaking || !compatible ? "convert" : "copy",
+      // Same storage type: the text form round-trips unchanged
+      passthrough:
+        !breaking && simplifyType(sourceType) === simplifyType(targetType),
+      rule,
+    });
+  });
+
+  sourceColumns.forEach((sourceType, source) => {
+    if (MIGRATION_COLUMNS.includes(source) || usedSources.has(source)) return;
+    dropped.push({
+      column: source,
+      target: null,
+      source_type: sourceType,
+      target_type: null,
+      reason: "Not in the new version",
+    });
+  });
+
+  return { columns, dropped };
+};
+
+// Helper function: Insert converted rows in statements under MAX_PARAMS
+const insertRows = async (client, targetTable, insertColumns, rows, types) => {
+  const perStatement = Math.max(
+    1,
+    Math.floor(MAX_PARAMS / insertColumns.length)
+  );
+
+  for (let start = 0; start < rows.length; start += perStatement) {
+    const chunk = rows.slice(start, start + perStatement);
+    const params = [];
+    const tuples = chunk.map((values) => {
+      const placeholders = values.map((value, i) => {
+        params.push(value);
+        return `$${params.length}::${types[i]}`;
+      });
+      return `(${placeholders.join(", ")})`;
+    });
+
+    await client.query(
+      `INSERT INTO ${quoteIdent(targetTable)}
+       (${insertColumns.map(quoteIdent).join(", ")})
+       VALUES ${tuples.join(", ")}`,
+      params
+    );
+  }
+};
+
+// Copy (or with dryRun, preview copying) every row of sourceTable into
+// targetTable, leaving the source rows in place. Returns the report; with a familyId and not dryRun it is
+// also saved. Conversion failures are counted, not thrown - errors that
+// stop the run are thrown as-is.
+const migrateVersionData = async (client, options) => {
+  const {
+    sourceTable,
+    targetTable,
+    version,
+    oldFields,
+    newFields,
+    dryRun = false,
+    batchSize = DEFAULT_BATCH_SIZE,
+  } = options;
+  const conversions = normalizeConversions(options.conversions);
+
+  const sourceColumns = await getColumnTypes(client, sourceTable);
+  const targetColumns =
+    options.targetColumns || (await getColumnTypes(client, targetTable));
+
+  const plan = planMigration({
+    sourceColumns,
+    targetColumns,
+    oldFields,
+    newFields,
+    conversions,
+  });
+
+  const report = {
+    dry_run: dryRun,
+    from_table: sourceTable,
+    to_table: targetTable,
+    total_rows: 0,
+    migrated_rows: 0,
+    skipped_rows: 0,
+    columns: plan.columns.map((c) => ({
+      column: c.target,
+      source: c.source,
+      source_type: c.source_type,
+      target_type: c.target_type,
+      action: c.action,
+      rule: c.rule,
+      converted: 0,
+      nulled: 0,
+      failed: 0,
+      samples: [],
+    })),
+    dropped: plan.dropped,
+  };
+
+  // Nothing to carry over (the old code path skipped these too)
+  if (sourceColumns.size === 0 || plan.columns.length === 0) return report;
+
+  const insertColumns = [
+    "user_id",
+    "submitted_at",
+    "template_version",
+    "original_submission_id",
+    ...plan.columns.map((c) => c.target),
+  ];
+  const insertTypes = [
+    "INTEGER",
+    "TIMESTAMP",
+    "INTEGER",
+    "INTEGER",
+    ...plan.columns.map((c) =>
+      // information_schema names are valid casts; planned ones already are
+      c.target_type === "character varying" ? "VARCHAR" : c.target_type
+    ),
+  ];
+  const selectList = [
+    "id",
+    "user_id",
+    "submitted_at::TEXT AS submitted_at",
+    ...plan.columns.map(
+      (c, i) => `${quoteIdent(c.source)}::TEXT AS ${quoteIdent(`c${i}`)}`
+    ),
+  ];
+
+  let lastId = 0;
+  for (;;) {
+    const batchRes = await client.query(
+      `SELECT ${selectList.join(", ")}
+       FROM ${quoteIdent(sourceTable)}
+       WHERE id > $1
+       ORDER BY id
+       LIMIT $2`,
+      [lastId, batchSize]
+    );
+    if (batchRes.rows.length === 0) break;
+    lastId = batchRes.rows[batchRes.rows.length - 1].id;
+
+    const rows = [];
+    batchRes.rows.forEach((row) => {
+      report.total_rows++;
+      let skip = false;
+      const values = plan.columns.map((column, i) => {
+        const stats = report.columns[i];
+        const raw = row[`c${i}`];
+        if (column.passthrough) return raw;
+        const result = convertValue(raw, column.target_type, column.rule);
+
+        if (result.error) {
+          if (stats.samples.length < MAX_SAMPLES) {
+            stats.samples.push({ id: row.id, value: raw, error: result.error });
+          }
+          if (column.rule && column.rule.on_error === "skip_row") {
+            stats.failed++;
+            skip = true;
+          } else {
+            stats.nulled++;
+          }
+          return null;
+        }
+        if (result.value !== null && column.action === "convert") {
+          stats.converted++;
+        }
+        return result.value;
+      });
+
+      if (skip) {
+        report.skipped_rows++;
+        return;
+      }
+      rows.push([row.user_id, row.submitted_at, version, row.id, ...values]);
+    });
+
+    report.migrated_rows += rows.length;
+    if (!dryRun && rows.length > 0) {
+      await insertRows(client, targetTable, insertColumns, rows, insertTypes);
+    }
+
+    if (batchRes.rows.length < batchSize) break;
+  }
+
+  return report;
+};
+
+// Helper function: Save a migration report
+const saveMigrationReport = async (client, report, meta) => {
+  const res = await client.query(
+    `INSERT INTO checksheet_migration_reports
+     (family_id, from_template_id, to_template_id, from_version, to_version,
+      from_table, to_table, status, total_rows, migrated_rows, skipped_rows,
+      columns, dropped, conversions, error, created_by, finished_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14,
+             $15, $16, NOW())
+     RETURNING id`,
+    [
+      meta.familyId,
+      meta.fromTemplateId,
+      meta.toTemplateId,
+      meta.fromVersion,
+      meta.toVersion,
+      report.from_table,
+      report.to_table,
+      report.status,
+      report.total_rows,
+      report.migrated_rows,
+      report.skipped_rows,
+      JSON.stringify(report.columns),
+      JSON.stringify(report.dropped),
+      JSON.stringify(meta.conversions || {}),
+      report.error || null,
+      meta.userId || null,
+    ]
+  );
+  return res.rows[0].id;
+};
+
+// Run a real migration inside the caller's transaction and record it.
+// A failed run fails the version save too - a new active version must not
+// start out without the earlier data: MigrationError for bad conversion
+// rules, MigrationFailedError for anything else.
+const runVersionMigration = async (client, options, meta) => {
+  const reportMeta = { ...meta, conversions: options.conversions };
+  let report;
+  try {
+    report = await migrateVersionData(client, options);
+  } catch (err) {
+    if (err instanceof MigrationError) throw err;
+    console.error(
+      `Migration from ${options.sourceTable} to ${options.targetTable} failed:`,
+      err
+    );
+    throw new MigrationFailedError(
+      {
+        dry_run: false,
+        from_table: options.sourceTable,
+        to_table: options.targetTable,
+        total_rows: 0,
+        migrated_rows: 0,
+        skipped_rows: 0,
+        columns: [],
+        dropped: [],
+        status: "failed",
+        error: err.message,
+      },
+      reportMeta
+    );
+  }
+
+  report.status = "completed";
+  report.id = await saveMigrationReport(client, report, reportMeta);
+  return report;
+};
+
+// Record the report of a MigrationFailedError, after the version save was
+// rolled back. Returns the report.
+const recordFailedMigration = async (pool, err) => {
+  try {
+    err.report.id = await saveMigrationReport(pool, err.report, err.meta);
+  } catch (saveErr) {
+    console.error("Failed to record migration report:", saveErr);
+  }
+  return err.report;
+};
+
+module.exports = {
+  MigrationError,
+  MigrationFailedError,
+  ensureMigrationTables,
+  isBreakingChange,
+  detectSchemaChanges,
+  plannedColumnTypes,
+  convertValue,
+  planMigration,
+  migrateVersionData,
+  runVersionMigration,
+  recordFailedMigration,
+};
@@ -0,0 +1,451 @@
+// Portable template packages for moving form designs between servers.
+//
+// A package is one JSON document:
+//   { format, package_version, exported_at, source, template, fields, images }
+// template holds the checksheet_templates design columns, fields the
+// template_fields rows and images the template_images rows with their
+// base64 data. Image URLs in html_content point at the source image ids and
+// are remapped on import. Group-based permissions are not included: group
+// ids belong to the exporting server.
+//
+// As a zip, template.json holds the package with each image's data moved
+// to a file under images/ (image.file is its path).
+
+const JSZip = require("jszip");
+const {
+  SYSTEM_COLUMNS,
+  toColumnName,
+  createOptimizedTable,
+} = require("./columns");
+const { getFamilyId } = require("./family");
+const { resolveImageIds, remapImageUrls } = require("./images");
+const { storeTemplateImage, loadImageData } = require("./attachments");
+
+const PACKAGE_FORMAT = "checksheet-template";
+const PACKAGE_VERSION = 1;
+
+// template_fields columns carried in a package (pg's lower-case names)
+const FIELD_COLUMNS = [
+  "field_name",
+  "field_type",
+  "label",
+  "decimal_places",
+  "options",
+  "bg_color",
+  "text_color",
+  "exact_match_text",
+  "exact_match_bg_color",
+  "min_length",
+  "min_length_mode",
+  "min_length_warning_bg",
+  "max_length",
+  "max_length_mode",
+  "max_length_warning_bg",
+  "multiline",
+  "auto_shrink_font",
+  "min_value",
+  "max_value",
+  "bg_color_in_range",
+  "bg_color_below_min",
+  "bg_color_above_max",
+  "border_color_in_range",
+  "border_color_below_min",
+  "border_color_above_max",
+  "formula",
+  "position",
+  "instance_id",
+  "sheet_index",
+  "date_format",
+  "show_time_select",
+  "datetimeformat",
+  "min_date",
+  "max_date",
+  "allow_camera",
+  "allow_upload",
+  "max_file_size",
+  "time_format",
+  "allow_seconds",
+  "min_time",
+  "max_time",
+  "required",
+  "disabled",
+  "mode",
+  "allow_text_input",
+  "allow_signature",
+  "allow_signature_over_text",
+  "text_font_size",
+];
+
+const IMAGE_COLUMNS = [
+  "original_path",
+  "filename",
+  "mime_type",
+  "size",
+  "position_index",
+  "original_src",
+  "element_id",
+];
+
+const BASE64_PATTERN = /^[A-Za-z0-9+/\s]*={0,2}\s*$/;
+
+class PackageError extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.name = "PackageError";
+    this.errors = errors;
+  }
+}
+
+// Build the package for one template version
+const buildTemplatePackage = async (client, templateId) => {
+  const templateRes = await client.query(
+    `SELECT id, name, version, html_content, original_html_content,
+            css_content, sheets, field_positions, field_configurations,
+            access_control
+     FROM checksheet_templates WHERE id = $1`,
+    [templateId]
+  );
+  if (templateRes.rows.length === 0) return null;
+  const template = templateRes.rows[0];
+
+  // to_jsonb keeps dates and numerics in their database text form
+  const fieldsRes = await client.query(
+    `SELECT to_jsonb(tf) AS field
+     FROM template_fields tf
+     WHERE template_id = $1
+     ORDER BY id`,
+    [templateId]
+  );
+  const fields = fieldsRes.rows.map(({ field }) => {
+    const picked = {};
+    FIELD_COLUMNS.forEach((column) => {
+      if (field[column] !== undefined) picked[column] = field[column];
+    });
+    return picked;
+  });
+
+  const imagesRes = await client.query(
+    `SELECT id, ${IMAGE_COLUMNS.join(", ")}, image_data, attachment_id
+     FROM template_images
+     WHERE template_id = $1
+     ORDER BY position_index, id`,
+    [templateId]
+  );
+  await loadImageData(client, imagesRes.rows);
+
+  // Point every image URL at this version's own images
+  const imageIds = await resolveImageIds(
+    client,
+    template.html_content,
+    imagesRes.rows
+  );
+
+  return {
+    format: PACKAGE_FORMAT,
+    package_version: PACKAGE_VERSION,
+    exported_at: new Date().toISOString(),
+    source: {
+      template_id: template.id,
+      family_id: await getFamilyId(client, template.id),
+      version: template.version || 1,
+    },
+    template: {
+      name: template.name,
+      html_content: remapImageUrls(
+        template.html_content,
+        template.id,
+        imageIds
+      ),
+      original_html_content: template.original_html_content,
+      css_content: template.css_content,
+      sheets: template.sheets,
+      field_positions: template.field_positions,
+      field_configurations: template.field_configurations,
+      access_control: template.access_control,
+    },
+    fields,
+    images: imagesRes.rows.map(({ image_data, attachment_id, ...image }) => ({
+      ...image,
+      data: image_data,
+    })),
+  };
+};
+
+// Helper function: File name for an image inside the zip
+const imageFileName = (image, index) =>
+  `images/${index + 1}-${String(image.filename || "image").replace(
+    /[^A-Za-z0-9._-]/g,
+    "_"
+  )}`;
+
+const packageToZip = async (pkg) => {
+  const zip = new JSZip();
+  const manifest = {
+    ...pkg,
+    images: pkg.images.map(({ data, ...image }, index) => {
+      const file = imageFileName(image, index);
+      zip.file(file, data || "", { base64: true });
+      return { ...image, file };
+    }),
+  };
+  zip.file("template.json", JSON.stringify(manifest, null, 2));
+  return zip.generateAsync({ type: "nodebuffer", compression: "DEFLATE" });
+};
+
+const packageFromZip = async (buffer) => {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch (err) {
+    throw new PackageError("Package is not a valid zip file");
+  }
+
+  const manifestFile = zip.file("template.json");
+  if (!manifestFile) {
+    throw new PackageError("Zip package has no template.json");
+  }
+
+  let pkg;
+  try {
+    pkg = JSON.parse(await manifestFile.async("string"));
+  } catch (err) {
+    throw new PackageError("template.json is not valid JSON");
+  }
+
+  if (Array.isArray(pkg.images)) {
+    for (const image of pkg.images) {
+      if (image && image.file && image.data === undefined) {
+        const file = zip.file(image.file);
+        if (!file) {
+          throw new PackageError(`Image file ${image.file} is missing`);
+        }
+        image.data = await file.async("base64");
+      }
+    }
+  }
+  return pkg;
+};
+
+// Helper function: Read an uploaded package (JSON or zip)
+const parsePackageBuffer = async (buffer) => {
+  // Zip files start with "PK"
+  if (buffer.length > 1 && buffer[0] === 0x50 && buffer[1] === 0x4b) {
+    return packageFromZip(buffer);
+  }
+  try {
+    return JSON.parse(buffer.toString("utf8"));
+  } catch (err) {
+    throw new PackageError("Package is neither JSON nor a zip file");
+  }
+};
+
+// Check a package before importing it; throws PackageError listing every
+// problem found
+const validatePackage = (pkg) => {
+  if (!pkg || typeof pkg !== "object" || Array.isArray(pkg)) {
+    throw new PackageError("Package must be a JSON object");
+  }
+
+  const errors = [];
+  if (pkg.format !== PACKAGE_FORMAT) {
+    errors.push(`format must be "${PACKAGE_FORMAT}"`);
+  }
+  const version = parseInt(pkg.package_version, 10);
+  if (Number.isNaN(version) || version < 1 || version > PACKAGE_VERSION) {
+    errors.push(
+      `package_version ${pkg.package_version} is not supported (max ${PACKAGE_VERSION})`
+    );
+  }
+
+  const template = pkg.template;
+  if (!template || typeof template !== "object") {
+    errors.push("template is missing");
+  } else {
+    if (!template.name || typeof template.name !== "string") {
+      errors.push("template.name is required");
+    }
+    ["html_content", "original_html_content", "css_content"].forEach((key) => {
+      if (template[key] != null && typeof template[key] !== "string") {
+        errors.push(`template.${key} must be text`);
+      }
+    });
+  }
+
+  if (!Array.isArray(pkg.fields)) {
+    errors.push("fields must be an array");
+  } else {
+    const instanceIds = new Set();
+    const columns = new Set();
+    pkg.fields.forEach((field, index) => {
+      const label = `fields[${index}]`;
+      if (!field || typeof field !== "object") {
+        errors.push(`${label} must be an object`);
+        return;
+      }
+      if (!field.instance_id) errors.push(`${label}.instance_id is required`);
+      if (!field.field_type) errors.push(`${label}.field_type is required`);
+
+      const name = field.field_name || field.instance_id;
+      const column = name ? toColumnName(name) : "";
+      if (!column) {
+        errors.push(`${label}.field_name is required`);
+      } else if (SYSTEM_COLUMNS.includes(column)) {
+        errors.push(`${label}: column "${column}" is reserved`);
+      } else if (columns.has(column)) {
+        errors.push(`${label}: column "${column}" is used by another field`);
+      }
+      columns.add(column);
+
+      if (field.instance_id && instanceIds.has(field.instance_id)) {
+        errors.push(`${label}: duplicate instance_id ${field.instance_id}`);
+      }
+      instanceIds.add(field.instance_id);
+    });
+  }
+
+  if (pkg.images !== undefined && !Array.isArray(pkg.images)) {
+    errors.push("images must be an array");
+  } else {
+    (pkg.images || []).forEach((image, index) => {
+      const label = `images[${index}]`;
+      if (!image || typeof image !== "object") {
+        errors.push(`${label} must be an object`);
+        return;
+      }
+      if (image.id === undefined) errors.push(`${label}.id is required`);
+      if (!image.mime_type || !String(image.mime_type).startsWith("image/")) {
+        errors.push(`${label}.mime_type must be an image type`);
+      }
+      if (typeof image.data !== "string" || !BASE64_PATTERN.test(image.data)) {
+        errors.push(`${label}.data must be base64`);
+      }
+    });
+  }
+
+  if (errors.length > 0) {
+    throw new PackageError("Invalid template package", errors);
+  }
+};
+
+const toJsonColumn = (value) =>
+  value === null || value === undefined
+    ? null
+    : typeof value === "string"
+    ? value
+    : JSON.stringify(value);
+
+// Recreate a validated package as a new template (version 1) with its own
+// submission table. Runs inside the caller's transaction.
+const importTemplatePackage = async (client, pkg, options = {}) => {
+  const { template } = pkg;
+  const name =
+    options.name && String(options.name).trim()
+      ? String(options.name).trim()
+      : template.name;
+
+  const templateRes = await client.query(
+    `INSERT INTO checksheet_templates
+     (name, html_content, field_configurations, field_positions,
+      sheets, css_content, original_html_content, access_control,
+      folder_id, version, is_active)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 1, true)
+     RETURNING id`,
+    [
+      name,
+      "",
+      toJsonColumn(template.field_configurations),
+      toJsonColumn(template.field_positions),
+      toJsonColumn(template.sheets),
+      template.css_content || "",
+      template.original_html_content || "",
+      toJsonColumn(template.access_control),
+      options.folderId ?? null,
+    ]
+  );
+  const templateId = templateRes.rows[0].id;
+
+  const imageIds = {};
+  for (const image of pkg.images || []) {
+    const attachment = await storeTemplateImage(
+      client,
+      String(image.data).replace(/\s/g, ""),
+      {
+        originalName: image.filename,
+        mimeType: image.mime_type,
+        templateId,
+      }
+    );
+    const imageRes = await client.query(
+      `INSERT INTO template_images
+       (template_id, original_path, filename, mime_type, image_data, size,
+        position_index, original_src, element_id, attachment_id)
+       VALUES ($1, $2, $3, $4, NULL, $5, $6, $7, $8, $9)
+       RETURNING id`,
+      [
+        templateId,
+        image.original_path || image.filename || "",
+        image.filename || "",
+        image.mime_type,
+        parseInt(attachment.size, 10),
+        image.position_index ?? 0,
+        image.original_src || "",
+        image.element_id || null,
+        attachment.id,
+      ]
+    );
+    imageIds[image.id] = imageRes.rows[0].id;
+  }
+
+  await client.query(
+    `UPDATE checksheet_templates SET html_content = $1 WHERE id = $2`,
+    [remapImageUrls(template.html_content, templateId, imageIds), templateId]
+  );
+
+  const fieldConfigs = {};
+  for (const field of pkg.fields) {
+    const columns = FIELD_COLUMNS.filter((c) => field[c] !== undefined);
+    await client.query(
+      `INSERT INTO template_fields (template_id, ${columns.join(", ")})
+       VALUES ($1, ${columns.map((c, i) => `$${i + 2}`).join(", ")})`,
+      [
+        templateId,
+        ...columns.map((c) =>
+          field[c] !== null && typeof field[c] === "object"
+            ? JSON.stringify(field[c])
+            : field[c]
+        ),
+      ]
+    );
+    fieldConfigs[field.instance_id] = {
+      field_name: field.field_name || field.instance_id,
+      instanceId: field.instance_id,
+      type: field.field_type,
+    };
+  }
+
+  const tableName = `checksheet_${templateId}_1`;
+  await createOptimizedTable(client, tableName, fieldConfigs);
+  await client.query(
+    `UPDATE checksheet_templates SET table_name = $1 WHERE id = $2`,
+    [tableName, templateId]
+  );
+
+  return {
+    template_id: templateId,
+    name,
+    table_name: tableName,
+    fields_imported: pkg.fields.length,
+    images_imported: Object.keys(imageIds).length,
+  };
+};
+
+module.exports = {
+  PACKAGE_FORMAT,
+  PACKAGE_VERSION,
+  PackageError,
+  buildTemplatePackage,
+  packageToZip,
+  parsePackageBuffer,
+  validatePackage,
+  importTemplatePackage,
+};
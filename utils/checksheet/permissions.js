@@ -0,0 +1,311 @@
+// Form and field permissions from form_access_control / field_permissions.
+//
+// Form level (rows of the caller's active groups, OR-ed together):
+//   can_view   - open the form, fill it in and read its transactions
+//   can_edit   - change the template and its settings
+//   can_delete - delete the template
+// A form without any form_access_control rows is open to everyone.
+// Field level: a field is restricted only by rows for the caller's groups;
+// can_view hides it from payloads, can_edit blocks writes to it.
+// Admins (usermaster.is_admin) bypass both levels.
+//
+// Rows are saved against one template version; the other versions of the
+// family use them too (the version's own rows win, then the newest).
+
+const { toColumnName } = require("./columns");
+const { getFamilyId } = require("./family");
+const { getUserGroupIds } = require("./workflow");
+const { toDateString, toNumber } = require("./validator");
+
+const FORM_ACTIONS = ["view", "edit", "delete"];
+
+const OPEN_FIELD = { can_view: true, can_edit: true };
+
+// Helper function: Who is asking - admin flag and active group ids
+const getUserAccess = async (client, userId) => {
+  const userRes = await client.query(
+    `SELECT user_id, COALESCE(is_admin, false) AS is_admin
+     FROM usermaster WHERE user_id = $1`,
+    [userId]
+  );
+  if (userRes.rows.length === 0) return null;
+
+  return {
+    userId: userRes.rows[0].user_id,
+    isAdmin: Boolean(userRes.rows[0].is_admin),
+    groupIds: await getUserGroupIds(client, userId),
+  };
+};
+
+// Helper function: Which form_id in the family the rows of `table` use
+const getPermissionFormId = async (client, table, templateId, familyId) => {
+  const res = await client.query(
+    `SELECT p.form_id
+     FROM ${table} p
+     JOIN checksheet_templates ct ON ct.id = p.form_id
+     WHERE ct.id = $2 OR ct.parent_template_id = $2
+     ORDER BY (p.form_id = $1) DESC, p.form_id DESC
+     LIMIT 1`,
+    [templateId, familyId]
+  );
+  return res.rows.length ? res.rows[0].form_id : null;
+};
+
+// Resolve the caller's permissions on a template version.
+// Returns null when the template doesn't exist.
+const getFormPermissions = async (client, access, templateId) => {
+  const familyId = await getFamilyId(client, templateId);
+  if (!familyId) return null;
+
+  const permissions = {
+    template_id: parseInt(templateId, 10),
+    family_id: familyId,
+    restricted: false,
+    can_view: true,
+    can_edit: true,
+    can_delete: true,
+    fields: {},
+  };
+  if (access.isAdmin) return permissions;
+
+  const formId = await getPermissionFormId(
+    client,
+    "form_access_control",
+    templateId,
+    familyId
+  );
+  if (formId !== null) {
+    const formRes = await client.query(
+      `SELECT BOOL_OR(can_view) AS can_view, BOOL_OR(can_edit) AS can_edit,
+              BOOL_OR(can_delete) AS can_delete
+       FROM form_access_control
+       WHERE form_id = $1 AND group_id = ANY($2)`,
+      [formId, access.groupIds]
+    );
+    const row = formRes.rows[0] || {};
+    permissions.restricted = true;
+    permissions.can_view = Boolean(row.can_view);
+    permissions.can_edit = Boolean(row.can_edit);
+    permissions.can_delete = Boolean(row.can_delete);
+  }
+
+  const fieldFormId = await getPermissionFormId(
+    client,
+    "field_permissions",
+    templateId,
+    familyId
+  );
+  if (fieldFormId !== null) {
+    const fieldRes = await client.query(
+      `SELECT field_instance_id,
+              BOOL_OR(can_view) AS can_view, BOOL_OR(can_edit) AS can_edit
+       FROM field_permissions
+       WHERE form_id = $1 AND group_id = ANY($2)
+       GROUP BY field_instance_id`,
+      [fieldFormId, access.groupIds]
+    );
+    fieldRes.rows.forEach((row) => {
+      permissions.fields[row.field_instance_id] = {
+        can_view: Boolean(row.can_view),
+        // A field you can't see can't be edited either
+        can_edit: Boolean(row.can_view) && Boolean(row.can_edit),
+      };
+    });
+  }
+
+  return permissions;
+};
+
+// Helper function: Template ids (of the given rows) the caller may view.
+// Batched version of getFormPermissions for template lists.
+const getViewableTemplateIds = async (client, access, templateIds) => {
+  if (access.isAdmin) return new Set(templateIds.map(Number));
+
+  const res = await client.query(
+    `SELECT ct.id AS template_id, fac.form_id,
+            BOOL_OR(fac.group_id = ANY($2) AND fac.can_view) AS can_view
+     FROM checksheet_templates ct
+     JOIN checksheet_templates member
+       ON member.id = COALESCE(ct.parent_template_id, ct.id)
+       OR member.parent_template_id = COALESCE(ct.parent_template_id, ct.id)
+     JOIN form_access_control fac ON fac.form_id = member.id
+     WHERE ct.id = ANY($1)
+     GROUP BY ct.id, fac.form_id`,
+    [templateIds, access.groupIds]
+  );
+
+  // Same source rule as getPermissionFormId: own rows, else the newest
+  const sources = {};
+  res.rows.forEach((row) => {
+    const current = sources[row.template_id];
+    const own = row.form_id === row.template_id;
+    if (
+      !current ||
+      own ||
+      (current.form_id !== row.template_id && row.form_id > current.form_id)
+    ) {
+      sources[row.template_id] = row;
+    }
+  });
+
+  return new Set(
+    templateIds
+      .map(Number)
+      .filter((id) => !sources[id] || Boolean(sources[id].can_view))
+  );
+};
+
+// Helper function: Copy the permission rows a template uses (its own or
+// the family's, as resolved above) to another template
+const copyPermissions = async (client, fromTemplateId, toTemplateId) => {
+  const familyId = await getFamilyId(client, fromTemplateId);
+  if (!familyId) return;
+
+  const formId = await getPermissionFormId(
+    client,
+    "form_access_control",
+    fromTemplateId,
+    familyId
+  );
+  if (formId !== null) {
+    await client.query(
+      `INSERT INTO form_access_control
+       (form_id, group_id, can_view, can_edit, can_delete)
+       SELECT $1, group_id, can_view, can_edit, can_delete
+       FROM form_access_control WHERE form_id = $2`,
+      [toTemplateId, formId]
+    );
+  }
+
+  const fieldFormId = await getPermissionFormId(
+    client,
+    "field_permissions",
+    fromTemplateId,
+    familyId
+  );
+  if (fieldFormId !== null) {
+    await client.query(
+      `INSERT INTO field_permissions
+       (form_id, field_instance_id, group_id, can_view, can_edit, can_delete)
+       SELECT $1, field_instance_id, group_id, can_view, can_edit, can_delete
+       FROM field_permissions WHERE form_id = $2`,
+      [toTemplateId, fieldFormId]
+    );
+  }
+};
+
+const fieldPermission = (permissions, instanceId) =>
+  (permissions && permissions.fields[instanceId]) || OPEN_FIELD;
+
+// Helper function: Drop fields the caller can't view and flag read-only ones
+const filterFields = (fields, permissions) =>
+  (fields || [])
+    .filter((field) => fieldPermission(permissions, field.instance_id).can_view)
+    .map((field) => {
+      const { can_edit } = fieldPermission(permissions, field.instance_id);
+      return can_edit
+        ? { ...field, can_edit }
+        : { ...field, can_edit, disabled: true };
+    });
+
+// Helper function: Same for the field_configurations JSON (keyed by
+// instance id)
+const filterFieldConfigurations = (configurations, permissions) => {
+  const filtered = {};
+  Object.entries(configurations || {}).forEach(([key, config]) => {
+    const instanceId = (config && config.instanceId) || key;
+    const { can_view, can_edit } = fieldPermission(permissions, instanceId);
+    if (!can_view) return;
+    filtered[key] = can_edit ? config : { ...config, disabled: true };
+  });
+  return filtered;
+};
+
+// Helper function: Column names of fields the caller can't view.
+// `renames` (from buildFamilyUnion) adds the unioned names.
+const getHiddenColumns = (fields, permissions, renames = {}) => {
+  const renamed = Object.assign({}, ...Object.values(renames));
+  const hidden = new Set();
+  (fields || []).forEach((field) => {
+    if (fieldPermission(permissions, field.instance_id).can_view) return;
+    const column = toColumnName(field.field_name || field.instance_id);
+    hidden.add(column);
+    if (renamed[column]) hidden.add(renamed[column]);
+  });
+  return hidden;
+};
+
+const stripColumns = (row, hidden) => {
+  if (!row || hidden.size === 0) return row;
+  const stripped = {};
+  Object.keys(row).forEach((key) => {
+    if (!hidden.has(key)) stripped[key] = row[key];
+  });
+  return stripped;
+};
+
+// Helper function: Read-only fields whose submitted value differs from what
+// is stored (an empty row for new transactions). Clients may echo
+// read-only values back unchanged.
+const findBlockedWrites = (fields, permissions, data, existingRow = {}) => {
+  const lookup = {};
+  Object.keys(data || {}).forEach((key) => {
+    lookup[key.toLowerCase()] = data[key];
+  });
+
+  const normalize = (value) => {
+    if (value === undefined || value === null) return "";
+    if (value instanceof Date) return toDateString(value);
+    const num = toNumber(value);
+    return num !== null && !Number.isNaN(num) ? String(num) : String(value);
+  };
+
+  return (
+    (fields || [])
+      // Calculation values are computed by the server
+      .filter(
+        (field) =>
+          field.field_type !== "calculation" &&
+          !fieldPermission(permissions, field.instance_id).can_edit
+      )
+      .filter((field) => {
+        const keys = [field.instance_id, field.field_name]
+          .filter(Boolean)
+          .map((k) => String(k).toLowerCase());
+        const key = keys.find((k) => k in lookup);
+        if (!key) return false;
+        const column = toColumnName(field.field_name || field.instance_id);
+        const stored = existingRow ? existingRow[column] : undefined;
+        return normalize(lookup[key]) !== normalize(stored);
+      })
+      .map((field) => ({
+        instance_id: field.instance_id,
+        field_name: field.field_name,
+        label: field.label || field.field_name,
+      }))
+  );
+};
+
+// Helper function: Mark fields the caller can't edit as disabled so the
+// validator doesn't require values from them
+const applyEditPermissions = (fields, permissions) =>
+  (fields || []).map((field) =>
+    fieldPermission(permissions, field.instance_id).can_edit
+      ? field
+      : { ...field, disabled: true }
+  );
+
+module.exports = {
+  FORM_ACTIONS,
+  getUserAccess,
+  getFormPermissions,
+  getViewableTemplateIds,
+  copyPermissions,
+  fieldPermission,
+  filterFields,
+  filterFieldConfigurations,
+  getHiddenColumns,
+  stripColumns,
+  findBlockedWrites,
+  applyEditPermissions,
+};
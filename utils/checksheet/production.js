@@ -0,0 +1,303 @@
+// Checksheets of production plans.
+//
+// Templates are required for a plan either by its process_type or by the
+// plan id (checksheet_plan_requirements, stored on the family root). A
+// transaction references its plan through the production_plan_id,
+// plan_machine and plan_shift columns of its submission table. A required
+// checksheet is satisfied once min_completed of its transactions for the
+// plan have reached a final status (completed, or one of
+// CHECKSHEET_PLAN_FINAL_STATUSES such as a workflow's "approved"); a plan
+// can't be completed while a mandatory one isn't.
+
+const { quoteIdent, notSupersededClause } = require("./union");
+
+class PlanLinkError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PlanLinkError";
+  }
+}
+
+// Statuses that count towards min_completed
+const FINAL_STATUSES = [
+  "completed",
+  ...(process.env.CHECKSHEET_PLAN_FINAL_STATUSES || "approved")
+    .split(",")
+    .map((status) => status.trim())
+    .filter(Boolean),
+];
+
+// Create the requirement table (at startup, see ./schema.js)
+const ensurePlanTables = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS checksheet_plan_requirements (
+      id SERIAL PRIMARY KEY,
+      template_id INTEGER NOT NULL,
+      process_type VARCHAR(100),
+      plan_id INTEGER,
+      is_mandatory BOOLEAN DEFAULT true,
+      min_completed INTEGER DEFAULT 1,
+      created_by INTEGER,
+      created_at TIMESTAMP DEFAULT NOW(),
+      CHECK (process_type IS NOT NULL OR plan_id IS NOT NULL)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_checksheet_plan_requirements_template
+    ON checksheet_plan_requirements (template_id);
+  `);
+};
+
+// Validate requirement rows ({ process_type } or { plan_id }, is_mandatory,
+// min_completed)
+const normalizeRequirements = (requirements) => {
+  if (!Array.isArray(requirements)) {
+    throw new PlanLinkError("requirements must be an array");
+  }
+  return requirements.map((requirement, index) => {
+    const processType =
+      requirement && requirement.process_type
+        ? String(requirement.process_type).trim()
+        : null;
+    const planId =
+      requirement && requirement.plan_id != null
+        ? parseInt(requirement.plan_id, 10)
+        : null;
+    if ((!processType && planId === null) || Number.isNaN(planId)) {
+      throw new PlanLinkError(
+        `Requirement ${index + 1} needs a process_type or a plan_id`
+      );
+    }
+
+    const minCompleted =
+      requirement.min_completed != null
+        ? parseInt(requirement.min_completed, 10)
+        : 1;
+    if (Number.isNaN(minCompleted) || minCompleted < 1) {
+      throw new PlanLinkError(
+        `Requirement ${index + 1}: min_completed must be at least 1`
+      );
+    }
+
+    return {
+      process_type: processType,
+      plan_id: planId,
+      is_mandatory: requirement.is_mandatory !== false,
+      min_completed: minCompleted,
+    };
+  });
+};
+
+// Plan link columns to write for a transaction, from the request body
+// (production_plan_id, plan_machine, plan_shift). Only the given keys are
+// returned; machine and shift default to the plan's when a plan is set.
+// Returns null when the body sets none of them.
+const resolvePlanLink = async (client, body) => {
+  const has = (key) => body[key] !== undefined;
+  if (
+    !has("production_plan_id") &&
+    !has("plan_machine") &&
+    !has("plan_shift")
+  ) {
+    return null;
+  }
+
+  const link = {};
+  if (has("plan_machine")) link.plan_machine = body.plan_machine || null;
+  if (has("plan_shift")) link.plan_shift = body.plan_shift || null;
+
+  if (has("production_plan_id")) {
+    const raw = body.production_plan_id;
+    if (raw === null || raw === "") {
+      link.production_plan_id = null;
+    } else {
+      const planId = parseInt(raw, 10);
+      if (Number.isNaN(planId)) {
+        throw new PlanLinkError("Invalid production_plan_id");
+      }
+      const planRes = await client.query(
+        `SELECT id, shift, assigned_machine FROM productionPlans WHERE id = $1`,
+        [planId]
+      );
+      if (planRes.rows.length === 0) {
+        throw new PlanLinkError("Production plan not found");
+      }
+      const plan = planRes.rows[0];
+      link.production_plan_id = plan.id;
+      if (!has("plan_machine")) link.plan_machine = plan.assigned_machine;
+      if (!has("plan_shift")) link.plan_shift = plan.shift;
+    }
+  }
+
+  ["plan_machine", "plan_shift"].forEach((key) => {
+    if (link[key] != null) link[key] = String(link[key]);
+  });
+  return link;
+};
+
+// Requirement rows that apply to a plan, merged per template family
+const getPlanRequirements = async (client, plan) => {
+  // Templates in the recycle bin aren't required
+  const res = await client.query(
+    `SELECT r.*, ct.name AS template_name
+     FROM checksheet_plan_requirements r
+     JOIN checksheet_templates ct ON ct.id = r.template_id
+     WHERE (r.plan_id = $1 OR LOWER(r.process_type) = LOWER($2))
+       AND ct.deleted_at IS NULL
+     ORDER BY r.id`,
+    [plan.id, plan.process_type || ""]
+  );
+
+  const byFamily = new Map();
+  res.rows.forEach((row) => {
+    const current = byFamily.get(row.template_id);
+    if (!current) {
+      byFamily.set(row.template_id, {
+        template_id: row.template_id,
+        template_name: row.template_name,
+        is_mandatory: Boolean(row.is_mandatory),
+        min_completed: row.min_completed || 1,
+        matched_by: [row.plan_id ? "plan" : "process_type"],
+      });
+      return;
+    }
+    current.is_mandatory = current.is_mandatory || Boolean(row.is_mandatory);
+    current.min_completed = Math.max(
+      current.min_completed,
+      row.min_completed || 1
+    );
+    const by = row.plan_id ? "plan" : "process_type";
+    if (!current.matched_by.includes(by)) current.matched_by.push(by);
+  });
+  return [...byFamily.values()];
+};
+
+// Transaction counts per status for a plan, per template family. Covers
+// every submission table that has the plan columns; rows a later version
+// copied over are counted once, as that copy.
+const getPlanTransactionCounts = async (client, planId) => {
+  const tablesRes = await client.query(
+    `SELECT c.table_name, ct.id AS template_id, ct.version,
+            COALESCE(ct.parent_template_id, ct.id) AS family_id
+     FROM information_schema.columns c
+     JOIN checksheet_templates ct ON ct.table_name = c.table_name
+     WHERE c.column_name = 'production_plan_id'
+       AND c.table_schema = current_schema()
+       AND ct.deleted_at IS NULL`
+  );
+  if (tablesRes.rows.length === 0) return new Map();
+
+  const countsRes = await client.query(
+    tablesRes.rows
+      .map((table) => {
+        const family = tablesRes.rows.filter(
+          (t) => String(t.family_id) === String(table.family_id)
+        );
+        const superseded = notSupersededClause(family, table);
+        return `SELECT ${parseInt(table.family_id, 10)} AS family_id, status,
+                  COUNT(*) AS count, MAX(updated_at) AS last_updated_at
+           FROM ${quoteIdent(table.table_name)} t
+           WHERE production_plan_id = $1${
+             superseded ? ` AND ${superseded}` : ""
+           }
+           GROUP BY status`;
+      })
+      .join("\nUNION ALL\n"),
+    [planId]
+  );
+
+  const counts = new Map();
+  countsRes.rows.forEach((row) => {
+    const familyId = parseInt(row.family_id, 10);
+    if (!counts.has(familyId)) {
+      counts.set(familyId, { statuses: {}, last_updated_at: null });
+    }
+    const entry = counts.get(familyId);
+    const status = row.status || "draft";
+    entry.statuses[status] =
+      (entry.statuses[status] || 0) + parseInt(row.count, 10);
+    if (
+      row.last_updated_at &&
+      (!entry.last_updated_at || row.last_updated_at > entry.last_updated_at)
+    ) {
+      entry.last_updated_at = row.last_updated_at;
+    }
+  });
+  return counts;
+};
+
+// Completion status of the checksheets of a plan: the required ones and any
+// other template with transactions linked to the plan
+const getPlanChecksheets = async (client, plan) => {
+  const requirements = await getPlanRequirements(client, plan);
+  const counts = await getPlanTransactionCounts(client, plan.id);
+
+  const extraIds = [...counts.keys()].filter(
+    (familyId) => !requirements.some((r) => r.template_id === familyId)
+  );
+  const namesRes = extraIds.length
+    ? await client.query(
+        `SELECT id, name FROM checksheet_templates WHERE id = ANY($1)`,
+        [extraIds]
+      )
+    : { rows: [] };
+
+  const entries = [
+    ...requirements.map((requirement) => ({ ...requirement, required: true })),
+    ...namesRes.rows.map((template) => ({
+      template_id: template.id,
+      template_name: template.name,
+      required: false,
+      is_mandatory: false,
+      min_completed: 0,
+      matched_by: [],
+    })),
+  ];
+
+  const checksheets = entries.map((entry) => {
+    const count = counts.get(entry.template_id) || {
+      statuses: {},
+      last_updated_at: null,
+    };
+    const total = Object.values(count.statuses).reduce((a, b) => a + b, 0);
+    const completed = FINAL_STATUSES.reduce(
+      (sum, status) => sum + (count.statuses[status] || 0),
+      0
+    );
+    return {
+      ...entry,
+      transactions: count.statuses,
+      total,
+      in_progress: total - completed,
+      completed,
+      satisfied: completed >= entry.min_completed,
+      last_updated_at: count.last_updated_at,
+    };
+  });
+
+  const missing = checksheets.filter((c) => c.is_mandatory && !c.satisfied);
+  return {
+    checksheets,
+    summary: {
+      required: checksheets.filter((c) => c.required).length,
+      mandatory: checksheets.filter((c) => c.is_mandatory).length,
+      satisfied: checksheets.filter((c) => c.required && c.satisfied).length,
+      missing_mandatory: missing.length,
+    },
+    missing_mandatory: missing.map((c) => ({
+      template_id: c.template_id,
+      template_name: c.template_name,
+      min_completed: c.min_completed,
+      completed: c.completed,
+    })),
+    can_complete: missing.length === 0,
+  };
+};
+
+module.exports = {
+  PlanLinkError,
+  ensurePlanTables,
+  normalizeRequirements,
+  resolvePlanLink,
+  getPlanRequirements,
+  getPlanChecksheets,
+};
@@ -0,0 +1,381 @@
+// Recycle bin for template families.
+//
+// Deleting a template only marks every version of its family with
+// deleted_at / deleted_by: the submission tables, fields and images stay
+// untouched and the family is hidden everywhere else (formAccess answers
+// 404, lists and background jobs skip it). An admin can restore it, or
+// purge it once it has been in the bin for RETENTION_DAYS
+// (CHECKSHEET_RECYCLE_RETENTION_DAYS, default 30). Purging drops the
+// tables (and their retention archive tables) for good, with the family's
+// attachment rows, workflow, schedules (and their inspections), plan
+// requirements, alert recipients, retention policy and holds; it can first
+// write an archive dump to ARCHIVE_DIR (see archive.js). History is kept:
+// audit events, status history, alert log, migration reports, retention
+// batch records and files. Attachment files go with the next orphan sweep
+// (see attachments.js).
+//
+// An archive is gzipped NDJSON, one record per line:
+//   { type: "archive", format, family_id, name, deleted_at, ... }
+//   { type: "version", template_id, version, table_name, package } per
+//     version (package: see packages.js)
+//   { type: "row", template_id, table_name, row } per submission row
+//     (archived: true for rows from a retention archive table)
+//   { type: "end", versions, rows }
+// Attachment files referenced by the rows are not copied; once the family
+// is purged, the orphan sweep removes them.
+
+const fs = require("fs");
+const path = require("path");
+const { quoteIdent } = require("./union");
+const { syncReportView } = require("./reporting");
+const { buildTemplatePackage } = require("./packages");
+const { removeFromIndex } = require("./search");
+const {
+  ARCHIVE_DIR,
+  archiveTableName,
+  fileStamp,
+  createArchiveWriter,
+} = require("./archive");
+
+const RETENTION_DAYS =
+  parseInt(process.env.CHECKSHEET_RECYCLE_RETENTION_DAYS, 10) || 30;
+
+const ARCHIVE_FORMAT = "checksheet-archive";
+const ARCHIVE_VERSION = 1;
+
+const ARCHIVE_BATCH_SIZE = 500;
+
+// Add the recycle bin columns (at startup, see ./schema.js)
+const ensureRecycleColumns = async (client) => {
+  await client.query(`
+    ALTER TABLE checksheet_templates
+    ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS deleted_by INTEGER;
+
+    CREATE INDEX IF NOT EXISTS idx_checksheet_templates_deleted
+    ON checksheet_templates (deleted_at)
+    WHERE deleted_at IS NOT NULL;
+  `);
+};
+
+// Helper function: Is the template's family in the recycle bin?
+const isTemplateDeleted = async (client, templateId) => {
+  const res = await client.query(
+    `SELECT deleted_at IS NOT NULL AS deleted
+     FROM checksheet_templates WHERE id = $1`,
+    [templateId]
+  );
+  return res.rows.length > 0 && res.rows[0].deleted;
+};
+
+// Move a family to the recycle bin. Returns the ids of its versions.
+const softDeleteFamily = async (client, familyId, userId) => {
+  const res = await client.query(
+    `UPDATE checksheet_templates
+     SET deleted_at = NOW(), deleted_by = $2
+     WHERE (id = $1 OR parent_template_id = $1) AND deleted_at IS NULL
+     RETURNING id`,
+    [familyId, userId]
+  );
+  return res.rows.map((r) => r.id);
+};
+
+// Take a family out of the recycle bin. Its folder may have been deleted
+// meanwhile; the family then lands in the root. Returns the version ids.
+const restoreFamily = async (client, familyId) => {
+  const res = await client.query(
+    `UPDATE checksheet_templates ct
+     SET deleted_at = NULL,
+         deleted_by = NULL,
+         folder_id = CASE
+           WHEN EXISTS (SELECT 1 FROM form_folders ff WHERE ff.id = ct.folder_id)
+           THEN ct.folder_id
+         END
+     WHERE (id = $1 OR parent_template_id = $1) AND deleted_at IS NOT NULL
+     RETURNING id`,
+    [familyId]
+  );
+  return res.rows.map((r) => r.id);
+};
+
+// Families in the recycle bin (optionally one), newest deletion first
+const listRecycleBin = async (client, { familyId = null } = {}) => {
+  const res = await client.query(
+    `SELECT root.id AS family_id, current.name, current.version,
+            root.folder_id, root.deleted_at, root.deleted_by,
+            u.name AS deleted_by_name,
+            (SELECT COUNT(*) FROM checksheet_templates v
+             WHERE v.id = root.id OR v.parent_template_id = root.id
+            ) AS version_count,
+            root.deleted_at + ($1 * INTERVAL '1 day') AS purge_after,
+            root.deleted_at + ($1 * INTERVAL '1 day') <= NOW() AS can_purge
+     FROM checksheet_templates root
+     CROSS JOIN LATERAL (
+       SELECT name, version FROM checksheet_templates
+       WHERE id = root.id OR parent_template_id = root.id
+       ORDER BY is_active DESC, version DESC
+       LIMIT 1
+     ) current
+     LEFT JOIN usermaster u ON u.user_id = root.deleted_by
+     WHERE root.parent_template_id IS NULL
+       AND root.deleted_at IS NOT NULL
+       AND ($2::INTEGER IS NULL OR root.id = $2)
+     ORDER BY root.deleted_at DESC`,
+    [RETENTION_DAYS, familyId]
+  );
+  return res.rows.map((row) => ({
+    ...row,
+    version_count: parseInt(row.version_count, 10),
+  }));
+};
+
+// Helper function: Write the rows of one table to the archive; returns
+// the count
+const writeTableRows = async (client, writer, tableName, meta) => {
+  const existsRes = await client.query("SELECT to_regclass($1) AS name", [
+    quoteIdent(tableName),
+  ]);
+  if (!existsRes.rows[0].name) return 0;
+
+  let count = 0;
+  let lastId = 0;
+  for (;;) {
+    const rowsRes = await client.query(
+      `SELECT id, to_jsonb(t) AS row FROM ${quoteIdent(tableName)} t
+       WHERE id > $1 ORDER BY id LIMIT $2`,
+      [lastId, ARCHIVE_BATCH_SIZE]
+    );
+    if (rowsRes.rows.length === 0) break;
+    lastId = rowsRes.rows[rowsRes.rows.length - 1].id;
+
+    for (const { row } of rowsRes.rows) {
+      await writer.write({ type: "row", ...meta, table_name: tableName, row });
+    }
+    count += rowsRes.rows.length;
+
+    if (rowsRes.rows.length < ARCHIVE_BATCH_SIZE) break;
+  }
+  return count;
+};
+
+// Helper function: Write the archive dump of a family; returns its path
+// and counts
+const writeArchive = async (client, family) => {
+  const filePath = path.join(
+    ARCHIVE_DIR,
+    `checksheet_${family.family_id}_${fileStamp()}.ndjson.gz`
+  );
+  const writer = await createArchiveWriter(filePath);
+
+  let rows = 0;
+  try {
+    const versionsRes = await client.query(
+      `SELECT id, version, table_name, is_active, created_at, archived_at
+       FROM checksheet_templates
+       WHERE id = $1 OR parent_template_id = $1
+       ORDER BY version`,
+      [family.family_id]
+    );
+
+    await writer.write({
+      type: "archive",
+      format: ARCHIVE_FORMAT,
+      archive_version: ARCHIVE_VERSION,
+      archived_at: new Date().toISOString(),
+      family_id: family.family_id,
+      name: family.name,
+      deleted_at: family.deleted_at,
+      deleted_by: family.deleted_by,
+    });
+
+    for (const version of versionsRes.rows) {
+      await writer.write({
+        type: "version",
+        template_id: version.id,
+        version: version.version,
+        table_name: version.table_name,
+        is_active: version.is_active,
+        created_at: version.created_at,
+        archived_at: version.archived_at,
+        package: await buildTemplatePackage(client, version.id),
+      });
+    }
+
+    // Rows still online, then rows the retention job moved to archive
+    // tables (archived: true)
+    for (const version of versionsRes.rows) {
+      if (!version.table_name) continue;
+      rows += await writeTableRows(client, writer, version.table_name, {
+        template_id: version.id,
+      });
+      rows += await writeTableRows(
+        client,
+        writer,
+        archiveTableName(version.table_name),
+        { template_id: version.id, archived: true }
+      );
+    }
+
+    await writer.write({
+      type: "end",
+      versions: versionsRes.rows.length,
+      rows,
+    });
+    const size = await writer.close();
+
+    return {
+      path: filePath,
+      versions: versionsRes.rows.length,
+      rows,
+      size,
+    };
+  } catch (err) {
+    await writer.abort();
+    throw err;
+  }
+};
+
+// Helper function: Delete the family's rows in the tables keyed by
+// template_id (configuration hangs off the root, attachments off versions)
+const deleteFamilyRows = async (client, versionIds) => {
+  // Cloned templates share their source's image attachments
+  await client.query(
+    `DELETE FROM checksheet_attachments a
+     WHERE a.template_id = ANY($1)
+       AND NOT EXISTS (
+         SELECT 1 FROM template_images ti
+         WHERE ti.attachment_id = a.id AND ti.template_id <> ALL($1)
+       )`,
+    [versionIds]
+  );
+
+  const tables = [
+    "checksheet_workflows",
+    "checksheet_schedules", // Assignees and inspections cascade
+    "checksheet_plan_requirements",
+    "checksheet_alert_recipients",
+    "checksheet_retention_policies",
+  ];
+  for (const table of tables) {
+    await client.query(`DELETE FROM ${table} WHERE template_id = ANY($1)`, [
+      versionIds,
+    ]);
+  }
+};
+
+// Permanently delete a family from the recycle bin: optional archive dump,
+// then its tables, fields, images, related rows and template rows. Returns
+// null when the family isn't in the bin; `family.can_purge` tells whether
+// the retention period is over (the caller decides what to do about it).
+const purgeFamily = async (pool, familyId, { archive = false } = {}) => {
+  const client = await pool.connect();
+  let archiveInfo = null;
+  try {
+    await client.query("BEGIN");
+
+    // Lock the versions first so a concurrent restore can't slip in
+    const versionsRes = await client.query(
+      `SELECT id, table_name FROM checksheet_templates
+       WHERE (id = $1 OR parent_template_id = $1) AND deleted_at IS NOT NULL
+       FOR UPDATE`,
+      [familyId]
+    );
+    const versionIds = versionsRes.rows.map((v) => v.id);
+
+    const [family] = await listRecycleBin(client, { familyId });
+    if (!family || !family.can_purge) {
+      await client.query("ROLLBACK");
+      return family ? { family, purged: false } : null;
+    }
+
+    // Before anything is dropped; a failed dump aborts the purge
+    if (archive) archiveInfo = await writeArchive(client, family);
+
+    for (const version of versionsRes.rows) {
+      if (version.table_name) {
+        await client.query(
+          `DROP TABLE IF EXISTS ${quoteIdent(version.table_name)} CASCADE`
+        );
+        await client.query(
+          `DROP TABLE IF EXISTS ${quoteIdent(
+            archiveTableName(version.table_name)
+          )}`
+        );
+      }
+    }
+
+    await deleteFamilyRows(client, versionIds);
+    await client.query(
+      "DELETE FROM template_images WHERE template_id = ANY($1)",
+      [versionIds]
+    );
+    await client.query(
+      "DELETE FROM template_fields WHERE template_id = ANY($1)",
+      [versionIds]
+    );
+    await client.query("DELETE FROM checksheet_templates WHERE id = ANY($1)", [
+      versionIds,
+    ]);
+    await client.query(
+      "DELETE FROM checksheet_archive_holds WHERE family_id = $1",
+      [familyId]
+    );
+
+    // Drops the family's report view
+    await syncReportView(client, familyId);
+    await removeFromIndex(client, versionIds);
+
+    await client.query("COMMIT");
+
+    console.log(
+      `Purged template family ${familyId} (${versionIds.length} version(s))`
+    );
+    return {
+      family,
+      purged: true,
+      versions_deleted: versionIds.length,
+      archive: archiveInfo,
+    };
+  } catch (err) {
+    await client.query("ROLLBACK");
+    // The dump of a purge that didn't happen
+    if (archiveInfo) await fs.promises.unlink(archiveInfo.path).catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+// Purge every family whose retention period is over
+const purgeExpired = async (pool, { archive = false } = {}) => {
+  const families = (await listRecycleBin(pool)).filter((f) => f.can_purge);
+
+  const report = { purged: [], errors: [] };
+  for (const family of families) {
+    try {
+      const result = await purgeFamily(pool, family.family_id, { archive });
+      if (result && result.purged) {
+        report.purged.push({
+          family_id: family.family_id,
+          name: family.name,
+          versions_deleted: result.versions_deleted,
+          archive: result.archive,
+        });
+      }
+    } catch (err) {
+      report.errors.push({ family_id: family.family_id, error: err.message });
+    }
+  }
+  return report;
+};
+
+module.exports = {
+  RETENTION_DAYS,
+  ensureRecycleColumns,
+  isTemplateDeleted,
+  softDeleteFamily,
+  restoreFamily,
+  listRecycleBin,
+  purgeFamily,
+  purgeExpired,
+};
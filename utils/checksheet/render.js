@@ -0,0 +1,249 @@
+// Merge a submission row into its template version's HTML for printing.
+//
+// Field values are placed, in order of preference, into:
+//   1. {{instance_id}} / {{field_name}} placeholders
+//   2. elements tagged with data-instance-id, data-field-id, data-field or an
+//      id equal to the instance_id, or data-cell/data-position equal to the
+//      field's position (e.g. "B5")
+//   3. an absolutely positioned overlay from field_positions
+// Template images are inlined as data URIs so the page renders offline.
+
+const { toColumnName } = require("./columns");
+const { formatFieldValue } = require("./format");
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const escapeRegExp = (value) =>
+  String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Helper function: Whether a value is an image an <img> may point at: a
+// base64 data:image/ URL or an attachment reference
+const isImageData = (value) =>
+  typeof value === "string" &&
+  (/^data:image\/[a-z0-9.+-]+;base64,[a-z0-9+/=\s]*$/i.test(value) ||
+    /^attachment:\d+$/.test(value));
+
+// Helper function: HTML for one field value (text, photo or signature)
+const renderValue = (field, value) => {
+  if (value === null || value === undefined || value === "") return "";
+
+  if (isImageData(value)) {
+    return `<img class="cs-image" src="${escapeHtml(value)}" alt="${escapeHtml(
+      field.label || field.field_name
+    )}" />`;
+  }
+
+  // Signature fields may store { text, signature } as JSON
+  if (typeof value === "string" && value.trim().startsWith("{")) {
+    try {
+      const parsed = JSON.parse(value);
+      if (parsed && (parsed.signature || parsed.text)) {
+        return [
+          parsed.text
+            ? `<span class="cs-text">${escapeHtml(parsed.text)}</span>`
+            : "",
+          isImageData(parsed.signature)
+            ? `<img class="cs-signature" src="${escapeHtml(
+                parsed.signature
+              )}" alt="signature" />`
+            : "",
+        ].join("");
+      }
+    } catch (e) {
+      // Not JSON - fall through to plain text
+    }
+  }
+
+  return escapeHtml(formatFieldValue(field, value));
+};
+
+// Helper function: Put rendered values into tagged elements of one sheet.
+// Returns the new html and the set of instance_ids that were placed.
+const injectValues = (html, entries) => {
+  let output = html;
+  const placed = new Set();
+
+  entries.forEach(({ field, html: valueHtml }) => {
+    const keys = [field.instance_id, field.field_name].filter(Boolean);
+
+    // 1. Placeholders
+    keys.forEach((key) => {
+      const placeholder = new RegExp(`{{\\s*${escapeRegExp(key)}\\s*}}`, "g");
+      if (placeholder.test(output)) {
+        output = output.replace(placeholder, () => valueHtml);
+        placed.add(field.instance_id);
+      }
+    });
+    if (placed.has(field.instance_id)) return;
+
+    // 2. Tagged elements
+    const selectors = [
+      ...["data-instance-id", "data-field-id", "data-field", "id"].map(
+        (attr) => [attr, field.instance_id]
+      ),
+      ...(field.position
+        ? ["data-cell", "data-position"].map((attr) => [attr, field.position])
+        : []),
+    ].filter(([, value]) => value);
+
+    for (const [attr, value] of selectors) {
+      const attrPattern = `\\s${attr}=["']${escapeRegExp(value)}["']`;
+      const wrapped = `<div class="cs-value">${valueHtml}</div>`;
+
+      // Form controls are replaced entirely
+      const controls = [
+        new RegExp(`<input\\b[^>]*${attrPattern}[^>]*>`, "i"),
+        new RegExp(
+          `<(select|textarea)\\b[^>]*${attrPattern}[^>]*>[\\s\\S]*?</\\1>`,
+          "i"
+        ),
+      ];
+      const control = controls.find((pattern) => pattern.test(output));
+      if (control) {
+        output = output.replace(control, () => wrapped);
+        placed.add(field.instance_id);
+        break;
+      }
+
+      // Containers get their content replaced
+      const container = new RegExp(
+        `(<([a-z][a-z0-9]*)\\b[^>]*${attrPattern}[^>]*>)([\\s\\S]*?)(</\\2>)`,
+        "i"
+      );
+      if (container.test(output)) {
+        output = output.replace(
+          container,
+          (match, open, tag, inner, close) => `${open}${wrapped}${close}`
+        );
+        placed.add(field.instance_id);
+        break;
+      }
+    }
+  });
+
+  return { html: output, placed };
+};
+
+// Helper function: Absolutely positioned overlay from field_positions
+const renderOverlay = (position, valueHtml) => {
+  const num = (value) =>
+    value === undefined || value === null || Number.isNaN(Number(value))
+      ? null
+      : Number(value);
+
+  const top = num(position.top ?? position.y);
+  const left = num(position.left ?? position.x);
+  if (top === null || left === null) return "";
+
+  const width = num(position.width);
+  const height = num(position.height);
+  const style = [
+    `top:${top}px`,
+    `left:${left}px`,
+    width !== null ? `width:${width}px` : "",
+    height !== null ? `height:${height}px` : "",
+  ]
+    .filter(Boolean)
+    .join(";");
+
+  return `<div class="cs-overlay" style="${style}">${valueHtml}</div>`;
+};
+
+// Helper function: Replace template image URLs with inline data URIs
+const inlineImages = (html, images) => {
+  const byId = {};
+  images.forEach((image) => {
+    byId[String(image.id)] = image;
+  });
+
+  return html.replace(
+    /src=(["'])[^"']*\/templates\/\d+\/images\/(\d+)[^"']*\1/gi,
+    (match, quote, imageId) => {
+      const image = byId[imageId];
+      if (!image || !image.image_data) return match;
+      const data = String(image.image_data).startsWith("data:")
+        ? image.image_data
+        : `data:${image.mime_type || "image/png"};base64,${image.image_data}`;
+      return `src=${quote}${data}${quote}`;
+    }
+  );
+};
+
+// Build the printable HTML document: one <section> (PDF page) per sheet
+const renderTransactionHtml = ({ template, fields, row, images = [] }) => {
+  const sheets =
+    Array.isArray(template.sheets) && template.sheets.length > 0
+      ? template.sheets
+      : [{}];
+  const positions = template.field_positions || {};
+
+  const sections = sheets.map((sheet, sheetIndex) => {
+    const sheetHtml =
+      sheet.html_content ||
+      sheet.html ||
+      (sheetIndex === 0 || sheets.length === 1 ? template.html_content : "") ||
+      "";
+
+    // Fields on this sheet (single-sheet templates take every field)
+    const entries = fields
+      .filter(
+        (field) =>
+          sheets.length === 1 || (field.sheet_index || 0) === sheetIndex
+      )
+      .map((field) => ({
+        field,
+        html: renderValue(
+          field,
+          row[toColumnName(field.field_name || field.instance_id)]
+        ),
+      }));
+
+    const injected = injectValues(sheetHtml, entries);
+
+    const overlays = entries
+      .filter(({ field }) => !injected.placed.has(field.instance_id))
+      .map(({ field, html }) => {
+        const position = positions[field.instance_id];
+        return position && html ? renderOverlay(position, html) : "";
+      })
+      .join("");
+
+    const title = sheet.name
+      ? `<div class="cs-sheet-title">${escapeHtml(sheet.name)}</div>`
+      : "";
+
+    return `<section class="cs-sheet">${title}<div class="cs-page">${injected.html}${overlays}</div></section>`;
+  });
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8" />
+<title>${escapeHtml(template.name || "Checksheet")}</title>
+<style>
+${template.css_content || ""}
+.cs-sheet { page-break-after: always; }
+.cs-sheet:last-child { page-break-after: auto; }
+.cs-sheet-title { font: bold 12px Arial, sans-serif; margin-bottom: 6px; }
+.cs-page { position: relative; }
+.cs-overlay { position: absolute; overflow: hidden; font: 12px Arial, sans-serif; }
+.cs-value { white-space: pre-wrap; }
+.cs-image, .cs-signature { max-width: 100%; max-height: 100%; }
+</style>
+</head>
+<body>
+${inlineImages(sections.join("\n"), images)}
+</body>
+</html>`;
+};
+
+module.exports = {
+  escapeHtml,
+  renderTransactionHtml,
+};
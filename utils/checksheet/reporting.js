@@ -0,0 +1,86 @@
+// Reporting view per template family: checksheet_<family>_report is a plain
+// view that unions every version table in one stable shape (see union.js),
+// so BI tools can point at a single object across breaking changes.
+
+const { getFamilyVersions } = require("./family");
+const { buildFamilyUnion, quoteIdent } = require("./union");
+
+const reportViewName = (familyId) =>
+  `checksheet_${parseInt(familyId, 10)}_report`;
+
+// Drop and recreate the family's view (the column list can change between
+// versions, which CREATE OR REPLACE VIEW does not allow)
+const rebuildReportView = async (client, familyId) => {
+  const viewName = reportViewName(familyId);
+  const versions = await getFamilyVersions(client, familyId);
+
+  await client.query(`DROP VIEW IF EXISTS ${quoteIdent(viewName)}`);
+  if (versions.length === 0) return null;
+
+  const union = await buildFamilyUnion(client, versions);
+  await client.query(`CREATE VIEW ${quoteIdent(viewName)} AS ${union.sql}`);
+
+  const name = versions[versions.length - 1].name || `template ${familyId}`;
+  const comment = `All versions of checksheet "${name}"`.replace(/'/g, "''");
+  await client.query(`COMMENT ON VIEW ${quoteIdent(viewName)} IS '${comment}'`);
+
+  return {
+    view_name: viewName,
+    columns: union.columns.map((c) => ({ name: c.name, type: c.type })),
+    versions: versions.map((v) => ({
+      id: v.id,
+      version: v.version,
+      table_name: v.table_name,
+    })),
+  };
+};
+
+// Rebuild inside a caller's transaction without failing it: a broken view
+// is logged and left for the refresh endpoint
+const syncReportView = async (client, familyId) => {
+  await client.query("SAVEPOINT report_view");
+  try {
+    const view = await rebuildReportView(client, familyId);
+    await client.query("RELEASE SAVEPOINT report_view");
+    return view;
+  } catch (err) {
+    await client.query("ROLLBACK TO SAVEPOINT report_view");
+    console.warn(
+      `Could not rebuild report view for template ${familyId}:`,
+      err.message
+    );
+    return null;
+  }
+};
+
+// Startup step: rebuild every existing report view so views created by an
+// older release pick up the current union SQL
+const refreshReportViews = async (pool) => {
+  const res = await pool.query(
+    `SELECT viewname FROM pg_views
+     WHERE schemaname = current_schema()
+       AND viewname ~ '^checksheet_[0-9]+_report$'`
+  );
+
+  for (const { viewname } of res.rows) {
+    const familyId = parseInt(viewname.split("_")[1], 10);
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      await syncReportView(client, familyId);
+      await client.query("COMMIT");
+    } catch (err) {
+      await client.query("ROLLBACK");
+      console.warn(`Could not refresh ${viewname}:`, err.message);
+    } finally {
+      client.release();
+    }
+  }
+};
+
+module.exports = {
+  reportViewName,
+  rebuildReportView,
+  syncReportView,
+  refreshReportViews,
+};
@@ -0,0 +1,544 @@
+// Retention policies for submission tables.
+//
+// A policy (one per template family) keeps rows online for
+// keep_years / keep_months / keep_days after their submitted_at; older rows
+// are moved out by the background job (runRetentionTick), batch by batch:
+//   mode "table" - into <table>_archive (same columns plus
+//                  archive_batch_id), still queryable with SQL
+//   mode "file"  - into a gzipped NDJSON file under RETENTION_DIR
+//                  (CHECKSHEET_RETENTION_DIR, default <archive dir>/retention)
+// Every batch is recorded in checksheet_archive_batches (table, id and date
+// range, file). restoreRange brings the archived rows of a submitted_at
+// range back online and puts a hold on the range, so the job leaves those
+// rows alone until hold_until.
+
+const path = require("path");
+const fs = require("fs");
+const pool = require("../../db");
+const { getFamilyVersions } = require("./family");
+const { quoteIdent } = require("./union");
+const { indexTransaction, removeTransactionsFromIndex } = require("./search");
+const {
+  ARCHIVE_DIR,
+  archiveTableName,
+  fileStamp,
+  createArchiveWriter,
+  readArchive,
+} = require("./archive");
+
+const MODES = ["table", "file"];
+
+const RETENTION_DIR =
+  process.env.CHECKSHEET_RETENTION_DIR || path.join(ARCHIVE_DIR, "retention");
+
+const BATCH_SIZE = 1000;
+
+// Per table and job run; the next run continues
+const MAX_BATCHES_PER_RUN = 20;
+
+// Rows written back per statement on restore
+const RESTORE_CHUNK_SIZE = 500;
+
+const DEFAULT_HOLD_DAYS = 30;
+
+class RetentionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "RetentionError";
+  }
+}
+
+// Create the retention tables (at startup, see ./schema.js)
+const ensureRetentionTables = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS checksheet_retention_policies (
+      id SERIAL PRIMARY KEY,
+      template_id INTEGER NOT NULL UNIQUE,
+      keep_years INTEGER DEFAULT 0,
+      keep_months INTEGER DEFAULT 0,
+      keep_days INTEGER DEFAULT 0,
+      mode VARCHAR(10) DEFAULT 'table',
+      is_active BOOLEAN DEFAULT true,
+      created_by INTEGER,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW(),
+      last_run_at TIMESTAMP,
+      last_error TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS checksheet_archive_batches (
+      id SERIAL PRIMARY KEY,
+      family_id INTEGER NOT NULL,
+      template_id INTEGER NOT NULL,
+      table_name VARCHAR(255) NOT NULL,
+      mode VARCHAR(10) NOT NULL,
+      archive_table VARCHAR(255),
+      file_path TEXT,
+      file_size BIGINT,
+      cutoff TIMESTAMP,
+      row_count INTEGER DEFAULT 0,
+      first_id INTEGER,
+      last_id INTEGER,
+      from_date TIMESTAMP,
+      to_date TIMESTAMP,
+      status VARCHAR(20) DEFAULT 'archived',
+      restored_count INTEGER DEFAULT 0,
+      restored_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_checksheet_archive_batches_family
+    ON checksheet_archive_batches (family_id, from_date);
+
+    CREATE TABLE IF NOT EXISTS checksheet_archive_holds (
+      id SERIAL PRIMARY KEY,
+      family_id INTEGER NOT NULL,
+      from_date TIMESTAMP NOT NULL,
+      to_date TIMESTAMP NOT NULL,
+      hold_until TIMESTAMP NOT NULL,
+      reason TEXT,
+      restored_rows INTEGER DEFAULT 0,
+      created_by INTEGER,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_checksheet_archive_holds_family
+    ON checksheet_archive_holds (family_id, hold_until);
+  `);
+};
+
+// Helper function: Non-negative integer option
+const toCount = (value, name) => {
+  if (value === undefined || value === null || value === "") return 0;
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 0) {
+    throw new RetentionError(`${name} must be a whole number of 0 or more`);
+  }
+  return count;
+};
+
+// Validate a policy body: keep_years, keep_months, keep_days (at least one
+// above 0), mode, is_active
+const normalizePolicy = (body) => {
+  const policy = {
+    keep_years: toCount(body.keep_years, "keep_years"),
+    keep_months: toCount(body.keep_months, "keep_months"),
+    keep_days: toCount(body.keep_days, "keep_days"),
+    mode: body.mode || "table",
+    is_active: body.is_active !== false,
+  };
+  if (!policy.keep_years && !policy.keep_months && !policy.keep_days) {
+    throw new RetentionError(
+      "Set how long rows stay online (keep_years, keep_months or keep_days)"
+    );
+  }
+  if (!MODES.includes(policy.mode)) {
+    throw new RetentionError(`mode must be one of: ${MODES.join(", ")}`);
+  }
+  return policy;
+};
+
+// Helper function: Columns of a table in order, with their SQL types
+const getColumns = async (client, tableName) => {
+  const res = await client.query(
+    `SELECT a.attname AS name, format_type(a.atttypid, a.atttypmod) AS type
+     FROM pg_attribute a
+     WHERE a.attrelid = to_regclass($1)
+       AND a.attnum > 0 AND NOT a.attisdropped
+     ORDER BY a.attnum`,
+    [quoteIdent(tableName)]
+  );
+  return res.rows;
+};
+
+// Helper function: Create the archive table of a submission table, or add
+// the columns the submission table gained since
+const ensureArchiveTable = async (client, tableName) => {
+  const archiveTable = archiveTableName(tableName);
+  await client.query(
+    `CREATE TABLE IF NOT EXISTS ${quoteIdent(archiveTable)}
+     (LIKE ${quoteIdent(tableName)})`
+  );
+
+  const archived = new Set(
+    (await getColumns(client, archiveTable)).map((c) => c.name)
+  );
+  const missing = (await getColumns(client, tableName)).filter(
+    (c) => !archived.has(c.name)
+  );
+  const additions = [
+    ...missing.map(
+      (c) => `ADD COLUMN IF NOT EXISTS ${quoteIdent(c.name)} ${c.type}`
+    ),
+    "ADD COLUMN IF NOT EXISTS archive_batch_id INTEGER",
+  ];
+  await client.query(
+    `ALTER TABLE ${quoteIdent(archiveTable)} ${additions.join(", ")}`
+  );
+  await client.query(
+    `CREATE INDEX IF NOT EXISTS ${quoteIdent(`${archiveTable}_batch_idx`)}
+     ON ${quoteIdent(archiveTable)} (archive_batch_id)`
+  );
+  return archiveTable;
+};
+
+// Helper function: Archive one batch of a table's expired rows inside the
+// caller's transaction. Returns the batch row, or null when nothing is
+// left to archive.
+const archiveBatch = async (client, { familyId, version, mode, cutoff }) => {
+  const tableName = version.table_name;
+
+  // Oldest expired rows outside any active hold
+  const rowsRes = await client.query(
+    `SELECT t.id FROM ${quoteIdent(tableName)} t
+     WHERE t.submitted_at < $1
+       AND NOT EXISTS (
+         SELECT 1 FROM checksheet_archive_holds h
+         WHERE h.family_id = $2 AND h.hold_until > NOW()
+           AND t.submitted_at BETWEEN h.from_date AND h.to_date
+       )
+     ORDER BY t.id
+     LIMIT $3
+     FOR UPDATE SKIP LOCKED`,
+    [cutoff, familyId, BATCH_SIZE]
+  );
+  if (rowsRes.rows.length === 0) return null;
+  const ids = rowsRes.rows.map((r) => r.id);
+
+  const batchRes = await client.query(
+    `INSERT INTO checksheet_archive_batches
+     (family_id, template_id, table_name, mode, cutoff, row_count,
+      first_id, last_id, from_date, to_date)
+     SELECT $1, $2, $3, $4, $5, COUNT(*), MIN(id), MAX(id),
+            MIN(submitted_at), MAX(submitted_at)
+     FROM ${quoteIdent(tableName)} WHERE id = ANY($6)
+     RETURNING *`,
+    [familyId, version.id, tableName, mode, cutoff, ids]
+  );
+  const batch = batchRes.rows[0];
+
+  let filePath = null;
+  try {
+    if (mode === "table") {
+      const archiveTable = await ensureArchiveTable(client, tableName);
+      const columns = (await getColumns(client, tableName))
+        .map((c) => quoteIdent(c.name))
+        .join(", ");
+      await client.query(
+        `INSERT INTO ${quoteIdent(archiveTable)} (${columns}, archive_batch_id)
+         SELECT ${columns}, $2 FROM ${quoteIdent(tableName)}
+         WHERE id = ANY($1)`,
+        [ids, batch.id]
+      );
+      batch.archive_table = archiveTable;
+    } else {
+      filePath = path.join(
+        RETENTION_DIR,
+        String(familyId),
+        `${tableName}_${batch.first_id}-${
+          batch.last_id
+        }_${fileStamp()}.ndjson.gz`
+      );
+      const writer = await createArchiveWriter(filePath);
+      try {
+        await writer.write({
+          type: "batch",
+          batch_id: batch.id,
+          family_id: familyId,
+          template_id: version.id,
+          table_name: tableName,
+          cutoff: batch.cutoff,
+          row_count: batch.row_count,
+        });
+        const dataRes = await client.query(
+          `SELECT to_jsonb(t) AS row FROM ${quoteIdent(tableName)} t
+           WHERE id = ANY($1) ORDER BY id`,
+          [ids]
+        );
+        for (const { row } of dataRes.rows) {
+          await writer.write({ type: "row", row });
+        }
+        await writer.write({ type: "end", rows: dataRes.rows.length });
+        batch.file_size = await writer.close();
+      } catch (err) {
+        await writer.abort();
+        filePath = null;
+        throw err;
+      }
+      batch.file_path = filePath;
+    }
+
+    await client.query(
+      `DELETE FROM ${quoteIdent(tableName)} WHERE id = ANY($1)`,
+      [ids]
+    );
+    await client.query(
+      `UPDATE checksheet_archive_batches
+       SET archive_table = $2, file_path = $3, file_size = $4
+       WHERE id = $1`,
+      [batch.id, batch.archive_table || null, filePath, batch.file_size || null]
+    );
+    await removeTransactionsFromIndex(client, version.id, ids);
+
+    return batch;
+  } catch (err) {
+    // The rows stay online; don't keep a file nothing points at
+    if (filePath) await fs.promises.unlink(filePath).catch(() => {});
+    throw err;
+  }
+};
+
+// Apply a family's policy now. Each batch is its own transaction; a
+// table another process is archiving is skipped.
+const runPolicy = async (policy) => {
+  const familyId = policy.template_id;
+  const cutoffRes = await pool.query(
+    `SELECT NOW() - make_interval(
+       years => $1::INTEGER, months => $2::INTEGER, days => $3::INTEGER
+     ) AS cutoff`,
+    [policy.keep_years || 0, policy.keep_months || 0, policy.keep_days || 0]
+  );
+  const { cutoff } = cutoffRes.rows[0];
+
+  const report = { family_id: familyId, cutoff, rows: 0, tables: [] };
+  let error = null;
+
+  for (const version of await getFamilyVersions(pool, familyId)) {
+    const tableReport = { table_name: version.table_name, rows: 0, batches: 0 };
+    report.tables.push(tableReport);
+
+    for (let i = 0; i < MAX_BATCHES_PER_RUN; i++) {
+      const client = await pool.connect();
+      let batch = null;
+      try {
+        await client.query("BEGIN");
+        const lockRes = await client.query(
+          `SELECT pg_try_advisory_xact_lock(
+             hashtext('checksheet_retention'), hashtext($1)
+           ) AS locked`,
+          [version.table_name]
+        );
+        if (lockRes.rows[0].locked) {
+          batch = await archiveBatch(client, {
+            familyId,
+            version,
+            mode: policy.mode,
+            cutoff,
+          });
+        }
+        await client.query("COMMIT");
+      } catch (err) {
+        await client.query("ROLLBACK");
+        error = `${version.table_name}: ${err.message}`;
+      } finally {
+        client.release();
+      }
+
+      if (!batch) break;
+      tableReport.rows += batch.row_count;
+      tableReport.batches++;
+      report.rows += batch.row_count;
+      if (batch.row_count < BATCH_SIZE) break;
+    }
+  }
+
+  await pool.query(
+    `UPDATE checksheet_retention_policies
+     SET last_run_at = NOW(), last_error = $2
+     WHERE id = $1`,
+    [policy.id, error]
+  );
+  report.error = error;
+  return report;
+};
+
+// Helper function: Write archived rows of a file batch back; returns the
+// restored ids
+const restoreFileBatch = async (client, batch, from, to) => {
+  const restored = [];
+  let chunk = [];
+
+  const flush = async () => {
+    if (chunk.length === 0) return;
+    const res = await client.query(
+      `INSERT INTO ${quoteIdent(batch.table_name)}
+       SELECT * FROM jsonb_populate_recordset(
+         NULL::${quoteIdent(batch.table_name)}, $1::jsonb
+       ) r
+       WHERE r.submitted_at BETWEEN $2 AND $3
+       ON CONFLICT (id) DO NOTHING
+       RETURNING id`,
+      [JSON.stringify(chunk), from, to]
+    );
+    res.rows.forEach((r) => restored.push(r.id));
+    chunk = [];
+  };
+
+  for await (const record of readArchive(batch.file_path)) {
+    if (record.type !== "row") continue;
+    chunk.push(record.row);
+    if (chunk.length >= RESTORE_CHUNK_SIZE) await flush();
+  }
+  await flush();
+  return restored;
+};
+
+// Helper function: Move archived rows of a table batch back; returns the
+// restored ids
+const restoreTableBatch = async (client, batch, from, to) => {
+  const archived = new Set(
+    (await getColumns(client, batch.archive_table)).map((c) => c.name)
+  );
+  const columns = (await getColumns(client, batch.table_name))
+    .filter((c) => archived.has(c.name))
+    .map((c) => quoteIdent(c.name))
+    .join(", ");
+
+  const res = await client.query(
+    `WITH moved AS (
+       DELETE FROM ${quoteIdent(batch.archive_table)}
+       WHERE archive_batch_id = $1 AND submitted_at BETWEEN $2 AND $3
+       RETURNING *
+     )
+     INSERT INTO ${quoteIdent(batch.table_name)} (${columns})
+     SELECT ${columns} FROM moved
+     ON CONFLICT (id) DO NOTHING
+     RETURNING id`,
+    [batch.id, from, to]
+  );
+
+  const leftRes = await client.query(
+    `SELECT COUNT(*) AS count FROM ${quoteIdent(batch.archive_table)}
+     WHERE archive_batch_id = $1`,
+    [batch.id]
+  );
+  batch.fully_restored = parseInt(leftRes.rows[0].count, 10) === 0;
+  return res.rows.map((r) => r.id);
+};
+
+// Bring the archived rows of a family submitted between `from` and `to`
+// back online and hold the range for holdDays. Returns a report per batch.
+const restoreRange = async (
+  client,
+  familyId,
+  { from, to, holdDays = DEFAULT_HOLD_DAYS, reason = null, userId = null }
+) => {
+  const hold = await client.query(
+    `INSERT INTO checksheet_archive_holds
+     (family_id, from_date, to_date, hold_until, reason, created_by)
+     VALUES ($1, $2, $3, NOW() + ($4 * INTERVAL '1 day'), $5, $6)
+     RETURNING *`,
+    [familyId, from, to, holdDays, reason, userId]
+  );
+
+  const batchesRes = await client.query(
+    `SELECT * FROM checksheet_archive_batches
+     WHERE family_id = $1 AND status <> 'restored'
+       AND from_date <= $3 AND to_date >= $2
+     ORDER BY id
+     FOR UPDATE`,
+    [familyId, from, to]
+  );
+
+  const report = { hold: hold.rows[0], rows: 0, batches: [] };
+  for (const batch of batchesRes.rows) {
+    const existsRes = await client.query("SELECT to_regclass($1) AS name", [
+      quoteIdent(batch.table_name),
+    ]);
+    if (!existsRes.rows[0].name) {
+      report.batches.push({
+        batch_id: batch.id,
+        table_name: batch.table_name,
+        error: "Submission table no longer exists",
+      });
+      continue;
+    }
+
+    let ids;
+    if (batch.mode === "table") {
+      ids = await restoreTableBatch(client, batch, from, to);
+    } else {
+      ids = await restoreFileBatch(client, batch, from, to);
+      // A file keeps every row; the batch counts as restored once the
+      // requested range covers it
+      batch.fully_restored =
+        new Date(batch.from_date) >= new Date(from) &&
+        new Date(batch.to_date) <= new Date(to);
+    }
+
+    for (const id of ids) {
+      await indexTransaction(client, batch.template_id, id);
+    }
+
+    await client.query(
+      `UPDATE checksheet_archive_batches
+       SET status = $2, restored_count = restored_count + $3,
+           restored_at = NOW()
+       WHERE id = $1`,
+      [
+        batch.id,
+        batch.fully_restored ? "restored" : "partially_restored",
+        ids.length,
+      ]
+    );
+
+    report.rows += ids.length;
+    report.batches.push({
+      batch_id: batch.id,
+      table_name: batch.table_name,
+      mode: batch.mode,
+      restored: ids.length,
+      status: batch.fully_restored ? "restored" : "partially_restored",
+    });
+  }
+
+  await client.query(
+    "UPDATE checksheet_archive_holds SET restored_rows = $2 WHERE id = $1",
+    [report.hold.id, report.rows]
+  );
+  report.hold.restored_rows = report.rows;
+  return report;
+};
+
+// ------------------------------
+// Background job
+// ------------------------------
+// One pass over every active policy (families in the recycle bin excluded)
+const runRetentionTick = async () => {
+  try {
+    const policiesRes = await pool.query(
+      `SELECT p.* FROM checksheet_retention_policies p
+       JOIN checksheet_templates ct ON ct.id = p.template_id
+       WHERE p.is_active = true AND ct.deleted_at IS NULL
+       ORDER BY p.id`
+    );
+    for (const policy of policiesRes.rows) {
+      const report = await runPolicy(policy);
+      if (report.rows > 0) {
+        console.log(
+          `Archived ${report.rows} row(s) of template family ${policy.template_id}`
+        );
+      }
+      if (report.error) {
+        console.warn(
+          `Retention error for template family ${policy.template_id}:`,
+          report.error
+        );
+      }
+    }
+  } catch (err) {
+    console.error("Retention job error:", err);
+  }
+};
+
+module.exports = {
+  MODES,
+  RETENTION_DIR,
+  DEFAULT_HOLD_DAYS,
+  RetentionError,
+  ensureRetentionTables,
+  normalizePolicy,
+  runPolicy,
+  restoreRange,
+  runRetentionTick,
+};
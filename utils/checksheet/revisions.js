@@ -0,0 +1,121 @@
+// Optimistic concurrency for transactions.
+//
+// Every row of a submission table carries a revision (1 on insert, +1 on
+// every save or status change). Clients read it with the transaction
+// (also as the ETag header, "r<revision>") and send it back with an
+// update, as `revision` in the body or an If-Match header. When it no
+// longer matches, the update is refused with the current server values -
+// unless the client also sent the values it loaded (`base_data`): edits
+// that don't overlap are then merged field by field (mergeFieldChanges)
+// and only fields both sides changed differently are reported as
+// conflicts.
+
+const { toColumnName } = require("./columns");
+const { toDateString, toSeconds, toNumber } = require("./validator");
+
+// Helper function: ETag of a revision
+const toEtag = (revision) => `"r${revision}"`;
+
+// Helper function: Revision from an If-Match header (null when absent or
+// not one of ours)
+const parseIfMatch = (header) => {
+  if (!header) return null;
+  const match = String(header).match(/^\s*(?:W\/)?"r(\d+)"\s*$/);
+  return match ? parseInt(match[1], 10) : null;
+};
+
+// Revision the client loaded: body `revision`, else If-Match. Returns null
+// when neither is given, NaN when the body value isn't a number.
+const getExpectedRevision = (body, ifMatch) => {
+  if (body && body.revision !== undefined && body.revision !== null) {
+    const revision = Number(body.revision);
+    return Number.isInteger(revision) ? revision : NaN;
+  }
+  return parseIfMatch(ifMatch);
+};
+
+// Helper function: Comparable form of a value for a field type, so "12.50"
+// and 12.5 or "2024-01-05" and a stored DATE count as the same value
+const comparable = (value, fieldType) => {
+  if (value === undefined || value === null || value === "") return "";
+  switch (fieldType) {
+    case "number":
+    case "calculation": {
+      const num = toNumber(value);
+      return num === null || Number.isNaN(num) ? String(value) : String(num);
+    }
+    case "date":
+      return toDateString(value) || String(value);
+    case "datetime": {
+      const time = new Date(value).getTime();
+      return Number.isNaN(time) ? String(value) : String(time);
+    }
+    case "time": {
+      const seconds = toSeconds(value);
+      return seconds === null ? String(value) : String(seconds);
+    }
+    case "boolean":
+      return String(
+        value === true || value === "true" || value === 1 || value === "1"
+      );
+    default:
+      return typeof value === "object" ? JSON.stringify(value) : String(value);
+  }
+};
+
+// Three-way merge of one transaction's values, all keyed by column
+// (`fields`: template_fields rows, for the value types):
+// `base` what the client loaded, `mine` what it submits, `theirs` what is
+// stored now. A column only the client changed takes the client's value,
+// one only the server changed keeps the server's, the same change on both
+// sides is fine. Returns { data, applied, conflicts }: data holds the
+// merged value of every column in `mine`.
+const mergeFieldChanges = ({
+  fields = [],
+  base = {},
+  mine = {},
+  theirs = {},
+}) => {
+  const typeOf = {};
+  fields.forEach((field) => {
+    typeOf[toColumnName(field.field_name || field.instance_id)] =
+      field.field_type;
+  });
+
+  const data = {};
+  const applied = [];
+  const conflicts = [];
+
+  Object.keys(mine).forEach((column) => {
+    const type = typeOf[column];
+    const same = (a, b) => comparable(a, type) === comparable(b, type);
+    const mineChanged = !same(mine[column], base[column]);
+    const theirsChanged = !same(theirs[column], base[column]);
+
+    const current = theirs[column] === undefined ? null : theirs[column];
+
+    if (!mineChanged || same(mine[column], current)) {
+      data[column] = current;
+    } else if (!theirsChanged) {
+      data[column] = mine[column];
+      applied.push(column);
+    } else {
+      data[column] = current;
+      conflicts.push({
+        column,
+        base: base[column] === undefined ? null : base[column],
+        mine: mine[column],
+        theirs: current,
+      });
+    }
+  });
+
+  return { data, applied, conflicts };
+};
+
+module.exports = {
+  toEtag,
+  parseIfMatch,
+  getExpectedRevision,
+  mergeFieldChanges,
+};
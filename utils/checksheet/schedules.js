@@ -0,0 +1,647 @@
+// Inspection schedules: when a checksheet is expected to be filled in.
+//
+// A schedule belongs to a template family and produces "inspection
+// instances" (checksheet_inspections), each a window from window_start to
+// due_at:
+//   shift  - one per shift per day, due at the shift end (shifts like SPC)
+//   daily  - at `time` every day (optionally only on days_of_week)
+//   weekly - at `time` on days_of_week (0 = Sunday)
+//   cron   - at every match of a 5-field cron expression
+// daily/weekly/cron windows last duration_minutes.
+// A pending instance is overdue after due_at and becomes missed after
+// grace_minutes more. Saving a transaction links it to the open instance
+// it fulfils; completing it completes the instance. Reminders are emailed
+// to the assignees reminder_minutes before due_at.
+//
+// Times are server local time, like the rest of the checksheet tables.
+
+const pool = require("../../db");
+const { DEFAULT_SHIFTS } = require("./spc");
+const { toSeconds } = require("./validator");
+const { formatDate } = require("./format");
+const { escapeHtml } = require("./render");
+const { getMailer, appLink } = require("./mail");
+
+const FREQUENCIES = ["shift", "daily", "weekly", "cron"];
+
+// How far ahead instances are generated
+const GENERATE_AHEAD_HOURS = 48;
+
+// How far back the job fills in instances it could not create on time
+// (server down); never before the schedule's last change
+const GENERATE_BEHIND_HOURS = 24;
+
+class ScheduleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ScheduleError";
+  }
+}
+
+// Create the schedule tables (at startup, see ./schema.js)
+const ensureScheduleTables = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS checksheet_schedules (
+      id SERIAL PRIMARY KEY,
+      template_id INTEGER NOT NULL,
+      name VARCHAR(255),
+      frequency VARCHAR(20) NOT NULL,
+      shifts JSONB,
+      time VARCHAR(8),
+      days_of_week JSONB,
+      cron VARCHAR(100),
+      duration_minutes INTEGER DEFAULT 60,
+      grace_minutes INTEGER DEFAULT 0,
+      reminder_minutes INTEGER DEFAULT 30,
+      starts_on DATE,
+      ends_on DATE,
+      is_active BOOLEAN DEFAULT true,
+      created_by INTEGER,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS checksheet_schedule_assignees (
+      id SERIAL PRIMARY KEY,
+      schedule_id INTEGER NOT NULL
+        REFERENCES checksheet_schedules(id) ON DELETE CASCADE,
+      user_id INTEGER,
+      group_id INTEGER,
+      CHECK (user_id IS NOT NULL OR group_id IS NOT NULL)
+    );
+
+    CREATE TABLE IF NOT EXISTS checksheet_inspections (
+      id SERIAL PRIMARY KEY,
+      schedule_id INTEGER NOT NULL
+        REFERENCES checksheet_schedules(id) ON DELETE CASCADE,
+      template_id INTEGER NOT NULL,
+      shift_name VARCHAR(50),
+      window_start TIMESTAMP NOT NULL,
+      due_at TIMESTAMP NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending',
+      transaction_id INTEGER,
+      transaction_template_id INTEGER,
+      completed_at TIMESTAMP,
+      completed_by INTEGER,
+      reminder_sent_at TIMESTAMP,
+      reminder_error TEXT,
+      created_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE (schedule_id, window_start)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_checksheet_inspections_open
+    ON checksheet_inspections (template_id, status, due_at);
+  `);
+};
+
+// ------------------------------
+// Cron expressions
+// ------------------------------
+const CRON_RANGES = [
+  [0, 59], // minute
+  [0, 23], // hour
+  [1, 31], // day of month
+  [1, 12], // month
+  [0, 6], // day of week (7 is also Sunday)
+];
+
+// Helper function: Parse one cron field into a Set of allowed values
+const parseCronField = (text, [min, max], index) => {
+  const values = new Set();
+  String(text)
+    .split(",")
+    .forEach((part) => {
+      const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+      if (!match) throw new ScheduleError(`Invalid cron field "${text}"`);
+
+      let from = min;
+      let to = max;
+      if (match[1] !== "*") {
+        from = parseInt(match[2], 10);
+        to = match[3] !== undefined ? parseInt(match[3], 10) : from;
+        if (match[4] !== undefined && match[3] === undefined) to = max;
+      }
+      const step = match[4] !== undefined ? parseInt(match[4], 10) : 1;
+
+      // Day of week allows 7 for Sunday
+      const upper = index === 4 ? 7 : max;
+      if (from < min || to > upper || from > to || step < 1) {
+        throw new ScheduleError(`Cron field "${text}" is out of range`);
+      }
+      for (let v = from; v <= to; v += step) {
+        values.add(index === 4 && v === 7 ? 0 : v);
+      }
+    });
+  return values;
+};
+
+const parseCron = (expression) => {
+  const parts = String(expression || "")
+    .trim()
+    .split(/\s+/);
+  if (parts.length !== 5) {
+    throw new ScheduleError(
+      "Cron expression needs 5 fields: minute hour day month weekday"
+    );
+  }
+  const fields = parts.map((part, i) =>
+    parseCronField(part, CRON_RANGES[i], i)
+  );
+  return {
+    minutes: fields[0],
+    hours: fields[1],
+    days: fields[2],
+    months: fields[3],
+    weekdays: fields[4],
+    // Standard cron: restricted day-of-month and weekday are OR-ed
+    anyDay: parts[2] === "*",
+    anyWeekday: parts[4] === "*",
+  };
+};
+
+const cronMatches = (cron, date) => {
+  if (!cron.minutes.has(date.getMinutes())) return false;
+  if (!cron.hours.has(date.getHours())) return false;
+  if (!cron.months.has(date.getMonth() + 1)) return false;
+
+  const dayOk = cron.days.has(date.getDate());
+  const weekdayOk = cron.weekdays.has(date.getDay());
+  if (cron.anyDay && cron.anyWeekday) return true;
+  if (cron.anyDay) return weekdayOk;
+  if (cron.anyWeekday) return dayOk;
+  return dayOk || weekdayOk;
+};
+
+// ------------------------------
+// Validation
+// ------------------------------
+const toInteger = (value, fallback, label) => {
+  if (value === undefined || value === null || value === "") return fallback;
+  const num = parseInt(value, 10);
+  if (Number.isNaN(num) || num < 0) {
+    throw new ScheduleError(`${label} must be a non-negative number`);
+  }
+  return num;
+};
+
+const isTime = (value) => toSeconds(value) !== null;
+
+// Validate a schedule payload and return the columns to store
+const normalizeSchedule = (body) => {
+  const frequency = body.frequency;
+  if (!FREQUENCIES.includes(frequency)) {
+    throw new ScheduleError(
+      `frequency must be one of: ${FREQUENCIES.join(", ")}`
+    );
+  }
+
+  const schedule = {
+    name: body.name ? String(body.name) : null,
+    frequency,
+    shifts: null,
+    time: null,
+    days_of_week: null,
+    cron: null,
+    duration_minutes: toInteger(body.duration_minutes, 60, "duration_minutes"),
+    grace_minutes: toInteger(body.grace_minutes, 0, "grace_minutes"),
+    reminder_minutes: toInteger(body.reminder_minutes, 30, "reminder_minutes"),
+    starts_on: body.starts_on || null,
+    ends_on: body.ends_on || null,
+    is_active: body.is_active !== false,
+  };
+
+  if (frequency === "shift") {
+    const shifts = body.shifts || DEFAULT_SHIFTS;
+    if (
+      !Array.isArray(shifts) ||
+      shifts.length === 0 ||
+      shifts.some((s) => !s || !s.name || !isTime(s.start) || !isTime(s.end))
+    ) {
+      throw new ScheduleError(
+        "shifts must be an array of { name, start, end } with HH:mm times"
+      );
+    }
+    schedule.shifts = shifts.map((s) => ({
+      name: String(s.name),
+      start: s.start,
+      end: s.end,
+    }));
+  }
+
+  if (frequency === "daily" || frequency === "weekly") {
+    if (!isTime(body.time)) {
+      throw new ScheduleError("time (HH:mm) is required");
+    }
+    schedule.time = body.time;
+
+    const days = body.days_of_week;
+    if (days !== undefined && days !== null) {
+      if (
+        !Array.isArray(days) ||
+        days.length === 0 ||
+        days.some((d) => !Number.isInteger(d) || d < 0 || d > 6)
+      ) {
+        throw new ScheduleError("days_of_week must be an array of 0-6");
+      }
+      schedule.days_of_week = [...new Set(days)].sort();
+    } else if (frequency === "weekly") {
+      throw new ScheduleError("days_of_week is required for weekly schedules");
+    }
+  }
+
+  if (frequency === "cron") {
+    parseCron(body.cron);
+    schedule.cron = String(body.cron).trim();
+  }
+
+  if (frequency !== "shift" && schedule.duration_minutes < 1) {
+    throw new ScheduleError("duration_minutes must be at least 1");
+  }
+
+  return schedule;
+};
+
+// Helper function: Validate assignees ({ user_id } or { group_id })
+const normalizeAssignees = (assignees) => {
+  if (assignees === undefined || assignees === null) return [];
+  if (!Array.isArray(assignees)) {
+    throw new ScheduleError("assignees must be an array");
+  }
+  return assignees.map((assignee, index) => {
+    const userId =
+      assignee && assignee.user_id != null
+        ? parseInt(assignee.user_id, 10)
+        : null;
+    const groupId =
+      assignee && assignee.group_id != null
+        ? parseInt(assignee.group_id, 10)
+        : null;
+    if (
+      (userId === null && groupId === null) ||
+      Number.isNaN(userId) ||
+      Number.isNaN(groupId)
+    ) {
+      throw new ScheduleError(
+        `Assignee ${index + 1} needs a user_id or a group_id`
+      );
+    }
+    return { user_id: userId, group_id: groupId };
+  });
+};
+
+// ------------------------------
+// Instance generation
+// ------------------------------
+const atTime = (day, time) => {
+  const seconds = toSeconds(time);
+  const date = new Date(day);
+  date.setHours(0, 0, 0, 0);
+  date.setSeconds(seconds);
+  return date;
+};
+
+const addMinutes = (date, minutes) =>
+  new Date(date.getTime() + minutes * 60 * 1000);
+
+// Windows of a schedule that start between `from` and `to`
+const computeWindows = (schedule, from, to) => {
+  const windows = [];
+  const startsOn = schedule.starts_on ? new Date(schedule.starts_on) : null;
+  const endsOn = schedule.ends_on ? new Date(schedule.ends_on) : null;
+  if (startsOn) startsOn.setHours(0, 0, 0, 0);
+  if (endsOn) endsOn.setHours(23, 59, 59, 999);
+
+  // Nothing is expected before the schedule (or its last change) existed
+  const since = schedule.updated_at || schedule.created_at;
+  const inRange = (start, due) =>
+    start >= from &&
+    start < to &&
+    (!since || due > new Date(since)) &&
+    (!startsOn || start >= startsOn) &&
+    (!endsOn || start <= endsOn);
+
+  if (schedule.frequency === "cron") {
+    const cron = parseCron(schedule.cron);
+    const cursor = new Date(from);
+    cursor.setSeconds(0, 0);
+    if (cursor < from) cursor.setMinutes(cursor.getMinutes() + 1);
+    for (; cursor < to; cursor.setMinutes(cursor.getMinutes() + 1)) {
+      const due = addMinutes(cursor, schedule.duration_minutes);
+      if (cronMatches(cron, cursor) && inRange(cursor, due)) {
+        windows.push({ start: new Date(cursor), due, shift: null });
+      }
+    }
+    return windows;
+  }
+
+  // Walk the days touching the range (a night shift can start the day before)
+  const day = new Date(from);
+  day.setHours(0, 0, 0, 0);
+  day.setDate(day.getDate() - 1);
+  for (; day < to; day.setDate(day.getDate() + 1)) {
+    if (schedule.frequency === "shift") {
+      (schedule.shifts || DEFAULT_SHIFTS).forEach((shift) => {
+        const start = atTime(day, shift.start);
+        let due = atTime(day, shift.end);
+        if (due <= start) due.setDate(due.getDate() + 1);
+        if (inRange(start, due))
+          windows.push({ start, due, shift: shift.name });
+      });
+    } else {
+      const days = schedule.days_of_week;
+      if (Array.isArray(days) && !days.includes(day.getDay())) continue;
+      const start = atTime(day, schedule.time);
+      const due = addMinutes(start, schedule.duration_minutes);
+      if (inRange(start, due)) windows.push({ start, due, shift: null });
+    }
+  }
+  return windows;
+};
+
+// Create the missing instances of a schedule for windows starting between
+// `from` and `to`. Safe to run concurrently (unique per window start).
+const generateInspections = async (client, schedule, from, to) => {
+  const windows = computeWindows(schedule, from, to);
+  let created = 0;
+  for (const window of windows) {
+    const res = await client.query(
+      `INSERT INTO checksheet_inspections
+       (schedule_id, template_id, shift_name, window_start, due_at)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (schedule_id, window_start) DO NOTHING`,
+      [
+        schedule.id,
+        schedule.template_id,
+        window.shift,
+        window.start,
+        window.due,
+      ]
+    );
+    created += res.rowCount;
+  }
+  return created;
+};
+
+// Helper function: Generation range around now for a schedule
+const generationRange = (now = new Date()) => ({
+  from: new Date(now.getTime() - GENERATE_BEHIND_HOURS * 3600 * 1000),
+  to: new Date(now.getTime() + GENERATE_AHEAD_HOURS * 3600 * 1000),
+});
+
+// Drop future instances nobody has started and generate them again after
+// a schedule change
+const regenerateInspections = async (client, schedule) => {
+  await client.query(
+    `DELETE FROM checksheet_inspections
+     WHERE schedule_id = $1 AND status = 'pending'
+       AND transaction_id IS NULL AND window_start > NOW()`,
+    [schedule.id]
+  );
+  if (!schedule.is_active) return 0;
+  const { from, to } = generationRange();
+  return generateInspections(client, schedule, from, to);
+};
+
+// Mark pending instances past due_at + grace as missed
+const markMissedInspections = async (client) => {
+  const res = await client.query(
+    `UPDATE checksheet_inspections i
+     SET status = 'missed'
+     FROM checksheet_schedules s
+     WHERE s.id = i.schedule_id
+       AND i.status = 'pending'
+       AND i.due_at + (COALESCE(s.grace_minutes, 0) * INTERVAL '1 minute') < NOW()`
+  );
+  return res.rowCount;
+};
+
+// ------------------------------
+// Linking transactions
+// ------------------------------
+// Link a saved transaction to the inspection it fulfils: the one it is
+// already linked to, the requested inspection_id, or the earliest open
+// window of the family assigned to the user. Completing the transaction
+// completes the inspection. Runs inside the caller's transaction and never
+// fails it.
+const linkInspection = async (
+  client,
+  { familyId, templateId, transactionId, userId, inspectionId, completed }
+) => {
+  await client.query("SAVEPOINT inspection_link");
+  try {
+    const linkedRes = await client.query(
+      `SELECT id FROM checksheet_inspections
+       WHERE template_id = $1 AND transaction_id = $2
+         AND transaction_template_id = $3
+       LIMIT 1`,
+      [familyId, transactionId, templateId]
+    );
+
+    let targetId = linkedRes.rows.length ? linkedRes.rows[0].id : null;
+
+    if (!targetId) {
+      const openRes = await client.query(
+        `SELECT i.id
+         FROM checksheet_inspections i
+         JOIN checksheet_schedules s ON s.id = i.schedule_id
+         WHERE i.template_id = $1
+           AND i.status = 'pending'
+           AND i.transaction_id IS NULL
+           AND ($3::INTEGER IS NULL OR i.id = $3)
+           AND i.window_start <= NOW()
+           AND i.due_at + (COALESCE(s.grace_minutes, 0) * INTERVAL '1 minute') >= NOW()
+           AND (
+             NOT EXISTS (
+               SELECT 1 FROM checksheet_schedule_assignees a
+               WHERE a.schedule_id = s.id
+             )
+             OR EXISTS (
+               SELECT 1 FROM checksheet_schedule_assignees a
+               LEFT JOIN user_group_memberships m ON m.group_id = a.group_id
+               WHERE a.schedule_id = s.id
+                 AND (a.user_id = $2 OR m.user_id = $2)
+             )
+           )
+         ORDER BY i.due_at ASC
+         LIMIT 1
+         FOR UPDATE OF i SKIP LOCKED`,
+        [familyId, userId, inspectionId ? parseInt(inspectionId, 10) : null]
+      );
+      targetId = openRes.rows.length ? openRes.rows[0].id : null;
+    }
+
+    let inspection = null;
+    if (targetId) {
+      const updateRes = await client.query(
+        `UPDATE checksheet_inspections
+         SET transaction_id = $2,
+             transaction_template_id = $3,
+             completed_at = CASE WHEN $4 AND status <> 'completed'
+                            THEN NOW() ELSE completed_at END,
+             completed_by = CASE WHEN $4 AND status <> 'completed'
+                            THEN $5 ELSE completed_by END,
+             status = CASE WHEN $4 THEN 'completed' ELSE status END
+         WHERE id = $1
+         RETURNING id, status, due_at, completed_at`,
+        [targetId, transactionId, templateId, Boolean(completed), userId]
+      );
+      inspection = updateRes.rows[0];
+    }
+
+    await client.query("RELEASE SAVEPOINT inspection_link");
+    return inspection;
+  } catch (err) {
+    await client.query("ROLLBACK TO SAVEPOINT inspection_link");
+    console.warn(
+      `Could not link transaction ${transactionId} to an inspection:`,
+      err.message
+    );
+    return null;
+  }
+};
+
+// ------------------------------
+// Reminders
+// ------------------------------
+// Helper function: Emails of a schedule's assignees (users and members of
+// assigned groups)
+const getAssigneeEmails = async (client, scheduleId) => {
+  const res = await client.query(
+    `SELECT DISTINCT LOWER(u.email) AS email
+     FROM checksheet_schedule_assignees a
+     LEFT JOIN user_groups g ON g.group_id = a.group_id AND g.is_active = true
+     LEFT JOIN user_group_memberships m ON m.group_id = g.group_id
+     JOIN usermaster u ON u.user_id = COALESCE(a.user_id, m.user_id)
+     WHERE a.schedule_id = $1 AND u.email IS NOT NULL AND u.email <> ''`,
+    [scheduleId]
+  );
+  return res.rows.map((r) => r.email);
+};
+
+const renderReminderHtml = ({ templateName, shift, dueAt, link }) => `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #2563eb;">Checksheet due soon</h2>
+          <p><strong>Checksheet:</strong> ${escapeHtml(templateName)}</p>
+          ${shift ? `<p><strong>Shift:</strong> ${escapeHtml(shift)}</p>` : ""}
+          <p><strong>Due:</strong> ${escapeHtml(
+            formatDate(dueAt, "yyyy-MM-dd HH:mm")
+          )}</p>
+          <p><a href="${escapeHtml(link)}">Open the checksheet</a></p>
+          <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 20px 0;">
+          <p style="color: #6b7280; font-size: 12px;">
+            This is an automated message from NXPERT EON System.
+          </p>
+        </div>
+      `;
+
+// Email reminders for open inspections entering their reminder period.
+// Each instance is claimed with reminder_sent_at before sending, so
+// several server processes never send the same reminder twice.
+const sendDueReminders = async (client) => {
+  const dueRes = await client.query(
+    `UPDATE checksheet_inspections i
+     SET reminder_sent_at = NOW()
+     FROM checksheet_schedules s
+     JOIN checksheet_templates ct ON ct.id = s.template_id
+     WHERE s.id = i.schedule_id
+       AND ct.deleted_at IS NULL
+       AND i.status = 'pending'
+       AND i.transaction_id IS NULL
+       AND i.reminder_sent_at IS NULL
+       AND COALESCE(s.reminder_minutes, 0) > 0
+       AND i.due_at > NOW()
+       AND i.due_at - (s.reminder_minutes * INTERVAL '1 minute') <= NOW()
+     RETURNING i.id, i.schedule_id, i.template_id, i.shift_name, i.due_at,
+               ct.name AS template_name`
+  );
+  if (dueRes.rows.length === 0) return 0;
+
+  const mailer = await getMailer(client);
+  let sent = 0;
+  for (const inspection of dueRes.rows) {
+    let error = null;
+    try {
+      const recipients = await getAssigneeEmails(
+        client,
+        inspection.schedule_id
+      );
+      if (!mailer) {
+        error = "SMTP settings not configured";
+      } else if (recipients.length === 0) {
+        error = "No assignees with an email";
+      } else {
+        await mailer.transporter.sendMail({
+          from: mailer.from,
+          to: recipients.join(", "),
+          subject: `Checksheet due: ${inspection.template_name}`,
+          html: renderReminderHtml({
+            templateName: inspection.template_name,
+            shift: inspection.shift_name,
+            dueAt: inspection.due_at,
+            link: appLink(
+              `/checksheet/templates/${inspection.template_id}?inspection_id=${inspection.id}`
+            ),
+          }),
+        });
+        sent++;
+      }
+    } catch (err) {
+      error = err.message;
+    }
+
+    if (error) {
+      await client.query(
+        `UPDATE checksheet_inspections SET reminder_error = $2 WHERE id = $1`,
+        [inspection.id, error]
+      );
+    }
+  }
+  return sent;
+};
+
+// ------------------------------
+// Background job
+// ------------------------------
+// One pass: generate upcoming instances, mark missed ones, send reminders
+const runSchedulerTick = async () => {
+  try {
+    // Families in the recycle bin get no new instances
+    const schedulesRes = await pool.query(
+      `SELECT s.* FROM checksheet_schedules s
+       JOIN checksheet_templates ct ON ct.id = s.template_id
+       WHERE s.is_active = true AND ct.deleted_at IS NULL`
+    );
+    const { from, to } = generationRange();
+    for (const schedule of schedulesRes.rows) {
+      try {
+        await generateInspections(pool, schedule, from, to);
+      } catch (err) {
+        console.warn(
+          `Could not generate inspections for schedule ${schedule.id}:`,
+          err.message
+        );
+      }
+    }
+
+    await markMissedInspections(pool);
+    await sendDueReminders(pool);
+  } catch (err) {
+    console.error("Inspection scheduler error:", err);
+  }
+};
+
+module.exports = {
+  FREQUENCIES,
+  ScheduleError,
+  ensureScheduleTables,
+  parseCron,
+  normalizeSchedule,
+  normalizeAssignees,
+  computeWindows,
+  generateInspections,
+  regenerateInspections,
+  markMissedInspections,
+  linkInspection,
+  sendDueReminders,
+  runSchedulerTick,
+};
@@ -0,0 +1,49 @@
+// Tables, columns and file storage the checksheet modules need, set up once
+// at startup (index.js waits for them before it listens).
+//
+// DDL never runs inside a request transaction: a request that rolls back
+// would undo a CREATE TABLE / ALTER TABLE while the process went on
+// assuming it was in place. Each step runs as its own committed statement
+// on the pool and is safe to repeat (IF NOT EXISTS).
+
+const { ensureRecycleColumns } = require("./recycle");
+const { ensureWorkflowTables } = require("./workflow");
+const { ensureAuditTables } = require("./audit");
+const { ensureAlertTables } = require("./alerts");
+const { ensureMigrationTables } = require("./migration");
+const { ensureScheduleTables } = require("./schedules");
+const { ensureSearchTables } = require("./search");
+const { ensureAttachmentTables, moveLegacyFiles } = require("./attachments");
+const { ensurePlanTables } = require("./production");
+const { upgradeSubmissionTables } = require("./columns");
+const { ensureRetentionTables } = require("./retention");
+const { ensureIdempotencyTables } = require("./batch");
+const { refreshReportViews } = require("./reporting");
+
+// In dependency order
+const SCHEMA_STEPS = [
+  ensureRecycleColumns,
+  ensureWorkflowTables,
+  ensureAuditTables,
+  ensureAlertTables,
+  ensureMigrationTables,
+  ensureScheduleTables,
+  ensureSearchTables,
+  ensurePlanTables,
+  upgradeSubmissionTables,
+  ensureAttachmentTables,
+  moveLegacyFiles,
+  ensureRetentionTables,
+  ensureIdempotencyTables,
+  refreshReportViews,
+];
+
+const ensureChecksheetSchema = async (pool) => {
+  for (const step of SCHEMA_STEPS) {
+    await step(pool);
+  }
+};
+
+module.exports = {
+  ensureChecksheetSchema,
+};
@@ -0,0 +1,500 @@
+// Full-text search over templates and submissions.
+//
+// checksheet_search_index holds one document per template version
+// (transaction_id NULL: its name and field labels) and one per transaction
+// (template name plus "Label: value" lines of its text/textbox fields),
+// with a weighted tsvector: the title ranks above the content. Documents
+// are written when a transaction or template is saved; reindexSearch
+// rebuilds everything (existing data, or after changing the text search
+// configuration).
+//
+// CHECKSHEET_SEARCH_CONFIG sets the text search configuration (default
+// "english"; "simple" skips stemming for other languages).
+
+const { toColumnName } = require("./columns");
+const { quoteIdent, notSupersededClause } = require("./union");
+const { escapeHtml } = require("./render");
+const { getFamilyVersions } = require("./family");
+
+const SEARCH_CONFIG = process.env.CHECKSHEET_SEARCH_CONFIG || "english";
+
+// Field types whose values are indexed
+const TEXT_FIELD_TYPES = ["text", "textbox"];
+
+const REINDEX_BATCH_SIZE = 500;
+
+// Create the index table (at startup, see ./schema.js)
+const ensureSearchTables = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS checksheet_search_index (
+      id SERIAL PRIMARY KEY,
+      family_id INTEGER NOT NULL,
+      template_id INTEGER NOT NULL,
+      transaction_id INTEGER,
+      status VARCHAR(20),
+      user_id INTEGER,
+      submitted_at TIMESTAMP,
+      title TEXT,
+      content TEXT,
+      field_values JSONB,
+      document TSVECTOR,
+      indexed_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_checksheet_search_doc
+    ON checksheet_search_index (template_id, (COALESCE(transaction_id, 0)));
+
+    CREATE INDEX IF NOT EXISTS idx_checksheet_search_document
+    ON checksheet_search_index USING GIN (document);
+
+    CREATE INDEX IF NOT EXISTS idx_checksheet_search_family
+    ON checksheet_search_index (family_id, submitted_at DESC);
+  `);
+};
+
+// Helper function: Indexed text fields of a template version
+const getTextFields = async (client, templateId) => {
+  const res = await client.query(
+    `SELECT instance_id, field_name, label
+     FROM template_fields
+     WHERE template_id = $1 AND field_type = ANY($2)
+     ORDER BY id`,
+    [templateId, TEXT_FIELD_TYPES]
+  );
+  return res.rows;
+};
+
+// Helper function: { instance_id: "Label: value" } for a submission row
+const buildFieldValues = (fields, row) => {
+  const values = {};
+  fields.forEach((field) => {
+    const value = row[toColumnName(field.field_name || field.instance_id)];
+    if (value === null || value === undefined) return;
+    const text = String(value).trim();
+    // Attachment references and inline files aren't text
+    if (!text || /^(attachment:\d+|data:[^,]*;base64,)/.test(text)) return;
+    values[field.instance_id] = `${field.label || field.field_name}: ${text}`;
+  });
+  return values;
+};
+
+// Helper function: Write one document
+const upsertDocument = (client, doc) =>
+  client.query(
+    `INSERT INTO checksheet_search_index
+     (family_id, template_id, transaction_id, status, user_id, submitted_at,
+      title, content, field_values, document, indexed_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9,
+             setweight(to_tsvector($10::regconfig, COALESCE($7, '')), 'A') ||
+             setweight(to_tsvector($10::regconfig, COALESCE($8, '')), 'B'),
+             NOW())
+     ON CONFLICT (template_id, (COALESCE(transaction_id, 0))) DO UPDATE
+     SET family_id = EXCLUDED.family_id,
+         status = EXCLUDED.status,
+         user_id = EXCLUDED.user_id,
+         submitted_at = EXCLUDED.submitted_at,
+         title = EXCLUDED.title,
+         content = EXCLUDED.content,
+         field_values = EXCLUDED.field_values,
+         document = EXCLUDED.document,
+         indexed_at = NOW()`,
+    [
+      doc.familyId,
+      doc.templateId,
+      doc.transactionId,
+      doc.status || null,
+      doc.userId || null,
+      doc.submittedAt || null,
+      doc.title,
+      doc.content,
+      JSON.stringify(doc.fieldValues || {}),
+      SEARCH_CONFIG,
+    ]
+  );
+
+// Helper function: Template row the documents need
+const getIndexTemplate = async (client, templateId) => {
+  const res = await client.query(
+    `SELECT id, name, version, table_name, parent_template_id
+     FROM checksheet_templates WHERE id = $1`,
+    [templateId]
+  );
+  return res.rows[0] || null;
+};
+
+// Helper function: Document of a submission row
+const transactionDocument = (template, fields, row) => {
+  const fieldValues = buildFieldValues(fields, row);
+  return {
+    familyId: template.parent_template_id || template.id,
+    templateId: template.id,
+    transactionId: row.id,
+    status: row.status,
+    userId: row.user_id,
+    submittedAt: row.submitted_at,
+    title: template.name,
+    content: Object.values(fieldValues).join("\n"),
+    fieldValues,
+  };
+};
+
+// Run an index update inside the caller's transaction without ever
+// failing it
+const safely = async (client, label, work) => {
+  await client.query("SAVEPOINT search_index");
+  try {
+    await work();
+    await client.query("RELEASE SAVEPOINT search_index");
+  } catch (err) {
+    await client.query("ROLLBACK TO SAVEPOINT search_index");
+    console.warn(`Could not update search index (${label}):`, err.message);
+  }
+};
+
+// (Re)index one transaction after it was saved
+const indexTransaction = (client, templateId, transactionId) =>
+  safely(client, `transaction ${transactionId}`, async () => {
+    const template = await getIndexTemplate(client, templateId);
+    if (!template || !template.table_name) return;
+
+    const rowRes = await client.query(
+      `SELECT * FROM ${quoteIdent(template.table_name)} WHERE id = $1`,
+      [transactionId]
+    );
+    if (rowRes.rows.length === 0) {
+      await client.query(
+        `DELETE FROM checksheet_search_index
+         WHERE template_id = $1 AND transaction_id = $2`,
+        [templateId, transactionId]
+      );
+      return;
+    }
+
+    const fields = await getTextFields(client, templateId);
+    await upsertDocument(
+      client,
+      transactionDocument(template, fields, rowRes.rows[0])
+    );
+  });
+
+// (Re)index a template version's own document (name and field labels)
+const indexTemplate = (client, templateId) =>
+  safely(client, `template ${templateId}`, async () => {
+    const template = await getIndexTemplate(client, templateId);
+    if (!template) return;
+
+    const fieldsRes = await client.query(
+      `SELECT instance_id, COALESCE(NULLIF(label, ''), field_name) AS label
+       FROM template_fields WHERE template_id = $1
+       ORDER BY id`,
+      [templateId]
+    );
+    // Keyed by instance id like transaction documents, so labels of
+    // hidden fields can be left out too
+    const fieldValues = {};
+    fieldsRes.rows.forEach((field) => {
+      if (field.label)
+        fieldValues[field.instance_id || field.label] = field.label;
+    });
+
+    await upsertDocument(client, {
+      familyId: template.parent_template_id || template.id,
+      templateId: template.id,
+      transactionId: null,
+      title: template.name,
+      content: Object.values(fieldValues).join("\n"),
+      fieldValues,
+    });
+  });
+
+// (Re)index a template version and every row of its table, batch by batch.
+// Used after a version's data or fields changed as a whole (new version,
+// in-place field update) and by reindexSearch. Rows a later version copied
+// over are skipped (they are indexed as that copy). Returns the row count.
+const indexTemplateTransactions = async (client, templateId) => {
+  await indexTemplate(client, templateId);
+
+  const template = await getIndexTemplate(client, templateId);
+  if (!template || !template.table_name) return 0;
+  const fields = await getTextFields(client, templateId);
+  const versions = await getFamilyVersions(
+    client,
+    template.parent_template_id || template.id
+  );
+  const superseded = notSupersededClause(versions, template);
+
+  let count = 0;
+  let lastId = 0;
+  for (;;) {
+    const rowsRes = await client.query(
+      `SELECT t.* FROM ${quoteIdent(template.table_name)} t
+       WHERE t.id > $1${superseded ? ` AND ${superseded}` : ""}
+       ORDER BY t.id LIMIT $2`,
+      [lastId, REINDEX_BATCH_SIZE]
+    );
+    if (rowsRes.rows.length === 0) break;
+    lastId = rowsRes.rows[rowsRes.rows.length - 1].id;
+
+    await safely(client, `template ${templateId} rows`, async () => {
+      for (const row of rowsRes.rows) {
+        await upsertDocument(
+          client,
+          transactionDocument(template, fields, row)
+        );
+      }
+    });
+    count += rowsRes.rows.length;
+
+    if (rowsRes.rows.length < REINDEX_BATCH_SIZE) break;
+  }
+  return count;
+};
+
+// A new version copied the rows of `fromTemplateId` into its own table
+// (new ids, the source id kept in original_submission_id): index its table
+// and drop the documents of the source rows it copied
+const moveVersionIndex = async (client, fromTemplateId, toTemplateId) => {
+  await indexTemplateTransactions(client, toTemplateId);
+
+  const target = await getIndexTemplate(client, toTemplateId);
+  if (!target || !target.table_name) return;
+  await safely(client, `template ${fromTemplateId} rows`, () =>
+    client.query(
+      `DELETE FROM checksheet_search_index
+       WHERE template_id = $1
+         AND transaction_id IN (
+           SELECT original_submission_id FROM ${quoteIdent(target.table_name)}
+         )`,
+      [fromTemplateId]
+    )
+  );
+};
+
+// Drop every document of the given template versions
+const removeFromIndex = (client, templateIds) =>
+  safely(client, `templates ${templateIds.join(", ")}`, () =>
+    client.query(
+      "DELETE FROM checksheet_search_index WHERE template_id = ANY($1)",
+      [templateIds.map(Number)]
+    )
+  );
+
+// Drop the documents of some transactions of a template version
+const removeTransactionsFromIndex = (client, templateId, transactionIds) =>
+  safely(client, `template ${templateId} rows`, () =>
+    client.query(
+      `DELETE FROM checksheet_search_index
+       WHERE template_id = $1 AND transaction_id = ANY($2)`,
+      [templateId, transactionIds]
+    )
+  );
+
+// Rebuild the index of every template (or one family) from the tables.
+// Each template is rebuilt in its own transaction.
+const reindexSearch = async (pool, { familyId = null } = {}) => {
+  const templatesRes = await pool.query(
+    `SELECT id FROM checksheet_templates
+     WHERE $1::INTEGER IS NULL OR id = $1 OR parent_template_id = $1
+     ORDER BY id`,
+    [familyId]
+  );
+
+  const report = { templates: 0, transactions: 0, errors: [] };
+  for (const { id } of templatesRes.rows) {
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      await client.query(
+        "DELETE FROM checksheet_search_index WHERE template_id = $1",
+        [id]
+      );
+      report.transactions += await indexTemplateTransactions(client, id);
+      await client.query("COMMIT");
+      report.templates++;
+    } catch (err) {
+      await client.query("ROLLBACK");
+      report.errors.push({ template_id: id, error: err.message });
+    } finally {
+      client.release();
+    }
+  }
+
+  // Documents of templates that no longer exist
+  if (familyId === null) {
+    await pool.query(
+      `DELETE FROM checksheet_search_index s
+       WHERE NOT EXISTS (
+         SELECT 1 FROM checksheet_templates ct WHERE ct.id = s.template_id
+       )`
+    );
+  }
+  return report;
+};
+
+// Highlight markers ts_headline puts around matches; the snippet is
+// HTML-escaped afterwards and they become <mark> tags
+const MARK_START = "\u0002";
+const MARK_END = "\u0003";
+
+const TITLE_HEADLINE = `HighlightAll=true, StartSel=${MARK_START}, StopSel=${MARK_END}`;
+const SNIPPET_HEADLINE = `StartSel=${MARK_START}, StopSel=${MARK_END}, MaxFragments=3, MaxWords=20, MinWords=5, FragmentDelimiter=" … "`;
+
+const toHighlight = (text) =>
+  text == null
+    ? null
+    : escapeHtml(text)
+        .split(MARK_START)
+        .join("<mark>")
+        .split(MARK_END)
+        .join("</mark>");
+
+// Ranked search. `templateIds` are the versions the caller may view,
+// `hiddenFields` maps template id -> instance ids whose values (and labels)
+// must neither match nor show up in the snippet. Filters: familyId,
+// folderId (with its subfolders), from/to (submitted_at), statuses, type
+// ("template" | "transaction").
+const searchDocuments = async (client, options) => {
+  const {
+    query,
+    templateIds,
+    hiddenFields = {},
+    familyId = null,
+    folderId = null,
+    from = null,
+    to = null,
+    statuses = [],
+    type = null,
+    limit = 20,
+    offset = 0,
+  } = options;
+
+  const params = [
+    SEARCH_CONFIG,
+    query,
+    templateIds.map(Number),
+    JSON.stringify(
+      Object.entries(hiddenFields).map(([templateId, fields]) => ({
+        template_id: parseInt(templateId, 10),
+        fields,
+      }))
+    ),
+    TITLE_HEADLINE,
+    SNIPPET_HEADLINE,
+  ];
+  const conditions = [
+    "s.template_id = ANY($3)",
+    "s.document @@ q.tsq",
+    // Only the current version of a template, every version's transactions
+    "(s.transaction_id IS NOT NULL OR ct.is_active IS NOT false)",
+    // Nothing from the recycle bin
+    "ct.deleted_at IS NULL",
+  ];
+
+  if (familyId) {
+    params.push(familyId);
+    conditions.push(`s.family_id = $${params.length}`);
+  }
+  if (folderId) {
+    params.push(folderId);
+    conditions.push(`COALESCE(ct.folder_id, root.folder_id) IN (
+      WITH RECURSIVE subfolders AS (
+        SELECT id FROM form_folders WHERE id = $${params.length}
+        UNION ALL
+        SELECT f.id FROM form_folders f
+        JOIN subfolders sf ON f.parent_id = sf.id
+      )
+      SELECT id FROM subfolders
+    )`);
+  }
+  if (from) {
+    params.push(from);
+    conditions.push(`s.submitted_at >= $${params.length}`);
+  }
+  if (to) {
+    params.push(to);
+    conditions.push(`s.submitted_at <= $${params.length}`);
+  }
+  if (statuses.length) {
+    params.push(statuses);
+    conditions.push(`s.status = ANY($${params.length})`);
+  }
+  if (type === "template") conditions.push("s.transaction_id IS NULL");
+  if (type === "transaction") conditions.push("s.transaction_id IS NOT NULL");
+
+  params.push(limit, offset);
+  const res = await client.query(
+    `WITH hidden AS (
+       SELECT * FROM jsonb_to_recordset($4::jsonb)
+         AS h(template_id INTEGER, fields TEXT[])
+     ),
+     docs AS (
+       SELECT s.*, ct.name AS template_name, ct.version AS template_version,
+              q.tsq,
+              h.fields IS NOT NULL AS filtered,
+              CASE WHEN h.fields IS NULL THEN s.content ELSE (
+                SELECT string_agg(v.value, E'\\n')
+                FROM jsonb_each_text(s.field_values) v
+                WHERE v.key <> ALL(h.fields)
+              ) END AS visible_content
+       FROM checksheet_search_index s
+       JOIN checksheet_templates ct ON ct.id = s.template_id
+       LEFT JOIN checksheet_templates root ON root.id = s.family_id
+       LEFT JOIN hidden h ON h.template_id = s.template_id
+       CROSS JOIN websearch_to_tsquery($1::regconfig, $2) q(tsq)
+       WHERE ${conditions.join(" AND ")}
+     ),
+     matched AS (
+       SELECT docs.*,
+              CASE WHEN filtered THEN
+                setweight(to_tsvector($1::regconfig, COALESCE(title, '')), 'A') ||
+                setweight(to_tsvector($1::regconfig, COALESCE(visible_content, '')), 'B')
+              ELSE document END AS visible_document
+       FROM docs
+     )
+     SELECT id, family_id, template_id, template_name, template_version,
+            transaction_id, status, user_id, submitted_at,
+            ts_rank_cd(visible_document, tsq) AS rank,
+            ts_headline($1::regconfig, COALESCE(title, ''), tsq, $5)
+              AS title_highlight,
+            ts_headline($1::regconfig, COALESCE(visible_content, ''), tsq, $6)
+              AS snippet,
+            COUNT(*) OVER() AS total
+     FROM matched
+     WHERE visible_document @@ tsq
+     ORDER BY rank DESC, submitted_at DESC NULLS LAST, id DESC
+     LIMIT $${params.length - 1} OFFSET $${params.length}`,
+    params
+  );
+
+  return {
+    total: res.rows.length ? parseInt(res.rows[0].total, 10) : 0,
+    hits: res.rows.map((row) => ({
+      type: row.transaction_id ? "transaction" : "template",
+      family_id: row.family_id,
+      template_id: row.template_id,
+      template_name: row.template_name,
+      template_version: row.template_version,
+      transaction_id: row.transaction_id,
+      status: row.status,
+      user_id: row.user_id,
+      submitted_at: row.submitted_at,
+      rank: parseFloat(row.rank),
+      title: toHighlight(row.title_highlight),
+      snippet: toHighlight(row.snippet),
+    })),
+  };
+};
+
+module.exports = {
+  SEARCH_CONFIG,
+  TEXT_FIELD_TYPES,
+  ensureSearchTables,
+  indexTransaction,
+  indexTemplate,
+  indexTemplateTransactions,
+  moveVersionIndex,
+  removeFromIndex,
+  removeTransactionsFromIndex,
+  reindexSearch,
+  searchDocuments,
+};
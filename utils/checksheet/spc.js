@@ -0,0 +1,304 @@
+// Statistical process control for numeric checksheet fields: summary
+// statistics, capability (Cp/Cpk, Pp/Ppk), X-bar/R chart data and Western
+// Electric rule checks on the X-bar chart.
+
+const { toDateString, toSeconds } = require("./validator");
+
+// X-bar/R constants by subgroup size (A2, D3, D4, d2)
+const CONTROL_CONSTANTS = {
+  2: { A2: 1.88, D3: 0, D4: 3.267, d2: 1.128 },
+  3: { A2: 1.023, D3: 0, D4: 2.574, d2: 1.693 },
+  4: { A2: 0.729, D3: 0, D4: 2.282, d2: 2.059 },
+  5: { A2: 0.577, D3: 0, D4: 2.114, d2: 2.326 },
+  6: { A2: 0.483, D3: 0, D4: 2.004, d2: 2.534 },
+  7: { A2: 0.419, D3: 0.076, D4: 1.924, d2: 2.704 },
+  8: { A2: 0.373, D3: 0.136, D4: 1.864, d2: 2.847 },
+  9: { A2: 0.337, D3: 0.184, D4: 1.816, d2: 2.97 },
+  10: { A2: 0.308, D3: 0.223, D4: 1.777, d2: 3.078 },
+  11: { A2: 0.285, D3: 0.256, D4: 1.744, d2: 3.173 },
+  12: { A2: 0.266, D3: 0.283, D4: 1.717, d2: 3.258 },
+  13: { A2: 0.249, D3: 0.307, D4: 1.693, d2: 3.336 },
+  14: { A2: 0.235, D3: 0.328, D4: 1.672, d2: 3.407 },
+  15: { A2: 0.223, D3: 0.347, D4: 1.653, d2: 3.472 },
+  16: { A2: 0.212, D3: 0.363, D4: 1.637, d2: 3.532 },
+  17: { A2: 0.203, D3: 0.378, D4: 1.622, d2: 3.588 },
+  18: { A2: 0.194, D3: 0.391, D4: 1.608, d2: 3.64 },
+  19: { A2: 0.187, D3: 0.403, D4: 1.597, d2: 3.689 },
+  20: { A2: 0.18, D3: 0.415, D4: 1.585, d2: 3.735 },
+  21: { A2: 0.173, D3: 0.425, D4: 1.575, d2: 3.778 },
+  22: { A2: 0.167, D3: 0.434, D4: 1.566, d2: 3.819 },
+  23: { A2: 0.162, D3: 0.443, D4: 1.557, d2: 3.858 },
+  24: { A2: 0.157, D3: 0.451, D4: 1.548, d2: 3.895 },
+  25: { A2: 0.153, D3: 0.459, D4: 1.541, d2: 3.931 },
+};
+
+// Default three-shift pattern; a shift may run past midnight
+const DEFAULT_SHIFTS = [
+  { name: "A", start: "06:00", end: "14:00" },
+  { name: "B", start: "14:00", end: "22:00" },
+  { name: "C", start: "22:00", end: "06:00" },
+];
+
+const round = (value, places = 4) =>
+  value === null || !Number.isFinite(value)
+    ? null
+    : Math.round(value * 10 ** places) / 10 ** places;
+
+const mean = (values) =>
+  values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+
+// Min / max without spreading (large windows overflow the call stack)
+const minOf = (values) =>
+  values.length ? values.reduce((a, b) => (b < a ? b : a)) : null;
+const maxOf = (values) =>
+  values.length ? values.reduce((a, b) => (b > a ? b : a)) : null;
+
+// Sample standard deviation (n - 1)
+const stdev = (values) => {
+  if (values.length < 2) return null;
+  const m = mean(values);
+  const variance =
+    values.reduce((sum, v) => sum + (v - m) ** 2, 0) / (values.length - 1);
+  return Math.sqrt(variance);
+};
+
+// Helper function: Cp/Cpk style indices for a given sigma
+const capability = (avg, sigma, lsl, usl) => {
+  if (!sigma || avg === null) return { index: null, k_index: null };
+  const upper = usl !== null ? (usl - avg) / (3 * sigma) : null;
+  const lower = lsl !== null ? (avg - lsl) / (3 * sigma) : null;
+  const sides = [upper, lower].filter((v) => v !== null);
+  return {
+    index: usl !== null && lsl !== null ? (usl - lsl) / (6 * sigma) : null,
+    k_index: sides.length ? Math.min(...sides) : null,
+  };
+};
+
+// Helper function: Which shift a timestamp falls in, and the production day
+// it counts toward (the night shift after midnight belongs to the day before)
+const resolveShift = (date, shifts) => {
+  const seconds =
+    date.getHours() * 3600 + date.getMinutes() * 60 + date.getSeconds();
+
+  for (const shift of shifts) {
+    const start = toSeconds(shift.start);
+    const end = toSeconds(shift.end);
+    if (start === null || end === null) continue;
+
+    if (start < end) {
+      if (seconds >= start && seconds < end) {
+        return { shift: shift.name, day: toDateString(date) };
+      }
+    } else if (seconds >= start || seconds < end) {
+      const day = new Date(date);
+      if (seconds < end) day.setDate(day.getDate() - 1);
+      return { shift: shift.name, day: toDateString(day) };
+    }
+  }
+  return { shift: null, day: toDateString(date) };
+};
+
+// Helper function: Split { value, submitted_at } points into subgroups
+const buildSubgroups = (points, groupBy, shifts) => {
+  const groups = new Map();
+
+  points.forEach((point) => {
+    const at = new Date(point.submitted_at);
+    let key;
+    let label;
+    if (groupBy === "shift") {
+      const { shift, day } = resolveShift(at, shifts);
+      key = `${day}|${shift || "-"}`;
+      label = { day, shift };
+    } else {
+      key = toDateString(at);
+      label = { day: key };
+    }
+
+    if (!groups.has(key)) groups.set(key, { ...label, values: [] });
+    groups.get(key).values.push(point.value);
+  });
+
+  return [...groups.values()]
+    .sort((a, b) => {
+      if (a.day !== b.day) return a.day < b.day ? -1 : 1;
+      const order = (s) => shifts.findIndex((x) => x.name === s);
+      return order(a.shift) - order(b.shift);
+    })
+    .map((group) => ({
+      ...group,
+      n: group.values.length,
+      mean: mean(group.values),
+      range: maxOf(group.values) - minOf(group.values),
+    }));
+};
+
+// Western Electric rules on the X-bar chart.
+// Returns [{ rule, index, description }] with index = last point of the run.
+const westernElectric = (means, center, sigma) => {
+  const violations = [];
+  if (!sigma || means.length === 0) return violations;
+
+  const zone = (value) => (value - center) / sigma;
+  const side = (value) => Math.sign(value - center);
+
+  // Rule: the point at i and at least k of the last n points are beyond
+  // `limit` sigma on the same side
+  const kOfN = (i, n, k, limit) => {
+    if (i < n - 1 || Math.abs(zone(means[i])) <= limit) return false;
+    const s = side(means[i]);
+    return (
+      means
+        .slice(i - n + 1, i + 1)
+        .filter((v) => side(v) === s && Math.abs(zone(v)) > limit).length >= k
+    );
+  };
+
+  means.forEach((value, i) => {
+    if (Math.abs(zone(value)) > 3) {
+      violations.push({
+        rule: 1,
+        index: i,
+        description: "One point beyond 3 sigma",
+      });
+    }
+    if (kOfN(i, 3, 2, 2)) {
+      violations.push({
+        rule: 2,
+        index: i,
+        description: "2 of 3 consecutive points beyond 2 sigma on one side",
+      });
+    }
+    if (kOfN(i, 5, 4, 1)) {
+      violations.push({
+        rule: 3,
+        index: i,
+        description: "4 of 5 consecutive points beyond 1 sigma on one side",
+      });
+    }
+    if (i >= 7) {
+      const run = means.slice(i - 7, i + 1).map(side);
+      if (run.every((s) => s === run[0] && s !== 0)) {
+        violations.push({
+          rule: 4,
+          index: i,
+          description: "8 consecutive points on one side of the center line",
+        });
+      }
+    }
+  });
+
+  return violations;
+};
+
+// Full SPC summary for a list of { value, submitted_at } points
+const analyzeSpc = (
+  points,
+  { lsl = null, usl = null, groupBy = "day", shifts = DEFAULT_SHIFTS } = {}
+) => {
+  const values = points.map((p) => p.value);
+  const overallMean = mean(values);
+  const overallSigma = stdev(values);
+
+  const belowLsl = lsl !== null ? values.filter((v) => v < lsl).length : 0;
+  const aboveUsl = usl !== null ? values.filter((v) => v > usl).length : 0;
+
+  const subgroups = buildSubgroups(points, groupBy, shifts);
+
+  // Control limits from the average subgroup size
+  const avgSize = subgroups.length
+    ? Math.round(mean(subgroups.map((g) => g.n)))
+    : 0;
+  const constants = CONTROL_CONSTANTS[Math.min(Math.max(avgSize, 2), 25)];
+  const grandMean = mean(subgroups.map((g) => g.mean));
+  const avgRange = mean(subgroups.map((g) => g.range));
+  const hasLimits = subgroups.length > 0 && avgSize >= 2;
+
+  const xbarLimits = hasLimits
+    ? {
+        center: grandMean,
+        ucl: grandMean + constants.A2 * avgRange,
+        lcl: grandMean - constants.A2 * avgRange,
+      }
+    : { center: grandMean, ucl: null, lcl: null };
+  const rangeLimits = hasLimits
+    ? {
+        center: avgRange,
+        ucl: constants.D4 * avgRange,
+        lcl: constants.D3 * avgRange,
+      }
+    : { center: avgRange, ucl: null, lcl: null };
+
+  // Within-subgroup sigma drives Cp/Cpk; overall sigma drives Pp/Ppk
+  const withinSigma =
+    hasLimits && avgRange > 0 ? avgRange / constants.d2 : null;
+  const cp = capability(overallMean, withinSigma, lsl, usl);
+  const pp = capability(overallMean, overallSigma, lsl, usl);
+
+  const sigmaXbar =
+    hasLimits && avgRange > 0 ? (constants.A2 * avgRange) / 3 : null;
+  const violations = westernElectric(
+    subgroups.map((g) => g.mean),
+    grandMean,
+    sigmaXbar
+  ).map((v) => ({
+    ...v,
+    day: subgroups[v.index].day,
+    shift: subgroups[v.index].shift,
+  }));
+
+  return {
+    count: values.length,
+    mean: round(overallMean),
+    stdev: round(overallSigma),
+    min: minOf(values),
+    max: maxOf(values),
+    lsl,
+    usl,
+    cp: round(cp.index),
+    cpk: round(cp.k_index),
+    pp: round(pp.index),
+    ppk: round(pp.k_index),
+    sigma_within: round(withinSigma),
+    out_of_spec: {
+      below_lsl: belowLsl,
+      above_usl: aboveUsl,
+      total: belowLsl + aboveUsl,
+      percent: values.length
+        ? round(((belowLsl + aboveUsl) / values.length) * 100, 2)
+        : 0,
+    },
+    xbar_r: {
+      group_by: groupBy,
+      subgroup_size: avgSize,
+      xbar: {
+        center: round(xbarLimits.center),
+        ucl: round(xbarLimits.ucl),
+        lcl: round(xbarLimits.lcl),
+      },
+      range: {
+        center: round(rangeLimits.center),
+        ucl: round(rangeLimits.ucl),
+        lcl: round(rangeLimits.lcl),
+      },
+      subgroups: subgroups.map((g) => ({
+        day: g.day,
+        ...(groupBy === "shift" ? { shift: g.shift } : {}),
+        n: g.n,
+        mean: round(g.mean),
+        range: round(g.range),
+      })),
+    },
+    violations,
+  };
+};
+
+module.exports = {
+  DEFAULT_SHIFTS,
+  CONTROL_CONSTANTS,
+  mean,
+  stdev,
+  resolveShift,
+  westernElectric,
+  analyzeSpc,
+};
@@ -0,0 +1,672 @@
+// Saving data into the dynamic submission tables.
+//
+// POST /submissions, POST /transactions and the batch endpoint all go
+// through saveSubmission / saveTransaction: plan link, edit permissions,
+// calculations, validation, attachments, column mapping, then audit,
+// inspection link and search index. They run inside the caller's
+// transaction; anything the caller should answer with a 4xx is thrown as
+// a SubmissionError (status, message, extra response fields). The
+// out-of-spec alert is sent by the caller after COMMIT (notifyOutOfSpec).
+
+const { toColumnName, toColumnValue } = require("./columns");
+const { validateSubmission } = require("./validator");
+const { applyCalculations } = require("./formula");
+const { BASE_STATUSES, recordStatusChange } = require("./workflow");
+const { getRowSnapshot, recordAudit } = require("./audit");
+const {
+  getHiddenColumns,
+  stripColumns,
+  findBlockedWrites,
+  applyEditPermissions,
+} = require("./permissions");
+const { getBreaches, sendOutOfSpecAlert } = require("./alerts");
+const { linkInspection } = require("./schedules");
+const { indexTransaction } = require("./search");
+const { toEtag, mergeFieldChanges } = require("./revisions");
+const { PlanLinkError, resolvePlanLink } = require("./production");
+const {
+  AttachmentError,
+  prepareAttachmentValues,
+  linkAttachments,
+} = require("./attachments");
+
+class SubmissionError extends Error {
+  constructor(status, message, details = {}) {
+    super(message);
+    this.name = "SubmissionError";
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// Helper function: Active template version (404 when missing or superseded)
+const getActiveTemplate = async (client, templateId) => {
+  const res = await client.query(
+    `SELECT id, name, table_name, version, parent_template_id
+     FROM checksheet_templates WHERE id = $1 AND is_active = true`,
+    [templateId]
+  );
+  if (res.rows.length === 0) {
+    throw new SubmissionError(404, "Template not found or not active");
+  }
+  return res.rows[0];
+};
+
+// Helper function: Production plan reference of the request body
+// (production_plan_id, plan_machine, plan_shift)
+const getPlanLink = async (client, body) => {
+  let planLink;
+  try {
+    planLink = await resolvePlanLink(client, body || {});
+  } catch (err) {
+    if (!(err instanceof PlanLinkError)) throw err;
+    throw new SubmissionError(400, err.message);
+  }
+  return planLink;
+};
+
+// Helper function: Check and prepare submitted values - edit permissions,
+// server-side calculations, validation and attachments. Returns the
+// prepared data with the calculation and validation results.
+const prepareValues = async (
+  client,
+  {
+    template,
+    fields,
+    data,
+    permissions,
+    userId,
+    transactionId = null,
+    existingRow,
+    requireAll,
+    failureMessage,
+  }
+) => {
+  // Reject values for fields the caller may not edit
+  const blockedFields = findBlockedWrites(
+    fields,
+    permissions,
+    data,
+    existingRow
+  );
+  if (blockedFields.length > 0) {
+    throw new SubmissionError(
+      403,
+      "You do not have permission to edit some fields",
+      { fields: blockedFields }
+    );
+  }
+
+  // Recalculate formula fields server-side (server value wins)
+  const calculation = applyCalculations(fields, data);
+  const prepared = { ...data, ...calculation.data };
+
+  const validation = validateSubmission(
+    applyEditPermissions(fields, permissions),
+    prepared,
+    { requireAll }
+  );
+  if (!validation.valid) {
+    throw new SubmissionError(422, failureMessage, {
+      errors: validation.errors,
+      warnings: validation.warnings,
+    });
+  }
+
+  // Photos and signatures are stored as attachments, not inline
+  let attachments;
+  try {
+    attachments = await prepareAttachmentValues(client, {
+      fields,
+      data: prepared,
+      templateId: template.id,
+      userId,
+      transactionId,
+    });
+  } catch (err) {
+    if (!(err instanceof AttachmentError)) throw err;
+    throw new SubmissionError(400, err.message, { field: err.field });
+  }
+
+  return {
+    data: attachments.data,
+    attachmentIds: attachments.attachmentIds,
+    calculation,
+    validation,
+  };
+};
+
+// Helper function: Columns of a submission table, keyed by lower case name
+const getColumnMap = async (client, tableName) => {
+  const tableColumnsRes = await client.query(
+    `SELECT column_name FROM information_schema.columns
+     WHERE table_name = $1
+     ORDER BY ordinal_position`,
+    [tableName]
+  );
+  const existingColumns = tableColumnsRes.rows.map((row) => row.column_name);
+  const columnMap = {};
+  existingColumns.forEach((col) => {
+    columnMap[col.toLowerCase()] = col;
+  });
+  return { existingColumns, columnMap };
+};
+
+// Helper function: Column (or null) and field of a submitted key -
+// case-insensitive, by column name, field_name or instance_id
+const findColumn = (columnMap, fields, submittedKey) => {
+  const submittedLower = submittedKey.toLowerCase();
+  const field =
+    fields.find(
+      (f) =>
+        f.field_name.toLowerCase() === submittedLower ||
+        f.instance_id.toLowerCase() === submittedLower
+    ) || null;
+
+  const column =
+    columnMap[submittedLower] ||
+    (field && columnMap[field.field_name.toLowerCase()]) ||
+    null;
+  return { column, field };
+};
+
+// Helper function: Table column and converted value of every submitted
+// key. Keys without a column are ignored.
+const mapToColumns = (columnMap, fields, data) => {
+  const mappings = [];
+  Object.keys(data).forEach((submittedKey) => {
+    const { column, field } = findColumn(columnMap, fields, submittedKey);
+    if (!column) {
+      console.warn(`⚠️ No column found for field: "${submittedKey}"`);
+      return;
+    }
+
+    mappings.push({
+      submitted: submittedKey,
+      column,
+      type: field ? field.field_type : undefined,
+      value: toColumnValue(
+        field ? field.field_type : undefined,
+        data[submittedKey]
+      ),
+    });
+  });
+  return mappings;
+};
+
+// Helper function: Submitted values keyed by table column
+const toColumnValues = (columnMap, fields, values) => {
+  const byColumn = {};
+  Object.keys(values).forEach((key) => {
+    const { column } = findColumn(columnMap, fields, key);
+    if (column) byColumn[column] = values[key];
+  });
+  return byColumn;
+};
+
+// Helper function: Merge an update made on an old revision with the
+// current row (see ./revisions.js). Returns the submitted data with the
+// merged values, or throws the 409 listing the conflicting fields.
+// Fields the caller can't edit must be unchanged from `baseData` (403),
+// so hidden values never show up as conflicts.
+const mergeStaleUpdate = (
+  { fields, columnMap, data, baseData, currentRow, permissions },
+  staleDetails
+) => {
+  const base = toColumnValues(columnMap, fields, baseData);
+  const blockedFields = findBlockedWrites(fields, permissions, data, base);
+  if (blockedFields.length > 0) {
+    throw new SubmissionError(
+      403,
+      "You do not have permission to edit some fields",
+      { fields: blockedFields }
+    );
+  }
+
+  const mine = {};
+  const keyColumns = {};
+  Object.keys(data).forEach((key) => {
+    const { column } = findColumn(columnMap, fields, key);
+    if (!column) return;
+    keyColumns[key] = column;
+    mine[column] = data[key];
+  });
+
+  const merge = mergeFieldChanges({ fields, base, mine, theirs: currentRow });
+  const hidden = getHiddenColumns(fields, permissions);
+  const conflicts = merge.conflicts.filter(
+    (conflict) => !hidden.has(conflict.column)
+  );
+  if (conflicts.length > 0) {
+    throw new SubmissionError(
+      409,
+      "Transaction was changed by someone else; some fields conflict",
+      {
+        ...staleDetails,
+        conflicts: conflicts.map((conflict) => {
+          const field = fields.find(
+            (f) =>
+              toColumnName(f.field_name || f.instance_id) === conflict.column
+          );
+          return {
+            ...conflict,
+            instance_id: field ? field.instance_id : null,
+            label: field ? field.label || field.field_name : conflict.column,
+          };
+        }),
+      }
+    );
+  }
+
+  const merged = { ...data };
+  Object.entries(keyColumns).forEach(([key, column]) => {
+    merged[key] = merge.data[column];
+  });
+  return { data: merged, applied: merge.applied };
+};
+
+// Helper function: INSERT a row; columns and values are parallel arrays
+const insertRow = async (client, tableName, columns, values, returning) => {
+  const placeholders = columns.map((_, i) => `$${i + 1}`).join(", ");
+  const safeCols = columns.map((c) => `"${c.replace(/"/g, '""')}"`).join(", ");
+
+  const res = await client.query(
+    `INSERT INTO "${tableName}" (${safeCols})
+     VALUES (${placeholders})
+     RETURNING ${returning}`,
+    values
+  );
+  return res.rows[0];
+};
+
+// Helper function: Fields of a template version
+const getFields = async (client, templateId) => {
+  const res = await client.query(
+    "SELECT * FROM template_fields WHERE template_id = $1 ORDER BY id",
+    [templateId]
+  );
+  return res.rows;
+};
+
+// Save a completed form (POST /submissions). `body` carries the plan link
+// keys; `submittedAt` overrides the submission time (offline clients).
+const saveSubmission = async (
+  client,
+  {
+    templateId,
+    data,
+    body = {},
+    inspectionId = null,
+    userId,
+    permissions,
+    submittedAt = null,
+  }
+) => {
+  const template = await getActiveTemplate(client, templateId);
+  const submissionsTable = template.table_name;
+  const version = template.version || 1;
+  const familyId = template.parent_template_id || template.id;
+
+  const planLink = await getPlanLink(client, body);
+  const fields = await getFields(client, template.id);
+
+  const prepared = await prepareValues(client, {
+    template,
+    fields,
+    data,
+    permissions,
+    userId,
+    requireAll: true,
+    failureMessage: "Submission failed validation",
+  });
+
+  const { existingColumns, columnMap } = await getColumnMap(
+    client,
+    submissionsTable
+  );
+  const mappings = mapToColumns(columnMap, fields, prepared.data);
+  if (mappings.length === 0) {
+    throw new SubmissionError(
+      400,
+      "No valid fields to insert. Check field names.",
+      {
+        debug: {
+          template_id: template.id,
+          template_name: template.name,
+          version,
+          table: submissionsTable,
+          existing_columns: existingColumns,
+          submitted_keys: Object.keys(prepared.data),
+        },
+      }
+    );
+  }
+
+  const columns = ["user_id", "template_version"];
+  const values = [userId, version];
+  if (submittedAt) {
+    columns.push("submitted_at");
+    values.push(submittedAt);
+  }
+  Object.entries(planLink || {}).forEach(([column, value]) => {
+    columns.push(column);
+    values.push(value);
+  });
+  mappings.forEach((m) => {
+    columns.push(m.column);
+    values.push(m.value);
+  });
+
+  const row = await insertRow(
+    client,
+    submissionsTable,
+    columns,
+    values,
+    "id, submitted_at"
+  );
+
+  await linkAttachments(client, prepared.attachmentIds, {
+    templateId: template.id,
+    transactionId: row.id,
+  });
+
+  await recordAudit(client, {
+    templateId: template.id,
+    familyId,
+    templateVersion: version,
+    tableName: submissionsTable,
+    transactionId: row.id,
+    action: "insert",
+    userId,
+    newRow: await getRowSnapshot(client, submissionsTable, row.id),
+  });
+
+  // A submission fulfils the scheduled inspection it belongs to
+  const inspection = await linkInspection(client, {
+    familyId,
+    templateId: template.id,
+    transactionId: row.id,
+    userId,
+    inspectionId,
+    completed: true,
+  });
+
+  await indexTransaction(client, template.id, row.id);
+
+  return {
+    template,
+    familyId,
+    version,
+    transactionId: row.id,
+    submittedAt: row.submitted_at,
+    completed: true,
+    inspection,
+    data: prepared.data,
+    validation: prepared.validation,
+    calculation: prepared.calculation,
+    fieldsMapped: mappings.length,
+    userId,
+  };
+};
+
+// Save a draft or completed transaction (POST /transactions): updates
+// `transactionId` (the caller's own, not inside a workflow) or inserts a
+// new row. `submittedAt` sets the submission time of a new row.
+// An update needs `expectedRevision`, the revision the client loaded; on an
+// older one it is refused with the current values (409), or merged with
+// them when `baseData` (the values the client loaded) is given.
+const saveTransaction = async (
+  client,
+  {
+    templateId,
+    data,
+    status = "draft",
+    transactionId = null,
+    expectedRevision = null,
+    baseData = null,
+    body = {},
+    inspectionId = null,
+    userId,
+    permissions,
+    submittedAt = null,
+  }
+) => {
+  // Workflow states (checked, approved, ...) are only reachable via /transition
+  if (!BASE_STATUSES.includes(status)) {
+    throw new SubmissionError(
+      400,
+      `Status must be one of: ${BASE_STATUSES.join(", ")}`
+    );
+  }
+
+  const template = await getActiveTemplate(client, templateId);
+  const submissionsTable = template.table_name;
+  const version = template.version || 1;
+  const familyId = template.parent_template_id || template.id;
+
+  const planLink = await getPlanLink(client, body);
+  const fields = await getFields(client, template.id);
+  const { columnMap } = await getColumnMap(client, submissionsTable);
+
+  let existing = null;
+  let oldRow = null;
+  let mergedFields = null;
+  if (transactionId) {
+    // Locked until COMMIT, so the revision can't change under us
+    const existingRes = await client.query(
+      `SELECT id, status, revision FROM "${submissionsTable}"
+       WHERE id = $1 AND user_id = $2
+       FOR UPDATE`,
+      [transactionId, userId]
+    );
+    if (existingRes.rows.length === 0) {
+      throw new SubmissionError(404, "Transaction not found");
+    }
+    existing = existingRes.rows[0];
+    oldRow = await getRowSnapshot(client, submissionsTable, transactionId);
+
+    // If transaction is already "completed", don't allow editing
+    if (existing.status === "completed" && status === "draft") {
+      throw new SubmissionError(400, "Cannot edit completed transaction");
+    }
+
+    // Transactions inside an approval workflow are locked for editing
+    if (!BASE_STATUSES.includes(existing.status)) {
+      throw new SubmissionError(
+        409,
+        `Cannot edit transaction in "${existing.status}" status`
+      );
+    }
+
+    if (expectedRevision === null) {
+      throw new SubmissionError(
+        428,
+        "revision is required to update a transaction",
+        { current_revision: existing.revision }
+      );
+    }
+    if (Number.isNaN(expectedRevision)) {
+      throw new SubmissionError(400, "revision must be a whole number");
+    }
+
+    if (expectedRevision !== existing.revision) {
+      const staleDetails = {
+        reason: "stale_revision",
+        revision: expectedRevision,
+        current_revision: existing.revision,
+        etag: toEtag(existing.revision),
+        current: stripColumns(oldRow, getHiddenColumns(fields, permissions)),
+      };
+      if (!baseData || typeof baseData !== "object") {
+        throw new SubmissionError(
+          409,
+          "Transaction was changed by someone else",
+          staleDetails
+        );
+      }
+
+      const merge = mergeStaleUpdate(
+        { fields, columnMap, data, baseData, currentRow: oldRow, permissions },
+        staleDetails
+      );
+      data = merge.data;
+      mergedFields = merge.applied;
+    }
+  }
+
+  // Required fields only matter on completion
+  const prepared = await prepareValues(client, {
+    template,
+    fields,
+    data,
+    permissions,
+    userId,
+    transactionId,
+    existingRow: oldRow || undefined,
+    requireAll: status === "completed",
+    failureMessage: "Transaction failed validation",
+  });
+
+  const mappings = mapToColumns(columnMap, fields, prepared.data);
+
+  let saved;
+  if (existing) {
+    const updateFields = [
+      `"status" = $1`,
+      `"updated_at" = NOW()`,
+      `"revision" = "revision" + 1`,
+    ];
+    const updateValues = [status];
+
+    // Plan link columns are only changed when given
+    Object.entries(planLink || {})
+      .map(([column, value]) => ({ column, value }))
+      .concat(mappings)
+      .forEach(({ column, value }) => {
+        updateValues.push(value);
+        updateFields.push(`"${column}" = $${updateValues.length}`);
+      });
+
+    updateValues.push(transactionId, userId);
+    const updateRes = await client.query(
+      `UPDATE "${submissionsTable}"
+       SET ${updateFields.join(", ")}
+       WHERE id = $${updateValues.length - 1} AND user_id = $${
+        updateValues.length
+      }
+       RETURNING id, submitted_at, updated_at, status, revision`,
+      updateValues
+    );
+    saved = updateRes.rows[0];
+  } else {
+    const columns = ["user_id", "template_version", "status"];
+    const values = [userId, version, status];
+    if (submittedAt) {
+      columns.push("submitted_at");
+      values.push(submittedAt);
+    }
+    Object.entries(planLink || {}).forEach(([column, value]) => {
+      columns.push(column);
+      values.push(value);
+    });
+    mappings.forEach((m) => {
+      columns.push(m.column);
+      values.push(m.value);
+    });
+
+    saved = await insertRow(
+      client,
+      submissionsTable,
+      columns,
+      values,
+      "id, submitted_at, status, updated_at, revision"
+    );
+  }
+
+  await linkAttachments(client, prepared.attachmentIds, {
+    templateId: template.id,
+    transactionId: saved.id,
+  });
+
+  await recordAudit(client, {
+    templateId: template.id,
+    familyId,
+    templateVersion: version,
+    tableName: submissionsTable,
+    transactionId: saved.id,
+    action: existing ? "update" : "insert",
+    userId,
+    oldRow,
+    newRow: await getRowSnapshot(client, submissionsTable, saved.id),
+  });
+
+  if (!existing || existing.status !== saved.status) {
+    await recordStatusChange(client, {
+      templateId: template.id,
+      familyId,
+      templateVersion: version,
+      tableName: submissionsTable,
+      transactionId: saved.id,
+      fromStatus: existing ? existing.status : null,
+      toStatus: saved.status,
+      action: status === "completed" ? "submit" : existing ? "save" : "create",
+      userId,
+    });
+  }
+
+  // Link the draft or completed transaction to its scheduled inspection
+  const inspection = await linkInspection(client, {
+    familyId,
+    templateId: template.id,
+    transactionId: saved.id,
+    userId,
+    inspectionId,
+    completed: saved.status === "completed",
+  });
+
+  await indexTransaction(client, template.id, saved.id);
+
+  return {
+    template,
+    familyId,
+    version,
+    transactionId: saved.id,
+    status: saved.status,
+    submittedAt: saved.submitted_at,
+    updatedAt: saved.updated_at,
+    revision: saved.revision,
+    mergedFields,
+    isUpdate: Boolean(existing),
+    // Completed by this save - re-saving a completed one doesn't count
+    completed:
+      saved.status === "completed" &&
+      (!existing || existing.status !== "completed"),
+    inspection,
+    data: prepared.data,
+    validation: prepared.validation,
+    calculation: prepared.calculation,
+    userId,
+  };
+};
+
+// Send the out-of-spec alert of a form this save completed. Call after COMMIT;
+// delivery is logged, not awaited.
+const notifyOutOfSpec = (saved) => {
+  if (!saved.completed) return;
+  sendOutOfSpecAlert({
+    templateId: saved.template.id,
+    familyId: saved.familyId,
+    templateName: saved.template.name,
+    transactionId: saved.transactionId,
+    userId: saved.userId,
+    breaches: getBreaches(saved.validation.warnings),
+    data: saved.data,
+  });
+};
+
+module.exports = {
+  SubmissionError,
+  saveSubmission,
+  saveTransaction,
+  notifyOutOfSpec,
+};
@@ -0,0 +1,211 @@
+// UNION ALL query across every version table of a template family.
+//
+// Each version table can add, drop or retype columns, so every column is
+// projected with an explicit cast: the shared type when all tables agree,
+// TEXT otherwise, and NULL where a version doesn't have the column. A field
+// renamed between versions is lined up under its latest column name.
+//
+// A new version copies the rows of the version before it and keeps each
+// source id in original_submission_id (see migration.js). The source rows
+// stay in place, so a row the next version copied is superseded and left
+// out here; every submission shows up once, as its newest copy.
+
+const { SYSTEM_COLUMNS, toColumnName } = require("./columns");
+
+// information_schema data_type -> cast used in the union
+const CAST_TYPES = {
+  integer: "INTEGER",
+  bigint: "BIGINT",
+  numeric: "NUMERIC",
+  "double precision": "DOUBLE PRECISION",
+  text: "TEXT",
+  "character varying": "TEXT",
+  date: "DATE",
+  "timestamp without time zone": "TIMESTAMP",
+  "timestamp with time zone": "TIMESTAMPTZ",
+  "time without time zone": "TIME",
+  boolean: "BOOLEAN",
+};
+
+const quoteIdent = (name) => `"${String(name).replace(/"/g, '""')}"`;
+
+// Helper function: Table of the version that follows `version` in the family
+const getSuccessorTable = (versions, version) => {
+  const next = versions
+    .filter((v) => v.table_name && (v.version || 0) > (version.version || 0))
+    .sort((a, b) => (a.version || 0) - (b.version || 0))[0];
+  return next ? next.table_name : null;
+};
+
+// Helper function: WHERE condition that skips rows of `version` (aliased as
+// `alias`) superseded by their copy in the next version, or null for the
+// newest version
+const notSupersededClause = (versions, version, alias = "t") => {
+  const successor = getSuccessorTable(versions, version);
+  if (!successor) return null;
+  return `NOT EXISTS (SELECT 1 FROM ${quoteIdent(successor)} nxt
+    WHERE nxt.original_submission_id = ${alias}.id)`;
+};
+
+// Helper function: Column name -> data_type for each table
+const getTableColumns = async (client, tableNames) => {
+  const res = await client.query(
+    `SELECT table_name, column_name, data_type
+     FROM information_schema.columns
+     WHERE table_name = ANY($1)
+     ORDER BY ordinal_position`,
+    [tableNames]
+  );
+
+  const byTable = {};
+  tableNames.forEach((name) => {
+    byTable[name] = new Map();
+  });
+  res.rows.forEach((row) => {
+    byTable[row.table_name].set(row.column_name, row.data_type);
+  });
+  return byTable;
+};
+
+// Helper function: Per-table { source column -> target column } renames.
+// Fields are matched across versions by instance_id; the newest version
+// that has a column for the field decides the name.
+const getFamilyRenames = async (client, versions, tableColumns) => {
+  const fieldsRes = await client.query(
+    `SELECT template_id, field_name, instance_id FROM template_fields
+     WHERE template_id = ANY($1) AND instance_id IS NOT NULL`,
+    [versions.map((v) => v.id)]
+  );
+
+  const columnsFor = (version, field) => {
+    const column = toColumnName(field.field_name || field.instance_id);
+    return tableColumns[version.table_name].has(column) ? column : null;
+  };
+  const fieldsOf = (version) =>
+    fieldsRes.rows.filter((f) => String(f.template_id) === String(version.id));
+
+  const newestFirst = versions
+    .slice()
+    .sort((a, b) => (b.version || 0) - (a.version || 0));
+
+  const targets = {};
+  newestFirst.forEach((version) => {
+    fieldsOf(version).forEach((field) => {
+      const column = columnsFor(version, field);
+      if (column && !targets[field.instance_id]) {
+        targets[field.instance_id] = column;
+      }
+    });
+  });
+
+  const renames = {};
+  versions.forEach((version) => {
+    const columns = tableColumns[version.table_name];
+    const map = {};
+    fieldsOf(version).forEach((field) => {
+      const source = columnsFor(version, field);
+      const target = targets[field.instance_id];
+      // Skip when the target name is already taken in this table
+      if (source && target && source !== target && !columns.has(target)) {
+        map[source] = target;
+      }
+    });
+    renames[version.table_name] = map;
+  });
+  return renames;
+};
+
+// Helper function: Common column list (name, cast type and per-table source
+// column) for a set of tables
+const getUnionColumns = (tableColumns, renames = {}) => {
+  const byColumn = new Map();
+  Object.entries(tableColumns).forEach(([tableName, columns]) => {
+    const tableRenames = renames[tableName] || {};
+    columns.forEach((dataType, column) => {
+      const name = tableRenames[column] || column;
+      if (!byColumn.has(name)) {
+        byColumn.set(name, { types: new Set(), sources: new Map() });
+      }
+      const entry = byColumn.get(name);
+      if (entry.sources.has(tableName)) return;
+      entry.types.add(CAST_TYPES[dataType] || "TEXT");
+      entry.sources.set(tableName, column);
+    });
+  });
+
+  // System columns first, then field columns in first-seen order
+  const names = [
+    ...SYSTEM_COLUMNS.filter((c) => byColumn.has(c)),
+    ...[...byColumn.keys()].filter((c) => !SYSTEM_COLUMNS.includes(c)),
+  ];
+
+  return names.map((name) => {
+    const entry = byColumn.get(name);
+    return {
+      name,
+      type:
+        name === "template_version"
+          ? "INTEGER"
+          : entry.types.size === 1
+          ? [...entry.types][0]
+          : "TEXT",
+      sources: entry.sources,
+    };
+  });
+};
+
+// Build the UNION ALL SQL for a family's versions.
+// Adds template_id (the version's template row) to every row, fills
+// template_version from the version when a row doesn't carry it and skips
+// superseded rows.
+const buildFamilyUnion = async (client, versions) => {
+  const tables = versions.filter((v) => v.table_name);
+  if (tables.length === 0) return null;
+
+  const tableColumns = await getTableColumns(
+    client,
+    tables.map((v) => v.table_name)
+  );
+  const renames = await getFamilyRenames(client, tables, tableColumns);
+  const columns = getUnionColumns(tableColumns, renames);
+
+  const selects = tables.map((version) => {
+    const projections = [
+      `${parseInt(version.id, 10)}::INTEGER AS template_id`,
+      ...columns.map((column) => {
+        const alias = quoteIdent(column.name);
+        const source = column.sources.get(version.table_name);
+        if (column.name === "template_version") {
+          const fallback = parseInt(version.version, 10) || "NULL";
+          return source
+            ? `COALESCE(${quoteIdent(
+                source
+              )}::INTEGER, ${fallback}) AS ${alias}`
+            : `${fallback}::INTEGER AS ${alias}`;
+        }
+        if (!source) return `NULL::${column.type} AS ${alias}`;
+        return `${quoteIdent(source)}::${column.type} AS ${alias}`;
+      }),
+    ];
+    const superseded = notSupersededClause(tables, version, "src");
+    return `SELECT ${projections.join(", ")} FROM ${quoteIdent(
+      version.table_name
+    )} src${superseded ? ` WHERE ${superseded}` : ""}`;
+  });
+
+  return {
+    sql: selects.join("\nUNION ALL\n"),
+    columns: [{ name: "template_id", type: "INTEGER" }, ...columns],
+    renames,
+  };
+};
+
+module.exports = {
+  quoteIdent,
+  getSuccessorTable,
+  notSupersededClause,
+  getTableColumns,
+  getFamilyRenames,
+  getUnionColumns,
+  buildFamilyUnion,
+};
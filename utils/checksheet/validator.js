@@ -0,0 +1,264 @@
+// Server-side validation of checksheet data against template_fields rules.
+// Mirrors what the React form enforces so a crafted API call can't store
+// values the form would have rejected.
+//
+// Each issue is reported as { instance_id, field_name, label, rule, message }.
+// Blocking issues go to `errors`; spec-limit issues (number min/max and
+// exact_match_text) are only highlighted by the form, so they go to
+// `warnings` and the data is still stored.
+
+const isEmpty = (value) =>
+  value === undefined ||
+  value === null ||
+  (typeof value === "string" && value.trim() === "") ||
+  (Array.isArray(value) && value.length === 0);
+
+// Helper function: Parse options column (JSON text or already parsed)
+const parseOptions = (options) => {
+  if (!options) return [];
+  if (Array.isArray(options)) return options;
+  try {
+    const parsed = JSON.parse(options);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (e) {
+    return [];
+  }
+};
+
+// Helper function: Normalize a date-like value to "YYYY-MM-DD"
+const toDateString = (value) => {
+  if (isEmpty(value)) return null;
+
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) return null;
+    const y = value.getFullYear();
+    const m = String(value.getMonth() + 1).padStart(2, "0");
+    const d = String(value.getDate()).padStart(2, "0");
+    return `${y}-${m}-${d}`;
+  }
+
+  const match = String(value)
+    .trim()
+    .match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (match) return `${match[1]}-${match[2]}-${match[3]}`;
+
+  const parsed = new Date(value);
+  return Number.isNaN(parsed.getTime()) ? null : toDateString(parsed);
+};
+
+// Helper function: Convert "HH:mm" / "HH:mm:ss" to seconds since midnight
+const toSeconds = (value) => {
+  if (isEmpty(value)) return null;
+  const match = String(value)
+    .trim()
+    .match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?/);
+  if (!match) return null;
+
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  const seconds = match[3] ? parseInt(match[3], 10) : 0;
+  if (hours > 23 || minutes > 59 || seconds > 59) return null;
+
+  return hours * 3600 + minutes * 60 + seconds;
+};
+
+const toNumber = (value) => {
+  if (isEmpty(value) || value === "NaN") return null;
+  if (typeof value === "number") return Number.isNaN(value) ? null : value;
+  const trimmed = String(value).trim();
+  if (!/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(trimmed)) return NaN;
+  return parseFloat(trimmed);
+};
+
+const BOOLEAN_VALUES = [true, false, "true", "false", 1, 0, "1", "0"];
+
+// Helper function: Find the submitted value for a field (by instance_id or
+// field_name, case-insensitive) - same lookup the submission handlers use
+const buildValueLookup = (data) => {
+  const lookup = {};
+  Object.keys(data || {}).forEach((key) => {
+    lookup[key.toLowerCase()] = { key, value: data[key] };
+  });
+  return lookup;
+};
+
+const findSubmittedValue = (lookup, field) => {
+  const byInstance = field.instance_id
+    ? lookup[String(field.instance_id).toLowerCase()]
+    : null;
+  if (byInstance) return byInstance;
+  return field.field_name
+    ? lookup[String(field.field_name).toLowerCase()] || null
+    : null;
+};
+
+const optionValue = (option) =>
+  option !== null && typeof option === "object"
+    ? String(option.value ?? option.label ?? "")
+    : String(option);
+
+// Validate one field value; pushes issues into errors/warnings
+const validateField = (field, value, addError, addWarning) => {
+  const type = field.field_type;
+
+  switch (type) {
+    case "number":
+    case "calculation": {
+      const num = toNumber(value);
+      if (Number.isNaN(num)) {
+        addError("type", "Value must be a number");
+        return;
+      }
+      const min = toNumber(field.min_value);
+      const max = toNumber(field.max_value);
+      if (min !== null && !Number.isNaN(min) && num < min) {
+        addWarning("min_value", `Value ${num} is below minimum ${min}`);
+      }
+      if (max !== null && !Number.isNaN(max) && num > max) {
+        addWarning("max_value", `Value ${num} is above maximum ${max}`);
+      }
+      break;
+    }
+
+    case "date":
+    case "datetime": {
+      const date = toDateString(value);
+      if (!date) {
+        addError("type", "Value must be a valid date");
+        return;
+      }
+      const minDate = toDateString(field.min_date);
+      const maxDate = toDateString(field.max_date);
+      if (minDate && date < minDate) {
+        addError("min_date", `Date must be on or after ${minDate}`);
+      }
+      if (maxDate && date > maxDate) {
+        addError("max_date", `Date must be on or before ${maxDate}`);
+      }
+      break;
+    }
+
+    case "time": {
+      const seconds = toSeconds(value);
+      if (seconds === null) {
+        addError("type", "Value must be a valid time");
+        return;
+      }
+      const minTime = toSeconds(field.min_time);
+      const maxTime = toSeconds(field.max_time);
+      if (minTime !== null && seconds < minTime) {
+        addError("min_time", `Time must be at or after ${field.min_time}`);
+      }
+      if (maxTime !== null && seconds > maxTime) {
+        addError("max_time", `Time must be at or before ${field.max_time}`);
+      }
+      break;
+    }
+
+    case "boolean":
+      if (!BOOLEAN_VALUES.includes(value)) {
+        addError("type", "Value must be true or false");
+      }
+      break;
+
+    default: {
+      const text = typeof value === "string" ? value : String(value);
+      const minLength = parseInt(field.min_length, 10);
+      const maxLength = parseInt(field.max_length, 10);
+
+      if (
+        !Number.isNaN(minLength) &&
+        minLength > 0 &&
+        text.length < minLength
+      ) {
+        const message = `Must be at least ${minLength} characters`;
+        if (field.min_length_mode === "block") {
+          addError("min_length", message);
+        } else {
+          addWarning("min_length", message);
+        }
+      }
+
+      if (
+        !Number.isNaN(maxLength) &&
+        maxLength > 0 &&
+        text.length > maxLength
+      ) {
+        const message = `Must be at most ${maxLength} characters`;
+        if (field.max_length_mode === "block") {
+          addError("max_length", message);
+        } else {
+          addWarning("max_length", message);
+        }
+      }
+
+      if (field.exact_match_text && text !== field.exact_match_text) {
+        addWarning(
+          "exact_match_text",
+          `Value does not match expected text "${field.exact_match_text}"`
+        );
+      }
+    }
+  }
+
+  const options = parseOptions(field.options);
+  if (options.length > 0) {
+    const allowed = options.map(optionValue);
+    const values = Array.isArray(value) ? value : [value];
+    const invalid = values.filter((v) => !allowed.includes(String(v)));
+    if (invalid.length > 0) {
+      addError("options", `Value must be one of: ${allowed.join(", ")}`);
+    }
+  }
+};
+
+// Validate submitted data against template_fields rows.
+// `requireAll` enforces "required" (skip it for drafts).
+const validateSubmission = (fields, data, { requireAll = true } = {}) => {
+  const errors = [];
+  const warnings = [];
+  const lookup = buildValueLookup(data);
+
+  (fields || []).forEach((field) => {
+    const issue = (rule, message) => ({
+      instance_id: field.instance_id,
+      field_name: field.field_name,
+      label: field.label || field.field_name,
+      rule,
+      message,
+    });
+    const addError = (rule, message) => errors.push(issue(rule, message));
+    const addWarning = (rule, message) => warnings.push(issue(rule, message));
+
+    const submitted = findSubmittedValue(lookup, field);
+    const value = submitted ? submitted.value : undefined;
+
+    if (isEmpty(value)) {
+      if (
+        requireAll &&
+        field.required &&
+        !field.disabled &&
+        field.field_type !== "calculation"
+      ) {
+        addError("required", "This field is required");
+      }
+      return;
+    }
+
+    validateField(field, value, addError, addWarning);
+  });
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    warnings,
+  };
+};
+
+module.exports = {
+  validateSubmission,
+  toDateString,
+  toSeconds,
+  toNumber,
+  isEmpty,
+};
@@ -0,0 +1,266 @@
+// Structured diff between two versions of a template family.
+//
+// Fields are matched by instance_id, so a field whose column was renamed
+// shows up as renamed rather than removed + added. Images are matched by
+// their source in the uploaded workbook (original_src, else original_path)
+// and compared by content hash.
+
+// template_fields columns the validator and formula engine act on
+const RULE_PROPERTIES = [
+  "required",
+  "disabled",
+  "min_value",
+  "max_value",
+  "min_length",
+  "min_length_mode",
+  "max_length",
+  "max_length_mode",
+  "exact_match_text",
+  "min_date",
+  "max_date",
+  "min_time",
+  "max_time",
+  "options",
+  "decimal_places",
+  "formula",
+  "max_file_size",
+];
+
+// Helper function: Load what the diff compares for one template version
+const loadVersionSnapshot = async (client, templateId) => {
+  const templateRes = await client.query(
+    `SELECT id, name, version, table_name, html_content, css_content,
+            is_active, parent_template_id, created_at
+     FROM checksheet_templates WHERE id = $1`,
+    [templateId]
+  );
+  if (templateRes.rows.length === 0) return null;
+
+  const fieldsRes = await client.query(
+    `SELECT * FROM template_fields WHERE template_id = $1 ORDER BY id`,
+    [templateId]
+  );
+
+  const imagesRes = await client.query(
+    `SELECT ti.id, ti.original_path, ti.original_src, ti.filename,
+            ti.mime_type, ti.size, ti.position_index,
+            COALESCE(a.sha256, md5(COALESCE(ti.image_data, ''))) AS data_hash
+     FROM template_images ti
+     LEFT JOIN checksheet_attachments a ON a.id = ti.attachment_id
+     WHERE ti.template_id = $1
+     ORDER BY ti.position_index`,
+    [templateId]
+  );
+
+  return {
+    template: templateRes.rows[0],
+    fields: fieldsRes.rows,
+    images: imagesRes.rows,
+  };
+};
+
+// Helper function: Compare two stored values, treating null/"" alike and
+// numeric strings ("5.0000" vs 5) by value
+const sameValue = (a, b) => {
+  const empty = (v) => v === null || v === undefined || v === "";
+  if (empty(a) && empty(b)) return true;
+  if (empty(a) || empty(b)) return false;
+
+  if (typeof a === "object" || typeof b === "object") {
+    const asJson = (v) => (typeof v === "string" ? v : JSON.stringify(v));
+    return asJson(a) === asJson(b);
+  }
+
+  const numA = Number(a);
+  const numB = Number(b);
+  if (!Number.isNaN(numA) && !Number.isNaN(numB)) return numA === numB;
+
+  return String(a) === String(b);
+};
+
+// Helper function: Lines added / removed between two texts (as multisets,
+// so moved lines don't count)
+const diffText = (before, after) => {
+  const oldText = before || "";
+  const newText = after || "";
+  if (oldText === newText) {
+    return { changed: false, lines_added: 0, lines_removed: 0 };
+  }
+
+  const toLines = (text) =>
+    text
+      .split(/\r?\n/)
+      .map((line) => line.trim())
+      .filter(Boolean);
+
+  const counts = new Map();
+  toLines(oldText).forEach((line) =>
+    counts.set(line, (counts.get(line) || 0) + 1)
+  );
+
+  let added = 0;
+  toLines(newText).forEach((line) => {
+    const remaining = counts.get(line) || 0;
+    if (remaining > 0) {
+      counts.set(line, remaining - 1);
+    } else {
+      added++;
+    }
+  });
+  const removed = [...counts.values()].reduce((sum, n) => sum + n, 0);
+
+  return {
+    changed: true,
+    lines_added: added,
+    lines_removed: removed,
+    length_from: oldText.length,
+    length_to: newText.length,
+  };
+};
+
+const describeField = (field) => ({
+  instance_id: field.instance_id,
+  field_name: field.field_name,
+  label: field.label,
+  field_type: field.field_type,
+});
+
+const diffFields = (fromFields, toFields, isBreakingChange) => {
+  const fromMap = new Map(fromFields.map((f) => [f.instance_id, f]));
+  const toMap = new Map(toFields.map((f) => [f.instance_id, f]));
+
+  const result = {
+    added: [],
+    removed: [],
+    retyped: [],
+    relabelled: [],
+    renamed: [],
+    rules: [],
+  };
+
+  toFields.forEach((field) => {
+    if (!fromMap.has(field.instance_id)) {
+      result.added.push(describeField(field));
+    }
+  });
+
+  fromFields.forEach((oldField) => {
+    const newField = toMap.get(oldField.instance_id);
+    if (!newField) {
+      result.removed.push(describeField(oldField));
+      return;
+    }
+
+    const ref = {
+      instance_id: newField.instance_id,
+      field_name: newField.field_name,
+    };
+
+    if (oldField.field_type !== newField.field_type) {
+      result.retyped.push({
+        ...ref,
+        from: oldField.field_type,
+        to: newField.field_type,
+        breaking: isBreakingChange(oldField.field_type, newField.field_type),
+      });
+    }
+
+    if (!sameValue(oldField.label, newField.label)) {
+      result.relabelled.push({
+        ...ref,
+        from: oldField.label,
+        to: newField.label,
+      });
+    }
+
+    if (oldField.field_name !== newField.field_name) {
+      result.renamed.push({
+        instance_id: newField.instance_id,
+        from: oldField.field_name,
+        to: newField.field_name,
+      });
+    }
+
+    const ruleChanges = RULE_PROPERTIES.filter(
+      (prop) => !sameValue(oldField[prop], newField[prop])
+    ).map((prop) => ({
+      rule: prop,
+      from: oldField[prop] ?? null,
+      to: newField[prop] ?? null,
+    }));
+    if (ruleChanges.length > 0) {
+      result.rules.push({ ...ref, changes: ruleChanges });
+    }
+  });
+
+  return result;
+};
+
+const diffImages = (fromImages, toImages) => {
+  const keyOf = (image) =>
+    image.original_src || image.original_path || image.filename;
+  const describe = (image) => ({
+    key: keyOf(image),
+    filename: image.filename,
+    mime_type: image.mime_type,
+    size: image.size,
+  });
+
+  const fromMap = new Map(fromImages.map((i) => [keyOf(i), i]));
+  const toMap = new Map(toImages.map((i) => [keyOf(i), i]));
+
+  return {
+    added: toImages.filter((i) => !fromMap.has(keyOf(i))).map(describe),
+    removed: fromImages.filter((i) => !toMap.has(keyOf(i))).map(describe),
+    changed: toImages
+      .filter((i) => {
+        const old = fromMap.get(keyOf(i));
+        return old && old.data_hash !== i.data_hash;
+      })
+      .map((i) => ({
+        ...describe(i),
+        size_from: fromMap.get(keyOf(i)).size,
+      })),
+  };
+};
+
+// Diff two snapshots from loadVersionSnapshot. isBreakingChange is the
+// route's own rule so "breaking" means the same thing as on save.
+const diffTemplateVersions = (from, to, isBreakingChange) => {
+  const fields = diffFields(from.fields, to.fields, isBreakingChange);
+  const { rules, ...fieldChanges } = fields;
+  const html = diffText(from.template.html_content, to.template.html_content);
+  const css = diffText(from.template.css_content, to.template.css_content);
+  const images = diffImages(from.images, to.images);
+
+  return {
+    name:
+      from.template.name !== to.template.name
+        ? { from: from.template.name, to: to.template.name }
+        : null,
+    fields: fieldChanges,
+    rules,
+    html,
+    css,
+    images,
+    summary: {
+      fields_added: fields.added.length,
+      fields_removed: fields.removed.length,
+      fields_retyped: fields.retyped.length,
+      fields_relabelled: fields.relabelled.length,
+      fields_renamed: fields.renamed.length,
+      rule_changes: rules.length,
+      html_changed: html.changed,
+      css_changed: css.changed,
+      images_changed:
+        images.added.length + images.removed.length + images.changed.length,
+      breaking: fields.retyped.some((r) => r.breaking),
+    },
+  };
+};
+
+module.exports = {
+  RULE_PROPERTIES,
+  loadVersionSnapshot,
+  diffTemplateVersions,
+};
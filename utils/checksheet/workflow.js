@@ -0,0 +1,176 @@
+// Approval workflow helpers for checksheet transactions.
+//
+// A workflow is attached to a template family (the root template id) and is
+// a list of transitions:
+//   { action: "approve", from: ["checked"], to: "approved",
+//     group_ids: [3], require_comment: false }
+// A transition with no group_ids can be performed by anyone.
+// Every status change (including draft/completed saves) is written to
+// checksheet_status_history.
+
+// Statuses the transaction endpoint itself sets; the rest come from workflows
+const BASE_STATUSES = ["draft", "completed"];
+const MAX_STATUS_LENGTH = 20; // "status" column is VARCHAR(20)
+
+// Create the workflow tables (at startup, see ./schema.js)
+const ensureWorkflowTables = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS checksheet_workflows (
+      id SERIAL PRIMARY KEY,
+      template_id INTEGER NOT NULL UNIQUE,
+      name VARCHAR(255),
+      transitions JSONB NOT NULL DEFAULT '[]',
+      is_active BOOLEAN DEFAULT true,
+      created_by INTEGER,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS checksheet_status_history (
+      id SERIAL PRIMARY KEY,
+      template_id INTEGER NOT NULL,
+      family_id INTEGER NOT NULL,
+      template_version INTEGER,
+      table_name VARCHAR(255) NOT NULL,
+      transaction_id INTEGER NOT NULL,
+      from_status VARCHAR(20),
+      to_status VARCHAR(20) NOT NULL,
+      action VARCHAR(50),
+      comment TEXT,
+      user_id INTEGER,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_checksheet_status_history_tx
+    ON checksheet_status_history (table_name, transaction_id);
+  `);
+};
+
+// Helper function: Load the active workflow for a template family
+const getWorkflow = async (client, familyId) => {
+  const res = await client.query(
+    `SELECT * FROM checksheet_workflows WHERE template_id = $1 AND is_active = true`,
+    [familyId]
+  );
+  return res.rows[0] || null;
+};
+
+// Helper function: Validate and normalize a transitions array.
+// Returns { transitions } or { error }.
+const normalizeTransitions = (transitions) => {
+  if (!Array.isArray(transitions) || transitions.length === 0) {
+    return { error: "At least one transition is required" };
+  }
+
+  const normalized = [];
+  const actions = new Set();
+
+  for (const t of transitions) {
+    const from = (Array.isArray(t.from) ? t.from : [t.from]).filter(Boolean);
+    const to = t.to;
+    const action = t.action || to;
+
+    if (!action || !to || from.length === 0) {
+      return { error: "Each transition needs action, from and to" };
+    }
+
+    const statuses = [...from, to];
+    if (statuses.some((s) => String(s).length > MAX_STATUS_LENGTH)) {
+      return {
+        error: `Status names must be ${MAX_STATUS_LENGTH} characters or less`,
+      };
+    }
+
+    if (to === "draft" && from.includes("draft")) {
+      return { error: "A transition cannot start and end at draft" };
+    }
+
+    const key = `${action}|${from.join(",")}`;
+    if (actions.has(key)) {
+      return { error: `Duplicate transition "${action}"` };
+    }
+    actions.add(key);
+
+    normalized.push({
+      action: String(action),
+      from: from.map(String),
+      to: String(to),
+      group_ids: (t.group_ids || [])
+        .map((id) => parseInt(id, 10))
+        .filter((id) => !Number.isNaN(id)),
+      require_comment: Boolean(t.require_comment),
+    });
+  }
+
+  return { transitions: normalized };
+};
+
+// Helper function: Active group ids for a user
+const getUserGroupIds = async (client, userId) => {
+  const res = await client.query(
+    `SELECT ugm.group_id
+     FROM user_group_memberships ugm
+     JOIN user_groups ug ON ug.group_id = ugm.group_id
+     WHERE ugm.user_id = $1 AND COALESCE(ug.is_active, true) = true`,
+    [userId]
+  );
+  return res.rows.map((row) => row.group_id);
+};
+
+// Helper function: Transitions a user may perform from a status
+const getAvailableTransitions = (workflow, status, groupIds) => {
+  if (!workflow) return [];
+  const transitions = workflow.transitions || [];
+  return transitions.filter(
+    (t) =>
+      t.from.includes(status) &&
+      (t.group_ids.length === 0 ||
+        t.group_ids.some((id) => groupIds.includes(id)))
+  );
+};
+
+// Helper function: Record a status change
+const recordStatusChange = async (
+  client,
+  {
+    templateId,
+    familyId,
+    templateVersion,
+    tableName,
+    transactionId,
+    fromStatus = null,
+    toStatus,
+    action = null,
+    comment = null,
+    userId = null,
+  }
+) => {
+  await client.query(
+    `INSERT INTO checksheet_status_history
+     (template_id, family_id, template_version, table_name, transaction_id,
+      from_status, to_status, action, comment, user_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+    [
+      templateId,
+      familyId || templateId,
+      templateVersion || null,
+      tableName,
+      transactionId,
+      fromStatus,
+      toStatus,
+      action,
+      comment,
+      userId,
+    ]
+  );
+};
+
+module.exports = {
+  BASE_STATUSES,
+  ensureWorkflowTables,
+  getWorkflow,
+  normalizeTransitions,
+  getUserGroupIds,
+  getAvailableTransitions,
+  recordStatusChange,
+};